@@ -0,0 +1,207 @@
+using System.Net;
+using System.Net.NetworkInformation;
+using System.Net.Sockets;
+using System.Security.Claims;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.EntityFrameworkCore;
+using NexusM.Data;
+using QRCoder;
+using NexusM.Services;
+
+namespace NexusM.Controllers;
+
+/// <summary>
+/// Party jukebox. An admin starts a party from their player and shares the join link / QR code;
+/// guests use the anonymous guest endpoints with the link's token to search, request and vote.
+/// </summary>
+[ApiController]
+[Route("api/jukebox")]
+[Authorize(Roles = "admin")]
+public class JukeboxController : ControllerBase
+{
+    private readonly JukeboxService _jukebox;
+    private readonly MusicDbContext _db;
+    private readonly UserFavouritesService _userFavs;
+    private readonly MusicFolderService _folders;
+
+    public JukeboxController(JukeboxService jukebox, MusicDbContext db, UserFavouritesService userFavs, MusicFolderService folders)
+    {
+        _jukebox = jukebox;
+        _db = db;
+        _userFavs = userFavs;
+        _folders = folders;
+    }
+
+    private string CurrentDisplayName =>
+        User.FindFirst("DisplayName")?.Value ?? User.FindFirst(ClaimTypes.Name)?.Value ?? "Host";
+
+    // ─── Host ───────────────────────────────────────────────────────
+
+    [HttpGet]
+    public IActionResult Get()
+    {
+        var party = _jukebox.Get();
+        if (party == null) return Ok(new { active = false });
+        return Ok(new { active = true, joinUrl = JoinUrl(party.Token), party });
+    }
+
+    [HttpPost("start")]
+    public IActionResult Start([FromBody] JukeboxSettingsDto dto)
+    {
+        var token = _jukebox.Start(User.Identity?.Name ?? "", CurrentDisplayName, new JukeboxService.PartySettings(dto.RequestLimit, dto.AllowExplicit));
+        return Ok(new { success = true, joinUrl = JoinUrl(token) });
+    }
+
+    [HttpPost("stop")]
+    public IActionResult Stop()
+    {
+        _jukebox.Stop();
+        return Ok(new { success = true });
+    }
+
+    [HttpPut("settings")]
+    public IActionResult UpdateSettings([FromBody] JukeboxSettingsDto dto)
+    {
+        if (!_jukebox.UpdateSettings(new JukeboxService.PartySettings(dto.RequestLimit, dto.AllowExplicit)))
+            return NotFound(new { error = "No party is running" });
+        return Ok(new { success = true });
+    }
+
+    [HttpPut("guests/{guestId}")]
+    public IActionResult SetGuestLimit(string guestId, [FromBody] JukeboxGuestLimitDto dto)
+    {
+        if (!_jukebox.SetGuestLimit(guestId, dto.Limit)) return NotFound(new { error = "Guest not found" });
+        return Ok(new { success = true });
+    }
+
+    [HttpDelete("queue/{itemId:int}")]
+    public IActionResult RemoveItem(int itemId)
+    {
+        if (!_jukebox.Remove(itemId)) return NotFound(new { error = "Request not found" });
+        return Ok(new { success = true });
+    }
+
+    [HttpPost("queue/{itemId:int}/playing")]
+    public IActionResult MarkPlaying(int itemId)
+    {
+        if (!_jukebox.MarkPlaying(itemId)) return NotFound(new { error = "Request not found" });
+        return Ok(new { success = true });
+    }
+
+    [HttpGet("qr.png")]
+    public IActionResult Qr()
+    {
+        var party = _jukebox.Get();
+        if (party == null) return NotFound();
+        using var generator = new QRCodeGenerator();
+        using var data = generator.CreateQrCode(JoinUrl(party.Token), QRCodeGenerator.ECCLevel.M);
+        return File(new PngByteQRCode(data).GetGraphic(10), "image/png");
+    }
+
+    // ─── Guests (authorised by the party token, not a login) ─────────
+
+    [HttpGet("guest")]
+    [AllowAnonymous]
+    public IActionResult GuestState([FromQuery] string? t, [FromQuery] string? g)
+    {
+        if (!_jukebox.IsValidToken(t)) return NotFound(new { error = "This party has ended." });
+        var joined = _jukebox.IsGuest(t, g);
+        var party = _jukebox.Get(joined ? g : null)!;
+        var me = joined ? party.Guests.First(x => x.Id == g) : null;
+        return Ok(new
+        {
+            host = party.Host,
+            settings = party.Settings,
+            me = me == null ? null : new { me.Name, limit = me.Limit ?? party.Settings.RequestLimit, me.Waiting },
+            party.NowPlaying,
+            party.Queue,
+        });
+    }
+
+    [HttpPost("guest/join")]
+    [AllowAnonymous]
+    public IActionResult GuestJoin([FromBody] JukeboxJoinDto dto)
+    {
+        var guestId = _jukebox.Join(dto.Token, dto.Name ?? "");
+        if (guestId == null) return BadRequest(new { error = "This party has ended or is full." });
+        return Ok(new { guestId });
+    }
+
+    [HttpGet("guest/search")]
+    [AllowAnonymous]
+    public async Task<IActionResult> GuestSearch([FromQuery] string? t, [FromQuery] string? g, [FromQuery] string? q)
+    {
+        if (!_jukebox.IsGuest(t, g)) return NotFound(new { error = "This party has ended." });
+        if (string.IsNullOrWhiteSpace(q) || q.Trim().Length < 2) return Ok(Array.Empty<object>());
+
+        var s = q.Trim().ToLower();
+        var allowExplicit = _jukebox.AllowsExplicit();
+        var hidden = HostHiddenCategories();
+        var query = _db.Tracks.AsNoTracking()
+            .Where(x => x.Title.ToLower().Contains(s) || x.Artist.ToLower().Contains(s) || x.Album.ToLower().Contains(s))
+            .Where(x => allowExplicit || !x.IsExplicit)
+            .OrderBy(x => x.Artist).ThenBy(x => x.Album).ThenBy(x => x.TrackNumber);
+        // Hidden categories are folders, so they can only be dropped after the query
+        var rows = await (hidden.Count == 0 ? query.Take(40) : query)
+            .Select(x => new { x.Id, x.Title, x.Artist, x.Album, x.Duration, x.FilePath })
+            .ToListAsync();
+        return Ok(rows.Where(x => !_folders.IsHidden(x.FilePath, hidden)).Take(40)
+            .Select(x => new { x.Id, x.Title, x.Artist, x.Album, x.Duration }));
+    }
+
+    [HttpPost("guest/request")]
+    [AllowAnonymous]
+    public async Task<IActionResult> GuestRequest([FromBody] JukeboxRequestDto dto)
+    {
+        if (!_jukebox.IsGuest(dto.Token, dto.GuestId)) return NotFound(new { error = "This party has ended." });
+        var track = await _db.Tracks.AsNoTracking().FirstOrDefaultAsync(x => x.Id == dto.TrackId);
+        if (track == null || _folders.IsHidden(track.FilePath, HostHiddenCategories()))
+            return NotFound(new { error = "Track not found" });
+        var error = _jukebox.Request(dto.Token, dto.GuestId!, track);
+        if (error != null) return BadRequest(new { error });
+        return Ok(new { success = true });
+    }
+
+    [HttpPost("guest/vote")]
+    [AllowAnonymous]
+    public IActionResult GuestVote([FromBody] JukeboxVoteDto dto)
+    {
+        if (!_jukebox.IsGuest(dto.Token, dto.GuestId)) return NotFound(new { error = "This party has ended." });
+        if (!_jukebox.Vote(dto.Token, dto.GuestId!, dto.ItemId, dto.Vote)) return BadRequest(new { error = "Can't vote on that request" });
+        return Ok(new { success = true });
+    }
+
+    // ─── Helpers ────────────────────────────────────────────────────
+
+    // Guests see the library as the host does: the music categories hidden from the host stay hidden
+    private HashSet<string> HostHiddenCategories()
+    {
+        var host = _jukebox.HostUser();
+        if (string.IsNullOrEmpty(host)) return new(StringComparer.OrdinalIgnoreCase);
+        return new(_userFavs.GetCategorySettings(host).Music.Hidden, StringComparer.OrdinalIgnoreCase);
+    }
+
+    // Phones can't reach "localhost": when the host browses the server locally, put its LAN address in the link
+    private string JoinUrl(string token)
+    {
+        var host = Request.Host.Host;
+        if (host is "localhost" or "127.0.0.1" or "::1" or "[::1]") host = LanAddress() ?? host;
+        var port = Request.Host.Port.HasValue ? ":" + Request.Host.Port : "";
+        return $"{Request.Scheme}://{host}{port}/jukebox.html?t={token}";
+    }
+
+    private static string? LanAddress() =>
+        NetworkInterface.GetAllNetworkInterfaces()
+            .Where(n => n.OperationalStatus == OperationalStatus.Up && n.NetworkInterfaceType != NetworkInterfaceType.Loopback)
+            .SelectMany(n => n.GetIPProperties().UnicastAddresses)
+            .Select(a => a.Address)
+            .FirstOrDefault(a => a.AddressFamily == AddressFamily.InterNetwork && !IPAddress.IsLoopback(a))
+            ?.ToString();
+}
+
+public record JukeboxSettingsDto(int RequestLimit, bool AllowExplicit);
+public record JukeboxGuestLimitDto(int? Limit);
+public record JukeboxJoinDto(string? Token, string? Name);
+public record JukeboxRequestDto(string? Token, string? GuestId, int TrackId);
+public record JukeboxVoteDto(string? Token, string? GuestId, int ItemId, int Vote);
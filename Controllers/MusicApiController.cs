@@ -39,6 +39,17 @@ public class MusicApiController : ControllerBase
     private readonly PodcastsDbContext _podcastDb;
     private readonly UserFavouritesService _userFavs;
     private readonly MetadataService _metadata;
+    private readonly LyricsService _lyrics;
+    private readonly SmartPlaylistService _smartPlaylists;
+    private readonly TrackRadioService _trackRadio;
+    private readonly PlaylistMatchService _playlistMatch;
+    private readonly PlaylistExportService _playlistExport;
+    private readonly EqualizerService _equalizer;
+    private readonly LoudnessService _loudness;
+    private readonly TempoKeyService _tempoKey;
+    private readonly MusicTagService _tags;
+    private readonly MusicFolderService _folders;
+    private readonly WaveformService _waveforms;
     private readonly ShareCredentialService _shareService;
     private readonly ConfigService _config;
     private readonly IServiceScopeFactory _scopeFactory;
@@ -66,6 +77,17 @@ public class MusicApiController : ControllerBase
         TvChannelService tvService,
         UserFavouritesService userFavs,
         MetadataService metadata,
+        LyricsService lyrics,
+        SmartPlaylistService smartPlaylists,
+        TrackRadioService trackRadio,
+        PlaylistMatchService playlistMatch,
+        PlaylistExportService playlistExport,
+        EqualizerService equalizer,
+        LoudnessService loudness,
+        TempoKeyService tempoKey,
+        MusicTagService tags,
+        MusicFolderService folders,
+        WaveformService waveforms,
         ShareCredentialService shareService,
         ConfigService config,
         IServiceScopeFactory scopeFactory,
@@ -92,6 +114,17 @@ public class MusicApiController : ControllerBase
         _tvService = tvService;
         _userFavs = userFavs;
         _metadata = metadata;
+        _lyrics = lyrics;
+        _smartPlaylists = smartPlaylists;
+        _trackRadio = trackRadio;
+        _playlistMatch = playlistMatch;
+        _playlistExport = playlistExport;
+        _equalizer = equalizer;
+        _loudness = loudness;
+        _tempoKey = tempoKey;
+        _tags = tags;
+        _folders = folders;
+        _waveforms = waveforms;
         _shareService = shareService;
         _config = config;
         _scopeFactory = scopeFactory;
@@ -402,6 +435,100 @@ tr:hover td{{background:#1a1a2e}}
         bytes >= 1_048_576 ? $"{bytes / 1_048_576.0:F1} MB" :
         bytes >= 1024 ? $"{bytes / 1024.0:F1} KB" : $"{bytes} B";
 
+    // ─── Loudness Analysis ──────────────────────────────────────────
+    // Measurements are made in the browser (see LoudnessService) — these endpoints only hand out
+    // work and store the results.
+
+    [HttpGet("analysis/loudness/status")]
+    public async Task<IActionResult> GetLoudnessStatus()
+    {
+        var total = await _db.Tracks.CountAsync();
+        var tagged = await _db.Tracks.CountAsync(t => t.ReplayGainTrack != null || t.ReplayGainAlbum != null);
+        var analyzed = await _db.Tracks.CountAsync(t => t.LoudnessLufs != null);
+        var missing = await _db.Tracks.CountAsync(t => t.ReplayGainTrack == null && t.ReplayGainAlbum == null && t.LoudnessLufs == null);
+        return Ok(new { total, tagged, analyzed, missing });
+    }
+
+    /// <summary>
+    /// Next tracks without ReplayGain tags or a measurement, in id order after <paramref name="afterId"/>.
+    /// </summary>
+    [HttpGet("analysis/loudness/pending")]
+    public async Task<IActionResult> GetLoudnessPending([FromQuery] int afterId = 0, [FromQuery] int limit = 25)
+    {
+        var tracks = await _db.Tracks
+            .Where(t => t.Id > afterId && t.ReplayGainTrack == null && t.ReplayGainAlbum == null && t.LoudnessLufs == null)
+            .OrderBy(t => t.Id).Take(Math.Clamp(limit, 1, 200))
+            .Select(t => new { t.Id, t.Title, t.Artist, t.Duration })
+            .ToListAsync();
+        return Ok(tracks);
+    }
+
+    [HttpPost("tracks/{id}/loudness")]
+    public async Task<IActionResult> SaveLoudness(int id, [FromBody] LoudnessDto dto)
+    {
+        var error = _loudness.Validate(dto.Lufs, dto.Peak);
+        if (error != null) return BadRequest(new { error });
+        var track = await _loudness.SaveAsync(_db, id, dto.Lufs, dto.Peak);
+        if (track == null) return NotFound();
+        return Ok(new
+        {
+            track.Id, track.LoudnessLufs, track.LoudnessPeak, track.AlbumLoudnessLufs, track.AlbumLoudnessPeak
+        });
+    }
+
+    // ─── Tempo & Key Analysis ───────────────────────────────────────
+    // Like loudness, tempo and key are measured in the browser (see TempoKeyService). A track counts as
+    // analysed once it has a beat offset, even if its tags already gave the tempo and key.
+
+    [HttpGet("analysis/tempo/status")]
+    public async Task<IActionResult> GetTempoStatus()
+    {
+        var total = await _db.Tracks.CountAsync();
+        var known = await _db.Tracks.CountAsync(t => t.Bpm != null && t.MusicalKey != null);
+        var analyzed = await _db.Tracks.CountAsync(t => t.BeatOffset != null);
+        return Ok(new { total, known, analyzed, missing = total - analyzed });
+    }
+
+    /// <summary>
+    /// Next tracks without a tempo analysis, in id order after <paramref name="afterId"/>.
+    /// </summary>
+    [HttpGet("analysis/tempo/pending")]
+    public async Task<IActionResult> GetTempoPending([FromQuery] int afterId = 0, [FromQuery] int limit = 25)
+    {
+        var tracks = await _db.Tracks
+            .Where(t => t.Id > afterId && t.BeatOffset == null)
+            .OrderBy(t => t.Id).Take(Math.Clamp(limit, 1, 200))
+            .Select(t => new { t.Id, t.Title, t.Artist, t.Duration, t.Bpm, t.MusicalKey })
+            .ToListAsync();
+        return Ok(tracks);
+    }
+
+    /// <summary>
+    /// Tempo, key and beat grid of the given tracks — the automix looks up its queue with this, as most
+    /// track lists don't carry them.
+    /// </summary>
+    [HttpPost("analysis/tempo/lookup")]
+    public async Task<IActionResult> LookupTempo([FromBody] BatchLookupDto dto)
+    {
+        var ids = (dto.TrackIds ?? new List<int>()).Take(2000).ToList();
+        var tracks = await _db.Tracks.Where(t => ids.Contains(t.Id))
+            .Select(t => new { t.Id, t.Bpm, t.MusicalKey, t.BeatOffset })
+            .ToListAsync();
+        return Ok(tracks);
+    }
+
+    [HttpPost("tracks/{id}/tempo")]
+    public async Task<IActionResult> SaveTempo(int id, [FromBody] TempoKeyDto dto)
+    {
+        var error = _tempoKey.Validate(dto.Bpm, dto.Key, dto.BeatOffset);
+        if (error != null) return BadRequest(new { error });
+        var track = dto.Edit
+            ? await _tempoKey.SaveEditAsync(_db, id, dto.Bpm, dto.Key)
+            : await _tempoKey.SaveAnalysisAsync(_db, id, dto.Bpm, dto.Key, dto.BeatOffset);
+        if (track == null) return NotFound();
+        return Ok(new { track.Id, track.Bpm, track.MusicalKey, track.BeatOffset });
+    }
+
     // ─── Albums ─────────────────────────────────────────────────────
 
     [HttpGet("albums")]
@@ -461,7 +588,8 @@ tr:hover td{{background:#1a1a2e}}
                 t.Id, t.Title, t.Artist, t.Album, t.Genre, t.Year,
                 t.TrackNumber, t.DiscNumber, t.Duration, t.Bitrate,
                 t.Codec, t.FileSize, t.HasAlbumArt, t.AlbumArtCached,
-                IsFavourite = trackFavIds.Contains(t.Id), t.PlayCount, t.Rating
+                IsFavourite = trackFavIds.Contains(t.Id), t.PlayCount, t.Rating,
+                t.Bpm, t.MusicalKey, t.BeatOffset
             })
             .ToListAsync();
 
@@ -596,6 +724,27 @@ tr:hover td{{background:#1a1a2e}}
         return Ok(result);
     }
 
+    /// <summary>
+    /// Rating plus the current user's play count / last played time for a set of tracks —
+    /// the inputs of the weighted shuffle modes.
+    /// </summary>
+    [HttpPost("tracks/shuffle-stats")]
+    public async Task<IActionResult> GetShuffleStats([FromBody] PlaylistAddTracksDto dto)
+    {
+        var ids = (dto.TrackIds ?? Array.Empty<int>()).Distinct().Take(5000).ToList();
+        if (ids.Count == 0) return Ok(Array.Empty<object>());
+
+        var ratings = await _db.Tracks.Where(t => ids.Contains(t.Id))
+            .Select(t => new { t.Id, t.Rating })
+            .ToListAsync();
+        var plays = _userFavs.GetPlayStats(CurrentUsername, "track");
+        return Ok(ratings.Select(t =>
+        {
+            plays.TryGetValue(t.Id, out var p);
+            return new { t.Id, t.Rating, PlayCount = p.Count, p.LastPlayed };
+        }));
+    }
+
     [HttpGet("tracks/random")]
     public async Task<IActionResult> GetRandomTrack()
     {
@@ -623,6 +772,128 @@ tr:hover td{{background:#1a1a2e}}
         return Ok(new { total, page, limit, tracks });
     }
 
+    // ─── Batch Tag Editing ──────────────────────────────────────────
+
+    /// <summary>
+    /// Current tag values of a multi-selection (selected tracks plus every track of selected albums),
+    /// so the batch editor can show shared values and mark mixed ones as "keep".
+    /// </summary>
+    [HttpPost("tracks/batch/lookup")]
+    public async Task<IActionResult> LookupBatchTracks([FromBody] BatchLookupDto dto)
+    {
+        var trackIds = dto.TrackIds ?? new List<int>();
+        var albumIds = dto.AlbumIds ?? new List<int>();
+        var tracks = await _db.Tracks
+            .Where(t => trackIds.Contains(t.Id) || (t.AlbumId.HasValue && albumIds.Contains(t.AlbumId.Value)))
+            .OrderBy(t => t.AlbumArtist).ThenBy(t => t.Album).ThenBy(t => t.DiscNumber).ThenBy(t => t.TrackNumber)
+            .Select(t => new
+            {
+                t.Id, t.Title, t.Artist, t.AlbumArtist, t.Album, t.Genre, t.Year,
+                t.DiscNumber, t.IsCompilation, t.FileName
+            })
+            .ToListAsync();
+        return Ok(tracks);
+    }
+
+    /// <summary>
+    /// Apply the same field changes to many tracks. With writeTags (admins only) the file tags are rewritten
+    /// too, and the response lists the outcome for every file.
+    /// </summary>
+    [HttpPost("tracks/batch")]
+    public async Task<IActionResult> BatchEditTracks([FromBody] BatchTagDto dto)
+    {
+        if (dto.Ids == null || dto.Ids.Count == 0) return BadRequest(new { error = "No tracks selected" });
+        var changes = MusicTagService.Parse(dto.Fields);
+        var error = _tags.Validate(changes);
+        if (error != null) return BadRequest(new { error });
+        // Rewriting files in the library folders is a host-level action
+        if (dto.WriteTags && User.FindFirst(System.Security.Claims.ClaimTypes.Role)?.Value != "admin")
+            return Forbid();
+
+        var result = await _tags.ApplyAsync(_db, dto.Ids, changes, dto.WriteTags);
+        return Ok(new { success = true, updated = result.Updated, files = result.Files });
+    }
+
+    // ─── Music Folders ──────────────────────────────────────────────
+
+    // Music categories an admin has hidden from the signed-in user
+    private HashSet<string> HiddenMusicCategories() =>
+        new(_userFavs.GetCategorySettings(CurrentUsername).Music.Hidden, StringComparer.OrdinalIgnoreCase);
+
+    /// <summary>
+    /// One level of the music folder tree: breadcrumbs, subfolders with track counts and the
+    /// tracks directly in the folder. Without a path, lists the configured music roots.
+    /// </summary>
+    [HttpGet("music/folders")]
+    public async Task<IActionResult> GetMusicFolder([FromQuery] string? path = null)
+    {
+        var listing = await _folders.ListAsync(_db, path, HiddenMusicCategories());
+        if (listing == null) return NotFound(new { error = "Folder is not inside a music library folder" });
+
+        var tracks = await TracksInOrderAsync(listing.TrackIds);
+        return Ok(new { path = listing.Path, crumbs = listing.Crumbs, folders = listing.Folders, tracks });
+    }
+
+    /// <summary>
+    /// All tracks of a folder for play / shuffle / add-to-playlist, optionally including subfolders.
+    /// </summary>
+    [HttpGet("music/folders/tracks")]
+    public async Task<IActionResult> GetMusicFolderTracks([FromQuery] string path, [FromQuery] bool recursive = false)
+    {
+        var ids = await _folders.TrackIdsAsync(_db, path, recursive, HiddenMusicCategories());
+        if (ids == null) return NotFound(new { error = "Folder is not inside a music library folder" });
+        return Ok(await TracksInOrderAsync(ids));
+    }
+
+    private async Task<List<Track>> TracksInOrderAsync(List<int> ids)
+    {
+        var favIds = _userFavs.GetFavouriteIds(CurrentUsername, "track");
+        var byId = (await _db.Tracks.AsNoTracking().Where(t => ids.Contains(t.Id)).ToListAsync()).ToDictionary(t => t.Id);
+        var tracks = ids.Where(byId.ContainsKey).Select(id => byId[id]).ToList();
+        foreach (var t in tracks) t.IsFavourite = favIds.Contains(t.Id);
+        return tracks;
+    }
+
+    // ─── Category Settings (stored per-user in users/{username}.db) ──
+
+    [HttpGet("category-settings")]
+    public IActionResult GetCategorySettings() => Ok(_userFavs.GetCategorySettings(CurrentUsername));
+
+    /// <summary>
+    /// A user's own settings: only the categories kept out of the main library can be changed here,
+    /// the hidden lists stay as the admin set them.
+    /// </summary>
+    [HttpPost("category-settings")]
+    public IActionResult SaveCategorySettings([FromBody] UserFavouritesService.CategorySettings dto)
+    {
+        var settings = _userFavs.GetCategorySettings(CurrentUsername);
+        settings.Music.ExcludedFromLibrary = CleanCategoryList(dto.Music?.ExcludedFromLibrary);
+        if (!_userFavs.SaveCategorySettings(CurrentUsername, settings)) return NotFound();
+        return Ok(settings);
+    }
+
+    [Authorize(Roles = "admin")]
+    [HttpGet("category-settings/user/{username}")]
+    public IActionResult GetUserCategorySettings(string username) => Ok(_userFavs.GetCategorySettings(username));
+
+    [Authorize(Roles = "admin")]
+    [HttpPost("category-settings/user/{username}")]
+    public IActionResult SaveUserCategorySettings(string username, [FromBody] UserFavouritesService.CategorySettings dto)
+    {
+        var settings = new UserFavouritesService.CategorySettings
+        {
+            Music = { ExcludedFromLibrary = CleanCategoryList(dto.Music?.ExcludedFromLibrary), Hidden = CleanCategoryList(dto.Music?.Hidden) },
+            Video = { Hidden = CleanCategoryList(dto.Video?.Hidden) },
+            HiddenCustomGenres = CleanCategoryList(dto.HiddenCustomGenres)
+        };
+        if (!_userFavs.SaveCategorySettings(username, settings)) return NotFound();
+        return Ok(settings);
+    }
+
+    private static List<string> CleanCategoryList(List<string>? list) =>
+        (list ?? new()).Where(s => !string.IsNullOrWhiteSpace(s)).Select(s => s.Trim())
+            .Distinct(StringComparer.OrdinalIgnoreCase).ToList();
+
     // ─── Genres ─────────────────────────────────────────────────────
 
     [HttpGet("genres")]
@@ -674,7 +945,8 @@ tr:hover td{{background:#1a1a2e}}
                     track.Duration, track.Genre, track.Year, track.TrackNumber,
                     track.HasAlbumArt, track.AlbumArtCached,
                     IsFavourite = favIds.Contains(track.Id),
-                    track.FileSize, track.Bitrate, track.Codec
+                    track.FileSize, track.Bitrate, track.Codec,
+                    track.Bpm, track.MusicalKey, track.BeatOffset
                 }
             };
         }).ToList();
@@ -687,6 +959,7 @@ tr:hover td{{background:#1a1a2e}}
             coverImagePath = playlistInfo["coverImagePath"],
             dateCreated = playlistInfo["dateCreated"],
             dateModified = playlistInfo["dateModified"],
+            unmatchedCount = _userFavs.GetUnmatchedCount(CurrentUsername, id),
             playlistTracks
         });
     }
@@ -739,10 +1012,355 @@ tr:hover td{{background:#1a1a2e}}
         return Ok(new { message = $"{added} tracks added", count = added });
     }
 
+    // ─── Playlist Import (M3U / PLS entries parsed by the client) ──
+
+    /// <summary>
+    /// Match parsed playlist entries against the library without saving anything, for the review step.
+    /// </summary>
+    [HttpPost("playlists/import-match")]
+    public async Task<IActionResult> MatchImportEntries([FromBody] PlaylistImportMatchDto dto)
+    {
+        var entries = (dto.Entries ?? new()).Take(10000).ToList();
+        if (entries.Count == 0) return Ok(new { results = Array.Empty<object>() });
+
+        var library = await LoadLibrarySummary();
+        var results = _playlistMatch.Match(entries, library);
+        return Ok(new { results = ImportMatchResponse(results, library) });
+    }
+
+    /// <summary>
+    /// Create a playlist from reviewed entries. Entries without a trackId are kept as unmatched
+    /// so they can be retried from the playlist page.
+    /// </summary>
+    [HttpPost("playlists/import-entries")]
+    public IActionResult ImportPlaylistEntries([FromBody] PlaylistImportDto dto)
+    {
+        if (string.IsNullOrWhiteSpace(dto.Name)) return BadRequest(new { error = "Name is required" });
+        var entries = (dto.Entries ?? new()).Take(10000)
+            .Select(e => (new PlaylistMatchService.ImportEntry(e.Path, e.Title, e.Artist, e.Duration, e.Mbid), e.TrackId))
+            .ToList();
+
+        var result = _userFavs.CreateImportedPlaylist(CurrentUsername, dto.Name.Trim(), entries);
+        if (result == null) return StatusCode(500, new { error = "Failed to create playlist" });
+        return Ok(new { id = result.Value.Id, matched = result.Value.Matched, unmatched = result.Value.Unmatched, total = entries.Count });
+    }
+
+    /// <summary>
+    /// Unmatched import entries of a playlist, re-matched against the current library.
+    /// </summary>
+    [HttpGet("playlists/{id}/unmatched")]
+    public async Task<IActionResult> GetUnmatchedEntries(int id)
+    {
+        var rows = _userFavs.GetUnmatchedEntries(CurrentUsername, id);
+        if (rows.Count == 0) return Ok(new { entries = Array.Empty<object>() });
+
+        var library = await LoadLibrarySummary();
+        var results = ImportMatchResponse(_playlistMatch.Match(rows.Select(r => r.Entry).ToList(), library), library);
+        return Ok(new
+        {
+            entries = rows.Select((r, i) => new { id = r.Id, position = r.Position, entry = r.Entry, match = results[i] })
+        });
+    }
+
+    [HttpPost("playlists/{id}/unmatched/{entryId}/resolve")]
+    public IActionResult ResolveUnmatchedEntry(int id, int entryId, [FromBody] PlaylistAddTrackDto dto)
+    {
+        if (!_userFavs.ResolveUnmatchedEntry(CurrentUsername, id, entryId, dto.TrackId)) return NotFound();
+        return Ok(new { message = "Entry resolved" });
+    }
+
+    [HttpDelete("playlists/{id}/unmatched/{entryId}")]
+    public IActionResult DismissUnmatchedEntry(int id, int entryId)
+    {
+        if (!_userFavs.ResolveUnmatchedEntry(CurrentUsername, id, entryId, null)) return NotFound();
+        return Ok(new { message = "Entry dismissed" });
+    }
+
+    /// <summary>
+    /// Re-run matching for every unmatched entry and add the confident (exact / matched) ones —
+    /// useful after new music has been scanned in.
+    /// </summary>
+    [HttpPost("playlists/{id}/unmatched/retry")]
+    public async Task<IActionResult> RetryUnmatchedEntries(int id)
+    {
+        var rows = _userFavs.GetUnmatchedEntries(CurrentUsername, id);
+        if (rows.Count == 0) return Ok(new { resolved = 0, remaining = 0 });
+
+        var results = _playlistMatch.Match(rows.Select(r => r.Entry).ToList(), await LoadLibrarySummary());
+        var resolved = 0;
+        for (var i = 0; i < rows.Count; i++)
+        {
+            if (results[i].Status is not ("exact" or "matched")) continue;
+            if (_userFavs.ResolveUnmatchedEntry(CurrentUsername, id, rows[i].Id, results[i].TrackId)) resolved++;
+        }
+        return Ok(new { resolved, remaining = rows.Count - resolved });
+    }
+
+    // ─── Playlist Export (M3U / XSPF / JSPF, optionally relative to a library root) ──
+
+    /// <summary>
+    /// Folders offered as the root for relative export paths.
+    /// </summary>
+    [HttpGet("playlists/export-roots")]
+    public IActionResult GetPlaylistExportRoots() =>
+        Ok(new { roots = _config.Config.Library.GetMusicFolderList() });
+
+    [HttpGet("playlists/{id}/export.{format}")]
+    public async Task<IActionResult> ExportPlaylist(int id, string format, [FromQuery] string? root)
+    {
+        if (!PlaylistExportService.Formats.Contains(format)) return BadRequest(new { error = $"Unknown format '{format}'" });
+        var (playlistInfo, entries) = _userFavs.GetPlaylist(CurrentUsername, id);
+        if (playlistInfo == null) return NotFound();
+
+        var tracks = await LoadExportTracks(entries.Select(e => (int)e["trackId"]).ToList());
+        var file = _playlistExport.Export(format, (string)playlistInfo["name"], tracks, root, CurrentUsername);
+        return File(file.Content, file.ContentType, file.FileName);
+    }
+
+    /// <summary>
+    /// Export a track list built by the client (auto-generated playlists, the play queue).
+    /// </summary>
+    [HttpPost("playlists/export")]
+    public async Task<IActionResult> ExportTrackList([FromBody] PlaylistExportDto dto)
+    {
+        var format = dto.Format ?? "m3u";
+        if (!PlaylistExportService.Formats.Contains(format)) return BadRequest(new { error = $"Unknown format '{format}'" });
+        var tracks = await LoadExportTracks((dto.TrackIds ?? new()).Take(10000).ToList());
+        var file = _playlistExport.Export(format, string.IsNullOrWhiteSpace(dto.Name) ? "Playlist" : dto.Name.Trim(), tracks, dto.Root, CurrentUsername);
+        return File(file.Content, file.ContentType, file.FileName);
+    }
+
+    // Tracks in the given order; IDs no longer in the library are skipped
+    private async Task<List<Track>> LoadExportTracks(List<int> ids)
+    {
+        var byId = await _db.Tracks.AsNoTracking().Where(t => ids.Contains(t.Id)).ToDictionaryAsync(t => t.Id);
+        return ids.Where(byId.ContainsKey).Select(i => byId[i]).ToList();
+    }
+
+    private static List<object> ImportMatchResponse(List<PlaylistMatchService.MatchResult> results, List<Track> library)
+    {
+        var byId = library.ToDictionary(t => t.Id);
+        object TrackInfo(int id) { var t = byId[id]; return new { t.Id, t.Title, t.Artist, t.Album, t.Duration, t.HasAlbumArt, t.AlbumArtCached }; }
+        return results.Select(r => (object)new
+        {
+            index = r.Index,
+            status = r.Status,
+            trackId = r.TrackId,
+            candidates = r.Candidates.Select(c => new { score = c.Score, track = TrackInfo(c.TrackId) })
+        }).ToList();
+    }
+
+    // ─── Smart Playlists (rule definitions per-user, evaluated against the library) ─
+
+    [HttpGet("smart-playlists")]
+    public async Task<IActionResult> GetSmartPlaylists()
+    {
+        var defs = _userFavs.GetSmartPlaylists(CurrentUsername);
+        List<Track>? library = null;
+        Dictionary<int, (int Count, DateTime? LastPlayed)>? plays = null;
+        if (defs.Any(d => (bool)d["liveUpdate"]))
+        {
+            library = await LoadLibrarySummary();
+            plays = _userFavs.GetPlayStats(CurrentUsername, "track");
+        }
+
+        return Ok(defs.Select(d =>
+        {
+            var count = (bool)d["liveUpdate"]
+                ? _smartPlaylists.Evaluate(library!, _smartPlaylists.Parse((string)d["rules"]), (string)d["sort"], (int)d["limit"], plays!).Count
+                : ((List<int>)d["snapshot"]).Count;
+            return new
+            {
+                id = d["id"], name = d["name"],
+                rules = _smartPlaylists.Parse((string)d["rules"]),
+                sort = d["sort"], limit = d["limit"], liveUpdate = d["liveUpdate"],
+                trackCount = count, dateModified = d["dateModified"]
+            };
+        }));
+    }
+
+    [HttpGet("smart-playlists/{id}")]
+    public async Task<IActionResult> GetSmartPlaylist(int id)
+    {
+        var def = _userFavs.GetSmartPlaylist(CurrentUsername, id);
+        if (def == null) return NotFound();
+
+        var tracks = await ResolveSmartPlaylist(def);
+        var favIds = _userFavs.GetFavouriteIds(CurrentUsername, "track");
+        return Ok(new
+        {
+            id = def["id"], name = def["name"],
+            rules = _smartPlaylists.Parse((string)def["rules"]),
+            sort = def["sort"], limit = def["limit"], liveUpdate = def["liveUpdate"],
+            dateModified = def["dateModified"],
+            tracks = tracks.Select(t => SmartPlaylistTrack(t, favIds))
+        });
+    }
+
+    /// <summary>
+    /// Evaluate unsaved rules for the builder: match count, total duration and the first 50 tracks.
+    /// </summary>
+    [HttpPost("smart-playlists/preview")]
+    public async Task<IActionResult> PreviewSmartPlaylist([FromBody] SmartPlaylistDto dto)
+    {
+        var error = ValidateSmartPlaylist(dto, requireName: false);
+        if (error != null) return BadRequest(new { error });
+
+        var tracks = _smartPlaylists.Evaluate(await LoadLibrarySummary(), dto.Rules!,
+            dto.Sort, dto.Limit, _userFavs.GetPlayStats(CurrentUsername, "track"));
+        var favIds = _userFavs.GetFavouriteIds(CurrentUsername, "track");
+        return Ok(new
+        {
+            count = tracks.Count,
+            totalDuration = tracks.Sum(t => t.Duration),
+            tracks = tracks.Take(50).Select(t => SmartPlaylistTrack(t, favIds))
+        });
+    }
+
+    [HttpPost("smart-playlists")]
+    public Task<IActionResult> CreateSmartPlaylist([FromBody] SmartPlaylistDto dto) => SaveSmartPlaylist(null, dto);
+
+    [HttpPut("smart-playlists/{id}")]
+    public Task<IActionResult> UpdateSmartPlaylist(int id, [FromBody] SmartPlaylistDto dto) => SaveSmartPlaylist(id, dto);
+
+    private async Task<IActionResult> SaveSmartPlaylist(int? id, SmartPlaylistDto dto)
+    {
+        var error = ValidateSmartPlaylist(dto, requireName: true);
+        if (error != null) return BadRequest(new { error });
+
+        // A static playlist is evaluated once here and keeps that track list until refreshed
+        List<int>? snapshot = null;
+        if (!dto.LiveUpdate)
+            snapshot = _smartPlaylists.Evaluate(await LoadLibrarySummary(), dto.Rules!, dto.Sort, dto.Limit,
+                _userFavs.GetPlayStats(CurrentUsername, "track")).Select(t => t.Id).ToList();
+
+        var savedId = _userFavs.SaveSmartPlaylist(CurrentUsername, id, dto.Name!.Trim(),
+            _smartPlaylists.Serialize(dto.Rules!), dto.Sort ?? "artist", Math.Max(0, dto.Limit), dto.LiveUpdate, snapshot);
+        if (savedId == null) return id == null ? StatusCode(500, new { error = "Failed to save smart playlist" }) : NotFound();
+        return Ok(new { id = savedId, trackCount = snapshot?.Count });
+    }
+
+    /// <summary>
+    /// Re-evaluate a static (non-live) smart playlist and store the new track list.
+    /// </summary>
+    [HttpPost("smart-playlists/{id}/refresh")]
+    public async Task<IActionResult> RefreshSmartPlaylist(int id)
+    {
+        var def = _userFavs.GetSmartPlaylist(CurrentUsername, id);
+        if (def == null) return NotFound();
+
+        var ids = _smartPlaylists.Evaluate(await LoadLibrarySummary(), _smartPlaylists.Parse((string)def["rules"]),
+            (string)def["sort"], (int)def["limit"], _userFavs.GetPlayStats(CurrentUsername, "track"))
+            .Select(t => t.Id).ToList();
+        _userFavs.SetSmartPlaylistSnapshot(CurrentUsername, id, ids);
+        return Ok(new { trackCount = ids.Count });
+    }
+
+    [HttpDelete("smart-playlists/{id}")]
+    public IActionResult DeleteSmartPlaylist(int id)
+    {
+        if (!_userFavs.DeleteSmartPlaylist(CurrentUsername, id)) return NotFound();
+        return Ok(new { message = "Smart playlist deleted" });
+    }
+
+    [HttpGet("smart-playlists/{id}/export.{format}")]
+    public async Task<IActionResult> ExportSmartPlaylist(int id, string format, [FromQuery] string? root)
+    {
+        if (!PlaylistExportService.Formats.Contains(format)) return BadRequest(new { error = $"Unknown format '{format}'" });
+        var def = _userFavs.GetSmartPlaylist(CurrentUsername, id);
+        if (def == null) return NotFound();
+
+        var file = _playlistExport.Export(format, (string)def["name"], await ResolveSmartPlaylist(def), root, CurrentUsername);
+        return File(file.Content, file.ContentType, file.FileName);
+    }
+
+    private string? ValidateSmartPlaylist(SmartPlaylistDto dto, bool requireName)
+    {
+        if (requireName && string.IsNullOrWhiteSpace(dto.Name)) return "Name is required";
+        if (dto.Rules == null || !dto.Rules.IsGroup) return "Rules must be a group";
+        if (dto.Sort != null && !SmartPlaylistService.SortKeys.Contains(dto.Sort)) return $"Unknown sort '{dto.Sort}'";
+        return _smartPlaylists.Validate(dto.Rules);
+    }
+
+    // Live playlists are evaluated on every request; static ones return their snapshot in stored order
+    private async Task<List<Track>> ResolveSmartPlaylist(Dictionary<string, object> def)
+    {
+        var library = await LoadLibrarySummary();
+        if ((bool)def["liveUpdate"])
+            return _smartPlaylists.Evaluate(library, _smartPlaylists.Parse((string)def["rules"]),
+                (string)def["sort"], (int)def["limit"], _userFavs.GetPlayStats(CurrentUsername, "track"));
+
+        var byId = library.ToDictionary(t => t.Id);
+        return ((List<int>)def["snapshot"]).Where(byId.ContainsKey).Select(i => byId[i]).ToList();
+    }
+
+    // Only the columns smart playlists, import matching and track rows need — keeps lyrics and other large fields out of memory
+    private Task<List<Track>> LoadLibrarySummary() =>
+        _db.Tracks.AsNoTracking().Select(t => new Track
+        {
+            Id = t.Id, FilePath = t.FilePath, Title = t.Title, Artist = t.Artist, AlbumArtist = t.AlbumArtist,
+            Album = t.Album, AlbumId = t.AlbumId, Year = t.Year, TrackNumber = t.TrackNumber, DiscNumber = t.DiscNumber, Genre = t.Genre,
+            Duration = t.Duration, Bitrate = t.Bitrate, SampleRate = t.SampleRate, Codec = t.Codec,
+            FileSize = t.FileSize, HasAlbumArt = t.HasAlbumArt, AlbumArtCached = t.AlbumArtCached,
+            DateAdded = t.DateAdded, Rating = t.Rating, MusicBrainzId = t.MusicBrainzId,
+            Bpm = t.Bpm, MusicalKey = t.MusicalKey, BeatOffset = t.BeatOffset
+        }).ToListAsync();
+
+    private static object SmartPlaylistTrack(Track t, HashSet<int> favIds) => new
+    {
+        t.Id, t.Title, t.Artist, t.Album, t.Duration, t.Genre, t.Year, t.TrackNumber,
+        t.HasAlbumArt, t.AlbumArtCached, IsFavourite = favIds.Contains(t.Id),
+        t.FileSize, t.Bitrate, t.SampleRate, t.Codec, t.Rating, t.Bpm, t.MusicalKey, t.BeatOffset
+    };
+
+    // ─── Track / Album Radio (library similarity, per-user thumbs feedback) ─
+
+    [HttpPost("track-radio/station")]
+    public async Task<IActionResult> GetTrackRadioBatch([FromBody] TrackRadioDto dto)
+    {
+        var library = await LoadLibrarySummary();
+        var seeds = dto.AlbumId != null
+            ? library.Where(t => t.AlbumId == dto.AlbumId).ToList()
+            : library.Where(t => t.Id == dto.TrackId).ToList();
+        if (seeds.Count == 0) return NotFound(new { error = "Seed not found" });
+        // Tracks given a thumbs up on this station pull it towards them
+        var liked = (dto.Liked ?? new()).Take(50).ToHashSet();
+        seeds.AddRange(library.Where(t => liked.Contains(t.Id) && !seeds.Contains(t)).ToList());
+
+        var signals = new TrackRadioService.UserSignals(
+            _userFavs.GetPlaylistEntries(CurrentUsername),
+            _userFavs.GetTrackListens(CurrentUsername, 2000),
+            _userFavs.GetRadioFeedback(CurrentUsername));
+        var picks = _trackRadio.Pick(seeds, library, signals, dto.CustomGenres ?? new(),
+            (dto.Exclude ?? new()).ToHashSet(), dto.RecentArtists ?? new(), dto.Count > 0 ? dto.Count : 10);
+
+        var favIds = _userFavs.GetFavouriteIds(CurrentUsername, "track");
+        var upIds = signals.Votes.Where(v => v.Vote > 0).Select(v => v.TrackId).ToHashSet();
+        return Ok(new
+        {
+            tracks = picks.Select(t => SmartPlaylistTrack(t, favIds)),
+            liked = picks.Where(t => upIds.Contains(t.Id)).Select(t => t.Id)
+        });
+    }
+
+    [HttpPost("track-radio/feedback")]
+    public async Task<IActionResult> SetTrackRadioFeedback([FromBody] TrackRadioFeedbackDto dto)
+    {
+        var track = await _db.Tracks.AsNoTracking().FirstOrDefaultAsync(t => t.Id == dto.TrackId);
+        if (track == null) return NotFound();
+        var artist = string.IsNullOrWhiteSpace(track.Artist) ? track.AlbumArtist : track.Artist;
+        if (!_userFavs.SetRadioFeedback(CurrentUsername, track.Id, artist, track.Genre, Math.Sign(dto.Vote)))
+            return StatusCode(500, new { error = "Failed to save feedback" });
+        return Ok(new { vote = Math.Sign(dto.Vote) });
+    }
+
+    [HttpDelete("track-radio/feedback")]
+    public IActionResult ClearTrackRadioFeedback() => Ok(new { removed = _userFavs.ClearRadioFeedback(CurrentUsername) });
+
     // ─── Playback / Streaming ──────────────────────────────────────
 
     [HttpGet("stream/{id}")]
-    public async Task<IActionResult> StreamTrack(int id)
+    public async Task<IActionResult> StreamTrack(int id, [FromQuery] bool analysis = false)
     {
         var track = await _db.Tracks.FindAsync(id);
         if (track == null) return NotFound();
@@ -750,21 +1368,61 @@ tr:hover td{{background:#1a1a2e}}
         if (!System.IO.File.Exists(track.FilePath))
             return NotFound("File not found on disk");
 
-        // Update global last played + per-user play count
-        track.LastPlayed = DateTime.UtcNow;
-        await _db.SaveChangesAsync();
-        _userFavs.IncrementPlayCount(CurrentUsername, "track", id);
+        // Update global last played + per-user play count (not when the file is only being analysed)
+        if (!analysis)
+        {
+            track.LastPlayed = DateTime.UtcNow;
+            await _db.SaveChangesAsync();
+            _userFavs.IncrementPlayCount(CurrentUsername, "track", id);
+        }
 
         var stream = new FileStream(track.FilePath, FileMode.Open, FileAccess.Read, FileShare.Read);
         return File(stream, track.MimeType, enableRangeProcessing: true);
     }
 
+    /// <summary>
+    /// Seek-bar waveform of a music track, podcast episode or audio book: { duration, peaks[800] }.
+    /// </summary>
+    [HttpGet("waveform/{kind}/{id}")]
+    public async Task<IActionResult> GetWaveform(string kind, int id)
+    {
+        if (!_waveforms.IsAvailable) return NotFound(new { error = "FFmpeg is not available" });
+        var input = kind switch
+        {
+            "track" => (await _db.Tracks.FindAsync(id))?.FilePath,
+            "podcast" => (await _podcastDb.Episodes.FindAsync(id))?.MediaUrl,
+            "audiobook" => await AudioBookPathAsync(id),
+            _ => null
+        };
+        if (string.IsNullOrWhiteSpace(input)) return NotFound();
+        var isUrl = input.StartsWith("http://", StringComparison.OrdinalIgnoreCase) || input.StartsWith("https://", StringComparison.OrdinalIgnoreCase);
+        if (!isUrl && !System.IO.File.Exists(input)) return NotFound("File not found on disk");
+
+        var waveform = await _waveforms.GetAsync($"{kind}-{id}", input);
+        return waveform == null ? NotFound() : Ok(waveform);
+    }
+
+    private async Task<string?> AudioBookPathAsync(int id)
+    {
+        using var scope = _scopeFactory.CreateScope();
+        var abDb = scope.ServiceProvider.GetService<AudioBooksDbContext>();
+        return abDb == null ? null : (await abDb.AudioBooks.FindAsync(id))?.FilePath;
+    }
+
     [HttpGet("cover/{albumId}")]
     public async Task<IActionResult> GetAlbumCover(int albumId)
     {
         var album = await _db.Albums.FindAsync(albumId);
         if (album == null) return NotFound();
 
+        // A cover set for the whole album (batch edit) wins over the tracks' own art
+        if (!string.IsNullOrEmpty(album.CoverArtPath))
+        {
+            var albumArtPath = Path.Combine(AppContext.BaseDirectory, "assets", "albumart", album.CoverArtPath);
+            if (System.IO.File.Exists(albumArtPath))
+                return PhysicalFile(albumArtPath, "image/jpeg");
+        }
+
         // Try to get cover from first track with cached album art
         var track = await _db.Tracks.FirstOrDefaultAsync(t => t.AlbumId == albumId && t.HasAlbumArt);
         if (track == null) return NotFound();
@@ -815,6 +1473,43 @@ tr:hover td{{background:#1a1a2e}}
         catch { return NotFound(); }
     }
 
+    // ─── Lyrics (sidecar files / embedded tags) ───────────────────
+
+    [HttpGet("lyrics/{trackId}")]
+    public async Task<IActionResult> GetLyrics(int trackId)
+    {
+        var track = await _db.Tracks.FindAsync(trackId);
+        if (track == null) return NotFound();
+        var lyrics = _lyrics.Read(track);
+        if (lyrics == null) return Ok(new { found = false });
+        return Ok(new { found = true, source = lyrics.Source, syncedLyrics = lyrics.SyncedLyrics, plainLyrics = lyrics.PlainLyrics });
+    }
+
+    /// <summary>
+    /// Save lyrics from the in-app editor as a sidecar next to the track (shared by all users).
+    /// Admins only, like every other write into the library folders.
+    /// </summary>
+    [Authorize(Roles = "admin")]
+    [HttpPut("lyrics/{trackId}")]
+    public async Task<IActionResult> SaveLyrics(int trackId, [FromBody] LyricsSaveDto dto)
+    {
+        var track = await _db.Tracks.FindAsync(trackId);
+        if (track == null) return NotFound(new { error = "Track not found" });
+        if (string.IsNullOrWhiteSpace(dto.Lyrics)) return BadRequest(new { error = "Lyrics are empty" });
+        if (dto.Lyrics.Length > 200_000) return BadRequest(new { error = "Lyrics are too long" });
+        try
+        {
+            var saved = _lyrics.Save(track, dto.Lyrics);
+            _logger.LogInformation("Lyrics saved for track {Id} ({Source}) by {User}", trackId, saved.Source, CurrentUsername);
+            return Ok(new { found = true, source = saved.Source, syncedLyrics = saved.SyncedLyrics, plainLyrics = saved.PlainLyrics });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to save lyrics for track {Id}", trackId);
+            return StatusCode(500, new { error = "Could not save lyrics" });
+        }
+    }
+
     // ─── Favourites Toggle ─────────────────────────────────────────
 
     [HttpPost("tracks/{id}/favourite")]
@@ -2729,6 +3424,265 @@ tr:hover td{{background:#1a1a2e}}
         return Ok(new { success = true, message = "Play counts have been reset" });
     }
 
+    // ─── Listening / Watching History (per-user, one entry per session) ─────
+
+    private static readonly HashSet<string> HistoryTypes =
+        new() { "track", "musicvideo", "video", "episode", "podcast", "audiobook", "radio", "tv" };
+
+    [HttpGet("history")]
+    public IActionResult GetHistory([FromQuery] string? types, [FromQuery] DateTime? from, [FromQuery] DateTime? to,
+        [FromQuery] long? before, [FromQuery] int limit = 100)
+    {
+        limit = Math.Clamp(limit, 1, 500);
+        var entries = _userFavs.GetHistory(CurrentUsername, ParseHistoryTypes(types), ToUtc(from), ToUtc(to), before, limit + 1);
+        var hasMore = entries.Count > limit;
+        return Ok(new { entries = entries.Take(limit), hasMore });
+    }
+
+    [HttpPost("history")]
+    public IActionResult AddHistoryEntry([FromBody] HistoryEntryDto dto)
+    {
+        if (dto.MediaType == null || !HistoryTypes.Contains(dto.MediaType))
+            return BadRequest(new { error = $"Unknown media type '{dto.MediaType}'" });
+        if (string.IsNullOrWhiteSpace(dto.Title)) return BadRequest(new { error = "Title is required" });
+
+        var id = _userFavs.AddHistoryEntry(CurrentUsername, dto.MediaType, dto.MediaId, dto.Ref, dto.Title.Trim(),
+            dto.Subtitle, dto.Art, Math.Clamp(dto.Seconds, 0, 86400));
+        if (id == null) return StatusCode(500, new { error = "Failed to save history" });
+        return Ok(new { id });
+    }
+
+    [HttpPut("history/{id}")]
+    public IActionResult UpdateHistoryEntry(long id, [FromBody] HistoryUpdateDto dto)
+    {
+        if (!_userFavs.UpdateHistorySeconds(CurrentUsername, id, Math.Clamp(dto.Seconds, 0, 86400))) return NotFound();
+        return Ok(new { message = "History updated" });
+    }
+
+    [HttpDelete("history/{id}")]
+    public IActionResult DeleteHistoryEntry(long id)
+    {
+        if (!_userFavs.DeleteHistoryEntry(CurrentUsername, id)) return NotFound();
+        return Ok(new { message = "History entry deleted" });
+    }
+
+    /// <summary>
+    /// Clear a range of history. Without from/to/types the whole history is cleared.
+    /// </summary>
+    [HttpDelete("history")]
+    public IActionResult ClearHistory([FromQuery] string? types, [FromQuery] DateTime? from, [FromQuery] DateTime? to)
+    {
+        var deleted = _userFavs.ClearHistory(CurrentUsername, ParseHistoryTypes(types), ToUtc(from), ToUtc(to));
+        return Ok(new { deleted });
+    }
+
+    private static List<string>? ParseHistoryTypes(string? types) =>
+        string.IsNullOrWhiteSpace(types) ? null
+            : types.Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries).Where(HistoryTypes.Contains).ToList();
+
+    private static DateTime? ToUtc(DateTime? d) => d?.Kind == DateTimeKind.Unspecified ? DateTime.SpecifyKind(d.Value, DateTimeKind.Utc) : d?.ToUniversalTime();
+
+    // ─── Scrobble Queue (per-user, shared by all of the user's devices) ─────
+    // Browsers hand their listens over here, then claim the due ones, send each through POST scrobble
+    // and report the outcome — so a listen survives a closed tab, another device or a cleared browser.
+
+    private static readonly string[] ScrobbleSources = { "player", "gobig", "cast" };
+
+    [HttpPost("scrobble/queue")]
+    public IActionResult QueueScrobbles([FromBody] ScrobbleQueueDto dto)
+    {
+        var entries = dto.Entries ?? new();
+        if (entries.Count > 500) return BadRequest(new { error = "Too many listens in one request" });
+        var latest = DateTimeOffset.UtcNow.AddDays(1).ToUnixTimeSeconds();
+
+        static string Clip(string? v, int max)
+        {
+            var t = (v ?? "").Trim();
+            return t.Length > max ? t[..max] : t;
+        }
+        var valid = entries
+            .Where(e => e.TrackId > 0 && e.Timestamp > 0 && e.Timestamp < latest)
+            .Select(e => new UserFavouritesService.ScrobbleEntry(0, e.TrackId, Clip(e.Title, 300), Clip(e.Artist, 300), e.Timestamp,
+                Math.Clamp(e.Duration, 0, 86400), ScrobbleSources.Contains(e.Source) ? e.Source! : "player", "pending", 0, "", 0));
+        var added = _userFavs.AddScrobbles(CurrentUsername, valid);
+        if (added == null) return StatusCode(500, new { error = "Failed to queue scrobbles" });
+        return Ok(new { added });
+    }
+
+    /// <summary>
+    /// Claim up to 50 due listens for submission. nextDue = seconds until the next one left in the queue is due.
+    /// </summary>
+    [HttpPost("scrobble/queue/claim")]
+    public IActionResult ClaimScrobbles([FromBody] ScrobbleClaimDto dto)
+    {
+        var (entries, nextDue) = _userFavs.ClaimScrobbles(CurrentUsername, dto.Force, 50);
+        return Ok(new { entries, nextDue });
+    }
+
+    [HttpPost("scrobble/queue/{id:long}/result")]
+    public IActionResult SetScrobbleResult(long id, [FromBody] ScrobbleResultDto dto)
+    {
+        var error = (dto.Error ?? "").Trim();
+        if (error.Length > 300) error = error[..300];
+        if (!_userFavs.SetScrobbleResult(CurrentUsername, id, dto.Ok, error)) return NotFound();
+        return Ok(new { success = true });
+    }
+
+    [HttpGet("scrobble/log")]
+    public IActionResult GetScrobbleLog([FromQuery] int limit = 50)
+    {
+        var (entries, counts) = _userFavs.GetScrobbleLog(CurrentUsername, Math.Clamp(limit, 1, 500));
+        return Ok(new { entries, pending = counts["pending"], failed = counts["failed"], submitted = counts["submitted"] });
+    }
+
+    /// <summary>
+    /// Resubmit one failed listen, or all of them without an id.
+    /// </summary>
+    [HttpPost("scrobble/log/resubmit")]
+    public IActionResult ResubmitScrobbles([FromBody] ScrobbleResubmitDto dto) =>
+        Ok(new { resubmitted = _userFavs.ResubmitScrobbles(CurrentUsername, dto.Id) });
+
+    [HttpDelete("scrobble/log/submitted")]
+    public IActionResult ClearSubmittedScrobbles() =>
+        Ok(new { deleted = _userFavs.ClearSubmittedScrobbles(CurrentUsername) });
+
+    // ─── Equalizer Presets (per-user, bound to output devices) ─────────
+
+    [HttpGet("eq/presets")]
+    public IActionResult GetEqPresets()
+    {
+        var presets = _userFavs.GetEqPresets(CurrentUsername)
+            .Select(p => (p.Id, p.Name, p.DateModified, Settings: _equalizer.Parse(p.Settings)))
+            .Where(p => p.Settings != null)
+            .Select(p => new
+            {
+                id = p.Id, name = p.Name, mode = p.Settings!.Mode, preamp = p.Settings.Preamp,
+                bands = p.Settings.Bands, dateModified = p.DateModified
+            });
+        return Ok(new { presets, devices = _userFavs.GetEqDeviceProfiles(CurrentUsername) });
+    }
+
+    [HttpPost("eq/presets")]
+    public IActionResult CreateEqPreset([FromBody] EqPresetDto dto) => SaveEqPreset(null, dto);
+
+    [HttpPut("eq/presets/{id}")]
+    public IActionResult UpdateEqPreset(int id, [FromBody] EqPresetDto dto) => SaveEqPreset(id, dto);
+
+    private IActionResult SaveEqPreset(int? id, EqPresetDto dto)
+    {
+        if (string.IsNullOrWhiteSpace(dto.Name)) return BadRequest(new { error = "Name is required" });
+        var settings = new EqualizerService.EqSettings(dto.Mode ?? "", dto.Preamp, dto.Bands ?? new());
+        var error = _equalizer.Validate(settings);
+        if (error != null) return BadRequest(new { error });
+
+        var savedId = _userFavs.SaveEqPreset(CurrentUsername, id, dto.Name.Trim(), _equalizer.Serialize(settings));
+        if (savedId == null) return id == null ? StatusCode(500, new { error = "Failed to save preset" }) : NotFound();
+        return Ok(new { id = savedId });
+    }
+
+    [HttpDelete("eq/presets/{id}")]
+    public IActionResult DeleteEqPreset(int id)
+    {
+        if (!_userFavs.DeleteEqPreset(CurrentUsername, id)) return NotFound();
+        return Ok(new { message = "Preset deleted" });
+    }
+
+    /// <summary>
+    /// Bind an output device (by label, "" = system default) to a preset, or unbind it with a null preset.
+    /// </summary>
+    [HttpPut("eq/devices")]
+    public IActionResult SetEqDeviceProfile([FromBody] EqDeviceDto dto)
+    {
+        if (dto.Preset != null && !dto.Preset.StartsWith("u:") && !dto.Preset.StartsWith("b:"))
+            return BadRequest(new { error = $"Unknown preset '{dto.Preset}'" });
+        _userFavs.SetEqDeviceProfile(CurrentUsername, dto.Device ?? "", dto.Preset);
+        return Ok(new { devices = _userFavs.GetEqDeviceProfiles(CurrentUsername) });
+    }
+
+    // ─── Alarms (per-user, ringing on one device each) ──────────────
+
+    private static readonly string[] AlarmSources = { "playlist", "auto", "radio", "podcast" };
+
+    [HttpGet("alarms")]
+    public IActionResult GetAlarms() => Ok(_userFavs.GetAlarms(CurrentUsername));
+
+    [HttpPost("alarms")]
+    public IActionResult CreateAlarm([FromBody] AlarmDto dto) => SaveAlarm(null, dto);
+
+    [HttpPut("alarms/{id:int}")]
+    public IActionResult UpdateAlarm(int id, [FromBody] AlarmDto dto) => SaveAlarm(id, dto);
+
+    private IActionResult SaveAlarm(int? id, AlarmDto dto)
+    {
+        if (string.IsNullOrWhiteSpace(dto.Device) || dto.Device.Length > 64) return BadRequest(new { error = "Device is required" });
+        if (dto.Time == null || !System.Text.RegularExpressions.Regex.IsMatch(dto.Time, @"^([01]\d|2[0-3]):[0-5]\d$"))
+            return BadRequest(new { error = "Time must be HH:mm" });
+        if (dto.Days is < 0 or > 127) return BadRequest(new { error = "Invalid weekdays" });
+        if (!AlarmSources.Contains(dto.Source)) return BadRequest(new { error = $"Unknown source '{dto.Source}'" });
+        if (string.IsNullOrWhiteSpace(dto.SourceId)) return BadRequest(new { error = "Choose what the alarm plays" });
+
+        static string Clip(string? v, int max)
+        {
+            var t = (v ?? "").Trim();
+            return t.Length > max ? t[..max] : t;
+        }
+        var alarm = new UserFavouritesService.Alarm(0, dto.Device, Clip(dto.DeviceName, 60), Clip(dto.Label, 60), dto.Time, dto.Days,
+            dto.Source!, Clip(dto.SourceId, 64), Clip(dto.SourceName, 120), dto.Shuffle,
+            Math.Clamp(dto.Volume, 5, 100), Math.Clamp(dto.RampSeconds, 0, 600), dto.Enabled);
+        var savedId = _userFavs.SaveAlarm(CurrentUsername, id, alarm);
+        if (savedId == null) return id == null ? StatusCode(500, new { error = "Failed to save alarm" }) : NotFound();
+        return Ok(new { id = savedId });
+    }
+
+    [HttpPut("alarms/{id:int}/enabled")]
+    public IActionResult SetAlarmEnabled(int id, [FromBody] AlarmEnabledDto dto)
+    {
+        if (!_userFavs.SetAlarmEnabled(CurrentUsername, id, dto.Enabled)) return NotFound();
+        return Ok(new { success = true });
+    }
+
+    /// <summary>
+    /// Rename a device on all of its alarms (the name is what other devices show in the alarm list).
+    /// </summary>
+    [HttpPut("alarms/device")]
+    public IActionResult RenameAlarmDevice([FromBody] AlarmDeviceDto dto)
+    {
+        if (string.IsNullOrWhiteSpace(dto.Device)) return BadRequest(new { error = "Device is required" });
+        _userFavs.RenameAlarmDevice(CurrentUsername, dto.Device, (dto.Name ?? "").Trim());
+        return Ok(new { success = true });
+    }
+
+    [HttpDelete("alarms/{id:int}")]
+    public IActionResult DeleteAlarm(int id)
+    {
+        if (!_userFavs.DeleteAlarm(CurrentUsername, id)) return NotFound();
+        return Ok(new { message = "Alarm deleted" });
+    }
+
+    // ─── Practice loops (named A–B regions per track) ────────────────
+
+    [HttpGet("tracks/{trackId:int}/loops")]
+    public IActionResult GetTrackLoops(int trackId) => Ok(_userFavs.GetTrackLoops(CurrentUsername, trackId));
+
+    [HttpPost("tracks/{trackId:int}/loops")]
+    public IActionResult AddTrackLoop(int trackId, [FromBody] TrackLoopDto dto)
+    {
+        if (dto.Start < 0 || dto.End - dto.Start < 0.5) return BadRequest(new { error = "A loop must be at least half a second long" });
+        var name = (dto.Name ?? "").Trim();
+        if (name.Length == 0) return BadRequest(new { error = "Name is required" });
+        if (name.Length > 60) name = name[..60];
+        var id = _userFavs.AddTrackLoop(CurrentUsername, trackId, name, dto.Start, dto.End);
+        if (id == null) return StatusCode(500, new { error = "Failed to save loop" });
+        return Ok(new { id });
+    }
+
+    [HttpDelete("loops/{id:int}")]
+    public IActionResult DeleteTrackLoop(int id)
+    {
+        if (!_userFavs.DeleteTrackLoop(CurrentUsername, id)) return NotFound();
+        return Ok(new { message = "Loop deleted" });
+    }
+
     // ─── Internet TV ──────────────────────────────────────────────────
 
     [HttpGet("tvchannels")]
@@ -3689,4 +4643,31 @@ public record PlaylistCreateDto(string Name, string? Description);
 public record PlaylistAddTrackDto(int TrackId);
 public record PlaylistAddTracksDto(int[] TrackIds);
 public record RateDto(int Rating);
+public record HistoryEntryDto(string? MediaType, int? MediaId, string? Ref, string? Title, string? Subtitle, string? Art, double Seconds);
+public record HistoryUpdateDto(double Seconds);
+public record ScrobbleQueueEntryDto(int TrackId, string? Title, string? Artist, long Timestamp, int Duration, string? Source);
+public record ScrobbleQueueDto(List<ScrobbleQueueEntryDto>? Entries);
+public record ScrobbleClaimDto(bool Force);
+public record ScrobbleResultDto(bool Ok, string? Error);
+public record ScrobbleResubmitDto(long? Id);
+public record EqPresetDto(string? Name, string? Mode, double Preamp, List<EqualizerService.EqBand>? Bands);
+public record EqDeviceDto(string? Device, string? Preset);
+public record AlarmDto(string? Device, string? DeviceName, string? Label, string? Time, int Days, string? Source,
+    string? SourceId, string? SourceName, bool Shuffle, int Volume, int RampSeconds, bool Enabled);
+public record AlarmEnabledDto(bool Enabled);
+public record AlarmDeviceDto(string? Device, string? Name);
+public record TrackLoopDto(string? Name, double Start, double End);
+public record TrackRadioDto(int? TrackId, int? AlbumId, List<int>? Exclude, List<int>? Liked, List<string>? RecentArtists,
+    List<TrackRadioService.CustomGenre>? CustomGenres, int Count);
+public record TrackRadioFeedbackDto(int TrackId, int Vote);
+public record LoudnessDto(double Lufs, double Peak);
+public record TempoKeyDto(double? Bpm, string? Key, double? BeatOffset, bool Edit);
+public record BatchLookupDto(List<int>? TrackIds, List<int>? AlbumIds);
+public record BatchTagDto(List<int>? Ids, System.Text.Json.JsonElement Fields, bool WriteTags);
+public record LyricsSaveDto(string Lyrics);
+public record PlaylistImportMatchDto(List<PlaylistMatchService.ImportEntry>? Entries);
+public record PlaylistImportEntryDto(string? Path, string? Title, string? Artist, double? Duration, string? Mbid, int? TrackId);
+public record PlaylistImportDto(string? Name, List<PlaylistImportEntryDto>? Entries);
+public record PlaylistExportDto(string? Name, List<int>? TrackIds, string? Format, string? Root);
+public record SmartPlaylistDto(string? Name, SmartPlaylistService.SmartRule? Rules, string? Sort, int Limit, bool LiveUpdate);
 public record MoodDef(string Key, string Name, string Icon, string Color, string Description, string Genres, string Runtime);
@@ -25,6 +25,12 @@ public class Track
     public string Genre { get; set; } = "";
     public string Composer { get; set; } = "";
 
+    /// <summary>Part of a various-artists compilation (ID3 TCMP / MP4 cpil / Vorbis COMPILATION)</summary>
+    public bool IsCompilation { get; set; }
+
+    /// <summary>Parental advisory set (ITUNESADVISORY / MP4 rtng); party jukebox guests can be kept from requesting these</summary>
+    public bool IsExplicit { get; set; }
+
     /// <summary>Duration in seconds</summary>
     public double Duration { get; set; }
 
@@ -58,6 +64,33 @@ public class Track
     /// <summary>MusicBrainz track ID if available</summary>
     public string? MusicBrainzId { get; set; }
 
+    /// <summary>ReplayGain track gain in dB, from tags</summary>
+    public double? ReplayGainTrack { get; set; }
+
+    /// <summary>ReplayGain album gain in dB, from tags</summary>
+    public double? ReplayGainAlbum { get; set; }
+
+    /// <summary>Measured EBU R128 integrated loudness in LUFS (loudness analysis, for untagged files)</summary>
+    public double? LoudnessLufs { get; set; }
+
+    /// <summary>Measured true peak in dBTP</summary>
+    public double? LoudnessPeak { get; set; }
+
+    /// <summary>Integrated loudness of the track's album, combined from its analysed tracks</summary>
+    public double? AlbumLoudnessLufs { get; set; }
+
+    /// <summary>Highest true peak of the track's album in dBTP</summary>
+    public double? AlbumLoudnessPeak { get; set; }
+
+    /// <summary>Tempo in beats per minute, from the TBPM tag or tempo analysis</summary>
+    public double? Bpm { get; set; }
+
+    /// <summary>Musical key in canonical spelling ("Am", "F#", "Bb"), from the TKEY tag or key analysis</summary>
+    public string? MusicalKey { get; set; }
+
+    /// <summary>Time of the first beat in seconds (tempo analysis); null until the track has been analysed</summary>
+    public double? BeatOffset { get; set; }
+
     public DateTime DateAdded { get; set; } = DateTime.UtcNow;
     public DateTime FileModified { get; set; }
     public DateTime LastScanned { get; set; } = DateTime.UtcNow;
@@ -101,6 +134,12 @@ public class Album
     public int TrackCount { get; set; }
     public double TotalDuration { get; set; }
 
+    /// <summary>Measured EBU R128 integrated loudness of the whole album in LUFS</summary>
+    public double? LoudnessLufs { get; set; }
+
+    /// <summary>Highest measured true peak of the album's tracks in dBTP</summary>
+    public double? LoudnessPeak { get; set; }
+
     public DateTime DateAdded { get; set; } = DateTime.UtcNow;
     public bool IsFavourite { get; set; }
     public int Rating { get; set; }
@@ -245,6 +245,18 @@ public class Program
             builder.Services.AddSingleton<MusicVideoScannerService>();
             builder.Services.AddSingleton<VideoScannerService>();
             builder.Services.AddSingleton<MetadataService>();
+            builder.Services.AddSingleton<LyricsService>();
+            builder.Services.AddSingleton<SmartPlaylistService>();
+            builder.Services.AddSingleton<TrackRadioService>();
+            builder.Services.AddSingleton<PlaylistMatchService>();
+            builder.Services.AddSingleton<PlaylistExportService>();
+            builder.Services.AddSingleton<EqualizerService>();
+            builder.Services.AddSingleton<LoudnessService>();
+            builder.Services.AddSingleton<TempoKeyService>();
+            builder.Services.AddSingleton<MusicTagService>();
+            builder.Services.AddSingleton<MusicFolderService>();
+            builder.Services.AddSingleton<JukeboxService>();
+            builder.Services.AddSingleton<WaveformService>();
             builder.Services.AddSingleton<PinSecurityService>();
             builder.Services.AddSingleton<RadioService>();
             builder.Services.AddSingleton<TvChannelService>();
@@ -336,6 +348,15 @@ public class Program
                     "DELETE FROM Artists WHERE Id NOT IN (SELECT MIN(Id) FROM Artists GROUP BY LOWER(Name))");
                 await db.Database.ExecuteSqlRawAsync(
                     "CREATE UNIQUE INDEX IF NOT EXISTS \"IX_Artists_Name_NC\" ON \"Artists\" (LOWER(\"Name\"))");
+                foreach (var col in new[] { "ReplayGainTrack", "ReplayGainAlbum", "LoudnessLufs", "LoudnessPeak", "AlbumLoudnessLufs", "AlbumLoudnessPeak" })
+                    await AddColumnIfMissing(db.Database, "Tracks", col, "REAL NULL");
+                foreach (var col in new[] { "Bpm", "BeatOffset" })
+                    await AddColumnIfMissing(db.Database, "Tracks", col, "REAL NULL");
+                await AddColumnIfMissing(db.Database, "Tracks", "MusicalKey", "TEXT NULL");
+                await AddColumnIfMissing(db.Database, "Tracks", "IsCompilation", "INTEGER NOT NULL DEFAULT 0");
+                await AddColumnIfMissing(db.Database, "Tracks", "IsExplicit", "INTEGER NOT NULL DEFAULT 0");
+                await AddColumnIfMissing(db.Database, "Albums", "LoudnessLufs", "REAL NULL");
+                await AddColumnIfMissing(db.Database, "Albums", "LoudnessPeak", "REAL NULL");
                 Log.Information("Database initialized at: {Path}", config.Database.DatabasePath);
 
                 var picDb = scope.ServiceProvider.GetRequiredService<PicturesDbContext>();
@@ -0,0 +1,67 @@
+using System.Text.Json;
+
+namespace NexusM.Services;
+
+/// <summary>
+/// Validates and (de)serialises saved equalizer presets. A preset is
+///   { mode: "graphic"|"parametric", preamp: dB, bands: [{ type, freq, gain, q }] }
+/// Band types are Web Audio BiquadFilter types. Graphic presets carry the 8 fixed bands of the
+/// player's graphic EQ; parametric ones (including AutoEQ / Equalizer APO imports) up to 20 bands.
+/// Definitions and output-device bindings are stored per user by <see cref="UserFavouritesService"/>.
+/// </summary>
+public class EqualizerService
+{
+    public static readonly string[] BandTypes = { "peaking", "lowshelf", "highshelf", "lowpass", "highpass", "notch" };
+    public const int MaxBands = 20;
+
+    public record EqBand(string Type, double Freq, double Gain, double Q);
+    public record EqSettings(string Mode, double Preamp, List<EqBand> Bands);
+
+    private static readonly JsonSerializerOptions JsonOpts = new()
+    {
+        PropertyNamingPolicy = JsonNamingPolicy.CamelCase,
+        PropertyNameCaseInsensitive = true
+    };
+
+    private readonly ILogger<EqualizerService> _logger;
+
+    public EqualizerService(ILogger<EqualizerService> logger)
+    {
+        _logger = logger;
+    }
+
+    public EqSettings? Parse(string? json)
+    {
+        if (string.IsNullOrWhiteSpace(json)) return null;
+        try
+        {
+            return JsonSerializer.Deserialize<EqSettings>(json, JsonOpts);
+        }
+        catch (JsonException ex)
+        {
+            _logger.LogWarning("Invalid equalizer preset: {Message}", ex.Message);
+            return null;
+        }
+    }
+
+    public string Serialize(EqSettings settings) => JsonSerializer.Serialize(settings, JsonOpts);
+
+    /// <summary>
+    /// Check a preset for unknown modes/filter types and out-of-range values. Returns an error message or null.
+    /// </summary>
+    public string? Validate(EqSettings? s)
+    {
+        if (s == null) return "Preset settings are required";
+        if (s.Mode is not ("graphic" or "parametric")) return $"Unknown EQ mode '{s.Mode}'";
+        if (Math.Abs(s.Preamp) > 30) return "Preamp must be between -30 and +30 dB";
+        if (s.Bands == null || s.Bands.Count == 0 || s.Bands.Count > MaxBands) return $"A preset needs 1 to {MaxBands} bands";
+        foreach (var b in s.Bands)
+        {
+            if (!BandTypes.Contains(b.Type)) return $"Unknown filter type '{b.Type}'";
+            if (b.Freq < 10 || b.Freq > 24000) return "Band frequencies must be between 10 Hz and 24 kHz";
+            if (Math.Abs(b.Gain) > 30) return "Band gain must be between -30 and +30 dB";
+            if (b.Q <= 0 || b.Q > 30) return "Band Q must be between 0 and 30";
+        }
+        return null;
+    }
+}
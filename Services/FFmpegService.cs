@@ -385,6 +385,72 @@ public class FFmpegService
         return exitCode == 0 && File.Exists(outputPath);
     }
 
+    /// <summary>
+    /// Decode the audio of a file or URL to 8 kHz mono and return the peak level (0..1) of every
+    /// block of <paramref name="blockMs"/> milliseconds. Null if ffmpeg is missing or decoding fails.
+    /// </summary>
+    public async Task<List<float>?> ReadPeaksAsync(string input, int blockMs, int timeoutMs, CancellationToken ct = default)
+    {
+        if (_ffmpegPath == null) return null;
+        const int rate = 8000;
+        var blockSamples = Math.Max(1, rate * blockMs / 1000);
+        var source = input.Replace("\"", "\\\"");
+        using var process = new Process();
+        process.StartInfo = new ProcessStartInfo
+        {
+            FileName = _ffmpegPath,
+            Arguments = $"-hide_banner -loglevel error -i \"{source}\" -vn -ac 1 -ar {rate} -f s16le -",
+            RedirectStandardOutput = true,
+            RedirectStandardError = true,
+            UseShellExecute = false,
+            CreateNoWindow = true
+        };
+        process.Start();
+        var stderrTask = process.StandardError.ReadToEndAsync();
+
+        using var cts = CancellationTokenSource.CreateLinkedTokenSource(ct);
+        cts.CancelAfter(timeoutMs);
+        var peaks = new List<float>();
+        var buffer = new byte[blockSamples * 2 * 16];
+        int peak = 0, inBlock = 0, carry = -1;
+        try
+        {
+            var stdout = process.StandardOutput.BaseStream;
+            int read;
+            while ((read = await stdout.ReadAsync(buffer, cts.Token)) > 0)
+            {
+                var i = 0;
+                // A sample can be split across two reads
+                if (carry >= 0) { Sample((short)(carry | (buffer[0] << 8))); i = 1; carry = -1; }
+                for (; i + 1 < read; i += 2) Sample((short)(buffer[i] | (buffer[i + 1] << 8)));
+                if (i < read) carry = buffer[i];
+            }
+        }
+        catch (OperationCanceledException)
+        {
+            try { process.Kill(true); } catch { }
+            return null;
+        }
+        await process.WaitForExitAsync(CancellationToken.None);
+        if (inBlock > 0) peaks.Add(peak / 32768f);
+        if (process.ExitCode != 0 && peaks.Count == 0)
+        {
+            _logger.LogWarning("Peak extraction failed for {Input}: {Error}", input, (await stderrTask).Trim());
+            return null;
+        }
+        return peaks;
+
+        void Sample(short s)
+        {
+            var a = Math.Abs((int)s);
+            if (a > peak) peak = a;
+            if (++inBlock < blockSamples) return;
+            peaks.Add(peak / 32768f);
+            peak = 0;
+            inBlock = 0;
+        }
+    }
+
     private async Task<(int exitCode, string stdout, string stderr)> RunProcessAsync(
         string fileName, string arguments, int timeoutMs)
     {
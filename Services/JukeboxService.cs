@@ -0,0 +1,222 @@
+using System.Security.Cryptography;
+using System.Text;
+using NexusM.Models;
+
+namespace NexusM.Services;
+
+/// <summary>
+/// Party jukebox: one shared request queue owned by the host's player. Guests join with the party's
+/// link token (no account needed), pick a display name, request tracks and vote on what is queued;
+/// the queue is ordered by votes, then by request time. The party lives in memory only and ends
+/// when the host stops it or the server restarts.
+/// </summary>
+public class JukeboxService
+{
+    public const int MaxGuests = 100;
+    public const int MaxQueue = 200;
+    public const int MaxNameLength = 24;
+
+    /// <summary>RequestLimit = tracks a guest may have waiting at once (0 = no limit).</summary>
+    public record PartySettings(int RequestLimit, bool AllowExplicit);
+    public record GuestView(string Id, string Name, int? Limit, int Waiting);
+    public record ItemView(int Id, int TrackId, string Title, string Artist, string Album, double Duration,
+        bool HasAlbumArt, string RequestedBy, int Score, int MyVote, bool Mine);
+    public record PartyView(string Token, string Host, DateTime StartedAt, PartySettings Settings,
+        List<GuestView> Guests, ItemView? NowPlaying, List<ItemView> Queue);
+
+    private class Guest
+    {
+        public string Id = "";
+        public string Name = "";
+        public int? Limit;          // overrides PartySettings.RequestLimit for this guest; 0 = requests paused
+    }
+
+    private class Item
+    {
+        public int Id;
+        public Track Track = null!;
+        public string GuestId = "";
+        public DateTime AddedAt;
+        public readonly Dictionary<string, int> Votes = new();   // guest id → +1 / -1
+        public int Score => Votes.Values.Sum();
+    }
+
+    private class Party
+    {
+        public string Token = "";
+        public string Host = "";
+        public string HostUser = "";   // login of the host, whose hidden categories guests can't see either
+        public DateTime StartedAt;
+        public PartySettings Settings = null!;
+        public readonly Dictionary<string, Guest> Guests = new();
+        public readonly List<Item> Queue = new();
+        public Item? NowPlaying;
+        public int NextItemId = 1;
+    }
+
+    private readonly object _lock = new();
+    private Party? _party;
+
+    /// <summary>Starts a new party (replacing any running one, which invalidates its link). Returns the join token.</summary>
+    public string Start(string hostUser, string host, PartySettings settings)
+    {
+        lock (_lock)
+        {
+            _party = new Party
+            {
+                Token = Convert.ToHexString(RandomNumberGenerator.GetBytes(12)).ToLowerInvariant(),
+                Host = host,
+                HostUser = hostUser,
+                StartedAt = DateTime.UtcNow,
+                Settings = Sanitize(settings),
+            };
+            return _party.Token;
+        }
+    }
+
+    public void Stop()
+    {
+        lock (_lock) _party = null;
+    }
+
+    public bool UpdateSettings(PartySettings settings)
+    {
+        lock (_lock)
+        {
+            if (_party == null) return false;
+            _party.Settings = Sanitize(settings);
+            return true;
+        }
+    }
+
+    /// <summary>Per-guest request limit; null falls back to the party default, 0 pauses the guest's requests.</summary>
+    public bool SetGuestLimit(string guestId, int? limit)
+    {
+        lock (_lock)
+        {
+            if (_party == null || !_party.Guests.TryGetValue(guestId, out var guest)) return false;
+            guest.Limit = limit.HasValue ? Math.Clamp(limit.Value, 0, 50) : null;
+            return true;
+        }
+    }
+
+    /// <summary>The party as seen by the host (no guest id) or by one guest (their votes and requests marked).</summary>
+    public PartyView? Get(string? guestId = null)
+    {
+        lock (_lock)
+        {
+            if (_party == null) return null;
+            var p = _party;
+            return new PartyView(
+                p.Token, p.Host, p.StartedAt, p.Settings,
+                p.Guests.Values.Select(g => new GuestView(g.Id, g.Name, g.Limit, p.Queue.Count(i => i.GuestId == g.Id))).ToList(),
+                p.NowPlaying == null ? null : View(p, p.NowPlaying, guestId),
+                Ordered(p).Select(i => View(p, i, guestId)).ToList());
+        }
+    }
+
+    public bool IsValidToken(string? token)
+    {
+        lock (_lock) return TokenMatches(token);
+    }
+
+    public bool IsGuest(string? token, string? guestId)
+    {
+        lock (_lock) return TokenMatches(token) && guestId != null && _party!.Guests.ContainsKey(guestId);
+    }
+
+    /// <summary>Registers a guest under a display name. Returns the guest id, or null when the link is invalid or the party is full.</summary>
+    public string? Join(string? token, string name)
+    {
+        lock (_lock)
+        {
+            if (!TokenMatches(token) || _party!.Guests.Count >= MaxGuests) return null;
+            name = name.Trim();
+            if (name.Length > MaxNameLength) name = name[..MaxNameLength];
+            if (name.Length == 0) name = "Guest " + (_party.Guests.Count + 1);
+            var guest = new Guest { Id = Convert.ToHexString(RandomNumberGenerator.GetBytes(8)).ToLowerInvariant(), Name = name };
+            _party.Guests[guest.Id] = guest;
+            return guest.Id;
+        }
+    }
+
+    /// <summary>Queues a track for a guest. Returns null on success, otherwise the reason it was refused.</summary>
+    public string? Request(string? token, string guestId, Track track)
+    {
+        lock (_lock)
+        {
+            if (!TokenMatches(token) || !_party!.Guests.TryGetValue(guestId, out var guest)) return "This party has ended.";
+            var p = _party;
+            if (track.IsExplicit && !p.Settings.AllowExplicit) return "Explicit tracks are not allowed at this party.";
+            if (p.NowPlaying?.Track.Id == track.Id) return "That track is playing right now.";
+            if (p.Queue.Any(i => i.Track.Id == track.Id)) return "That track is already in the queue — vote for it instead.";
+            if (guest.Limit == 0) return "The host has paused your requests.";
+            var limit = guest.Limit ?? p.Settings.RequestLimit;
+            var waiting = p.Queue.Count(i => i.GuestId == guestId);
+            if (limit > 0 && waiting >= limit) return $"You already have {waiting} request(s) waiting. Try again once one has played.";
+            if (p.Queue.Count >= MaxQueue) return "The queue is full.";
+
+            p.Queue.Add(new Item { Id = p.NextItemId++, Track = track, GuestId = guestId, AddedAt = DateTime.UtcNow });
+            return null;
+        }
+    }
+
+    /// <summary>Up (+1), down (-1) or withdraw (0) a guest's vote. Guests can't vote on their own requests.</summary>
+    public bool Vote(string? token, string guestId, int itemId, int vote)
+    {
+        lock (_lock)
+        {
+            if (!TokenMatches(token) || !_party!.Guests.ContainsKey(guestId)) return false;
+            var item = _party.Queue.FirstOrDefault(i => i.Id == itemId);
+            if (item == null || item.GuestId == guestId) return false;
+            if (vote == 0) item.Votes.Remove(guestId);
+            else item.Votes[guestId] = Math.Sign(vote);
+            return true;
+        }
+    }
+
+    public bool Remove(int itemId)
+    {
+        lock (_lock) return _party != null && _party.Queue.RemoveAll(i => i.Id == itemId) > 0;
+    }
+
+    /// <summary>The host's player started this request: it leaves the queue and becomes "now playing".</summary>
+    public bool MarkPlaying(int itemId)
+    {
+        lock (_lock)
+        {
+            var item = _party?.Queue.FirstOrDefault(i => i.Id == itemId);
+            if (item == null) return false;
+            _party!.Queue.Remove(item);
+            _party.NowPlaying = item;
+            return true;
+        }
+    }
+
+    public bool AllowsExplicit()
+    {
+        lock (_lock) return _party?.Settings.AllowExplicit ?? false;
+    }
+
+    public string? HostUser()
+    {
+        lock (_lock) return _party?.HostUser;
+    }
+
+    private static IEnumerable<Item> Ordered(Party p) =>
+        p.Queue.OrderByDescending(i => i.Score).ThenBy(i => i.AddedAt);
+
+    private static ItemView View(Party p, Item i, string? guestId) => new(
+        i.Id, i.Track.Id, i.Track.Title, i.Track.Artist, i.Track.Album, i.Track.Duration, i.Track.HasAlbumArt,
+        p.Guests.TryGetValue(i.GuestId, out var g) ? g.Name : "",
+        i.Score,
+        guestId != null && i.Votes.TryGetValue(guestId, out var v) ? v : 0,
+        guestId != null && i.GuestId == guestId);
+
+    private static PartySettings Sanitize(PartySettings s) => s with { RequestLimit = Math.Clamp(s.RequestLimit, 0, 50) };
+
+    // Constant-time compare: the token is the only thing standing between the network and the queue
+    private bool TokenMatches(string? token) =>
+        _party != null && token != null &&
+        CryptographicOperations.FixedTimeEquals(Encoding.UTF8.GetBytes(token), Encoding.UTF8.GetBytes(_party.Token));
+}
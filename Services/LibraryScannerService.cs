@@ -243,6 +243,23 @@ public class LibraryScannerService
                 existing.DiscNumber = tag.Disc > 0 ? (int?)tag.Disc : null;
                 existing.Genre = tag.FirstGenre ?? "";
                 existing.Composer = tag.FirstComposer ?? "";
+                existing.IsCompilation = MusicTagService.ReadCompilation(tagFile);
+                existing.IsExplicit = MusicTagService.ReadExplicit(tagFile);
+                existing.MusicBrainzId = string.IsNullOrWhiteSpace(tag.MusicBrainzTrackId) ? null : tag.MusicBrainzTrackId;
+                existing.ReplayGainTrack = double.IsNaN(tag.ReplayGainTrackGain) ? null : tag.ReplayGainTrackGain;
+                existing.ReplayGainAlbum = double.IsNaN(tag.ReplayGainAlbumGain) ? null : tag.ReplayGainAlbumGain;
+                // Tag edits keep the measured loudness and tempo; a different length means the audio itself changed
+                if (Math.Abs(existing.Duration - props.Duration.TotalSeconds) > 0.5)
+                {
+                    existing.LoudnessLufs = null;
+                    existing.LoudnessPeak = null;
+                    existing.Bpm = null;
+                    existing.MusicalKey = null;
+                    existing.BeatOffset = null;
+                }
+                // Tempo and key tags only fill gaps, so analysed values and edits made in the track editor survive a rescan
+                existing.Bpm ??= TempoKeyService.TagBpm(tag.BeatsPerMinute);
+                existing.MusicalKey ??= TempoKeyService.NormalizeKey(tag.InitialKey);
                 existing.Duration = props.Duration.TotalSeconds;
                 existing.Bitrate = props.AudioBitrate;
                 existing.SampleRate = props.AudioSampleRate;
@@ -281,6 +298,13 @@ public class LibraryScannerService
                     DiscNumber = tag.Disc > 0 ? (int?)tag.Disc : null,
                     Genre = tag.FirstGenre ?? "",
                     Composer = tag.FirstComposer ?? "",
+                    IsCompilation = MusicTagService.ReadCompilation(tagFile),
+                    IsExplicit = MusicTagService.ReadExplicit(tagFile),
+                    MusicBrainzId = string.IsNullOrWhiteSpace(tag.MusicBrainzTrackId) ? null : tag.MusicBrainzTrackId,
+                    ReplayGainTrack = double.IsNaN(tag.ReplayGainTrackGain) ? null : tag.ReplayGainTrackGain,
+                    ReplayGainAlbum = double.IsNaN(tag.ReplayGainAlbumGain) ? null : tag.ReplayGainAlbumGain,
+                    Bpm = TempoKeyService.TagBpm(tag.BeatsPerMinute),
+                    MusicalKey = TempoKeyService.NormalizeKey(tag.InitialKey),
                     Duration = props.Duration.TotalSeconds,
                     Bitrate = props.AudioBitrate,
                     SampleRate = props.AudioSampleRate,
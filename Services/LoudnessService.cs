@@ -0,0 +1,78 @@
+using Microsoft.EntityFrameworkCore;
+using NexusM.Data;
+using NexusM.Models;
+
+namespace NexusM.Services;
+
+/// <summary>
+/// Stores EBU R128 loudness measurements for tracks without ReplayGain tags.
+/// The browser measures integrated loudness (LUFS) and true peak (dBTP) of the decoded file;
+/// the album value is the duration-weighted energy mean of its analysed tracks, which is what
+/// a whole-album R128 measurement gives when the tracks are played back to back.
+/// Players turn LUFS into a gain against the ReplayGain 2.0 reference of <see cref="ReferenceLufs"/>.
+/// </summary>
+public class LoudnessService
+{
+    public const double ReferenceLufs = -18;
+
+    private readonly ILogger<LoudnessService> _logger;
+
+    public LoudnessService(ILogger<LoudnessService> logger)
+    {
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// Check a measurement for impossible values. Returns an error message or null.
+    /// </summary>
+    public string? Validate(double lufs, double peak)
+    {
+        if (double.IsNaN(lufs) || lufs < -70 || lufs > 5) return "Loudness must be between -70 and +5 LUFS";
+        if (double.IsNaN(peak) || peak < -100 || peak > 20) return "True peak must be between -100 and +20 dBTP";
+        return null;
+    }
+
+    /// <summary>
+    /// Save a track's measurement and recombine its album. Returns the updated track, or null if it doesn't exist.
+    /// </summary>
+    public async Task<Track?> SaveAsync(MusicDbContext db, int trackId, double lufs, double peak)
+    {
+        var track = await db.Tracks.FindAsync(trackId);
+        if (track == null) return null;
+        track.LoudnessLufs = Math.Round(lufs, 2);
+        track.LoudnessPeak = Math.Round(peak, 2);
+        await db.SaveChangesAsync();
+        if (track.AlbumId.HasValue) await UpdateAlbumAsync(db, track.AlbumId.Value);
+        return track;
+    }
+
+    /// <summary>
+    /// Recombine an album's loudness from its analysed tracks (also used after tracks move between albums).
+    /// </summary>
+    public async Task UpdateAlbumAsync(MusicDbContext db, int albumId)
+    {
+        var tracks = await db.Tracks.Where(t => t.AlbumId == albumId).ToListAsync();
+        var measured = tracks.Where(t => t.LoudnessLufs.HasValue).ToList();
+        if (measured.Count == 0) return;
+
+        var weight = measured.Sum(t => Math.Max(t.Duration, 1));
+        var energy = measured.Sum(t => Math.Max(t.Duration, 1) * Math.Pow(10, t.LoudnessLufs!.Value / 10));
+        var lufs = Math.Round(10 * Math.Log10(energy / weight), 2);
+        var peak = measured.Max(t => t.LoudnessPeak ?? -100);
+
+        var album = await db.Albums.FindAsync(albumId);
+        if (album != null)
+        {
+            album.LoudnessLufs = lufs;
+            album.LoudnessPeak = peak;
+        }
+        // Copied onto every track so the player gets album gain without a second lookup
+        foreach (var t in tracks)
+        {
+            t.AlbumLoudnessLufs = lufs;
+            t.AlbumLoudnessPeak = peak;
+        }
+        await db.SaveChangesAsync();
+        _logger.LogDebug("Album {AlbumId} loudness {Lufs} LUFS from {Count}/{Total} tracks", albumId, lufs, measured.Count, tracks.Count);
+    }
+}
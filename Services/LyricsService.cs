@@ -0,0 +1,165 @@
+using System.Text;
+using System.Text.RegularExpressions;
+using NexusM.Models;
+
+namespace NexusM.Services;
+
+/// <summary>
+/// Local lyrics for music tracks, so the lyrics panel works without internet access.
+/// Lookup order:
+///   1. assets/lyrics/{trackId}.lrc|.txt — saved by the in-app editor when the library folder is read-only
+///   2. {track}.lrc / {track}.txt sidecar next to the audio file
+///   3. Embedded SYLT (synchronised) frame, then USLT / LYRICS tag
+/// Results use the LRCLIB field names (syncedLyrics / plainLyrics) so the client renders both the same way.
+/// </summary>
+public class LyricsService
+{
+    private static readonly Regex LrcStamp = new(@"^\s*\[\d{1,3}:\d{1,2}([.:]\d{1,3})?\]", RegexOptions.Multiline | RegexOptions.Compiled);
+
+    private readonly ILogger<LyricsService> _logger;
+    private readonly string _lyricsDir;
+
+    public LyricsService(ILogger<LyricsService> logger)
+    {
+        _logger = logger;
+        _lyricsDir = Path.Combine(AppContext.BaseDirectory, "assets", "lyrics");
+    }
+
+    public record LyricsResult(string Source, string? SyncedLyrics, string? PlainLyrics);
+
+    /// <summary>
+    /// Find local lyrics for a track. Returns null when there are none.
+    /// Source is "saved", "sidecar" or "embedded".
+    /// </summary>
+    public LyricsResult? Read(Track track)
+    {
+        foreach (var ext in new[] { ".lrc", ".txt" })
+        {
+            var saved = Path.Combine(_lyricsDir, track.Id + ext);
+            var text = ReadText(saved);
+            if (text != null) return FromText("saved", text);
+        }
+
+        foreach (var path in SidecarPaths(track.FilePath))
+        {
+            var text = ReadText(path);
+            if (text != null) return FromText("sidecar", text);
+        }
+
+        return ReadEmbedded(track.FilePath);
+    }
+
+    /// <summary>
+    /// Save lyrics for a track. Timed text is written as {track}.lrc, plain text as {track}.txt,
+    /// replacing any existing sidecar. Falls back to assets/lyrics/ when the folder can't be written.
+    /// </summary>
+    public LyricsResult Save(Track track, string text)
+    {
+        text = text.Replace("\r\n", "\n").Trim() + "\n";
+        var ext = LrcStamp.IsMatch(text) ? ".lrc" : ".txt";
+        var dir = Path.GetDirectoryName(track.FilePath);
+        var baseName = Path.GetFileNameWithoutExtension(track.FilePath);
+        var source = "sidecar";
+        try
+        {
+            if (string.IsNullOrEmpty(dir) || !Directory.Exists(dir))
+                throw new DirectoryNotFoundException(dir);
+            File.WriteAllText(Path.Combine(dir, baseName + ext), text, new UTF8Encoding(false));
+            // Don't leave the other format behind to shadow the new file on the next lookup
+            var other = Path.Combine(dir, baseName + (ext == ".lrc" ? ".txt" : ".lrc"));
+            if (File.Exists(other)) File.Delete(other);
+            DeleteSaved(track.Id);
+        }
+        catch (Exception ex) when (ex is IOException or UnauthorizedAccessException)
+        {
+            _logger.LogWarning("Cannot write lyrics next to {Path} ({Message}), saving to {Dir}", track.FilePath, ex.Message, _lyricsDir);
+            Directory.CreateDirectory(_lyricsDir);
+            DeleteSaved(track.Id);
+            File.WriteAllText(Path.Combine(_lyricsDir, track.Id + ext), text, new UTF8Encoding(false));
+            source = "saved";
+        }
+        return FromText(source, text);
+    }
+
+    private void DeleteSaved(int trackId)
+    {
+        foreach (var ext in new[] { ".lrc", ".txt" })
+        {
+            var path = Path.Combine(_lyricsDir, trackId + ext);
+            if (File.Exists(path)) File.Delete(path);
+        }
+    }
+
+    private static IEnumerable<string> SidecarPaths(string filePath)
+    {
+        var dir = Path.GetDirectoryName(filePath);
+        if (string.IsNullOrEmpty(dir)) yield break;
+        var baseName = Path.GetFileNameWithoutExtension(filePath);
+        yield return Path.Combine(dir, baseName + ".lrc");
+        yield return Path.Combine(dir, baseName + ".txt");
+        // Some rippers keep the audio extension: "01 Song.flac.lrc"
+        yield return filePath + ".lrc";
+    }
+
+    private static string? ReadText(string path)
+    {
+        try
+        {
+            if (!File.Exists(path)) return null;
+            var text = File.ReadAllText(path);   // detects UTF-8/UTF-16 BOMs
+            return string.IsNullOrWhiteSpace(text) ? null : text;
+        }
+        catch { return null; }
+    }
+
+    private static LyricsResult FromText(string source, string text) =>
+        LrcStamp.IsMatch(text)
+            ? new LyricsResult(source, text, StripStamps(text))
+            : new LyricsResult(source, null, text);
+
+    private static string StripStamps(string lrc)
+    {
+        var lines = lrc.Replace("\r\n", "\n").Split('\n')
+            .Where(l => !Regex.IsMatch(l, @"^\s*\[[a-z]+:.*\]\s*$", RegexOptions.IgnoreCase))
+            .Select(l => Regex.Replace(l, @"\[\d{1,3}:\d{1,2}([.:]\d{1,3})?\]|<\d{1,3}:\d{1,2}([.:]\d{1,3})?>", "").Trim());
+        return string.Join("\n", lines).Trim();
+    }
+
+    private LyricsResult? ReadEmbedded(string filePath)
+    {
+        if (!File.Exists(filePath)) return null;
+        try
+        {
+            using var tagFile = TagLib.File.Create(filePath);
+
+            // ID3v2 SYLT: already timed, convert to LRC
+            if (tagFile.GetTag(TagLib.TagTypes.Id3v2) is TagLib.Id3v2.Tag id3)
+            {
+                var sylt = id3.GetFrames<TagLib.Id3v2.SynchronisedLyricsFrame>()
+                    .FirstOrDefault(f => f.Type == TagLib.Id3v2.SynchedTextType.Lyrics
+                                         && f.Format == TagLib.Id3v2.TimestampFormat.AbsoluteMilliseconds
+                                         && f.Text.Length > 0);
+                if (sylt != null)
+                {
+                    var sb = new StringBuilder();
+                    foreach (var line in sylt.Text.OrderBy(t => t.Time))
+                    {
+                        var ts = TimeSpan.FromMilliseconds(line.Time);
+                        sb.Append($"[{(int)ts.TotalMinutes:00}:{ts.Seconds:00}.{ts.Milliseconds / 10:00}]")
+                          .Append(line.Text.Trim()).Append('\n');
+                    }
+                    return FromText("embedded", sb.ToString());
+                }
+            }
+
+            // USLT (ID3), LYRICS (Vorbis/FLAC), ©lyr (MP4) — some taggers store LRC text here too
+            var lyrics = tagFile.Tag.Lyrics;
+            return string.IsNullOrWhiteSpace(lyrics) ? null : FromText("embedded", lyrics);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogDebug("Could not read embedded lyrics from {Path}: {Message}", filePath, ex.Message);
+            return null;
+        }
+    }
+}
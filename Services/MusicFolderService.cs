@@ -0,0 +1,155 @@
+using Microsoft.EntityFrameworkCore;
+using NexusM.Data;
+
+namespace NexusM.Services;
+
+/// <summary>
+/// Browses the music library by its folder layout instead of tags. The tree is derived from the
+/// scanned track paths below the configured music roots, so only folders that contain audio
+/// (directly or further down) appear, and no path outside the roots can be requested.
+/// A track's category is the first-level subfolder below its root — the same rule the scanners use —
+/// and tracks in categories hidden from the user are left out of every listing and count.
+/// </summary>
+public class MusicFolderService
+{
+    private static readonly char[] Separators = { Path.DirectorySeparatorChar, Path.AltDirectorySeparatorChar };
+
+    public record FolderEntry(string Name, string Path, int TrackCount);
+    public record Crumb(string Name, string Path);
+    public record FolderListing(string Path, List<Crumb> Crumbs, List<FolderEntry> Folders, List<int> TrackIds);
+
+    private readonly ConfigService _config;
+
+    public MusicFolderService(ConfigService config)
+    {
+        _config = config;
+    }
+
+    private List<string> Roots() => _config.Config.Library.GetMusicFolderList()
+        .Select(Normalize)
+        .Distinct(StringComparer.OrdinalIgnoreCase)
+        .ToList();
+
+    /// <summary>
+    /// One folder level: its subfolders with recursive track counts and the tracks directly inside it.
+    /// An empty <paramref name="path"/> lists the music roots. Null when the path is outside every root.
+    /// </summary>
+    public async Task<FolderListing?> ListAsync(MusicDbContext db, string? path, ICollection<string> hiddenCategories)
+    {
+        var roots = Roots();
+        if (string.IsNullOrWhiteSpace(path))
+        {
+            var entries = new List<FolderEntry>();
+            foreach (var root in roots)
+            {
+                var count = (await PathsUnderAsync(db, root, root, hiddenCategories)).Count;
+                if (count > 0) entries.Add(new FolderEntry(FolderName(root), root, count));
+            }
+            return new FolderListing("", new List<Crumb>(), entries, new List<int>());
+        }
+
+        var folder = Normalize(path);
+        var owner = RootOf(roots, folder);
+        if (owner == null) return null;
+
+        var folders = new Dictionary<string, int>(StringComparer.OrdinalIgnoreCase);
+        var direct = new List<(int Id, string FilePath)>();
+        foreach (var (id, filePath) in await PathsUnderAsync(db, owner, folder, hiddenCategories))
+        {
+            var relative = filePath[(folder.Length + 1)..];
+            var sep = relative.IndexOfAny(Separators);
+            if (sep < 0) direct.Add((id, filePath));
+            else folders[relative[..sep]] = folders.GetValueOrDefault(relative[..sep]) + 1;
+        }
+
+        return new FolderListing(
+            folder,
+            BuildCrumbs(owner, folder),
+            folders.OrderBy(f => f.Key, StringComparer.CurrentCultureIgnoreCase)
+                .Select(f => new FolderEntry(f.Key, folder + Path.DirectorySeparatorChar + f.Key, f.Value)).ToList(),
+            direct.OrderBy(t => Path.GetFileName(t.FilePath), StringComparer.CurrentCultureIgnoreCase)
+                .Select(t => t.Id).ToList());
+    }
+
+    /// <summary>
+    /// Track ids of a folder in path order, including all subfolders when <paramref name="recursive"/> is set.
+    /// Null when the path is outside every root.
+    /// </summary>
+    public async Task<List<int>?> TrackIdsAsync(MusicDbContext db, string path, bool recursive, ICollection<string> hiddenCategories)
+    {
+        var folder = Normalize(path);
+        var owner = RootOf(Roots(), folder);
+        if (owner == null) return null;
+
+        return (await PathsUnderAsync(db, owner, folder, hiddenCategories))
+            .Where(t => recursive || t.FilePath.IndexOfAny(Separators, folder.Length + 1) < 0)
+            .OrderBy(t => t.FilePath, StringComparer.CurrentCultureIgnoreCase)
+            .Select(t => t.Id)
+            .ToList();
+    }
+
+    /// <summary>
+    /// Whether a track file lies in one of the hidden categories of the music root that owns it,
+    /// for lists that don't come from folder browsing.
+    /// </summary>
+    public bool IsHidden(string filePath, ICollection<string> hiddenCategories)
+    {
+        if (hiddenCategories.Count == 0) return false;
+        var file = Normalize(filePath);
+        var owner = RootOf(Roots(), Path.GetDirectoryName(file) ?? file);
+        return owner != null && hiddenCategories.Contains(CategoryOf(owner, file));
+    }
+
+    private static async Task<List<(int Id, string FilePath)>> PathsUnderAsync(
+        MusicDbContext db, string root, string folder, ICollection<string> hiddenCategories)
+    {
+        var prefix = (folder + Path.DirectorySeparatorChar).ToLower();
+        var rows = await db.Tracks.AsNoTracking()
+            .Where(t => t.FilePath.ToLower().StartsWith(prefix))
+            .Select(t => new { t.Id, t.FilePath })
+            .ToListAsync();
+        return rows
+            .Where(t => hiddenCategories.Count == 0 || !hiddenCategories.Contains(CategoryOf(root, t.FilePath)))
+            .Select(t => (t.Id, t.FilePath))
+            .ToList();
+    }
+
+    // Full path without a trailing separator; "D:" stays the drive root rather than D:'s working directory
+    private static string Normalize(string path) =>
+        Path.GetFullPath(path.EndsWith(':') ? path + Path.DirectorySeparatorChar : path).TrimEnd(Separators);
+
+    // First-level subfolder below the root ("" for files directly in the root)
+    private static string CategoryOf(string root, string filePath)
+    {
+        var relative = filePath[(root.Length + 1)..];
+        var sep = relative.IndexOfAny(Separators);
+        return sep > 0 ? relative[..sep] : "";
+    }
+
+    private static string? RootOf(List<string> roots, string folder) =>
+        roots.Where(r => folder.Equals(r, StringComparison.OrdinalIgnoreCase)
+                || folder.StartsWith(r + Path.DirectorySeparatorChar, StringComparison.OrdinalIgnoreCase))
+            .OrderByDescending(r => r.Length)   // nested roots: the innermost one owns the folder
+            .FirstOrDefault();
+
+    private static List<Crumb> BuildCrumbs(string root, string folder)
+    {
+        var crumbs = new List<Crumb> { new(FolderName(root), root) };
+        var current = root;
+        if (folder.Length > root.Length)
+        {
+            foreach (var part in folder[(root.Length + 1)..].Split(Separators, StringSplitOptions.RemoveEmptyEntries))
+            {
+                current += Path.DirectorySeparatorChar + part;   // not Path.Combine: "D:" + "x" would give "D:x"
+                crumbs.Add(new Crumb(part, current));
+            }
+        }
+        return crumbs;
+    }
+
+    private static string FolderName(string path)
+    {
+        var name = Path.GetFileName(path);
+        return string.IsNullOrEmpty(name) ? path : name;   // drive roots like "D:" have no file name
+    }
+}
@@ -0,0 +1,350 @@
+using System.Text.Json;
+using Microsoft.EntityFrameworkCore;
+using NexusM.Data;
+using NexusM.Models;
+using SixLabors.ImageSharp;
+using SixLabors.ImageSharp.Formats.Jpeg;
+using SixLabors.ImageSharp.Processing;
+
+namespace NexusM.Services;
+
+/// <summary>
+/// Batch metadata edits for music tracks (the multi-select editor on track lists and the album grid).
+/// Only the fields present in a change set are touched. Tracks whose album or album artist changes
+/// are regrouped into the matching album record the same way the scanner groups them, and emptied
+/// albums are removed. Optionally the new values are written back into each file's tags with TagLib;
+/// every file gets its own result so one read-only or unsupported file doesn't fail the batch.
+/// </summary>
+public class MusicTagService
+{
+    public const int MaxCoverBytes = 10 * 1024 * 1024;
+
+    /// <summary>
+    /// Fields to change. Null strings and unset Set* flags mean "keep each track's own value".
+    /// </summary>
+    public class TagChanges
+    {
+        public string? Artist { get; set; }
+        public string? AlbumArtist { get; set; }
+        public string? Album { get; set; }
+        public string? Genre { get; set; }
+        public bool SetYear { get; set; }
+        public int? Year { get; set; }
+        public bool SetDisc { get; set; }
+        public int? DiscNumber { get; set; }
+        public bool? IsCompilation { get; set; }
+        /// <summary>New cover, already re-encoded as JPEG by <see cref="Parse"/>.</summary>
+        public byte[]? Cover { get; set; }
+
+        public bool IsEmpty => Artist == null && AlbumArtist == null && Album == null && Genre == null
+            && !SetYear && !SetDisc && IsCompilation == null && Cover == null;
+    }
+
+    /// <summary>Outcome of one file's tag write-back; Message explains failures and partial writes.</summary>
+    public record FileResult(int Id, string FileName, bool Ok, string? Message);
+    public record BatchResult(int Updated, List<FileResult> Files);
+
+    private readonly LoudnessService _loudness;
+    private readonly ILogger<MusicTagService> _logger;
+
+    public MusicTagService(LoudnessService loudness, ILogger<MusicTagService> logger)
+    {
+        _loudness = loudness;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// Read the change set posted by the client: { artist, albumArtist, album, genre, year, discNumber,
+    /// isCompilation, coverImage (data URI) }. Absent properties are kept; a null year/disc clears it.
+    /// The cover is decoded and re-encoded as JPEG whatever the data URI claimed; anything that isn't an
+    /// image is left empty for Validate to reject.
+    /// </summary>
+    public static TagChanges Parse(JsonElement f)
+    {
+        var c = new TagChanges();
+        if (f.ValueKind != JsonValueKind.Object) return c;
+        string? Str(string name) => f.TryGetProperty(name, out var v) && v.ValueKind == JsonValueKind.String ? v.GetString()!.Trim() : null;
+        c.Artist = Str("artist");
+        c.AlbumArtist = Str("albumArtist");
+        c.Album = Str("album");
+        c.Genre = Str("genre");
+        if (f.TryGetProperty("year", out var y))
+        {
+            c.SetYear = true;
+            c.Year = y.ValueKind == JsonValueKind.Number ? y.GetInt32() : null;
+        }
+        if (f.TryGetProperty("discNumber", out var d))
+        {
+            c.SetDisc = true;
+            c.DiscNumber = d.ValueKind == JsonValueKind.Number ? d.GetInt32() : null;
+        }
+        if (f.TryGetProperty("isCompilation", out var ic) && ic.ValueKind is JsonValueKind.True or JsonValueKind.False)
+            c.IsCompilation = ic.GetBoolean();
+        var cover = Str("coverImage");
+        if (!string.IsNullOrEmpty(cover) && cover.Contains(','))
+        {
+            try { c.Cover = Convert.FromBase64String(cover[(cover.IndexOf(',') + 1)..]); }
+            catch (FormatException) { c.Cover = Array.Empty<byte>(); }   // rejected by Validate
+            if (c.Cover.Length is > 0 and <= MaxCoverBytes) c.Cover = ToJpeg(c.Cover);
+        }
+        return c;
+    }
+
+    // Covers are stored in assets/albumart as .jpg and served as image/jpeg, so whatever was uploaded becomes a JPEG.
+    // Transparent PNG areas are flattened onto white rather than turning black.
+    private static byte[] ToJpeg(byte[] data)
+    {
+        try
+        {
+            using var image = Image.Load(data);
+            image.Mutate(x => x.BackgroundColor(Color.White));
+            using var ms = new MemoryStream();
+            image.Save(ms, new JpegEncoder { Quality = 90 });
+            return ms.ToArray();
+        }
+        catch (Exception)
+        {
+            return Array.Empty<byte>();
+        }
+    }
+
+    /// <summary>
+    /// Check a change set for impossible values. Returns an error message or null.
+    /// </summary>
+    public string? Validate(TagChanges c)
+    {
+        if (c.IsEmpty) return "No fields to change";
+        if (c.Album != null && c.Album.Length == 0) return "Album name cannot be empty";
+        if (c.Artist != null && c.Artist.Length == 0) return "Artist cannot be empty";
+        if (c.Year is < 1 or > 9999) return "Year must be between 1 and 9999";
+        if (c.DiscNumber is < 1 or > 999) return "Disc number must be between 1 and 999";
+        if (c.Cover != null && (c.Cover.Length == 0 || c.Cover.Length > MaxCoverBytes)) return "Cover image must be a JPG or PNG under 10 MB";
+        return null;
+    }
+
+    /// <summary>
+    /// Apply a change set to the given tracks, optionally writing the file tags as well.
+    /// </summary>
+    public async Task<BatchResult> ApplyAsync(MusicDbContext db, List<int> ids, TagChanges c, bool writeTags)
+    {
+        var tracks = await db.Tracks.Where(t => ids.Contains(t.Id)).ToListAsync();
+        var touchedAlbums = new HashSet<int>();
+        var coverAlbums = new HashSet<int>();
+        var regroup = c.Album != null || c.AlbumArtist != null;
+
+        // One file for the whole batch; every track and album it touches points at it
+        var coverFile = c.Cover != null ? SaveCover(c.Cover) : null;
+
+        foreach (var t in tracks)
+        {
+            if (c.Artist != null) t.Artist = c.Artist;
+            if (c.AlbumArtist != null) t.AlbumArtist = c.AlbumArtist;
+            if (c.Album != null) t.Album = c.Album;
+            if (c.Genre != null) t.Genre = c.Genre;
+            if (c.SetYear) t.Year = c.Year;
+            if (c.SetDisc) t.DiscNumber = c.DiscNumber;
+            if (c.IsCompilation.HasValue) t.IsCompilation = c.IsCompilation.Value;
+            if (regroup)
+            {
+                var albumArtist = string.IsNullOrWhiteSpace(t.AlbumArtist) ? t.Artist : t.AlbumArtist;
+                var album = await FindOrCreateAlbumAsync(db, t.Album, albumArtist, t);
+                if (album.Id != t.AlbumId)
+                {
+                    if (t.AlbumId.HasValue) touchedAlbums.Add(t.AlbumId.Value);
+                    t.AlbumId = album.Id;
+                    // The old album's combined loudness no longer applies; recombined below
+                    t.AlbumLoudnessLufs = null;
+                    t.AlbumLoudnessPeak = null;
+                }
+            }
+            if (t.AlbumId.HasValue) touchedAlbums.Add(t.AlbumId.Value);
+            if (coverFile != null)
+            {
+                DropExtractedArt(t.Id);
+                t.AlbumArtCached = coverFile;
+                t.HasAlbumArt = true;
+                // The album the track ends up in shows the new cover too
+                if (t.AlbumId.HasValue) coverAlbums.Add(t.AlbumId.Value);
+            }
+        }
+        if (c.Artist != null && !await db.Artists.AnyAsync(a => a.Name.ToLower() == c.Artist.ToLower()))
+            db.Artists.Add(new Artist { Name = c.Artist });
+        await db.SaveChangesAsync();
+
+        await UpdateAlbumsAsync(db, touchedAlbums, c, ids, coverAlbums, coverFile);
+
+        var files = new List<FileResult>();
+        if (writeTags)
+        {
+            foreach (var t in tracks)
+            {
+                var (ok, message) = WriteFileTags(t, c);
+                files.Add(new FileResult(t.Id, Path.GetFileName(t.FilePath), ok, message));
+                if (!ok) continue;
+                // Keep the scanner from re-reading a file whose tags already match the database
+                var info = new FileInfo(t.FilePath);
+                t.FileModified = info.LastWriteTimeUtc;
+                t.FileSize = info.Length;
+            }
+            await db.SaveChangesAsync();
+            _logger.LogInformation("Batch tag edit: wrote {Ok}/{Total} files", files.Count(f => f.Ok), files.Count);
+        }
+        return new BatchResult(tracks.Count, files);
+    }
+
+    /// <summary>
+    /// The compilation flag from whichever tag format the file carries (ID3v2 TCMP, MP4 cpil, Vorbis COMPILATION).
+    /// </summary>
+    public static bool ReadCompilation(TagLib.File file)
+    {
+        if (file.GetTag(TagLib.TagTypes.Id3v2) is TagLib.Id3v2.Tag id3) return id3.IsCompilation;
+        if (file.GetTag(TagLib.TagTypes.Apple) is TagLib.Mpeg4.AppleTag apple) return apple.IsCompilation;
+        if (file.GetTag(TagLib.TagTypes.Xiph) is TagLib.Ogg.XiphComment xiph) return xiph.IsCompilation;
+        return false;
+    }
+
+    /// <summary>
+    /// Parental-advisory flag: iTunes ITUNESADVISORY (ID3v2 TXXX / Vorbis comment) or the MP4 rtng atom,
+    /// where 1 (or the legacy 4) means explicit. Store downloads without tags often say so in the title instead.
+    /// </summary>
+    public static bool ReadExplicit(TagLib.File file)
+    {
+        string? advisory = null;
+        if (file.GetTag(TagLib.TagTypes.Id3v2) is TagLib.Id3v2.Tag id3)
+            advisory = TagLib.Id3v2.UserTextInformationFrame.Get(id3, "ITUNESADVISORY", false)?.Text.FirstOrDefault();
+        else if (file.GetTag(TagLib.TagTypes.Apple) is TagLib.Mpeg4.AppleTag apple)
+        {
+            var rtng = apple.DataBoxes("rtng").FirstOrDefault()?.Data;
+            if (rtng is { Count: > 0 }) advisory = rtng[rtng.Count - 1].ToString();
+        }
+        else if (file.GetTag(TagLib.TagTypes.Xiph) is TagLib.Ogg.XiphComment xiph)
+            advisory = xiph.GetFirstField("ITUNESADVISORY");
+
+        if (advisory != null) return advisory.Trim() is "1" or "4";
+        var title = file.Tag.Title ?? "";
+        return title.Contains("[Explicit]", StringComparison.OrdinalIgnoreCase)
+            || title.Contains("(Explicit)", StringComparison.OrdinalIgnoreCase);
+    }
+
+    private static async Task<Album> FindOrCreateAlbumAsync(MusicDbContext db, string name, string artist, Track track)
+    {
+        var lname = name.ToLower();
+        var lartist = artist.ToLower();
+        var album = db.Albums.Local.FirstOrDefault(a => a.Name.ToLower() == lname && a.Artist.ToLower() == lartist)
+            ?? await db.Albums.FirstOrDefaultAsync(a => a.Name.ToLower() == lname && a.Artist.ToLower() == lartist);
+        if (album != null) return album;
+
+        album = new Album { Name = name, Artist = artist, Year = track.Year, Genre = track.Genre, DateAdded = DateTime.UtcNow };
+        db.Albums.Add(album);
+        await db.SaveChangesAsync();
+        return album;
+    }
+
+    // Refresh counts, year/genre, cover and loudness of every album that gained or lost tracks; drop emptied ones
+    private async Task UpdateAlbumsAsync(MusicDbContext db, HashSet<int> albumIds, TagChanges c, List<int> ids,
+        HashSet<int> coverAlbums, string? coverFile)
+    {
+        foreach (var albumId in albumIds)
+        {
+            var album = await db.Albums.FindAsync(albumId);
+            if (album == null) continue;
+            var albumTracks = await db.Tracks.Where(t => t.AlbumId == albumId).ToListAsync();
+            if (albumTracks.Count == 0)
+            {
+                db.Albums.Remove(album);
+                continue;
+            }
+            album.TrackCount = albumTracks.Count;
+            album.TotalDuration = albumTracks.Sum(t => t.Duration);
+            if (coverFile != null && coverAlbums.Contains(albumId)) album.CoverArtPath = coverFile;
+            // The album record follows its tracks when the whole album was part of the batch
+            if (albumTracks.All(t => ids.Contains(t.Id)))
+            {
+                if (c.SetYear) album.Year = c.Year;
+                if (c.Genre != null) album.Genre = c.Genre;
+            }
+        }
+        await db.SaveChangesAsync();
+        foreach (var albumId in albumIds)
+            await _loudness.UpdateAlbumAsync(db, albumId);
+    }
+
+    // Named after the image content, so uploading the same cover again reuses the file
+    private string? SaveCover(byte[] data)
+    {
+        try
+        {
+            var dir = Path.Combine(AppContext.BaseDirectory, "assets", "albumart");
+            Directory.CreateDirectory(dir);
+            var hash = Convert.ToHexString(System.Security.Cryptography.SHA256.HashData(data))[..16].ToLowerInvariant();
+            var filename = $"albumart_cover_{hash}.jpg";
+            var path = Path.Combine(dir, filename);
+            if (!File.Exists(path)) File.WriteAllBytes(path, data);
+            return filename;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning("Failed to save batch cover: {Error}", ex.Message);
+            return null;
+        }
+    }
+
+    // The scanner keeps an existing albumart_{id}.jpg on rescan; remove the old one so a rescan
+    // extracts the file's current picture instead of bringing the replaced cover back
+    private void DropExtractedArt(int trackId)
+    {
+        try { File.Delete(Path.Combine(AppContext.BaseDirectory, "assets", "albumart", $"albumart_{trackId}.jpg")); }
+        catch (Exception ex) { _logger.LogDebug("Could not remove old art for track {TrackId}: {Error}", trackId, ex.Message); }
+    }
+
+    private (bool Ok, string? Message) WriteFileTags(Track track, TagChanges c)
+    {
+        if (!File.Exists(track.FilePath)) return (false, "File not found");
+        try
+        {
+            using var file = TagLib.File.Create(track.FilePath);
+            var tag = file.Tag;
+            string? note = null;
+            if (c.Artist != null) tag.Performers = new[] { c.Artist };
+            if (c.AlbumArtist != null) tag.AlbumArtists = c.AlbumArtist.Length > 0 ? new[] { c.AlbumArtist } : Array.Empty<string>();
+            if (c.Album != null) tag.Album = c.Album;
+            if (c.Genre != null)
+                tag.Genres = c.Genre.Split(';', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries);
+            if (c.SetYear) tag.Year = (uint)(c.Year ?? 0);
+            if (c.SetDisc) tag.Disc = (uint)(c.DiscNumber ?? 0);
+            if (c.IsCompilation.HasValue)
+            {
+                var flagged = false;
+                if (file.GetTag(TagLib.TagTypes.Id3v2) is TagLib.Id3v2.Tag id3) { id3.IsCompilation = c.IsCompilation.Value; flagged = true; }
+                if (file.GetTag(TagLib.TagTypes.Apple) is TagLib.Mpeg4.AppleTag apple) { apple.IsCompilation = c.IsCompilation.Value; flagged = true; }
+                if (file.GetTag(TagLib.TagTypes.Xiph) is TagLib.Ogg.XiphComment xiph) { xiph.IsCompilation = c.IsCompilation.Value; flagged = true; }
+                if (!flagged && c.IsCompilation.Value) note = "Saved, but this format has no compilation tag";
+            }
+            if (c.Cover != null)
+            {
+                tag.Pictures = new TagLib.IPicture[]
+                {
+                    new TagLib.Picture(new TagLib.ByteVector(c.Cover))
+                    {
+                        Type = TagLib.PictureType.FrontCover,
+                        MimeType = "image/jpeg"
+                    }
+                };
+            }
+            file.Save();
+            return (true, note);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning("Cannot write tags to {File}: {Error}", track.FilePath, ex.Message);
+            return (false, ex switch
+            {
+                UnauthorizedAccessException => "File is read-only or access was denied",
+                IOException => "File is in use: " + ex.Message,
+                TagLib.UnsupportedFormatException => "Tag writing is not supported for this format",
+                TagLib.CorruptFileException => "File is damaged: " + ex.Message,
+                _ => ex.Message
+            });
+        }
+    }
+}
@@ -0,0 +1,118 @@
+using System.Text;
+using System.Text.Json;
+using System.Xml.Linq;
+using NexusM.Models;
+
+namespace NexusM.Services;
+
+/// <summary>
+/// Writes playlists as M3U, XSPF or JSPF (the JSON form of XSPF used by ListenBrainz/MusicBrainz).
+/// Paths are absolute by default; with a root folder, tracks under it are written relative to it
+/// ("Artist/Album/01 Song.flac") so the file works when copied to the root of a DAP or another player.
+/// XSPF/JSPF carry the MusicBrainz recording ID as an identifier when the track has one.
+/// Parsing of imported files happens in the client; see <see cref="PlaylistMatchService"/>.
+/// </summary>
+public class PlaylistExportService
+{
+    public static readonly string[] Formats = { "m3u", "m3u8", "xspf", "jspf" };
+
+    private const string MusicBrainzRecordingUrl = "https://musicbrainz.org/recording/";
+    private static readonly XNamespace Xspf = "http://xspf.org/ns/0/";
+
+    public record ExportFile(byte[] Content, string ContentType, string FileName);
+
+    public ExportFile Export(string format, string name, IEnumerable<Track> tracks, string? root, string? creator)
+    {
+        var safeName = string.Concat(name.Split(Path.GetInvalidFileNameChars())).Trim();
+        if (safeName.Length == 0) safeName = "playlist";
+        var list = tracks.ToList();
+        return format switch
+        {
+            "xspf" => new ExportFile(Encoding.UTF8.GetBytes(WriteXspf(name, list, root, creator)), "application/xspf+xml", $"{safeName}.xspf"),
+            "jspf" => new ExportFile(Encoding.UTF8.GetBytes(WriteJspf(name, list, root, creator)), "application/jspf+json", $"{safeName}.jspf"),
+            _ => new ExportFile(Encoding.UTF8.GetBytes(WriteM3u(name, list, root)), "audio/x-mpegurl", $"{safeName}.{(format == "m3u8" ? "m3u8" : "m3u")}")
+        };
+    }
+
+    private static string WriteM3u(string name, List<Track> tracks, string? root)
+    {
+        var sb = new StringBuilder("#EXTM3U\n");
+        sb.Append("#PLAYLIST:").Append(name).Append('\n');
+        foreach (var t in tracks)
+        {
+            sb.Append($"#EXTINF:{(int)Math.Round(t.Duration)},{t.Artist} - {t.Title}\n");
+            sb.Append(RelativePath(t.FilePath, root) ?? t.FilePath).Append('\n');
+        }
+        return sb.ToString();
+    }
+
+    private static string WriteXspf(string name, List<Track> tracks, string? root, string? creator)
+    {
+        var trackList = new XElement(Xspf + "trackList");
+        foreach (var t in tracks)
+        {
+            var el = new XElement(Xspf + "track", new XElement(Xspf + "location", Location(t.FilePath, root)));
+            if (!string.IsNullOrWhiteSpace(t.MusicBrainzId))
+                el.Add(new XElement(Xspf + "identifier", MusicBrainzRecordingUrl + t.MusicBrainzId.Trim()));
+            el.Add(new XElement(Xspf + "title", t.Title), new XElement(Xspf + "creator", t.Artist), new XElement(Xspf + "album", t.Album));
+            if (t.TrackNumber > 0) el.Add(new XElement(Xspf + "trackNum", t.TrackNumber));
+            if (t.Duration > 0) el.Add(new XElement(Xspf + "duration", (long)Math.Round(t.Duration * 1000)));
+            trackList.Add(el);
+        }
+
+        var playlist = new XElement(Xspf + "playlist", new XAttribute("version", "1"), new XElement(Xspf + "title", name));
+        if (!string.IsNullOrEmpty(creator)) playlist.Add(new XElement(Xspf + "creator", creator));
+        playlist.Add(new XElement(Xspf + "date", DateTime.UtcNow.ToString("yyyy-MM-ddTHH:mm:ssZ")), trackList);
+        return new XDeclaration("1.0", "UTF-8", null) + "\n" + playlist + "\n";
+    }
+
+    private static string WriteJspf(string name, List<Track> tracks, string? root, string? creator)
+    {
+        var playlist = new Dictionary<string, object?>
+        {
+            ["title"] = name,
+            ["creator"] = string.IsNullOrEmpty(creator) ? null : creator,
+            ["date"] = DateTime.UtcNow.ToString("yyyy-MM-ddTHH:mm:ssZ"),
+            ["track"] = tracks.Select(t =>
+            {
+                var track = new Dictionary<string, object?>
+                {
+                    ["location"] = new[] { Location(t.FilePath, root) },
+                    ["title"] = t.Title,
+                    ["creator"] = t.Artist,
+                    ["album"] = t.Album
+                };
+                // ListenBrainz expects an array of URLs here
+                if (!string.IsNullOrWhiteSpace(t.MusicBrainzId))
+                    track["identifier"] = new[] { MusicBrainzRecordingUrl + t.MusicBrainzId.Trim() };
+                if (t.TrackNumber > 0) track["trackNum"] = t.TrackNumber;
+                if (t.Duration > 0) track["duration"] = (long)Math.Round(t.Duration * 1000);
+                return track;
+            }).ToList()
+        };
+        return JsonSerializer.Serialize(new { playlist },
+            new JsonSerializerOptions { WriteIndented = true, DefaultIgnoreCondition = System.Text.Json.Serialization.JsonIgnoreCondition.WhenWritingNull });
+    }
+
+    /// <summary>
+    /// XSPF location: a relative URI reference when the track is under the root, otherwise a file:// URI.
+    /// </summary>
+    private static string Location(string filePath, string? root)
+    {
+        var relative = RelativePath(filePath, root);
+        if (relative != null) return string.Join("/", relative.Split('/').Select(Uri.EscapeDataString));
+        return Path.IsPathRooted(filePath) ? new Uri(filePath).AbsoluteUri : filePath;
+    }
+
+    /// <summary>
+    /// Path of the file relative to root with forward slashes, or null when there is no root or the
+    /// file is outside it.
+    /// </summary>
+    public static string? RelativePath(string filePath, string? root)
+    {
+        if (string.IsNullOrWhiteSpace(root)) return null;
+        var rel = Path.GetRelativePath(root.Trim(), filePath);
+        if (rel == filePath || rel.StartsWith("..") || Path.IsPathRooted(rel)) return null;
+        return rel.Replace('\\', '/');
+    }
+}
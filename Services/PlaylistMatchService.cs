@@ -0,0 +1,221 @@
+using System.Globalization;
+using System.Text;
+using System.Text.RegularExpressions;
+using NexusM.Models;
+
+namespace NexusM.Services;
+
+/// <summary>
+/// Matches entries of imported M3U/PLS/XSPF/JSPF playlists against the music library.
+/// A MusicBrainz recording ID (from XSPF/JSPF identifiers) that a track is tagged with wins outright.
+/// Paths are tried next — full path, then the last 3 / 2 / 1 path segments, so playlists written
+/// on another machine (foobar2000 on D:\Music, iTunes on a Mac) still resolve. Everything else is
+/// scored by title, artist and duration similarity and returned with its best candidates so the
+/// user can review the result.
+/// Status: "exact" (MBID or path), "matched" (confident fuzzy match), "review" (plausible), "none".
+/// </summary>
+public class PlaylistMatchService
+{
+    public record ImportEntry(string? Path, string? Title, string? Artist, double? Duration, string? Mbid = null);
+    public record MatchCandidate(int TrackId, double Score);
+    public record MatchResult(int Index, string Status, int? TrackId, List<MatchCandidate> Candidates);
+
+    private const double MatchedScore = 0.9;
+    private const double ReviewScore = 0.6;
+    private const double CandidateScore = 0.35;
+
+    private static readonly Regex Decorations = new(
+        @"[\(\[][^\)\]]*\b(feat|ft|featuring|remaster(ed)?|bonus|explicit|version|edit|mono|stereo)\b[^\)\]]*[\)\]]",
+        RegexOptions.IgnoreCase | RegexOptions.Compiled);
+    private static readonly Regex NonWord = new(@"[^\p{L}\p{N}]+", RegexOptions.Compiled);
+    private static readonly Regex TrackNumberPrefix = new(@"^\s*(\d{1,2}[-.])?\d{1,3}\s*[-.)_ ]\s*", RegexOptions.Compiled);
+
+    /// <summary>
+    /// Match every entry, in order. Candidates are the top 5 scored tracks (best first).
+    /// </summary>
+    public List<MatchResult> Match(IReadOnlyList<ImportEntry> entries, List<Track> library)
+    {
+        var index = new LibraryIndex(library);
+        return entries.Select((e, i) => MatchOne(i, e, index)).ToList();
+    }
+
+    private static MatchResult MatchOne(int i, ImportEntry entry, LibraryIndex index)
+    {
+        var byPath = index.FindByMbid(entry.Mbid) ?? index.FindByPath(entry.Path);
+        var (title, artist) = Describe(entry);
+        var normTitle = Normalize(title);
+        var normArtist = Normalize(artist);
+
+        var scored = new Dictionary<int, double>();
+        foreach (var t in index.Candidates(normTitle))
+            scored[t.Id] = Score(normTitle, normArtist, entry.Duration, index.Norm(t));
+        if (byPath != null) scored[byPath.Id] = 1.0;
+
+        var candidates = scored.Where(kv => kv.Value >= CandidateScore)
+            .OrderByDescending(kv => kv.Value).Take(5)
+            .Select(kv => new MatchCandidate(kv.Key, Math.Round(kv.Value, 3))).ToList();
+
+        if (byPath != null) return new MatchResult(i, "exact", byPath.Id, candidates);
+        var best = candidates.FirstOrDefault();
+        if (best == null) return new MatchResult(i, "none", null, candidates);
+        // Two near-identical candidates (same song on an album and a compilation) → let the user pick
+        var runnerUp = candidates.Count > 1 ? candidates[1].Score : 0;
+        var status = best.Score >= MatchedScore && best.Score - runnerUp >= 0.02 ? "matched"
+            : best.Score >= ReviewScore ? "review" : "none";
+        return new MatchResult(i, status, status == "none" ? null : best.TrackId, candidates);
+    }
+
+    // Title/artist from #EXTINF, falling back to the file name ("01 - Artist - Title.mp3")
+    private static (string Title, string Artist) Describe(ImportEntry entry)
+    {
+        var title = entry.Title ?? "";
+        var artist = entry.Artist ?? "";
+        if (string.IsNullOrWhiteSpace(title) && !string.IsNullOrWhiteSpace(entry.Path))
+        {
+            var name = TrackNumberPrefix.Replace(Path.GetFileNameWithoutExtension(SplitPath(entry.Path).LastOrDefault() ?? ""), "");
+            var dash = name.IndexOf(" - ", StringComparison.Ordinal);
+            if (dash > 0 && string.IsNullOrWhiteSpace(artist))
+            {
+                artist = name[..dash];
+                title = name[(dash + 3)..];
+            }
+            else title = name;
+        }
+        return (title, artist);
+    }
+
+    private static double Score(string title, string artist, double? duration, (string Title, string Artist, string AlbumArtist, double Duration) t)
+    {
+        var titleSim = Similarity(title, t.Title);
+        var hasDuration = duration is > 0 && t.Duration > 0;
+        var durSim = hasDuration ? Math.Max(0, 1 - Math.Abs(duration!.Value - t.Duration) / 15) : 0;
+
+        if (string.IsNullOrEmpty(artist))
+            return hasDuration ? titleSim * 0.85 + durSim * 0.15 : titleSim * 0.9;
+
+        var artistSim = Math.Max(Similarity(artist, t.Artist), Similarity(artist, t.AlbumArtist));
+        return hasDuration
+            ? titleSim * 0.6 + artistSim * 0.3 + durSim * 0.1
+            : titleSim * 0.65 + artistSim * 0.35;
+    }
+
+    /// <summary>
+    /// Lower-case, accent-free, punctuation-free form of a title or artist, without
+    /// "(feat. …)" / "[Remastered]" decorations.
+    /// </summary>
+    public static string Normalize(string? s)
+    {
+        if (string.IsNullOrWhiteSpace(s)) return "";
+        s = Decorations.Replace(s, " ").Replace("&", " and ");
+        var sb = new StringBuilder();
+        foreach (var c in s.Normalize(NormalizationForm.FormD))
+            if (CharUnicodeInfo.GetUnicodeCategory(c) != UnicodeCategory.NonSpacingMark) sb.Append(c);
+        s = NonWord.Replace(sb.ToString().ToLowerInvariant(), " ").Trim();
+        return s.StartsWith("the ") ? s[4..] : s;
+    }
+
+    // Best of token overlap (word order, extra words) and edit distance (typos, spelling variants)
+    private static double Similarity(string a, string b)
+    {
+        if (a.Length == 0 || b.Length == 0) return 0;
+        if (a == b) return 1;
+        var ta = a.Split(' ').ToHashSet();
+        var tb = b.Split(' ').ToHashSet();
+        var dice = 2.0 * ta.Intersect(tb).Count() / (ta.Count + tb.Count);
+        if (dice < 0.3 || a.Length > 80 || b.Length > 80) return dice;
+        var lev = 1.0 - (double)Levenshtein(a, b) / Math.Max(a.Length, b.Length);
+        return Math.Max(dice, lev);
+    }
+
+    private static int Levenshtein(string a, string b)
+    {
+        var prev = new int[b.Length + 1];
+        var cur = new int[b.Length + 1];
+        for (var j = 0; j <= b.Length; j++) prev[j] = j;
+        for (var i = 1; i <= a.Length; i++)
+        {
+            cur[0] = i;
+            for (var j = 1; j <= b.Length; j++)
+                cur[j] = Math.Min(Math.Min(cur[j - 1] + 1, prev[j] + 1), prev[j - 1] + (a[i - 1] == b[j - 1] ? 0 : 1));
+            (prev, cur) = (cur, prev);
+        }
+        return prev[b.Length];
+    }
+
+    private static string[] SplitPath(string path)
+    {
+        path = path.Trim();
+        if (path.StartsWith("file:", StringComparison.OrdinalIgnoreCase))
+            path = Uri.UnescapeDataString(Regex.Replace(path, "^file:/*", "/", RegexOptions.IgnoreCase));
+        return path.Replace('\\', '/').ToLowerInvariant().Split('/', StringSplitOptions.RemoveEmptyEntries);
+    }
+
+    /// <summary>
+    /// Lookups by MusicBrainz recording ID, full path and trailing path segments, plus a title-word
+    /// index for fuzzy candidates. Keys shared by several tracks are marked ambiguous and never used.
+    /// </summary>
+    private class LibraryIndex
+    {
+        private readonly Dictionary<string, Track?>[] _byTail = { new(), new(), new(), new() };   // [0] = full path
+        private readonly Dictionary<string, Track?> _byMbid = new(StringComparer.OrdinalIgnoreCase);
+        private readonly Dictionary<string, List<Track>> _byWord = new();
+        private readonly Dictionary<int, (string, string, string, double)> _norm = new();
+
+        public LibraryIndex(List<Track> library)
+        {
+            foreach (var t in library)
+            {
+                var parts = SplitPath(t.FilePath);
+                AddPathKey(0, string.Join("/", parts), t);
+                for (var n = 1; n <= 3 && n <= parts.Length; n++)
+                    AddPathKey(n, string.Join("/", parts[^n..]), t);
+                if (!string.IsNullOrWhiteSpace(t.MusicBrainzId))
+                {
+                    var mbid = t.MusicBrainzId.Trim();
+                    _byMbid[mbid] = _byMbid.ContainsKey(mbid) ? null : t;
+                }
+
+                var title = Normalize(t.Title);
+                _norm[t.Id] = (title, Normalize(t.Artist), Normalize(t.AlbumArtist), t.Duration);
+                foreach (var w in title.Split(' ').Where(w => w.Length > 1).Distinct())
+                {
+                    if (!_byWord.TryGetValue(w, out var list)) _byWord[w] = list = new();
+                    list.Add(t);
+                }
+            }
+        }
+
+        private void AddPathKey(int n, string key, Track t)
+        {
+            var map = _byTail[n];
+            map[key] = map.ContainsKey(key) ? null : t;
+        }
+
+        public (string Title, string Artist, string AlbumArtist, double Duration) Norm(Track t) => _norm[t.Id];
+
+        public Track? FindByMbid(string? mbid) =>
+            !string.IsNullOrWhiteSpace(mbid) && _byMbid.TryGetValue(mbid.Trim(), out var t) ? t : null;
+
+        public Track? FindByPath(string? path)
+        {
+            if (string.IsNullOrWhiteSpace(path)) return null;
+            var parts = SplitPath(path);
+            if (parts.Length == 0) return null;
+            if (_byTail[0].TryGetValue(string.Join("/", parts), out var full) && full != null) return full;
+            for (var n = Math.Min(3, parts.Length); n >= 1; n--)
+                if (_byTail[n].TryGetValue(string.Join("/", parts[^n..]), out var t) && t != null) return t;
+            return null;
+        }
+
+        public IEnumerable<Track> Candidates(string normTitle)
+        {
+            var seen = new HashSet<int>();
+            foreach (var w in normTitle.Split(' ').Where(w => w.Length > 1).Distinct())
+            {
+                if (!_byWord.TryGetValue(w, out var list)) continue;
+                foreach (var t in list)
+                    if (seen.Add(t.Id)) yield return t;
+            }
+        }
+    }
+}
@@ -0,0 +1,214 @@
+using System.Globalization;
+using System.Text.Json;
+using System.Text.Json.Serialization;
+using NexusM.Models;
+
+namespace NexusM.Services;
+
+/// <summary>
+/// Evaluates rule-based ("smart") playlists against the music library.
+/// A rule tree is a group node { match: "all"|"any", rules: [...] } whose children are either
+/// nested groups or conditions { field, op, value, value2 }.
+///   Text fields:   genre, artist, format          ops: is, isNot, contains, notContains
+///   Number fields: year, rating, playCount,       ops: is, gte, lte, between
+///                  bitrate (kbps), sampleRate (Hz)
+///   Date fields:   lastPlayed, dateAdded          ops: inLast, notInLast (days), never (lastPlayed only)
+///   customGenre:   is, isNot — the client embeds the custom genre's genres/folders in the rule
+/// Play count and last played come from the requesting user's PlayCounts table.
+/// Definitions are stored per user by <see cref="UserFavouritesService"/>.
+/// </summary>
+public class SmartPlaylistService
+{
+    public static readonly string[] SortKeys =
+        { "artist", "title", "album", "yearAsc", "yearDesc", "rating", "mostPlayed", "leastPlayed", "lastPlayed", "recentlyAdded", "random" };
+
+    private static readonly JsonSerializerOptions JsonOpts = new()
+    {
+        PropertyNamingPolicy = JsonNamingPolicy.CamelCase,
+        PropertyNameCaseInsensitive = true,
+        DefaultIgnoreCondition = JsonIgnoreCondition.WhenWritingNull
+    };
+
+    private readonly ILogger<SmartPlaylistService> _logger;
+
+    public SmartPlaylistService(ILogger<SmartPlaylistService> logger)
+    {
+        _logger = logger;
+    }
+
+    public class SmartRule
+    {
+        // Group node
+        public string? Match { get; set; }
+        public List<SmartRule>? Rules { get; set; }
+
+        // Condition node
+        public string? Field { get; set; }
+        public string? Op { get; set; }
+        public string? Value { get; set; }
+        public string? Value2 { get; set; }
+        public string[]? Genres { get; set; }
+        public string[]? Folders { get; set; }
+        public string? Label { get; set; }   // display name of a custom genre, for the client's rule summary
+
+        [JsonIgnore] public bool IsGroup => Rules != null;
+    }
+
+    public SmartRule Parse(string? json)
+    {
+        if (!string.IsNullOrWhiteSpace(json))
+        {
+            try
+            {
+                var rule = JsonSerializer.Deserialize<SmartRule>(json, JsonOpts);
+                if (rule != null) return rule.IsGroup ? rule : new SmartRule { Match = "all", Rules = new() { rule } };
+            }
+            catch (JsonException ex)
+            {
+                _logger.LogWarning("Invalid smart playlist rules: {Message}", ex.Message);
+            }
+        }
+        return new SmartRule { Match = "all", Rules = new() };
+    }
+
+    public string Serialize(SmartRule rule) => JsonSerializer.Serialize(rule, JsonOpts);
+
+    /// <summary>
+    /// Check a rule tree for unknown fields/operators and excessive nesting. Returns an error message or null.
+    /// </summary>
+    public string? Validate(SmartRule node, int depth = 0)
+    {
+        if (depth > 5) return "Rules are nested too deeply";
+        if (node.IsGroup)
+        {
+            if (node.Match is not ("all" or "any")) return $"Unknown match type '{node.Match}'";
+            foreach (var child in node.Rules!)
+            {
+                var err = Validate(child, depth + 1);
+                if (err != null) return err;
+            }
+            return null;
+        }
+        var ops = node.Field switch
+        {
+            "genre" or "artist" or "format" => new[] { "is", "isNot", "contains", "notContains" },
+            "year" or "rating" or "playCount" or "bitrate" or "sampleRate" => new[] { "is", "gte", "lte", "between" },
+            "lastPlayed" => new[] { "inLast", "notInLast", "never" },
+            "dateAdded" => new[] { "inLast", "notInLast" },
+            "customGenre" => new[] { "is", "isNot" },
+            _ => null
+        };
+        if (ops == null) return $"Unknown field '{node.Field}'";
+        if (!ops.Contains(node.Op)) return $"Operator '{node.Op}' can't be used with {node.Field}";
+        return null;
+    }
+
+    /// <summary>
+    /// Filter, sort and limit the library. limit &lt;= 0 means no limit.
+    /// </summary>
+    public List<Track> Evaluate(IEnumerable<Track> tracks, SmartRule rules, string? sort, int limit,
+        Dictionary<int, (int Count, DateTime? LastPlayed)> plays)
+    {
+        var now = DateTime.UtcNow;
+        var matched = tracks.Where(t => Matches(rules, t, plays, now));
+
+        (int Count, DateTime? LastPlayed) P(Track t) => plays.TryGetValue(t.Id, out var p) ? p : (0, null);
+        matched = sort switch
+        {
+            "title" => matched.OrderBy(t => t.Title, StringComparer.OrdinalIgnoreCase),
+            "album" => matched.OrderBy(t => t.Album, StringComparer.OrdinalIgnoreCase).ThenBy(t => t.DiscNumber).ThenBy(t => t.TrackNumber),
+            "yearAsc" => matched.OrderBy(t => t.Year ?? int.MaxValue).ThenBy(t => t.Artist, StringComparer.OrdinalIgnoreCase),
+            "yearDesc" => matched.OrderByDescending(t => t.Year ?? 0).ThenBy(t => t.Artist, StringComparer.OrdinalIgnoreCase),
+            "rating" => matched.OrderByDescending(t => t.Rating).ThenByDescending(t => P(t).Count),
+            "mostPlayed" => matched.OrderByDescending(t => P(t).Count),
+            "leastPlayed" => matched.OrderBy(t => P(t).Count),
+            "lastPlayed" => matched.OrderByDescending(t => P(t).LastPlayed ?? DateTime.MinValue),
+            "recentlyAdded" => matched.OrderByDescending(t => t.DateAdded),
+            "random" => matched.OrderBy(_ => Random.Shared.Next()),
+            _ => matched.OrderBy(t => t.Artist, StringComparer.OrdinalIgnoreCase)
+                        .ThenBy(t => t.Album, StringComparer.OrdinalIgnoreCase).ThenBy(t => t.TrackNumber)
+        };
+        if (limit > 0) matched = matched.Take(limit);
+        return matched.ToList();
+    }
+
+    private static bool Matches(SmartRule node, Track t, Dictionary<int, (int Count, DateTime? LastPlayed)> plays, DateTime now)
+    {
+        if (node.IsGroup)
+        {
+            // An empty group matches everything, so a new playlist starts as "whole library"
+            if (node.Rules!.Count == 0) return true;
+            return node.Match == "any"
+                ? node.Rules.Any(r => Matches(r, t, plays, now))
+                : node.Rules.All(r => Matches(r, t, plays, now));
+        }
+
+        plays.TryGetValue(t.Id, out var p);
+        return node.Field switch
+        {
+            "genre" => MatchText(t.Genre, node),
+            "artist" => MatchText(t.Artist, node) || (node.Op is "is" or "contains" && MatchText(t.AlbumArtist, node)),
+            "format" => MatchText(FormatOf(t), node),
+            "year" => t.Year.HasValue && MatchNumber(t.Year.Value, node),
+            "rating" => MatchNumber(t.Rating, node),
+            "playCount" => MatchNumber(p.Count, node),
+            "bitrate" => MatchNumber(t.Bitrate, node),
+            "sampleRate" => MatchNumber(t.SampleRate, node),
+            "lastPlayed" => MatchDate(p.LastPlayed, node, now),
+            "dateAdded" => MatchDate(t.DateAdded, node, now),
+            "customGenre" => (node.Op == "isNot") != InCustomGenre(t, node),
+            _ => false
+        };
+    }
+
+    private static string FormatOf(Track t) =>
+        !string.IsNullOrEmpty(t.Codec) ? t.Codec : Path.GetExtension(t.FilePath).TrimStart('.');
+
+    private static bool MatchText(string? field, SmartRule rule)
+    {
+        field ??= "";
+        var value = rule.Value ?? "";
+        // Multi-value tags ("Rock; Indie") count as a match on any of their parts
+        bool IsEqual() => string.Equals(field, value, StringComparison.OrdinalIgnoreCase)
+            || field.Split(';', '/', ',').Any(part => string.Equals(part.Trim(), value, StringComparison.OrdinalIgnoreCase));
+        return rule.Op switch
+        {
+            "is" => IsEqual(),
+            "isNot" => !IsEqual(),
+            "contains" => field.Contains(value, StringComparison.OrdinalIgnoreCase),
+            "notContains" => !field.Contains(value, StringComparison.OrdinalIgnoreCase),
+            _ => false
+        };
+    }
+
+    private static bool MatchNumber(double field, SmartRule rule)
+    {
+        if (!double.TryParse(rule.Value, NumberStyles.Float, CultureInfo.InvariantCulture, out var a)) return false;
+        switch (rule.Op)
+        {
+            case "is": return Math.Abs(field - a) < 0.0001;
+            case "gte": return field >= a;
+            case "lte": return field <= a;
+            case "between":
+                if (!double.TryParse(rule.Value2, NumberStyles.Float, CultureInfo.InvariantCulture, out var b)) b = a;
+                return field >= Math.Min(a, b) && field <= Math.Max(a, b);
+            default: return false;
+        }
+    }
+
+    private static bool MatchDate(DateTime? field, SmartRule rule, DateTime now)
+    {
+        if (rule.Op == "never") return field == null;
+        if (!double.TryParse(rule.Value, NumberStyles.Float, CultureInfo.InvariantCulture, out var days)) return false;
+        var within = field.HasValue && field.Value >= now.AddDays(-days);
+        return rule.Op == "inLast" ? within : !within;
+    }
+
+    private static bool InCustomGenre(Track t, SmartRule rule)
+    {
+        if (rule.Genres?.Any(g => MatchText(t.Genre, new SmartRule { Op = "is", Value = g })) == true) return true;
+        if (rule.Folders == null || rule.Folders.Length == 0) return false;
+        var parts = (Path.GetDirectoryName(t.FilePath) ?? "").Split('/', '\\');
+        return rule.Folders.Any(f => parts.Contains(f, StringComparer.OrdinalIgnoreCase));
+    }
+}
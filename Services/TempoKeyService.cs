@@ -0,0 +1,125 @@
+using System.Text.RegularExpressions;
+using NexusM.Data;
+using NexusM.Models;
+
+namespace NexusM.Services;
+
+/// <summary>
+/// Stores tempo (BPM) and musical key for tracks. Both come from the file's TBPM / TKEY tags when it has them
+/// (read by the scanner), otherwise from the browser's analysis, and can be corrected in the track editor.
+/// The analysis also finds the first beat, which the automix needs to line crossfades up on the beat grid.
+/// Keys are stored in one canonical spelling ("C", "F#", "Bb", "Am", "C#m", "Ebm") whatever the tag used —
+/// note names, "A minor", Camelot "8A" or Open Key "1m" — so the player can map them onto the Camelot wheel.
+/// </summary>
+public class TempoKeyService
+{
+    public const double MinBpm = 30;
+    public const double MaxBpm = 300;
+
+    // A measured tempo this close to a tagged one is the same tempo, only more precise
+    private const double SameTempo = 0.02;
+
+    private static readonly string[] MajorNames = { "C", "Db", "D", "Eb", "E", "F", "F#", "G", "Ab", "A", "Bb", "B" };
+    private static readonly string[] MinorNames = { "Cm", "C#m", "Dm", "Ebm", "Em", "Fm", "F#m", "Gm", "G#m", "Am", "Bbm", "Bm" };
+    private static readonly int[] NaturalPitch = { 9, 11, 0, 2, 4, 5, 7 };   // A..G
+
+    private static readonly Regex CamelotRx = new(@"^(\d{1,2})\s*([AB])$", RegexOptions.IgnoreCase);
+    private static readonly Regex OpenKeyRx = new(@"^(\d{1,2})\s*([DM])$", RegexOptions.IgnoreCase);
+    private static readonly Regex NoteRx = new(@"^([A-G])\s*(#|b|♯|♭|sharp|flat)?\s*(m|min|minor|maj|major)?$", RegexOptions.IgnoreCase);
+
+    private readonly ILogger<TempoKeyService> _logger;
+
+    public TempoKeyService(ILogger<TempoKeyService> logger)
+    {
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// Canonical spelling of a key, or null if it isn't one (including the ID3 "o" for off-key).
+    /// </summary>
+    public static string? NormalizeKey(string? raw)
+    {
+        var s = (raw ?? "").Trim();
+        if (s == "") return null;
+
+        var m = CamelotRx.Match(s);
+        if (m.Success) return FromWheel(int.Parse(m.Groups[1].Value), m.Groups[2].Value.ToUpperInvariant() == "A");
+        m = OpenKeyRx.Match(s);
+        if (m.Success)
+        {
+            var n = int.Parse(m.Groups[1].Value);
+            // Open Key 1d is C, Camelot 8B
+            return n is < 1 or > 12 ? null : FromWheel((n + 6) % 12 + 1, m.Groups[2].Value.ToUpperInvariant() == "M");
+        }
+        m = NoteRx.Match(s);
+        if (!m.Success) return null;
+
+        var pitch = NaturalPitch[char.ToUpperInvariant(m.Groups[1].Value[0]) - 'A'];
+        var accidental = m.Groups[2].Value.ToLowerInvariant();
+        if (accidental is "#" or "♯" or "sharp") pitch++;
+        else if (accidental is "b" or "♭" or "flat") pitch--;
+        pitch = (pitch + 12) % 12;
+        // A lone "M" is how some taggers write major
+        var quality = m.Groups[3].Value;
+        var minor = quality == "m" || quality.StartsWith("min", StringComparison.OrdinalIgnoreCase);
+        return minor ? MinorNames[pitch] : MajorNames[pitch];
+    }
+
+    // Camelot number 1-12 (8B = C, 8A = Am) to a canonical key name
+    private static string? FromWheel(int number, bool minor)
+    {
+        if (number is < 1 or > 12) return null;
+        // Each step round the wheel is a fifth (7 semitones); 7 is its own inverse mod 12
+        var major = (number - 8 + 12) % 12 * 7 % 12;
+        return minor ? MinorNames[(major + 9) % 12] : MajorNames[major];
+    }
+
+    /// <summary>
+    /// Tempo from a TBPM tag: taggers write 0 for "unknown", and some write tempos no music has.
+    /// </summary>
+    public static double? TagBpm(uint bpm) => bpm >= MinBpm && bpm <= MaxBpm ? bpm : null;
+
+    /// <summary>
+    /// Check an analysis result or an edit for impossible values. Returns an error message or null.
+    /// </summary>
+    public string? Validate(double? bpm, string? key, double? beatOffset)
+    {
+        if (bpm.HasValue && (double.IsNaN(bpm.Value) || bpm < MinBpm || bpm > MaxBpm))
+            return $"Tempo must be between {MinBpm} and {MaxBpm} BPM";
+        if (!string.IsNullOrWhiteSpace(key) && NormalizeKey(key) == null) return $"'{key}' is not a musical key";
+        if (beatOffset.HasValue && (double.IsNaN(beatOffset.Value) || beatOffset < 0 || beatOffset > 60))
+            return "First beat must be within the first minute";
+        return null;
+    }
+
+    /// <summary>
+    /// Save an analysis result. The beat offset is always stored; tempo and key only fill in what tags or
+    /// an edit haven't already set — except that a measured tempo agreeing with the stored one replaces it,
+    /// as tags only hold whole BPM and the beat grid needs the exact value. Returns null if the track doesn't exist.
+    /// </summary>
+    public async Task<Track?> SaveAnalysisAsync(MusicDbContext db, int trackId, double? bpm, string? key, double? beatOffset)
+    {
+        var track = await db.Tracks.FindAsync(trackId);
+        if (track == null) return null;
+        if (bpm.HasValue && (track.Bpm == null || Math.Abs(bpm.Value / track.Bpm.Value - 1) <= SameTempo))
+            track.Bpm = Math.Round(bpm.Value, 2);
+        track.MusicalKey ??= NormalizeKey(key);
+        track.BeatOffset = beatOffset.HasValue ? Math.Round(beatOffset.Value, 3) : 0;
+        await db.SaveChangesAsync();
+        return track;
+    }
+
+    /// <summary>
+    /// Save tempo and key as entered in the track editor; empty values clear them.
+    /// </summary>
+    public async Task<Track?> SaveEditAsync(MusicDbContext db, int trackId, double? bpm, string? key)
+    {
+        var track = await db.Tracks.FindAsync(trackId);
+        if (track == null) return null;
+        track.Bpm = bpm.HasValue ? Math.Round(bpm.Value, 2) : null;
+        track.MusicalKey = NormalizeKey(key);
+        await db.SaveChangesAsync();
+        _logger.LogDebug("Track {TrackId} tempo/key set to {Bpm} / {Key}", trackId, track.Bpm, track.MusicalKey);
+        return track;
+    }
+}
@@ -0,0 +1,186 @@
+using NexusM.Models;
+
+namespace NexusM.Services;
+
+/// <summary>
+/// Endless "radio" seeded from a track or an album, drawn from the library alone. Candidates are
+/// scored against the seed on:
+///   genre    — shared genre tags (multi-value tags split on ; / ,) and shared custom genres
+///   era      — distance between release years
+///   tempo    — closeness of BPM, counting half and double time as the same pulse (only when both have one)
+///   artist   — the seed's own artists, and the artists the user keeps next to them in playlists and listening sessions
+///   together — sharing a playlist with a seed track, or being played in the same listening session
+///   feedback — the user's radio thumbs up/down on the track, on its artist and on its genres
+/// Tracks voted down never come back. Picks are drawn at random from the best candidates, weighted by
+/// score, so a station doesn't replay in the same order, and an artist appears at most once per batch.
+/// The client asks for the next batch as its queue runs low, passing what it has already queued.
+/// Votes are stored per user by <see cref="UserFavouritesService"/>.
+/// </summary>
+public class TrackRadioService
+{
+    public const int MaxBatch = 25;
+
+    // Listens further apart than this belong to different sittings
+    private static readonly TimeSpan SessionGap = TimeSpan.FromMinutes(30);
+
+    /// <summary>A custom genre as the client carries it: its genre names and folder names.</summary>
+    public record CustomGenre(string[]? Genres, string[]? Folders);
+
+    /// <summary>What the user's own data says about the library: playlist membership, recent listens, radio votes.</summary>
+    public record UserSignals(
+        List<(int PlaylistId, int TrackId)> PlaylistEntries,
+        List<(int TrackId, DateTime StartedAt)> Listens,
+        List<UserFavouritesService.RadioVote> Votes);
+
+    private record Candidate(Track Track, string Artist, double Score);
+
+    /// <summary>
+    /// The next batch of a station. exclude = tracks already queued or played; recentArtists = the artists
+    /// that just played, which the batch avoids repeating while it has alternatives.
+    /// </summary>
+    public List<Track> Pick(IReadOnlyCollection<Track> seeds, IReadOnlyCollection<Track> library, UserSignals signals,
+        IReadOnlyList<CustomGenre> customGenres, ISet<int> exclude, IEnumerable<string> recentArtists, int count)
+    {
+        count = Math.Clamp(count, 1, MaxBatch);
+        if (seeds.Count == 0) return new();
+
+        var byId = library.ToDictionary(t => t.Id);
+        var seedIds = seeds.Select(t => t.Id).ToHashSet();
+        var seedSongs = seeds.Select(SongKey).ToHashSet();
+        var seedArtists = seeds.Select(ArtistOf).Where(a => a != "").ToHashSet();
+        var seedTags = seeds.SelectMany(t => Tags(t.Genre)).ToHashSet();
+        var seedCustom = customGenres.Where(cg => seeds.Any(t => InCustomGenre(t, cg))).ToList();
+        var years = seeds.Where(t => t.Year > 0).Select(t => t.Year!.Value).OrderBy(y => y).ToList();
+        int? era = years.Count > 0 ? years[years.Count / 2] : null;
+        var bpms = seeds.Where(t => t.Bpm > 0).Select(t => t.Bpm!.Value).OrderBy(b => b).ToList();
+        double? tempo = bpms.Count > 0 ? bpms[bpms.Count / 2] : null;
+
+        // Each playlist and each listening session is a group of tracks the user put together
+        var groups = signals.PlaylistEntries.GroupBy(e => e.PlaylistId).Select(g => g.Select(e => e.TrackId)).ToList();
+        groups.AddRange(Sessions(signals.Listens));
+        var together = new Dictionary<int, double>();
+        var artistAffinity = new Dictionary<string, double>();
+        foreach (var group in groups)
+        {
+            var members = group.Where(byId.ContainsKey).Distinct().ToList();
+            var artists = members.Select(id => ArtistOf(byId[id])).Where(a => a != "").ToHashSet();
+            if (members.Any(seedIds.Contains))
+                foreach (var id in members) together[id] = together.GetValueOrDefault(id) + 1;
+            if (artists.Overlaps(seedArtists))
+                foreach (var a in artists.Where(a => !seedArtists.Contains(a))) artistAffinity[a] = artistAffinity.GetValueOrDefault(a) + 1;
+        }
+        Normalize(together);
+        Normalize(artistAffinity);
+
+        var trackVotes = signals.Votes.ToDictionary(v => v.TrackId, v => v.Vote);
+        var artistVotes = signals.Votes.GroupBy(v => Key(v.Artist)).ToDictionary(g => g.Key, g => g.Sum(v => v.Vote));
+        var tagVotes = signals.Votes.SelectMany(v => Tags(v.Genre).Select(tag => (tag, v.Vote)))
+            .GroupBy(x => x.tag).ToDictionary(g => g.Key, g => g.Sum(x => x.Vote));
+
+        var related = new List<Candidate>();
+        var unrelated = new List<Candidate>();
+        foreach (var t in library)
+        {
+            if (seedIds.Contains(t.Id) || exclude.Contains(t.Id) || trackVotes.GetValueOrDefault(t.Id) < 0) continue;
+            if (seedSongs.Contains(SongKey(t))) continue;   // the same song on another release
+
+            var tags = Tags(t.Genre);
+            var shared = tags.Count(seedTags.Contains);
+            var genre = shared > 0 ? 0.5 + 0.5 * shared / seedTags.Union(tags).Count() : 0;
+            if (seedCustom.Any(cg => InCustomGenre(t, cg))) genre = Math.Max(genre, 0.8);
+            var eraScore = era == null || !(t.Year > 0) ? 0.3 : Math.Exp(-Math.Abs(t.Year!.Value - era.Value) / 8.0);
+            var artist = ArtistOf(t);
+            var artistScore = seedArtists.Contains(artist) ? 0.7 : artistAffinity.GetValueOrDefault(artist);
+            var togetherScore = together.GetValueOrDefault(t.Id);
+            var tempoScore = tempo == null || !(t.Bpm > 0) ? 0 : Math.Exp(-TempoDistance(t.Bpm!.Value, tempo.Value) / 0.06);
+
+            var score = 3 * genre + 1.5 * eraScore + 2 * artistScore + 2.5 * togetherScore + tempoScore;
+            if (trackVotes.GetValueOrDefault(t.Id) > 0) score += 1.5;
+            score += 0.5 * Math.Clamp(artistVotes.GetValueOrDefault(artist), -3, 3);
+            if (tags.Count > 0) score += 0.3 * Math.Clamp(tags.Average(tag => tagVotes.GetValueOrDefault(tag)), -3, 3);
+            if (score <= 0) continue;
+
+            var c = new Candidate(t, artist, score);
+            if (genre > 0 || artistScore > 0 || togetherScore > 0) related.Add(c);
+            else unrelated.Add(c);
+        }
+
+        // Draw from the strongest candidates; only reach for unrelated tracks when the library runs dry
+        var pool = related.OrderByDescending(c => c.Score).Take(Math.Max(count * 6, 60)).ToList();
+        if (pool.Count < count * 2)
+            pool.AddRange(unrelated.OrderByDescending(c => c.Score).Take(count * 2 - pool.Count));
+
+        var picks = new List<Track>();
+        var usedArtists = recentArtists.Select(Key).ToHashSet();
+        // First pass keeps artists apart; the second lets them repeat if the pool ran out of fresh ones
+        for (var pass = 0; pass < 2 && picks.Count < count; pass++)
+        {
+            var open = pool.Where(c => !picks.Contains(c.Track) && (pass == 1 || !usedArtists.Contains(c.Artist))).ToList();
+            while (picks.Count < count && open.Count > 0)
+            {
+                var roll = Random.Shared.NextDouble() * open.Sum(c => c.Score * c.Score);
+                var i = 0;
+                while (i < open.Count - 1 && (roll -= open[i].Score * open[i].Score) > 0) i++;
+                var chosen = open[i];
+                picks.Add(chosen.Track);
+                open.RemoveAt(i);
+                if (pass == 0 && chosen.Artist != "")
+                {
+                    usedArtists.Add(chosen.Artist);
+                    open.RemoveAll(c => c.Artist == chosen.Artist);
+                }
+            }
+        }
+        return picks;
+    }
+
+    private static IEnumerable<List<int>> Sessions(List<(int TrackId, DateTime StartedAt)> listens)
+    {
+        var session = new List<int>();
+        DateTime? last = null;
+        foreach (var (trackId, startedAt) in listens)
+        {
+            if (last != null && startedAt - last.Value > SessionGap)
+            {
+                if (session.Count > 1) yield return session;
+                session = new List<int>();
+            }
+            session.Add(trackId);
+            last = startedAt;
+        }
+        if (session.Count > 1) yield return session;
+    }
+
+    // Scale to 0..1 so the busiest playlist user and the occasional one weigh the same
+    private static void Normalize<TKey>(Dictionary<TKey, double> counts) where TKey : notnull
+    {
+        if (counts.Count == 0) return;
+        var max = counts.Values.Max();
+        foreach (var key in counts.Keys.ToList()) counts[key] /= max;
+    }
+
+    private static string Key(string? s) => (s ?? "").Trim().ToLowerInvariant();
+
+    private static string ArtistOf(Track t) => Key(string.IsNullOrWhiteSpace(t.Artist) ? t.AlbumArtist : t.Artist);
+
+    private static string SongKey(Track t) => ArtistOf(t) + "\n" + Key(t.Title);
+
+    // Tempo gap in octaves, folded so 70 and 140 BPM count as the same pulse (0 = same, 0.5 = furthest apart)
+    private static double TempoDistance(double a, double b)
+    {
+        var octaves = Math.Log2(a / b);
+        return Math.Abs(octaves - Math.Round(octaves));
+    }
+
+    private static HashSet<string> Tags(string? genre) =>
+        (genre ?? "").Split(';', '/', ',').Select(Key).Where(g => g != "").ToHashSet();
+
+    // Same membership test as the smart playlist customGenre rule: a genre tag or a folder name in the path
+    private static bool InCustomGenre(Track t, CustomGenre cg)
+    {
+        if (cg.Genres?.Any(g => Tags(t.Genre).Contains(Key(g))) == true) return true;
+        if (cg.Folders == null || cg.Folders.Length == 0) return false;
+        var parts = (Path.GetDirectoryName(t.FilePath) ?? "").Split('/', '\\');
+        return cg.Folders.Any(f => parts.Contains(f, StringComparer.OrdinalIgnoreCase));
+    }
+}
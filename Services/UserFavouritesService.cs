@@ -1,3 +1,4 @@
+using System.Text.Json;
 using Microsoft.Data.Sqlite;
 
 namespace NexusM.Services;
@@ -7,7 +8,15 @@ namespace NexusM.Services;
 /// Each user has their own database with:
 ///   Favourites(Id, MediaType, MediaId, DateAdded, UNIQUE(MediaType, MediaId))
 ///   PlayCounts(Id, MediaType, MediaId, Count, LastPlayed, UNIQUE(MediaType, MediaId))
+///   History(Id, MediaType, MediaId, Ref, Title, Subtitle, Art, StartedAt, Seconds)
+///   EqPresets(Id, Name, Settings, DateModified), EqDeviceProfiles(Device, Preset)
+///   Alarms(Id, Device, DeviceName, Label, Time, Days, Source, SourceId, SourceName, Shuffle, Volume, RampSeconds, Enabled)
+///   TrackLoops(Id, TrackId, Name, StartSeconds, EndSeconds)
+///   RadioFeedback(TrackId, Artist, Genre, Vote, DateModified)
+///   CategorySettings(Id = 1, Settings) — one JSON document
+///   Scrobbles(Id, TrackId, Title, Artist, Timestamp, Duration, Source, Status, Attempts, Error, NextTry, ClaimedUntil, SentAt)
 /// MediaType values: "track", "musicvideo", "video", "radio"
+/// (History also uses "episode", "podcast", "audiobook" and "tv")
 /// </summary>
 public class UserFavouritesService
 {
@@ -138,6 +147,30 @@ public class UserFavouritesService
         return results;
     }
 
+    /// <summary>
+    /// Get play count and last-played time for every played media item of a type, keyed by MediaId.
+    /// </summary>
+    public Dictionary<int, (int Count, DateTime? LastPlayed)> GetPlayStats(string username, string mediaType)
+    {
+        var results = new Dictionary<int, (int, DateTime?)>();
+        using var conn = OpenUserDb(username);
+        if (conn == null) return results;
+
+        using var cmd = conn.CreateCommand();
+        cmd.CommandText = "SELECT MediaId, Count, LastPlayed FROM PlayCounts WHERE MediaType = @type";
+        cmd.Parameters.AddWithValue("@type", mediaType);
+
+        using var reader = cmd.ExecuteReader();
+        while (reader.Read())
+        {
+            DateTime? last = reader.IsDBNull(2) ? null
+                : DateTime.SpecifyKind(DateTime.Parse(reader.GetString(2), System.Globalization.CultureInfo.InvariantCulture), DateTimeKind.Utc);
+            results[reader.GetInt32(0)] = (reader.GetInt32(1), last);
+        }
+
+        return results;
+    }
+
     /// <summary>
     /// Reset all play counts for a user (clears inflated data).
     /// </summary>
@@ -151,6 +184,161 @@ public class UserFavouritesService
         cmd.ExecuteNonQuery();
     }
 
+    // ─── History ──────────────────────────────────────────────────
+    // One row per listening/watching session, written by the client once something has played
+    // for a few seconds and updated with the time spent as playback continues. Title, subtitle and
+    // artwork are snapshots so entries stay readable after the library (or a radio list) changes.
+
+    /// <summary>
+    /// Add a history entry that started `seconds` ago. Returns the new entry ID.
+    /// </summary>
+    public long? AddHistoryEntry(string username, string mediaType, int? mediaId, string? reference,
+        string title, string? subtitle, string? art, double seconds)
+    {
+        using var conn = OpenUserDb(username);
+        if (conn == null) return null;
+
+        using var cmd = conn.CreateCommand();
+        cmd.CommandText = @"INSERT INTO History (MediaType, MediaId, Ref, Title, Subtitle, Art, StartedAt, Seconds)
+                            VALUES (@type, @id, @ref, @title, @sub, @art, datetime('now', @offset), @secs);
+                            SELECT last_insert_rowid()";
+        cmd.Parameters.AddWithValue("@type", mediaType);
+        cmd.Parameters.AddWithValue("@id", (object?)mediaId ?? DBNull.Value);
+        cmd.Parameters.AddWithValue("@ref", (object?)reference ?? DBNull.Value);
+        cmd.Parameters.AddWithValue("@title", title);
+        cmd.Parameters.AddWithValue("@sub", (object?)subtitle ?? DBNull.Value);
+        cmd.Parameters.AddWithValue("@art", (object?)art ?? DBNull.Value);
+        cmd.Parameters.AddWithValue("@offset", $"-{(int)seconds} seconds");
+        cmd.Parameters.AddWithValue("@secs", seconds);
+        return Convert.ToInt64(cmd.ExecuteScalar());
+    }
+
+    public bool UpdateHistorySeconds(string username, long id, double seconds)
+    {
+        using var conn = OpenUserDb(username);
+        if (conn == null) return false;
+
+        using var cmd = conn.CreateCommand();
+        cmd.CommandText = "UPDATE History SET Seconds = @secs WHERE Id = @id";
+        cmd.Parameters.AddWithValue("@secs", seconds);
+        cmd.Parameters.AddWithValue("@id", id);
+        return cmd.ExecuteNonQuery() > 0;
+    }
+
+    /// <summary>
+    /// History entries, newest first. types null = all; from/to are UTC; beforeId pages backwards.
+    /// </summary>
+    public List<Dictionary<string, object?>> GetHistory(string username, IReadOnlyCollection<string>? types,
+        DateTime? from, DateTime? to, long? beforeId, int limit)
+    {
+        var results = new List<Dictionary<string, object?>>();
+        using var conn = OpenUserDb(username);
+        if (conn == null) return results;
+
+        using var cmd = conn.CreateCommand();
+        var where = HistoryFilter(cmd, types, from, to);
+        if (beforeId != null)
+        {
+            where.Add("Id < @before");
+            cmd.Parameters.AddWithValue("@before", beforeId.Value);
+        }
+        cmd.CommandText = "SELECT Id, MediaType, MediaId, Ref, Title, Subtitle, Art, StartedAt, Seconds FROM History"
+            + (where.Count > 0 ? " WHERE " + string.Join(" AND ", where) : "")
+            + " ORDER BY Id DESC LIMIT @limit";
+        cmd.Parameters.AddWithValue("@limit", limit);
+
+        using var reader = cmd.ExecuteReader();
+        while (reader.Read())
+        {
+            results.Add(new Dictionary<string, object?>
+            {
+                ["id"] = reader.GetInt64(0),
+                ["mediaType"] = reader.GetString(1),
+                ["mediaId"] = reader.IsDBNull(2) ? null : reader.GetInt32(2),
+                ["ref"] = reader.IsDBNull(3) ? null : reader.GetString(3),
+                ["title"] = reader.GetString(4),
+                ["subtitle"] = reader.IsDBNull(5) ? null : reader.GetString(5),
+                ["art"] = reader.IsDBNull(6) ? null : reader.GetString(6),
+                ["startedAt"] = DateTime.SpecifyKind(DateTime.Parse(reader.GetString(7), System.Globalization.CultureInfo.InvariantCulture), DateTimeKind.Utc),
+                ["seconds"] = reader.GetDouble(8)
+            });
+        }
+        return results;
+    }
+
+    /// <summary>
+    /// The most recent music track plays (track ID and start time, oldest first) — enough to tell
+    /// which tracks the user listens to in the same sitting.
+    /// </summary>
+    public List<(int TrackId, DateTime StartedAt)> GetTrackListens(string username, int limit)
+    {
+        var results = new List<(int, DateTime)>();
+        using var conn = OpenUserDb(username);
+        if (conn == null) return results;
+
+        using var cmd = conn.CreateCommand();
+        cmd.CommandText = @"SELECT MediaId, StartedAt FROM
+                            (SELECT Id, MediaId, StartedAt FROM History WHERE MediaType = 'track' AND MediaId IS NOT NULL ORDER BY Id DESC LIMIT @limit)
+                            ORDER BY Id";
+        cmd.Parameters.AddWithValue("@limit", limit);
+        using var reader = cmd.ExecuteReader();
+        while (reader.Read())
+            results.Add((reader.GetInt32(0), DateTime.SpecifyKind(DateTime.Parse(reader.GetString(1), System.Globalization.CultureInfo.InvariantCulture), DateTimeKind.Utc)));
+        return results;
+    }
+
+    public bool DeleteHistoryEntry(string username, long id)
+    {
+        using var conn = OpenUserDb(username);
+        if (conn == null) return false;
+
+        using var cmd = conn.CreateCommand();
+        cmd.CommandText = "DELETE FROM History WHERE Id = @id";
+        cmd.Parameters.AddWithValue("@id", id);
+        return cmd.ExecuteNonQuery() > 0;
+    }
+
+    /// <summary>
+    /// Delete every entry matching the filter (no filter = the whole history). Returns the number deleted.
+    /// </summary>
+    public int ClearHistory(string username, IReadOnlyCollection<string>? types, DateTime? from, DateTime? to)
+    {
+        using var conn = OpenUserDb(username);
+        if (conn == null) return 0;
+
+        using var cmd = conn.CreateCommand();
+        var where = HistoryFilter(cmd, types, from, to);
+        cmd.CommandText = "DELETE FROM History" + (where.Count > 0 ? " WHERE " + string.Join(" AND ", where) : "");
+        return cmd.ExecuteNonQuery();
+    }
+
+    private static List<string> HistoryFilter(SqliteCommand cmd, IReadOnlyCollection<string>? types, DateTime? from, DateTime? to)
+    {
+        var where = new List<string>();
+        if (types is { Count: > 0 })
+        {
+            var names = new List<string>();
+            foreach (var t in types)
+            {
+                var name = "@t" + names.Count;
+                names.Add(name);
+                cmd.Parameters.AddWithValue(name, t);
+            }
+            where.Add($"MediaType IN ({string.Join(", ", names)})");
+        }
+        if (from != null)
+        {
+            where.Add("StartedAt >= @from");
+            cmd.Parameters.AddWithValue("@from", from.Value.ToString("yyyy-MM-dd HH:mm:ss", System.Globalization.CultureInfo.InvariantCulture));
+        }
+        if (to != null)
+        {
+            where.Add("StartedAt < @to");
+            cmd.Parameters.AddWithValue("@to", to.Value.ToString("yyyy-MM-dd HH:mm:ss", System.Globalization.CultureInfo.InvariantCulture));
+        }
+        return where;
+    }
+
     // ─── Watched Videos ────────────────────────────────────────────
 
     /// <summary>
@@ -408,7 +596,7 @@ public class UserFavouritesService
         if (conn == null) return false;
 
         using var cmd = conn.CreateCommand();
-        cmd.CommandText = "DELETE FROM PlaylistTracks WHERE PlaylistId = @id";
+        cmd.CommandText = "DELETE FROM PlaylistTracks WHERE PlaylistId = @id; DELETE FROM PlaylistUnmatched WHERE PlaylistId = @id";
         cmd.Parameters.AddWithValue("@id", playlistId);
         cmd.ExecuteNonQuery();
 
@@ -543,6 +731,845 @@ public class UserFavouritesService
         return Convert.ToInt32(cmd.ExecuteScalar());
     }
 
+    /// <summary>
+    /// Every (playlist, track) pair across the user's playlists — which tracks the user keeps together.
+    /// </summary>
+    public List<(int PlaylistId, int TrackId)> GetPlaylistEntries(string username)
+    {
+        var results = new List<(int, int)>();
+        using var conn = OpenUserDb(username);
+        if (conn == null) return results;
+
+        using var cmd = conn.CreateCommand();
+        cmd.CommandText = "SELECT PlaylistId, TrackId FROM PlaylistTracks";
+        using var reader = cmd.ExecuteReader();
+        while (reader.Read()) results.Add((reader.GetInt32(0), reader.GetInt32(1)));
+        return results;
+    }
+
+    // ─── Playlist Import ──────────────────────────────────────────
+    // Entries of an imported playlist file that had no library match are kept in PlaylistUnmatched with
+    // their original file position, so they can be resolved later and land in the right place.
+
+    /// <summary>
+    /// Create a playlist from reviewed import entries. Entries with a TrackId become playlist tracks,
+    /// the rest are kept as unmatched. Positions follow the file order.
+    /// </summary>
+    public (int Id, int Matched, int Unmatched)? CreateImportedPlaylist(string username, string name,
+        IReadOnlyList<(PlaylistMatchService.ImportEntry Entry, int? TrackId)> entries)
+    {
+        using var conn = OpenUserDb(username);
+        if (conn == null) return null;
+        using var tx = conn.BeginTransaction();
+
+        using var cmd = conn.CreateCommand();
+        cmd.CommandText = @"INSERT INTO Playlists (Name, Description) VALUES (@name, NULL);
+                            SELECT last_insert_rowid()";
+        cmd.Parameters.AddWithValue("@name", name);
+        var id = Convert.ToInt32(cmd.ExecuteScalar());
+
+        int matched = 0, unmatched = 0;
+        var lastTrackId = 0;   // matched track an unmatched entry follows (0 = none before it), so it can go back next to it
+        for (var i = 0; i < entries.Count; i++)
+        {
+            var (entry, trackId) = entries[i];
+            using var ins = conn.CreateCommand();
+            if (trackId != null)
+            {
+                ins.CommandText = "INSERT OR IGNORE INTO PlaylistTracks (PlaylistId, TrackId, Position) VALUES (@pl, @tr, @pos)";
+                ins.Parameters.AddWithValue("@tr", trackId.Value);
+            }
+            else
+            {
+                ins.CommandText = @"INSERT INTO PlaylistUnmatched (PlaylistId, Position, AfterTrackId, Path, Title, Artist, Duration, Mbid)
+                                    VALUES (@pl, @pos, @after, @path, @title, @artist, @dur, @mbid)";
+                ins.Parameters.AddWithValue("@after", lastTrackId);
+                ins.Parameters.AddWithValue("@path", (object?)entry.Path ?? DBNull.Value);
+                ins.Parameters.AddWithValue("@title", (object?)entry.Title ?? DBNull.Value);
+                ins.Parameters.AddWithValue("@artist", (object?)entry.Artist ?? DBNull.Value);
+                ins.Parameters.AddWithValue("@dur", (object?)entry.Duration ?? DBNull.Value);
+                ins.Parameters.AddWithValue("@mbid", (object?)entry.Mbid ?? DBNull.Value);
+            }
+            ins.Parameters.AddWithValue("@pl", id);
+            ins.Parameters.AddWithValue("@pos", i + 1);
+            if (ins.ExecuteNonQuery() > 0)
+            {
+                if (trackId != null) { matched++; lastTrackId = trackId.Value; } else unmatched++;
+            }
+        }
+
+        tx.Commit();
+        return (id, matched, unmatched);
+    }
+
+    /// <summary>
+    /// Unmatched import entries of a playlist, in file order.
+    /// </summary>
+    public List<(int Id, int Position, PlaylistMatchService.ImportEntry Entry)> GetUnmatchedEntries(string username, int playlistId)
+    {
+        var results = new List<(int, int, PlaylistMatchService.ImportEntry)>();
+        using var conn = OpenUserDb(username);
+        if (conn == null) return results;
+
+        using var cmd = conn.CreateCommand();
+        cmd.CommandText = "SELECT Id, Position, Path, Title, Artist, Duration, Mbid FROM PlaylistUnmatched WHERE PlaylistId = @id ORDER BY Position";
+        cmd.Parameters.AddWithValue("@id", playlistId);
+        using var reader = cmd.ExecuteReader();
+        while (reader.Read())
+        {
+            results.Add((reader.GetInt32(0), reader.GetInt32(1), new PlaylistMatchService.ImportEntry(
+                reader.IsDBNull(2) ? null : reader.GetString(2),
+                reader.IsDBNull(3) ? null : reader.GetString(3),
+                reader.IsDBNull(4) ? null : reader.GetString(4),
+                reader.IsDBNull(5) ? null : reader.GetDouble(5),
+                reader.IsDBNull(6) ? null : reader.GetString(6))));
+        }
+        return results;
+    }
+
+    public int GetUnmatchedCount(string username, int playlistId)
+    {
+        using var conn = OpenUserDb(username);
+        if (conn == null) return 0;
+
+        using var cmd = conn.CreateCommand();
+        cmd.CommandText = "SELECT COUNT(*) FROM PlaylistUnmatched WHERE PlaylistId = @id";
+        cmd.Parameters.AddWithValue("@id", playlistId);
+        return Convert.ToInt32(cmd.ExecuteScalar());
+    }
+
+    /// <summary>
+    /// Resolve an unmatched entry: add the track right after the matched track it followed in the file
+    /// (at the top if none came before it) and drop the entry. The playlist may have been reordered or
+    /// edited since the import, so the position is taken from that neighbour as it is now, and later
+    /// tracks move down one; if the neighbour was removed, the position recorded at import is used.
+    /// trackId == null just discards the entry.
+    /// </summary>
+    public bool ResolveUnmatchedEntry(string username, int playlistId, int entryId, int? trackId)
+    {
+        using var conn = OpenUserDb(username);
+        if (conn == null) return false;
+        using var tx = conn.BeginTransaction();
+
+        int importPos, afterTrackId;
+        using (var entryCmd = conn.CreateCommand())
+        {
+            entryCmd.CommandText = "SELECT Position, AfterTrackId FROM PlaylistUnmatched WHERE Id = @id AND PlaylistId = @pl";
+            entryCmd.Parameters.AddWithValue("@id", entryId);
+            entryCmd.Parameters.AddWithValue("@pl", playlistId);
+            using var reader = entryCmd.ExecuteReader();
+            if (!reader.Read()) return false;
+            importPos = reader.GetInt32(0);
+            afterTrackId = reader.GetInt32(1);
+        }
+
+        if (trackId != null)
+        {
+            using var existsCmd = conn.CreateCommand();
+            existsCmd.CommandText = "SELECT COUNT(*) FROM PlaylistTracks WHERE PlaylistId = @pl AND TrackId = @tr";
+            existsCmd.Parameters.AddWithValue("@pl", playlistId);
+            existsCmd.Parameters.AddWithValue("@tr", trackId.Value);
+            if (Convert.ToInt32(existsCmd.ExecuteScalar()) > 0) trackId = null;   // already in the playlist
+        }
+
+        if (trackId != null)
+        {
+            var pos = importPos;
+            using (var posCmd = conn.CreateCommand())
+            {
+                posCmd.CommandText = afterTrackId == 0
+                    ? "SELECT COALESCE(MIN(Position), 1) FROM PlaylistTracks WHERE PlaylistId = @pl"
+                    : "SELECT Position + 1 FROM PlaylistTracks WHERE PlaylistId = @pl AND TrackId = @after";
+                posCmd.Parameters.AddWithValue("@pl", playlistId);
+                posCmd.Parameters.AddWithValue("@after", afterTrackId);
+                if (posCmd.ExecuteScalar() is long p) pos = (int)p;
+            }
+
+            using var ins = conn.CreateCommand();
+            ins.CommandText = @"UPDATE PlaylistTracks SET Position = Position + 1 WHERE PlaylistId = @pl AND Position >= @pos;
+                                INSERT INTO PlaylistTracks (PlaylistId, TrackId, Position) VALUES (@pl, @tr, @pos);
+                                UPDATE Playlists SET DateModified = datetime('now') WHERE Id = @pl";
+            ins.Parameters.AddWithValue("@pl", playlistId);
+            ins.Parameters.AddWithValue("@tr", trackId.Value);
+            ins.Parameters.AddWithValue("@pos", pos);
+            ins.ExecuteNonQuery();
+
+            // Entries that followed the same neighbour further down the file now follow this track
+            using var follow = conn.CreateCommand();
+            follow.CommandText = @"UPDATE PlaylistUnmatched SET AfterTrackId = @tr
+                                   WHERE PlaylistId = @pl AND AfterTrackId = @after AND Position > @importPos";
+            follow.Parameters.AddWithValue("@pl", playlistId);
+            follow.Parameters.AddWithValue("@tr", trackId.Value);
+            follow.Parameters.AddWithValue("@after", afterTrackId);
+            follow.Parameters.AddWithValue("@importPos", importPos);
+            follow.ExecuteNonQuery();
+        }
+
+        using var del = conn.CreateCommand();
+        del.CommandText = "DELETE FROM PlaylistUnmatched WHERE Id = @id";
+        del.Parameters.AddWithValue("@id", entryId);
+        del.ExecuteNonQuery();
+        tx.Commit();
+        return true;
+    }
+
+    // ─── Smart Playlists ──────────────────────────────────────────
+    // Rule definitions only; SmartPlaylistService evaluates them. Playlists without live update
+    // keep the track IDs of their last evaluation in Snapshot (comma-separated, in playlist order).
+
+    /// <summary>
+    /// Get all smart playlist definitions for a user.
+    /// </summary>
+    public List<Dictionary<string, object>> GetSmartPlaylists(string username)
+    {
+        var results = new List<Dictionary<string, object>>();
+        using var conn = OpenUserDb(username);
+        if (conn == null) return results;
+
+        using var cmd = conn.CreateCommand();
+        cmd.CommandText = "SELECT Id, Name, Rules, Sort, LimitCount, LiveUpdate, Snapshot, DateCreated, DateModified FROM SmartPlaylists ORDER BY Name";
+        using var reader = cmd.ExecuteReader();
+        while (reader.Read()) results.Add(ReadSmartPlaylist(reader));
+        return results;
+    }
+
+    /// <summary>
+    /// Get a single smart playlist definition, or null if it doesn't exist.
+    /// </summary>
+    public Dictionary<string, object>? GetSmartPlaylist(string username, int id)
+    {
+        using var conn = OpenUserDb(username);
+        if (conn == null) return null;
+
+        using var cmd = conn.CreateCommand();
+        cmd.CommandText = "SELECT Id, Name, Rules, Sort, LimitCount, LiveUpdate, Snapshot, DateCreated, DateModified FROM SmartPlaylists WHERE Id = @id";
+        cmd.Parameters.AddWithValue("@id", id);
+        using var reader = cmd.ExecuteReader();
+        return reader.Read() ? ReadSmartPlaylist(reader) : null;
+    }
+
+    /// <summary>
+    /// Create (id == null) or update a smart playlist. Returns the new ID, or null if not found.
+    /// </summary>
+    public int? SaveSmartPlaylist(string username, int? id, string name, string rules, string sort, int limit, bool liveUpdate, List<int>? snapshot)
+    {
+        using var conn = OpenUserDb(username);
+        if (conn == null) return null;
+
+        using var cmd = conn.CreateCommand();
+        cmd.CommandText = id == null
+            ? @"INSERT INTO SmartPlaylists (Name, Rules, Sort, LimitCount, LiveUpdate, Snapshot)
+                VALUES (@name, @rules, @sort, @limit, @live, @snap);
+                SELECT last_insert_rowid()"
+            : @"UPDATE SmartPlaylists SET Name = @name, Rules = @rules, Sort = @sort, LimitCount = @limit,
+                       LiveUpdate = @live, Snapshot = @snap, DateModified = datetime('now')
+                WHERE Id = @id;
+                SELECT CASE WHEN changes() > 0 THEN @id END";
+        cmd.Parameters.AddWithValue("@id", (object?)id ?? DBNull.Value);
+        cmd.Parameters.AddWithValue("@name", name);
+        cmd.Parameters.AddWithValue("@rules", rules);
+        cmd.Parameters.AddWithValue("@sort", sort);
+        cmd.Parameters.AddWithValue("@limit", limit);
+        cmd.Parameters.AddWithValue("@live", liveUpdate ? 1 : 0);
+        cmd.Parameters.AddWithValue("@snap", snapshot == null ? DBNull.Value : string.Join(",", snapshot));
+        var result = cmd.ExecuteScalar();
+        return result == null || result is DBNull ? null : Convert.ToInt32(result);
+    }
+
+    /// <summary>
+    /// Replace the stored track list of a non-live smart playlist.
+    /// </summary>
+    public bool SetSmartPlaylistSnapshot(string username, int id, List<int> snapshot)
+    {
+        using var conn = OpenUserDb(username);
+        if (conn == null) return false;
+
+        using var cmd = conn.CreateCommand();
+        cmd.CommandText = "UPDATE SmartPlaylists SET Snapshot = @snap, DateModified = datetime('now') WHERE Id = @id";
+        cmd.Parameters.AddWithValue("@snap", string.Join(",", snapshot));
+        cmd.Parameters.AddWithValue("@id", id);
+        return cmd.ExecuteNonQuery() > 0;
+    }
+
+    /// <summary>
+    /// Delete a smart playlist definition.
+    /// </summary>
+    public bool DeleteSmartPlaylist(string username, int id)
+    {
+        using var conn = OpenUserDb(username);
+        if (conn == null) return false;
+
+        using var cmd = conn.CreateCommand();
+        cmd.CommandText = "DELETE FROM SmartPlaylists WHERE Id = @id";
+        cmd.Parameters.AddWithValue("@id", id);
+        return cmd.ExecuteNonQuery() > 0;
+    }
+
+    private static Dictionary<string, object> ReadSmartPlaylist(SqliteDataReader reader)
+    {
+        var snapshot = reader.IsDBNull(6) ? new List<int>()
+            : reader.GetString(6).Split(',', StringSplitOptions.RemoveEmptyEntries)
+                .Select(s => int.TryParse(s, out var v) ? v : 0).Where(v => v > 0).ToList();
+        return new Dictionary<string, object>
+        {
+            ["id"] = reader.GetInt32(0),
+            ["name"] = reader.GetString(1),
+            ["rules"] = reader.GetString(2),
+            ["sort"] = reader.GetString(3),
+            ["limit"] = reader.GetInt32(4),
+            ["liveUpdate"] = reader.GetInt32(5) != 0,
+            ["snapshot"] = snapshot,
+            ["dateCreated"] = reader.GetString(7),
+            ["dateModified"] = reader.GetString(8)
+        };
+    }
+
+    // ─── Equalizer Presets ─────────────────────────────────────────
+    // Settings is EqualizerService JSON. EqDeviceProfiles binds an audio output (by device label,
+    // "" = system default) to a preset: "u:{id}" for a saved preset, "b:{name}" for a built-in one.
+
+    /// <summary>
+    /// Get all saved equalizer presets for a user, by name.
+    /// </summary>
+    public List<(int Id, string Name, string Settings, string DateModified)> GetEqPresets(string username)
+    {
+        var results = new List<(int, string, string, string)>();
+        using var conn = OpenUserDb(username);
+        if (conn == null) return results;
+
+        using var cmd = conn.CreateCommand();
+        cmd.CommandText = "SELECT Id, Name, Settings, DateModified FROM EqPresets ORDER BY Name COLLATE NOCASE";
+        using var reader = cmd.ExecuteReader();
+        while (reader.Read()) results.Add((reader.GetInt32(0), reader.GetString(1), reader.GetString(2), reader.GetString(3)));
+        return results;
+    }
+
+    /// <summary>
+    /// Create (id == null) or overwrite an equalizer preset. Returns the ID, or null if not found.
+    /// </summary>
+    public int? SaveEqPreset(string username, int? id, string name, string settings)
+    {
+        using var conn = OpenUserDb(username);
+        if (conn == null) return null;
+
+        using var cmd = conn.CreateCommand();
+        cmd.CommandText = id == null
+            ? @"INSERT INTO EqPresets (Name, Settings) VALUES (@name, @settings);
+                SELECT last_insert_rowid()"
+            : @"UPDATE EqPresets SET Name = @name, Settings = @settings, DateModified = datetime('now') WHERE Id = @id;
+                SELECT CASE WHEN changes() > 0 THEN @id END";
+        cmd.Parameters.AddWithValue("@id", (object?)id ?? DBNull.Value);
+        cmd.Parameters.AddWithValue("@name", name);
+        cmd.Parameters.AddWithValue("@settings", settings);
+        var result = cmd.ExecuteScalar();
+        return result == null || result is DBNull ? null : Convert.ToInt32(result);
+    }
+
+    /// <summary>
+    /// Delete an equalizer preset and any output-device bindings to it.
+    /// </summary>
+    public bool DeleteEqPreset(string username, int id)
+    {
+        using var conn = OpenUserDb(username);
+        if (conn == null) return false;
+
+        using var cmd = conn.CreateCommand();
+        cmd.CommandText = @"DELETE FROM EqDeviceProfiles WHERE Preset = @preset;
+                            DELETE FROM EqPresets WHERE Id = @id";
+        cmd.Parameters.AddWithValue("@preset", $"u:{id}");
+        cmd.Parameters.AddWithValue("@id", id);
+        return cmd.ExecuteNonQuery() > 0;
+    }
+
+    /// <summary>
+    /// Output device → preset bindings.
+    /// </summary>
+    public Dictionary<string, string> GetEqDeviceProfiles(string username)
+    {
+        var results = new Dictionary<string, string>();
+        using var conn = OpenUserDb(username);
+        if (conn == null) return results;
+
+        using var cmd = conn.CreateCommand();
+        cmd.CommandText = "SELECT Device, Preset FROM EqDeviceProfiles";
+        using var reader = cmd.ExecuteReader();
+        while (reader.Read()) results[reader.GetString(0)] = reader.GetString(1);
+        return results;
+    }
+
+    /// <summary>
+    /// Bind an output device to a preset, or remove its binding when preset is null.
+    /// </summary>
+    public bool SetEqDeviceProfile(string username, string device, string? preset)
+    {
+        using var conn = OpenUserDb(username);
+        if (conn == null) return false;
+
+        using var cmd = conn.CreateCommand();
+        cmd.CommandText = preset == null
+            ? "DELETE FROM EqDeviceProfiles WHERE Device = @device"
+            : "INSERT INTO EqDeviceProfiles (Device, Preset) VALUES (@device, @preset) ON CONFLICT(Device) DO UPDATE SET Preset = @preset";
+        cmd.Parameters.AddWithValue("@device", device);
+        cmd.Parameters.AddWithValue("@preset", (object?)preset ?? DBNull.Value);
+        cmd.ExecuteNonQuery();
+        return true;
+    }
+
+    // ─── Alarms ───────────────────────────────────────────────────
+    // Wake-up alarms ring in the browser they belong to: Device is a random ID that browser keeps in
+    // localStorage, DeviceName the label shown for it elsewhere. Time is local "HH:mm"; Days is a
+    // weekday bitmask (bit 0 = Sunday … bit 6 = Saturday), 0 = ring once and then disable.
+    // Source is "playlist", "auto" (auto-generated playlist key), "radio" or "podcast" (latest episode).
+
+    public record Alarm(int Id, string Device, string DeviceName, string Label, string Time, int Days,
+        string Source, string SourceId, string SourceName, bool Shuffle, int Volume, int RampSeconds, bool Enabled);
+
+    /// <summary>
+    /// Get all of a user's alarms, on every device, by time of day.
+    /// </summary>
+    public List<Alarm> GetAlarms(string username)
+    {
+        var results = new List<Alarm>();
+        using var conn = OpenUserDb(username);
+        if (conn == null) return results;
+
+        using var cmd = conn.CreateCommand();
+        cmd.CommandText = @"SELECT Id, Device, DeviceName, Label, Time, Days, Source, SourceId, SourceName, Shuffle, Volume, RampSeconds, Enabled
+                            FROM Alarms ORDER BY Time, Id";
+        using var reader = cmd.ExecuteReader();
+        while (reader.Read())
+            results.Add(new Alarm(reader.GetInt32(0), reader.GetString(1), reader.GetString(2), reader.GetString(3),
+                reader.GetString(4), reader.GetInt32(5), reader.GetString(6), reader.GetString(7), reader.GetString(8),
+                reader.GetInt32(9) != 0, reader.GetInt32(10), reader.GetInt32(11), reader.GetInt32(12) != 0));
+        return results;
+    }
+
+    /// <summary>
+    /// Create (id == null) or update an alarm. Returns the ID, or null if not found.
+    /// </summary>
+    public int? SaveAlarm(string username, int? id, Alarm alarm)
+    {
+        using var conn = OpenUserDb(username);
+        if (conn == null) return null;
+
+        using var cmd = conn.CreateCommand();
+        cmd.CommandText = id == null
+            ? @"INSERT INTO Alarms (Device, DeviceName, Label, Time, Days, Source, SourceId, SourceName, Shuffle, Volume, RampSeconds, Enabled)
+                VALUES (@device, @deviceName, @label, @time, @days, @source, @sourceId, @sourceName, @shuffle, @volume, @ramp, @enabled);
+                SELECT last_insert_rowid()"
+            : @"UPDATE Alarms SET Device = @device, DeviceName = @deviceName, Label = @label, Time = @time, Days = @days,
+                       Source = @source, SourceId = @sourceId, SourceName = @sourceName, Shuffle = @shuffle,
+                       Volume = @volume, RampSeconds = @ramp, Enabled = @enabled, DateModified = datetime('now')
+                WHERE Id = @id;
+                SELECT CASE WHEN changes() > 0 THEN @id END";
+        cmd.Parameters.AddWithValue("@id", (object?)id ?? DBNull.Value);
+        cmd.Parameters.AddWithValue("@device", alarm.Device);
+        cmd.Parameters.AddWithValue("@deviceName", alarm.DeviceName);
+        cmd.Parameters.AddWithValue("@label", alarm.Label);
+        cmd.Parameters.AddWithValue("@time", alarm.Time);
+        cmd.Parameters.AddWithValue("@days", alarm.Days);
+        cmd.Parameters.AddWithValue("@source", alarm.Source);
+        cmd.Parameters.AddWithValue("@sourceId", alarm.SourceId);
+        cmd.Parameters.AddWithValue("@sourceName", alarm.SourceName);
+        cmd.Parameters.AddWithValue("@shuffle", alarm.Shuffle ? 1 : 0);
+        cmd.Parameters.AddWithValue("@volume", alarm.Volume);
+        cmd.Parameters.AddWithValue("@ramp", alarm.RampSeconds);
+        cmd.Parameters.AddWithValue("@enabled", alarm.Enabled ? 1 : 0);
+        var result = cmd.ExecuteScalar();
+        return result == null || result is DBNull ? null : Convert.ToInt32(result);
+    }
+
+    /// <summary>
+    /// Switch an alarm on or off (a one-off alarm turns itself off after ringing).
+    /// </summary>
+    public bool SetAlarmEnabled(string username, int id, bool enabled)
+    {
+        using var conn = OpenUserDb(username);
+        if (conn == null) return false;
+
+        using var cmd = conn.CreateCommand();
+        cmd.CommandText = "UPDATE Alarms SET Enabled = @enabled, DateModified = datetime('now') WHERE Id = @id";
+        cmd.Parameters.AddWithValue("@enabled", enabled ? 1 : 0);
+        cmd.Parameters.AddWithValue("@id", id);
+        return cmd.ExecuteNonQuery() > 0;
+    }
+
+    /// <summary>
+    /// Update the display name stored with every alarm of a device.
+    /// </summary>
+    public void RenameAlarmDevice(string username, string device, string deviceName)
+    {
+        using var conn = OpenUserDb(username);
+        if (conn == null) return;
+
+        using var cmd = conn.CreateCommand();
+        cmd.CommandText = "UPDATE Alarms SET DeviceName = @name WHERE Device = @device";
+        cmd.Parameters.AddWithValue("@name", deviceName);
+        cmd.Parameters.AddWithValue("@device", device);
+        cmd.ExecuteNonQuery();
+    }
+
+    /// <summary>
+    /// Delete an alarm.
+    /// </summary>
+    public bool DeleteAlarm(string username, int id)
+    {
+        using var conn = OpenUserDb(username);
+        if (conn == null) return false;
+
+        using var cmd = conn.CreateCommand();
+        cmd.CommandText = "DELETE FROM Alarms WHERE Id = @id";
+        cmd.Parameters.AddWithValue("@id", id);
+        return cmd.ExecuteNonQuery() > 0;
+    }
+
+    // ─── Practice loops ───────────────────────────────────────────
+    // Named A–B loop regions a user saved on a music track (seconds from the start of the file).
+
+    public record TrackLoop(int Id, int TrackId, string Name, double Start, double End);
+
+    /// <summary>
+    /// Get the saved loops of a track, in the order they occur in the song.
+    /// </summary>
+    public List<TrackLoop> GetTrackLoops(string username, int trackId)
+    {
+        var results = new List<TrackLoop>();
+        using var conn = OpenUserDb(username);
+        if (conn == null) return results;
+
+        using var cmd = conn.CreateCommand();
+        cmd.CommandText = "SELECT Id, TrackId, Name, StartSeconds, EndSeconds FROM TrackLoops WHERE TrackId = @trackId ORDER BY StartSeconds, Id";
+        cmd.Parameters.AddWithValue("@trackId", trackId);
+        using var reader = cmd.ExecuteReader();
+        while (reader.Read())
+            results.Add(new TrackLoop(reader.GetInt32(0), reader.GetInt32(1), reader.GetString(2), reader.GetDouble(3), reader.GetDouble(4)));
+        return results;
+    }
+
+    /// <summary>
+    /// Save a named loop on a track. Returns the new ID, or null on failure.
+    /// </summary>
+    public int? AddTrackLoop(string username, int trackId, string name, double start, double end)
+    {
+        using var conn = OpenUserDb(username);
+        if (conn == null) return null;
+
+        using var cmd = conn.CreateCommand();
+        cmd.CommandText = @"INSERT INTO TrackLoops (TrackId, Name, StartSeconds, EndSeconds) VALUES (@trackId, @name, @start, @end);
+                            SELECT last_insert_rowid()";
+        cmd.Parameters.AddWithValue("@trackId", trackId);
+        cmd.Parameters.AddWithValue("@name", name);
+        cmd.Parameters.AddWithValue("@start", start);
+        cmd.Parameters.AddWithValue("@end", end);
+        return Convert.ToInt32(cmd.ExecuteScalar());
+    }
+
+    /// <summary>
+    /// Delete a saved loop.
+    /// </summary>
+    public bool DeleteTrackLoop(string username, int id)
+    {
+        using var conn = OpenUserDb(username);
+        if (conn == null) return false;
+
+        using var cmd = conn.CreateCommand();
+        cmd.CommandText = "DELETE FROM TrackLoops WHERE Id = @id";
+        cmd.Parameters.AddWithValue("@id", id);
+        return cmd.ExecuteNonQuery() > 0;
+    }
+
+    // ─── Radio feedback ───────────────────────────────────────────
+    // Thumbs up/down on tracks played by a track/album radio station. Artist and genre are snapshots
+    // taken when the vote was cast, so they can steer picks of other tracks without a library lookup.
+
+    public record RadioVote(int TrackId, string Artist, string Genre, int Vote);
+
+    public List<RadioVote> GetRadioFeedback(string username)
+    {
+        var results = new List<RadioVote>();
+        using var conn = OpenUserDb(username);
+        if (conn == null) return results;
+
+        using var cmd = conn.CreateCommand();
+        cmd.CommandText = "SELECT TrackId, Artist, Genre, Vote FROM RadioFeedback";
+        using var reader = cmd.ExecuteReader();
+        while (reader.Read())
+            results.Add(new RadioVote(reader.GetInt32(0), reader.GetString(1), reader.GetString(2), reader.GetInt32(3)));
+        return results;
+    }
+
+    /// <summary>
+    /// Record a thumbs up (+1) or down (-1) for a track; 0 withdraws the vote.
+    /// </summary>
+    public bool SetRadioFeedback(string username, int trackId, string artist, string genre, int vote)
+    {
+        using var conn = OpenUserDb(username);
+        if (conn == null) return false;
+
+        using var cmd = conn.CreateCommand();
+        if (vote == 0)
+        {
+            cmd.CommandText = "DELETE FROM RadioFeedback WHERE TrackId = @trackId";
+        }
+        else
+        {
+            cmd.CommandText = @"INSERT INTO RadioFeedback (TrackId, Artist, Genre, Vote) VALUES (@trackId, @artist, @genre, @vote)
+                                ON CONFLICT(TrackId) DO UPDATE SET Artist = @artist, Genre = @genre, Vote = @vote, DateModified = datetime('now')";
+            cmd.Parameters.AddWithValue("@artist", artist);
+            cmd.Parameters.AddWithValue("@genre", genre);
+            cmd.Parameters.AddWithValue("@vote", Math.Sign(vote));
+        }
+        cmd.Parameters.AddWithValue("@trackId", trackId);
+        cmd.ExecuteNonQuery();
+        return true;
+    }
+
+    /// <summary>
+    /// Forget every radio vote. Returns how many were removed.
+    /// </summary>
+    public int ClearRadioFeedback(string username)
+    {
+        using var conn = OpenUserDb(username);
+        if (conn == null) return 0;
+
+        using var cmd = conn.CreateCommand();
+        cmd.CommandText = "DELETE FROM RadioFeedback";
+        return cmd.ExecuteNonQuery();
+    }
+
+    // ─── Scrobble Queue ───────────────────────────────────────────
+    // Listens waiting for, or done with, Last.fm / ListenBrainz submission — the durable queue and the
+    // submission log on the Integrations tab, shared by all of the user's devices. Status is "pending",
+    // "submitted" or "failed"; times are Unix seconds. The browser does the submitting (POST scrobble)
+    // and reports back: a claim holds an entry for a while so two devices never send the same listen.
+
+    public const long ScrobbleMaxAge = 14 * 86400;     // Last.fm refuses scrobbles older than two weeks
+    public const int ScrobbleMaxAttempts = 5;          // rejected this often → failed, resubmit by hand
+    private const long ScrobbleClaimSeconds = 120;
+    private const int ScrobbleKeepSubmitted = 500;     // submitted entries kept for the log
+
+    public record ScrobbleEntry(long Id, int TrackId, string Title, string Artist, long Timestamp, int Duration,
+        string Source, string Status, int Attempts, string Error, long SentAt);
+
+    private const string ScrobbleColumns = "Id, TrackId, Title, Artist, Timestamp, Duration, Source, Status, Attempts, Error, SentAt";
+
+    private static ScrobbleEntry ReadScrobble(SqliteDataReader r) =>
+        new(r.GetInt64(0), r.GetInt32(1), r.GetString(2), r.GetString(3), r.GetInt64(4), r.GetInt32(5),
+            r.GetString(6), r.GetString(7), r.GetInt32(8), r.GetString(9), r.GetInt64(10));
+
+    private static long UnixNow() => DateTimeOffset.UtcNow.ToUnixTimeSeconds();
+
+    /// <summary>
+    /// Queue listens as pending. A listen already queued (same track and play time) is ignored, so a
+    /// device's outbox can be sent again safely. Returns how many were new, or null without a user database.
+    /// </summary>
+    public int? AddScrobbles(string username, IEnumerable<ScrobbleEntry> entries)
+    {
+        using var conn = OpenUserDb(username);
+        if (conn == null) return null;
+        using var tx = conn.BeginTransaction();
+
+        var added = 0;
+        foreach (var e in entries)
+        {
+            using var cmd = conn.CreateCommand();
+            cmd.CommandText = @"INSERT OR IGNORE INTO Scrobbles (TrackId, Title, Artist, Timestamp, Duration, Source)
+                                VALUES (@trackId, @title, @artist, @timestamp, @duration, @source)";
+            cmd.Parameters.AddWithValue("@trackId", e.TrackId);
+            cmd.Parameters.AddWithValue("@title", e.Title);
+            cmd.Parameters.AddWithValue("@artist", e.Artist);
+            cmd.Parameters.AddWithValue("@timestamp", e.Timestamp);
+            cmd.Parameters.AddWithValue("@duration", e.Duration);
+            cmd.Parameters.AddWithValue("@source", e.Source);
+            added += cmd.ExecuteNonQuery();
+        }
+        tx.Commit();
+        return added;
+    }
+
+    /// <summary>
+    /// Claim the pending listens that are due (all of them with force, ignoring retry delays), oldest first.
+    /// Listens too old to be accepted any more are marked failed on the way. Also returns the seconds
+    /// until the next entry left in the queue is due, or null when nothing else is pending.
+    /// </summary>
+    public (List<ScrobbleEntry> Entries, long? NextDue) ClaimScrobbles(string username, bool force, int limit)
+    {
+        var results = new List<ScrobbleEntry>();
+        using var conn = OpenUserDb(username);
+        if (conn == null) return (results, null);
+        using var tx = conn.BeginTransaction();
+        var now = UnixNow();
+
+        using (var expire = conn.CreateCommand())
+        {
+            expire.CommandText = "UPDATE Scrobbles SET Status = 'failed', Error = 'too-old' WHERE Status = 'pending' AND Timestamp < @oldest";
+            expire.Parameters.AddWithValue("@oldest", now - ScrobbleMaxAge);
+            expire.ExecuteNonQuery();
+        }
+
+        using (var cmd = conn.CreateCommand())
+        {
+            cmd.CommandText = $@"SELECT {ScrobbleColumns} FROM Scrobbles
+                                 WHERE Status = 'pending' AND ClaimedUntil <= @now AND (@force OR NextTry <= @now)
+                                 ORDER BY Timestamp LIMIT @limit";
+            cmd.Parameters.AddWithValue("@now", now);
+            cmd.Parameters.AddWithValue("@force", force ? 1 : 0);
+            cmd.Parameters.AddWithValue("@limit", limit);
+            using var reader = cmd.ExecuteReader();
+            while (reader.Read()) results.Add(ReadScrobble(reader));
+        }
+
+        foreach (var e in results)
+        {
+            using var claim = conn.CreateCommand();
+            claim.CommandText = "UPDATE Scrobbles SET ClaimedUntil = @until WHERE Id = @id";
+            claim.Parameters.AddWithValue("@until", now + ScrobbleClaimSeconds);
+            claim.Parameters.AddWithValue("@id", e.Id);
+            claim.ExecuteNonQuery();
+        }
+
+        using (var next = conn.CreateCommand())
+        {
+            next.CommandText = "SELECT MIN(MAX(NextTry, ClaimedUntil)) FROM Scrobbles WHERE Status = 'pending'";
+            var due = next.ExecuteScalar();
+            tx.Commit();
+            return (results, due is long at ? Math.Max(0, at - now) : null);
+        }
+    }
+
+    /// <summary>
+    /// Record the outcome of one submission. A rejected listen is retried later with a growing delay,
+    /// and fails for good after <see cref="ScrobbleMaxAttempts"/> tries.
+    /// </summary>
+    public bool SetScrobbleResult(string username, long id, bool ok, string? error)
+    {
+        using var conn = OpenUserDb(username);
+        if (conn == null) return false;
+
+        using var cmd = conn.CreateCommand();
+        cmd.CommandText = ok
+            ? @"UPDATE Scrobbles SET Status = 'submitted', Attempts = Attempts + 1, Error = '', ClaimedUntil = 0, SentAt = @now
+                WHERE Id = @id AND Status = 'pending'"
+            : @"UPDATE Scrobbles SET Attempts = Attempts + 1, Error = @error, ClaimedUntil = 0,
+                       Status = CASE WHEN Attempts + 1 >= @maxAttempts THEN 'failed' ELSE 'pending' END,
+                       NextTry = @now + 60 * (1 << (Attempts + 1))
+                WHERE Id = @id AND Status = 'pending'";
+        cmd.Parameters.AddWithValue("@id", id);
+        cmd.Parameters.AddWithValue("@now", UnixNow());
+        cmd.Parameters.AddWithValue("@maxAttempts", ScrobbleMaxAttempts);
+        cmd.Parameters.AddWithValue("@error", error ?? "");
+        if (cmd.ExecuteNonQuery() == 0) return false;
+
+        if (ok)
+        {
+            // Pending and failed entries are never dropped; only the oldest submitted ones are trimmed
+            using var trim = conn.CreateCommand();
+            trim.CommandText = @"DELETE FROM Scrobbles WHERE Status = 'submitted' AND Id NOT IN
+                                 (SELECT Id FROM Scrobbles WHERE Status = 'submitted' ORDER BY SentAt DESC LIMIT @keep)";
+            trim.Parameters.AddWithValue("@keep", ScrobbleKeepSubmitted);
+            trim.ExecuteNonQuery();
+        }
+        return true;
+    }
+
+    /// <summary>
+    /// The newest entries of the log plus the number of entries in each state.
+    /// </summary>
+    public (List<ScrobbleEntry> Entries, Dictionary<string, int> Counts) GetScrobbleLog(string username, int limit)
+    {
+        var entries = new List<ScrobbleEntry>();
+        var counts = new Dictionary<string, int> { ["pending"] = 0, ["failed"] = 0, ["submitted"] = 0 };
+        using var conn = OpenUserDb(username);
+        if (conn == null) return (entries, counts);
+
+        using (var cmd = conn.CreateCommand())
+        {
+            cmd.CommandText = $"SELECT {ScrobbleColumns} FROM Scrobbles ORDER BY Timestamp DESC LIMIT @limit";
+            cmd.Parameters.AddWithValue("@limit", limit);
+            using var reader = cmd.ExecuteReader();
+            while (reader.Read()) entries.Add(ReadScrobble(reader));
+        }
+        using (var cmd = conn.CreateCommand())
+        {
+            cmd.CommandText = "SELECT Status, COUNT(*) FROM Scrobbles GROUP BY Status";
+            using var reader = cmd.ExecuteReader();
+            while (reader.Read()) counts[reader.GetString(0)] = reader.GetInt32(1);
+        }
+        return (entries, counts);
+    }
+
+    /// <summary>
+    /// Put failed listens back in the queue (one by id, or all of them) and make pending ones due now.
+    /// </summary>
+    public int ResubmitScrobbles(string username, long? id)
+    {
+        using var conn = OpenUserDb(username);
+        if (conn == null) return 0;
+
+        using var cmd = conn.CreateCommand();
+        cmd.CommandText = @"UPDATE Scrobbles SET Status = 'pending', Attempts = 0, Error = '', NextTry = 0
+                            WHERE Status <> 'submitted' AND (@id IS NULL OR Id = @id)";
+        cmd.Parameters.AddWithValue("@id", (object?)id ?? DBNull.Value);
+        return cmd.ExecuteNonQuery();
+    }
+
+    public int ClearSubmittedScrobbles(string username)
+    {
+        using var conn = OpenUserDb(username);
+        if (conn == null) return 0;
+
+        using var cmd = conn.CreateCommand();
+        cmd.CommandText = "DELETE FROM Scrobbles WHERE Status = 'submitted'";
+        return cmd.ExecuteNonQuery();
+    }
+
+    // ─── Category Settings ───────────────────────────────────────
+    // Which library categories (first-level folders below a root) and custom genres the user sees.
+    // The hidden lists are set by an admin; ExcludedFromLibrary is the user's own choice of categories
+    // kept out of the main library views.
+
+    public class CategorySettings
+    {
+        public MusicCategories Music { get; set; } = new();
+        public VideoCategories Video { get; set; } = new();
+        public List<string> HiddenCustomGenres { get; set; } = new();
+    }
+
+    public class MusicCategories
+    {
+        public List<string> ExcludedFromLibrary { get; set; } = new();
+        public List<string> Hidden { get; set; } = new();
+    }
+
+    public class VideoCategories
+    {
+        public List<string> Hidden { get; set; } = new();
+    }
+
+    public CategorySettings GetCategorySettings(string username)
+    {
+        using var conn = OpenUserDb(username);
+        if (conn == null) return new CategorySettings();
+
+        using var cmd = conn.CreateCommand();
+        cmd.CommandText = "SELECT Settings FROM CategorySettings WHERE Id = 1";
+        if (cmd.ExecuteScalar() is not string json) return new CategorySettings();
+        try { return JsonSerializer.Deserialize<CategorySettings>(json) ?? new CategorySettings(); }
+        catch (JsonException) { return new CategorySettings(); }
+    }
+
+    public bool SaveCategorySettings(string username, CategorySettings settings)
+    {
+        using var conn = OpenUserDb(username);
+        if (conn == null) return false;
+
+        using var cmd = conn.CreateCommand();
+        cmd.CommandText = "INSERT INTO CategorySettings (Id, Settings) VALUES (1, @settings) ON CONFLICT(Id) DO UPDATE SET Settings = @settings";
+        cmd.Parameters.AddWithValue("@settings", JsonSerializer.Serialize(settings));
+        cmd.ExecuteNonQuery();
+        return true;
+    }
+
     private SqliteConnection? OpenUserDb(string username)
     {
         try
@@ -582,6 +1609,60 @@ public class UserFavouritesService
             cmd5.CommandText = "CREATE TABLE IF NOT EXISTS PlaylistTracks (Id INTEGER PRIMARY KEY AUTOINCREMENT, PlaylistId INTEGER NOT NULL, TrackId INTEGER NOT NULL, Position INTEGER NOT NULL, DateAdded TEXT NOT NULL DEFAULT (datetime('now')), UNIQUE(PlaylistId, TrackId))";
             cmd5.ExecuteNonQuery();
 
+            // Ensure SmartPlaylists table exists
+            using var cmd6 = conn.CreateCommand();
+            cmd6.CommandText = "CREATE TABLE IF NOT EXISTS SmartPlaylists (Id INTEGER PRIMARY KEY AUTOINCREMENT, Name TEXT NOT NULL, Rules TEXT NOT NULL, Sort TEXT NOT NULL DEFAULT 'artist', LimitCount INTEGER NOT NULL DEFAULT 0, LiveUpdate INTEGER NOT NULL DEFAULT 1, Snapshot TEXT, DateCreated TEXT NOT NULL DEFAULT (datetime('now')), DateModified TEXT NOT NULL DEFAULT (datetime('now')))";
+            cmd6.ExecuteNonQuery();
+
+            // Ensure PlaylistUnmatched table exists (import entries awaiting a library match)
+            using var cmd7 = conn.CreateCommand();
+            cmd7.CommandText = "CREATE TABLE IF NOT EXISTS PlaylistUnmatched (Id INTEGER PRIMARY KEY AUTOINCREMENT, PlaylistId INTEGER NOT NULL, Position INTEGER NOT NULL, AfterTrackId INTEGER NOT NULL DEFAULT 0, Path TEXT, Title TEXT, Artist TEXT, Duration REAL, Mbid TEXT, DateAdded TEXT NOT NULL DEFAULT (datetime('now')))";
+            cmd7.ExecuteNonQuery();
+
+            // Ensure History table exists (per-session listening/watching history)
+            using var cmd8 = conn.CreateCommand();
+            cmd8.CommandText = @"CREATE TABLE IF NOT EXISTS History (Id INTEGER PRIMARY KEY AUTOINCREMENT, MediaType TEXT NOT NULL, MediaId INTEGER, Ref TEXT, Title TEXT NOT NULL, Subtitle TEXT, Art TEXT, StartedAt TEXT NOT NULL DEFAULT (datetime('now')), Seconds REAL NOT NULL DEFAULT 0);
+                                 CREATE INDEX IF NOT EXISTS IX_History_StartedAt ON History (StartedAt)";
+            cmd8.ExecuteNonQuery();
+
+            // Ensure equalizer preset tables exist
+            using var cmd9 = conn.CreateCommand();
+            cmd9.CommandText = @"CREATE TABLE IF NOT EXISTS EqPresets (Id INTEGER PRIMARY KEY AUTOINCREMENT, Name TEXT NOT NULL, Settings TEXT NOT NULL, DateCreated TEXT NOT NULL DEFAULT (datetime('now')), DateModified TEXT NOT NULL DEFAULT (datetime('now')));
+                                 CREATE TABLE IF NOT EXISTS EqDeviceProfiles (Device TEXT PRIMARY KEY, Preset TEXT NOT NULL)";
+            cmd9.ExecuteNonQuery();
+
+            // Ensure Alarms table exists
+            using var cmd10 = conn.CreateCommand();
+            cmd10.CommandText = @"CREATE TABLE IF NOT EXISTS Alarms (Id INTEGER PRIMARY KEY AUTOINCREMENT, Device TEXT NOT NULL, DeviceName TEXT NOT NULL DEFAULT '', Label TEXT NOT NULL DEFAULT '', Time TEXT NOT NULL, Days INTEGER NOT NULL DEFAULT 0,
+                                  Source TEXT NOT NULL, SourceId TEXT NOT NULL, SourceName TEXT NOT NULL DEFAULT '', Shuffle INTEGER NOT NULL DEFAULT 0, Volume INTEGER NOT NULL DEFAULT 60, RampSeconds INTEGER NOT NULL DEFAULT 60, Enabled INTEGER NOT NULL DEFAULT 1,
+                                  DateCreated TEXT NOT NULL DEFAULT (datetime('now')), DateModified TEXT NOT NULL DEFAULT (datetime('now')))";
+            cmd10.ExecuteNonQuery();
+
+            // Ensure TrackLoops table exists
+            using var cmd11 = conn.CreateCommand();
+            cmd11.CommandText = @"CREATE TABLE IF NOT EXISTS TrackLoops (Id INTEGER PRIMARY KEY AUTOINCREMENT, TrackId INTEGER NOT NULL, Name TEXT NOT NULL, StartSeconds REAL NOT NULL, EndSeconds REAL NOT NULL,
+                                  DateCreated TEXT NOT NULL DEFAULT (datetime('now')));
+                                  CREATE INDEX IF NOT EXISTS IX_TrackLoops_TrackId ON TrackLoops(TrackId)";
+            cmd11.ExecuteNonQuery();
+
+            // Ensure RadioFeedback table exists
+            using var cmd12 = conn.CreateCommand();
+            cmd12.CommandText = "CREATE TABLE IF NOT EXISTS RadioFeedback (TrackId INTEGER PRIMARY KEY, Artist TEXT NOT NULL DEFAULT '', Genre TEXT NOT NULL DEFAULT '', Vote INTEGER NOT NULL, DateModified TEXT NOT NULL DEFAULT (datetime('now')))";
+            cmd12.ExecuteNonQuery();
+
+            // Ensure CategorySettings table exists
+            using var cmd13 = conn.CreateCommand();
+            cmd13.CommandText = "CREATE TABLE IF NOT EXISTS CategorySettings (Id INTEGER PRIMARY KEY CHECK (Id = 1), Settings TEXT NOT NULL)";
+            cmd13.ExecuteNonQuery();
+
+            // Ensure Scrobbles table exists (queue and submission log)
+            using var cmd14 = conn.CreateCommand();
+            cmd14.CommandText = @"CREATE TABLE IF NOT EXISTS Scrobbles (Id INTEGER PRIMARY KEY AUTOINCREMENT, TrackId INTEGER NOT NULL, Title TEXT NOT NULL DEFAULT '', Artist TEXT NOT NULL DEFAULT '',
+                                  Timestamp INTEGER NOT NULL, Duration INTEGER NOT NULL DEFAULT 0, Source TEXT NOT NULL DEFAULT 'player', Status TEXT NOT NULL DEFAULT 'pending',
+                                  Attempts INTEGER NOT NULL DEFAULT 0, Error TEXT NOT NULL DEFAULT '', NextTry INTEGER NOT NULL DEFAULT 0, ClaimedUntil INTEGER NOT NULL DEFAULT 0, SentAt INTEGER NOT NULL DEFAULT 0,
+                                  UNIQUE(TrackId, Timestamp))";
+            cmd14.ExecuteNonQuery();
+
             return conn;
         }
         catch (Exception ex)
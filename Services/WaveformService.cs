@@ -0,0 +1,90 @@
+using System.Collections.Concurrent;
+using System.Text.Json;
+
+namespace NexusM.Services;
+
+/// <summary>
+/// Waveform peaks for the player's seek bar. Each file is decoded once with ffmpeg, reduced to
+/// <see cref="Points"/> peak values (0-100, normalised to the loudest point of the file) and cached
+/// as JSON in assets/waveforms. Local files are re-analysed when they change; remote podcast
+/// episodes are cached for good. The client reuses the same data for the Night Club visualiser
+/// while casting, when there is no local audio to analyse.
+/// </summary>
+public class WaveformService
+{
+    public const int Points = 800;
+
+    public record Waveform(double Duration, int[] Peaks);
+
+    private const int BlockMs = 50;
+    private static readonly JsonSerializerOptions JsonOpts = new() { PropertyNamingPolicy = JsonNamingPolicy.CamelCase };
+
+    private readonly FFmpegService _ffmpeg;
+    private readonly ILogger<WaveformService> _logger;
+    private readonly string _cacheDir = Path.Combine(AppContext.BaseDirectory, "assets", "waveforms");
+    // Long files take a while to decode: share one run between concurrent requests, and run at most two at once
+    private readonly ConcurrentDictionary<string, Lazy<Task<Waveform?>>> _inFlight = new();
+    private readonly SemaphoreSlim _gate = new(2);
+
+    public WaveformService(FFmpegService ffmpeg, ILogger<WaveformService> logger)
+    {
+        _ffmpeg = ffmpeg;
+        _logger = logger;
+    }
+
+    public bool IsAvailable => _ffmpeg.IsAvailable;
+
+    /// <summary>
+    /// Cached or freshly computed waveform. <paramref name="key"/> names the cache file ("track-12");
+    /// <paramref name="input"/> is a local path or an http(s) URL. Null when decoding fails.
+    /// </summary>
+    public async Task<Waveform?> GetAsync(string key, string input)
+    {
+        var cacheFile = Path.Combine(_cacheDir, key + ".json");
+        var isLocal = !input.StartsWith("http", StringComparison.OrdinalIgnoreCase);
+        if (File.Exists(cacheFile) && (!isLocal || File.GetLastWriteTimeUtc(cacheFile) >= File.GetLastWriteTimeUtc(input)))
+        {
+            try { return JsonSerializer.Deserialize<Waveform>(await File.ReadAllTextAsync(cacheFile), JsonOpts); }
+            catch (JsonException) { /* corrupt cache file — recompute */ }
+        }
+
+        var run = _inFlight.GetOrAdd(key, _ => new Lazy<Task<Waveform?>>(() => ComputeAsync(cacheFile, input)));
+        try { return await run.Value; }
+        finally { _inFlight.TryRemove(key, out _); }
+    }
+
+    private async Task<Waveform?> ComputeAsync(string cacheFile, string input)
+    {
+        await _gate.WaitAsync();
+        try
+        {
+            var blocks = await _ffmpeg.ReadPeaksAsync(input, BlockMs, 600000);   // 10 min: hour-long podcasts over slow links
+            if (blocks == null || blocks.Count == 0) return null;
+
+            var peaks = new float[Points];
+            for (var i = 0; i < Points; i++)
+            {
+                var from = (int)((long)i * blocks.Count / Points);
+                var to = Math.Max(from + 1, (int)((long)(i + 1) * blocks.Count / Points));
+                for (var j = from; j < to && j < blocks.Count; j++) peaks[i] = Math.Max(peaks[i], blocks[j]);
+            }
+            var max = peaks.Max();
+            var waveform = new Waveform(
+                Math.Round(blocks.Count * BlockMs / 1000.0, 1),
+                peaks.Select(p => max > 0 ? (int)Math.Round(p / max * 100) : 0).ToArray());
+
+            Directory.CreateDirectory(_cacheDir);
+            await File.WriteAllTextAsync(cacheFile, JsonSerializer.Serialize(waveform, JsonOpts));
+            return waveform;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning("Waveform generation failed for {Input}: {Message}", input, ex.Message);
+            return null;
+        }
+        finally
+        {
+            _gate.Release();
+        }
+    }
+}
@@ -105,6 +105,7 @@ const App = {
     _castDeviceName: null,      // friendly name of that device
     _castPaused: false,         // last sent play/pause state (for the player-bar toggle)
     _castVideoMeta: null,       // { title, posterPath } for the open video/MV detail
+    _castClock: null,           // device position: { base: seconds, at: timestamp it was read (null = paused) }
 
     // Equalizer state
     _audioCtx: null,
@@ -113,8 +114,20 @@ const App = {
     _eqFilters: [],
     _eqEnabled: true,
     _eqBands: [0, 0, 0, 0, 0, 0, 0, 0],
-    _eqPreset: 'Flat',
+    _eqPreset: 'Flat',          // built-in preset name, 'u:{id}' for a saved preset, or 'Custom'
     _eqPanelOpen: false,
+    _eqMode: 'graphic',         // 'graphic' (8 fixed bands) | 'parametric'
+    _eqPreamp: 0,               // dB before the filters — AutoEQ profiles cut here to leave headroom
+    _eqParam: [],               // parametric bands [{ type, freq, gain, q }]
+    _eqPreampNode: null,
+    _eqUserPresets: [],         // saved presets from the server [{ id, name, mode, preamp, bands }]
+    _eqDevices: {},             // output device label ('' = default) → 'u:{id}' | 'b:{name}'
+    _eqDeviceKey: null,         // device whose profile is applied right now (null = the user's own EQ)
+    // Audio effects (compressor, crossfeed, mono, balance, speed, pitch) — separate music/video settings
+    _fx: { comp: 'off', crossfeed: 'off', mono: false, balance: 0, speed: 1, keepPitch: true, pitch: 0 },
+    _fxVideo: { comp: 'off', crossfeed: 'off', mono: false, balance: 0 },
+    _fxPanelOpen: false,
+    _fxEditing: 'music',        // profile shown in the effects panel
     // Streaming quality
     _streamQuality: 'original',
     _QUALITY_LEVELS: [
@@ -128,6 +141,19 @@ const App = {
     _rgMode: 'track',    // 'track' | 'album' | 'auto' (auto = album if present, else track)
     _rgPreamp: 0,        // dB offset added on top of tag value
     _rgGainNode: null,   // Web Audio GainNode inserted before EQ chain
+    _rgAnalyze: true,    // measure loudness of tracks without ReplayGain tags while they play
+    _loudBusy: null,     // id of the track being measured in the background
+    _loudFailed: new Set(), // track ids that couldn't be decoded/measured this session
+    _loudJob: null,      // Analysis page batch: { running, stop, done, failed, total, afterId, current }
+
+    // Waveform seek bar
+    _wave: null,         // { duration, peaks } of what the player bar is playing
+    _waveKey: null,      // 'kind/id' that waveform belongs to
+    _waveCache: new Map(), // 'kind/id' → Promise of waveform (false = none available)
+    _waveHover: null,    // hover position over the player-bar seek bar (0..1)
+    _gbWave: null,       // waveform of the Go Big music player's track
+    _gbWaveHover: null,
+    _gbProgress: [0, 0], // last [current, duration] drawn by _gbMusicSetProgress
     _eqFreqs: [60, 170, 310, 600, 1000, 3000, 6000, 12000],
     _eqTypes: ['lowshelf', 'peaking', 'peaking', 'peaking', 'peaking', 'peaking', 'peaking', 'highshelf'],
     _eqPresets: {
@@ -254,10 +280,18 @@ const App = {
 
         this.audioPlayer = document.getElementById('audio-player');
         this.loadEQState();
+        this.loadFxState();
         this.loadRGState();
+        this.loadXfadeState();
+        this.loadShuffleState();
         this.loadStreamQualityState();
         this.bindNavigation();
         this.bindPlayer();
+        this._queueRestore();
+        this._scrobbleInit();
+        this._jbInit();
+        this._alarmInit();
+        this._practiceInit();
         this.bindSearch();
         this.bindToolbar();
         this.bindSidebar();
@@ -296,6 +330,8 @@ const App = {
 
         // Local audio-output device picker (HTTPS/localhost only — browser setSinkId)
         this._audioOutInit();
+        // Saved EQ presets, then the profile bound to the restored output device
+        this._eqLoadPresets();
 
         // Stop any active transcode when the browser tab is closed or refreshed
         window.addEventListener('beforeunload', () => {
@@ -304,14 +340,16 @@ const App = {
             }
         });
 
-        this.navigate('home');
+        // Open whatever the URL points at (deep link or refresh), Home by default
+        this._routeHash = location.hash;
+        this._routeApply(location.hash);
         this.checkWelcomeModal();
 
         // Handle Last.fm OAuth callback redirect (?lastfm=ok or ?lastfm=error message)
         const _urlParams = new URLSearchParams(window.location.search);
         const _lfmParam = _urlParams.get('lastfm');
         if (_lfmParam !== null) {
-            history.replaceState(null, '', window.location.pathname);
+            history.replaceState(null, '', window.location.pathname + window.location.hash);
             if (_lfmParam === 'ok') {
                 setTimeout(() => this.showToast(this.t('settings.scrobblingConnectedToast') || 'Last.fm connected!', 'success'), 500);
             } else {
@@ -355,7 +393,7 @@ const App = {
             'musicvideos': 'nav.musicVideos', 'radio': 'nav.radio', 'internettv': 'nav.internetTv', 'podcasts': 'nav.podcasts',
             'anime': 'nav.anime',
             'pictures': 'nav.pictures', 'ebooks': 'nav.ebooks', 'favourites': 'nav.favourites',
-            'playlists': 'nav.playlists', 'watchlist': 'nav.watchlist', 'mostplayed': 'nav.mostPlayed', 'analysis': 'nav.analysis',
+            'playlists': 'nav.playlists', 'watchlist': 'nav.watchlist', 'mostplayed': 'nav.mostPlayed', 'history': 'nav.history', 'analysis': 'nav.analysis',
             'settings': 'nav.settings', 'rescan': 'nav.rescanFolders',
             'actors': 'nav.actors', 'bestrated': 'nav.bestRated', 'insights': 'nav.insights'
         };
@@ -800,7 +838,7 @@ const App = {
         // Map pages to their bottom nav tab
         const tabMap = { home: 'home', movies: 'movies', tvshows: 'movies', music: 'music', settings: 'settings' };
         // Sub-pages that belong to Library
-        const libraryPages = ['pictures', 'ebooks', 'musicvideos', 'radio', 'internettv', 'podcasts', 'favourites', 'playlists', 'watchlist', 'analysis'];
+        const libraryPages = ['pictures', 'ebooks', 'musicvideos', 'radio', 'internettv', 'podcasts', 'favourites', 'playlists', 'watchlist', 'history', 'analysis'];
         let activeTab = tabMap[page] || (libraryPages.includes(page) ? 'library' : null);
         // Admin pages map to More
         if (['rescan'].includes(page)) activeTab = 'settings';
@@ -903,6 +941,13 @@ const App = {
                 this.navigate(link.dataset.page);
             });
         });
+        // Browser Back/Forward: replay the route recorded in the URL hash
+        window.addEventListener('popstate', () => {
+            // Entries pushed without a hash change (e.g. the eBook reader) handle their own popstate
+            if (location.hash === this._routeHash) return;
+            this._routeHash = location.hash;
+            this._routeApply(location.hash);
+        });
     },
 
     // ─── Shared Video Streaming ────────────────────────────────────
@@ -963,7 +1008,8 @@ const App = {
         videoEl.load();
     },
 
-    navigate(page) {
+    navigate(page, opts = {}) {
+        const requestedPage = page;
         // Block admin-only pages for guests and children
         const adminOnlyPages = ['analysis', 'settings', 'rescan'];
         if (this.userRole !== 'admin' && adminOnlyPages.includes(page)) {
@@ -982,6 +1028,8 @@ const App = {
         }
         // Exit batch select mode when navigating away from videos
         if (this.currentPage === 'videos' && page !== 'videos') { this._batchSelectMode = false; this._batchSelectedIds = null; }
+        // Music multi-select doesn't carry over to another page
+        if (this._mbSelect && page !== this.currentPage) this._mbExit();
         // Cleanup letter/year scrubber scroll handler when navigating away from any page that uses it
         if (this._videoScrollHandler) {
             const mc = document.getElementById('main-content');
@@ -992,9 +1040,6 @@ const App = {
         this._mvShuffleMode = false;
         // Re-show Go Big button briefly on each page navigation (mobile only)
         if (this._gbIsMobile()) this._gbResetMobileStartBtnTimer();
-        if (this.isRadioPlaying) {
-            this.stopRadio();
-        }
         // Close EQ panel on page navigation
         if (this._eqPanelOpen) {
             const panel = document.getElementById('eq-panel');
@@ -1002,18 +1047,21 @@ const App = {
             this._eqPanelOpen = false;
             document.getElementById('btn-eq').classList.remove('eq-active');
         }
-        // Stop any video elements, music player, TV player, lyrics overlay
+        if (this._fxPanelOpen) this.toggleFxPanel();
+        if (this._practicePanelOpen) this.togglePracticePanel();
+        // Tear down page-level video (TV player, in-page video elements) and the lyrics overlay.
+        // The audio player (tracks, radio, podcasts, audiobooks) keeps running across pages.
         this.closeTvPlayer();
         this._teardownVideoThumbnailPreview();
         this._teardownCustomControls();
         const lyricsOv = document.getElementById('lyrics-overlay');
         if (lyricsOv) { lyricsOv.style.display = 'none'; document.getElementById('btn-player-lyrics').style.color = ''; }
+        this._lyricsEditClose();
         document.querySelectorAll('video').forEach(v => this.stopVideoStream(v));
         this.stopCurrentTranscode();
-        this.stopPlayer();
-        // Navigating tears down local playback — stop the Cast device too so the TV doesn't
-        // keep playing the media to the end after the user has moved on to browse something else.
-        if (this._castActive) this._castServerStop();
+        // A cast video belongs to the page that started it — stop the Cast device so the TV doesn't
+        // keep playing it after the user has moved on. Cast audio follows the player bar and keeps going.
+        if (this._castActive && this._castMediaType === 'video') this._castServerStop();
         document.querySelectorAll('.sidebar-nav a').forEach(a => a.classList.remove('active'));
         const activeLink = document.querySelector(`a[data-page="${page}"]`);
         if (activeLink) activeLink.classList.add('active');
@@ -1025,13 +1073,25 @@ const App = {
             albums: 'Albums', artists: 'Artists', songs: 'Songs', genres: 'Genres',
             pictures: 'Pictures', ebooks: 'eBooks',
             favourites: 'Favorites', playlists: 'Playlists', watchlist: 'Watchlist',
-            recent: 'Recently Added', mostplayed: 'Most Played', bestrated: 'Best Rated',
+            recent: 'Recently Added', mostplayed: 'Most Played', history: 'History', bestrated: 'Best Rated',
             analysis: 'Analysis', insights: 'Smart Insights', settings: 'Settings',
             rescan: 'Rescan Folders'
         };
         document.getElementById('page-title').innerHTML = `<span>${titles[page] || page}</span>`;
         this.updateMobileNavActive(page);
-        this.renderPage(page);
+        // Record the page in the URL (routes replayed from the URL are already there,
+        // unless the page was swapped for Home by the role checks above)
+        // A render still running from an earlier navigate() no longer gets to replace anything
+        const seq = ++this._routeNavSeq;
+        this._routeReplace = null;
+        if (!opts.fromRoute || page !== requestedPage) this._routeWrite(this._routeBuild(page));
+        if (opts.render === false) {
+            document.getElementById('main-content').innerHTML = '<div class="spinner"></div>';
+            return Promise.resolve();
+        }
+        // The page's own list-state sync (sort, page, filters) refines this entry rather than adding one
+        this._routeReplace = { seq, page };
+        return this.renderPage(page).finally(() => { if (this._routeReplace?.seq === seq) this._routeReplace = null; });
     },
 
     async renderPage(page) {
@@ -1050,6 +1110,7 @@ const App = {
             case 'watchlist':  await this.renderWatchlist(content); break;
             case 'recent':     await this.renderRecent(content); break;
             case 'mostplayed': await this.renderMostPlayed(content); break;
+            case 'history': await this.renderHistory(content); break;
             case 'bestrated':  await this.renderBestRated(content); break;
             case 'settings':   await this.renderSettings(content); break;
             case 'rescan':     await this.renderRescan(content); break;
@@ -1076,6 +1137,120 @@ const App = {
         }
     },
 
+    // ─── URL Router ──────────────────────────────────────────
+    // Every page, detail view and list state lives in the URL hash so Back/Forward,
+    // refresh and shared links work:
+    //   #/songs?sort=artist&page=7        list page + query state
+    //   #/music/album/42                  detail view opened from a page
+    //   #/tvshows/series/Dark?type=tv     detail view with extra arguments
+    // navigate()/renderPage() stay the single entry point — the router only records
+    // what they show and replays it through them.
+    _routeHash: '',            // last hash written or replayed by the router
+    _routeNavSeq: 0,           // bumped by every navigate(), so each render knows whether it is still the latest
+    _routeReplace: null,       // { seq, page } while navigate() renders: that page's first write replaces the entry
+
+    // Per-page list state mirrored into the query string: param → [App property, default].
+    // Values equal to the default are left out of the URL.
+    _routeStateKeys: {
+        music:       { view: ['musicSubView', 'all'], sort: ['musicSort', 'recent'], format: ['musicFormat', ''], genre: ['musicGenreFilter', ''], page: ['musicPage', 1], folder: ['musicFolderPath', ''] },
+        albums:      { sort: ['_albumsSort', 'recent'], page: ['_albumsPage', 1] },
+        songs:       { sort: ['songsSort', 'title'], format: ['songsFormat', ''], page: ['songsPage', 1] },
+        movies:      { sort: ['videosSort', 'recent'], genre: ['videosGenre', null], folder: ['videosCustomCategory', null], cgenre: ['videosCustomGenreId', null], page: ['videosPage', 1] },
+        tvshows:     { sort: ['videosSort', 'recent'], type: ['videosMediaType', null], genre: ['videosGenre', null], folder: ['videosCustomCategory', null], cgenre: ['videosCustomGenreId', null], page: ['videosPage', 1] },
+        anime:       { sort: ['animeSort', 'recent'], genre: ['animeGenre', null], page: ['animePage', 1] },
+        musicvideos: { sort: ['mvSort', 'recent'], artist: ['mvArtist', null], page: ['mvPage', 1] },
+        pictures:    { view: ['picturesView', 'grid'], type: ['picturesMediaType', 'all'], sort: ['picturesSort', 'recent'], folder: ['picturesCategory', null], page: ['picturesPage', 1] },
+        ebooks:      { sort: ['ebooksSort', 'recent'], category: ['ebooksCategory', null], format: ['ebooksFormat', null], page: ['ebooksPage', 1] },
+        audiobooks:  { sort: ['audioBooksSort', 'recent'], category: ['audioBooksCategory', null], page: ['audioBooksPage', 1] },
+    },
+
+    _routeBuild(page, kind = null, arg = null, query = null) {
+        let hash = `#/${page}`;
+        if (kind) hash += `/${kind}/${encodeURIComponent(arg)}`;
+        const qs = query ? new URLSearchParams(query).toString() : '';
+        return qs ? `${hash}?${qs}` : hash;
+    },
+
+    _routeParse(hash) {
+        const raw = (hash || '').replace(/^#\/?/, '');
+        const qIdx = raw.indexOf('?');
+        const path = qIdx >= 0 ? raw.slice(0, qIdx) : raw;
+        const parts = path.split('/').map(p => { try { return decodeURIComponent(p); } catch (e) { return p; } });
+        return {
+            page:  parts[0] || 'home',
+            kind:  parts[1] || null,
+            arg:   parts[2] ?? null,
+            query: new URLSearchParams(qIdx >= 0 ? raw.slice(qIdx + 1) : '')
+        };
+    },
+
+    // Push (or replace) a history entry — a no-op when the URL already shows it
+    _routeWrite(hash, replace = false) {
+        const pending = this._routeReplace;
+        if (pending && pending.seq === this._routeNavSeq && this._routeParse(hash).page === pending.page) {
+            replace = true;
+            this._routeReplace = null;
+        }
+        this._routeHash = hash;
+        if (location.hash === hash) return;
+        if (replace) history.replaceState(null, '', hash);
+        else history.pushState(null, '', hash);
+    },
+
+    // Called by detail views once their data has loaded
+    _routeDetail(kind, arg, query = null) {
+        this._routeWrite(this._routeBuild(this.currentPage, kind, arg, query));
+    },
+
+    // Called by list loaders after each state change (sort, filter, page)
+    _routeSync() {
+        const keys = this._routeStateKeys[this.currentPage];
+        if (!keys) return;
+        const query = {};
+        for (const [param, [prop, def]] of Object.entries(keys)) {
+            const v = this[prop];
+            if (v != null && v !== '' && v !== def) query[param] = v;
+        }
+        this._routeWrite(this._routeBuild(this.currentPage, null, null, query));
+    },
+
+    // Called by render functions after resetting their defaults: apply any state the URL carries
+    _routeRestore(page) {
+        const keys = this._routeStateKeys[page];
+        const route = this._routeParse(location.hash);
+        if (!keys || route.page !== page || route.kind) return;
+        for (const [param, [prop, def]] of Object.entries(keys)) {
+            if (!route.query.has(param)) continue;
+            const v = route.query.get(param);
+            this[prop] = typeof def === 'number' ? (parseInt(v) || def) : v;
+        }
+    },
+
+    async _routeApply(hash) {
+        const route = this._routeParse(hash);
+        if (!route.kind) return this.navigate(route.page, { fromRoute: true });
+        await this.navigate(route.page, { fromRoute: true, render: false });
+        const arg = route.arg, num = parseInt(arg);
+        switch (route.kind) {
+            case 'album':      await this.openAlbum(num); break;
+            case 'artist':     this._artistName = arg; this._artistPage = parseInt(route.query.get('page')) || 1; await this.loadArtistPage(); break;
+            case 'genre':      this._genreName = arg; this._genrePage = parseInt(route.query.get('page')) || 1; await this.loadGenrePage(); break;
+            case 'playlist':   await this.openPlaylist(num); break;
+            case 'smartplaylist': await this.openSmartPlaylist(num); break;
+            case 'series':     await this.openSeriesDetail(arg, route.query.get('type') || null); break;
+            case 'video':      await this.openVideoDetail(num); break;
+            case 'musicvideo': await this.openMvDetail(num); break;
+            case 'actor':      await this.openActorDetail(num); break;
+            case 'audiobook':  await this.openAudioBookDetail(num); break;
+            case 'ebook':      await this.openEBookDetail(num); break;
+            case 'podcast':
+                if (!this.podcastFeeds.length) this.podcastFeeds = await this.api('podcasts') || [];
+                await this.openPodcast(num);
+                break;
+            default: await this.renderPage(route.page);
+        }
+    },
+
     // ─── Radio Page ────────────────────────────────────────────
     async renderRadio(el) {
         const data = await this.api('radio/stations');
@@ -1169,6 +1344,9 @@ const App = {
         this.currentRadioStation = station;
         this.currentTrack = null;
         this.isRadioPlaying = true;
+        this._histBegin({ type: 'radio', id: station.id, title: station.name,
+            subtitle: [station.genre, station.country].filter(Boolean).join(' · '), art: station.logo ? `/radiologo/${station.logo}` : '' });
+        this._waveLoadPlayer(null);
         this.playlist = [];
         this.playIndex = -1;
 
@@ -1212,6 +1390,8 @@ const App = {
         const card = document.querySelector(`.radio-card[data-station-id="${station.id}"]`);
         if (card) card.classList.add('playing');
 
+        this._msSetMetadata(station.name, [station.genre, station.country].filter(Boolean).join(' · '), '', station.logo ? `/radiologo/${station.logo}` : '');
+
         // Start ICY/Icecast metadata polling
         this.startRadioMetadataPolling(station.streamUrl);
     },
@@ -1237,20 +1417,22 @@ const App = {
         this._radioLastStreamTitle = null;
     },
 
-    _fireScrobble(track, durationOverride) {
-        this.apiPost('scrobble', {
-            trackId:   track.id,
-            timestamp: this._scrobbleTimestamp || Math.floor(Date.now() / 1000),
-            duration:  Math.round(durationOverride ?? this.audioPlayer.duration ?? 0),
-        }).catch(() => {});
+    // Queued rather than sent directly — see Scrobble Queue
+    _fireScrobble(track, durationOverride, source = 'player') {
+        this._scrobbleEnqueue(track,
+            this._scrobbleTimestamp || Math.floor(Date.now() / 1000),
+            Math.round(durationOverride ?? this.audioPlayer.duration ?? 0),
+            source);
     },
 
+    // Now-playing is only meaningful at the moment it happens, so it isn't queued — but an answer
+    // means the server is reachable again, which is a good moment to send anything still pending
     _scrobbleNowPlaying(track) {
         this.apiPost('scrobble/now-playing', {
             trackId:   track.id,
             timestamp: Math.floor(Date.now() / 1000),
             duration:  Math.round(track.duration || 0),
-        }).catch(() => {});
+        }).then(res => { if (res && (this._scrobbleBackoff || this._scrobbleOutbox?.length)) this._scrobbleFlush(true); }).catch(() => {});
     },
 
     async fetchRadioMetadata(streamUrl) {
@@ -1261,6 +1443,8 @@ const App = {
             const title = data.streamTitle || data.icyName || '';
             if (!title || title === this._radioLastStreamTitle) return;
             this._radioLastStreamTitle = title;
+            const st = this.currentRadioStation;
+            if (st) this._msSetMetadata(title, st.name, '', st.logo ? `/radiologo/${st.logo}` : '');
 
             const artistEl = document.getElementById('player-artist');
             if (!artistEl) return;
@@ -2424,6 +2608,7 @@ const App = {
         const favBtn = document.getElementById('tv-player-fav');
         if (favBtn) favBtn.classList.toggle('active', !!channel.isFavourite);
         const video = document.getElementById('tv-video');
+        this._histBegin({ type: 'tv', id, title: channel.name, subtitle: channel.genre || '', art: channel.logo ? `/tvlogo/${channel.logo}` : '' }, video);
         this.playVideoStream(video, channel.streamUrl);
 
         // Highlight playing card
@@ -2743,7 +2928,6 @@ const App = {
     // ─── Podcasts ──────────────────────────────────────────────
 
     async renderPodcasts(el) {
-        this.stopPlayer();
         this.closeTvPlayer();
         this.podcastCurrentFeed = null;
         this.podcastSearchFilter = '';
@@ -2830,7 +3014,6 @@ const App = {
     },
 
     async openPodcast(feedId) {
-        this.stopPlayer();
         this.closeTvPlayer();
         const feed = this.podcastFeeds.find(f => f.id === feedId);
         if (!feed) return;
@@ -2838,6 +3021,7 @@ const App = {
         const episodes = await this.api(`podcasts/${feedId}/episodes`);
         if (!episodes) return;
         this.podcastEpisodes = episodes;
+        this._routeDetail('podcast', feedId);
         const el = document.getElementById('main-content');
         const art = feed.artworkFile ? `/podcastart/${feed.artworkFile}` : '';
         let html = `<div id="podcast-now-playing" class="podcast-np-hidden"></div>
@@ -2857,8 +3041,8 @@ const App = {
         </div>
         <div class="podcast-episode-list" id="episode-list">${this.buildEpisodeList(episodes)}</div>`;
         el.innerHTML = html;
-        // If a podcast episode is currently playing for this feed, restore the panel
-        if (this.isPlaying && this._currentPodcastEp && this._currentPodcastEp.feedId === feedId) {
+        // If an episode from this feed is loaded in the player (playing or paused), restore the panel
+        if (this._currentPodcastEp && this._currentPodcastEp.feedId === feedId) {
             this.renderPodcastNowPlaying(this._currentPodcastEp);
         }
     },
@@ -2948,6 +3132,9 @@ const App = {
             if (this.isRadioPlaying) this.stopRadio();
             this.stopPlayer();
             this._currentPodcastEp = ep;
+            this._histBegin({ type: 'podcast', id: ep.id, ref: ep.feedId, title: ep.title, subtitle: this.podcastCurrentFeed?.title || '',
+                art: this.podcastCurrentFeed?.artworkFile ? `/podcastart/${this.podcastCurrentFeed.artworkFile}` : '' });
+            this._waveLoadPlayer('podcast', ep.id);
             this.audioPlayer.src = `/api/podcasts/proxy?url=${encodeURIComponent(ep.mediaUrl)}`;
             this.connectEQToElement(this.audioPlayer);
             if (ep.playPositionSeconds > 0) this.audioPlayer.currentTime = ep.playPositionSeconds;
@@ -2967,6 +3154,7 @@ const App = {
             if (cover) cover.innerHTML = art
                 ? `<img src="${art}" style="width:100%;height:100%;object-fit:cover;border-radius:4px">`
                 : `<div class="player-placeholder" style="display:flex;align-items:center;justify-content:center;width:100%;height:100%"><svg><use href="#icon-music-note"/></svg></div>`;
+            this._msSetMetadata(ep.title, this.podcastCurrentFeed?.title || 'Podcast', '', art);
             // Render the top now-playing panel (if on the podcast detail page)
             this.renderPodcastNowPlaying(ep);
             // Save position every 10s
@@ -3031,6 +3219,7 @@ const App = {
     },
 
     playVideoOverlay(url, title) {
+        this.stopPlayback();
         let overlay = document.getElementById('tv-player-overlay');
         if (!overlay) {
             overlay = document.createElement('div');
@@ -3289,6 +3478,7 @@ const App = {
         if (this.isRadioPlaying) this.stopRadio();
         this.stopPlayer();
         this._currentPodcastEp = null;
+        this._waveLoadPlayer(null);
         this.audioPlayer.src = `/api/podcasts/proxy?url=${encodeURIComponent(mediaUrl)}`;
         this.audioPlayer.play().catch(() => {});
         this.isPlaying = true;
@@ -3298,6 +3488,7 @@ const App = {
         if (bar) { bar.classList.remove('player-hidden'); bar.classList.add('podcast-mode'); }
         document.getElementById('player-title').textContent = epTitle;
         document.getElementById('player-artist').textContent = showTitle;
+        this._msSetMetadata(epTitle, showTitle, '', '');
         // Highlight playing row, reset others
         document.querySelectorAll('.podcast-episode-row').forEach((r, i) => {
             r.classList.toggle('podcast-episode-playing', i === rowIndex);
@@ -3361,7 +3552,10 @@ const App = {
             const full = await this.api(`tracks/${track.id}`);
             if (!full) return;
             Object.assign(track, full);
-            if (this.currentTrack && this.currentTrack.id === track.id) this._updatePlayerMeta();
+            if (this.currentTrack && this.currentTrack.id === track.id) {
+                this._updatePlayerMeta();
+                this._msSetMetadata(track.title || 'Unknown', track.artist, track.album, track.hasAlbumArt ? `/api/cover/track/${track.id}` : '');
+            }
         } catch (e) {}
     },
 
@@ -4168,6 +4362,7 @@ const App = {
 
         const actor = await this.api(`actors/${id}`);
         if (!actor) { content.innerHTML = this.emptyState('Error', 'Actor not found.'); return; }
+        this._routeDetail('actor', id);
 
         const photo = actor.imageCached ? `/actorphoto/${actor.imageCached}` : '';
 
@@ -4745,6 +4940,45 @@ const App = {
 
         html += `<div class="section-title"><svg class="an-section-icon" style="stroke:${C_deep}"><use href="#icon-activity"/></svg> ${this.t('analysis.deepScan')}</div>`;
 
+        // Loudness coverage — measured in the browser, so it doesn't depend on ffprobe
+        const loud = await this.api('analysis/loudness/status');
+        if (loud && loud.total > 0) {
+            const stat = (id, value, label, color) => `<span><span id="loud-${id}" style="font-size:22px;font-weight:700;color:${color}">${value.toLocaleString()}</span> <span style="font-size:12px;color:var(--text-secondary)">${label}</span></span>`;
+            html += `<div class="an-panel" style="margin-bottom:16px">
+                <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:12px;flex-wrap:wrap;gap:8px">
+                    <h3 class="an-panel-title" style="margin:0;color:${C_deep}">${this.t('loudness.title', 'Loudness (ReplayGain)')}</h3>
+                    <button class="an-export-btn" id="loud-job-btn" onclick="App.startLoudnessJob()" style="border-color:${C_deep};color:${C_deep}">${this.t('loudness.start', 'Analyze Missing')}</button>
+                </div>
+                <div style="display:flex;gap:24px;flex-wrap:wrap;margin-bottom:12px">
+                    ${stat('missing', loud.missing, this.t('loudness.missing', 'missing ReplayGain'), loud.missing > 0 ? 'var(--warning)' : 'var(--text-secondary)')}
+                    ${stat('tagged', loud.tagged, this.t('loudness.tagged', 'tagged'), 'var(--text-secondary)')}
+                    ${stat('analyzed', loud.analyzed, this.t('loudness.analyzed', 'analyzed'), C_deep)}
+                </div>
+                <p style="font-size:12px;color:var(--text-muted);margin:0 0 8px">${this.t('loudness.hint')}</p>
+                <div id="loud-job"></div>
+            </div>`;
+        }
+
+        // Tempo & key coverage — also measured in the browser
+        const tempo = await this.api('analysis/tempo/status');
+        if (tempo && tempo.total > 0) {
+            const C_tempo = '#e91e63';
+            const stat = (id, value, label, color) => `<span><span id="tk-${id}" style="font-size:22px;font-weight:700;color:${color}">${value.toLocaleString()}</span> <span style="font-size:12px;color:var(--text-secondary)">${label}</span></span>`;
+            html += `<div class="an-panel" style="margin-bottom:16px">
+                <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:12px;flex-wrap:wrap;gap:8px">
+                    <h3 class="an-panel-title" style="margin:0;color:${C_tempo}">${this.t('tempo.title', 'Tempo & Key')}</h3>
+                    <button class="an-export-btn" id="tk-job-btn" onclick="App.startTempoJob()" style="border-color:${C_tempo};color:${C_tempo}">${this.t('loudness.start', 'Analyze Missing')}</button>
+                </div>
+                <div style="display:flex;gap:24px;flex-wrap:wrap;margin-bottom:12px">
+                    ${stat('missing', tempo.missing, this.t('tempo.missing', 'without beat grid'), tempo.missing > 0 ? 'var(--warning)' : 'var(--text-secondary)')}
+                    ${stat('known', tempo.known, this.t('tempo.known', 'with BPM and key'), 'var(--text-secondary)')}
+                    ${stat('analyzed', tempo.analyzed, this.t('loudness.analyzed', 'analyzed'), C_tempo)}
+                </div>
+                <p style="font-size:12px;color:var(--text-muted);margin:0 0 8px">${this.t('tempo.hint', 'Detects BPM, musical key and the beat grid in this browser. BPM and key tags in your files are kept; the beat grid lets the automix line up its crossfades.')}</p>
+                <div id="tk-job"></div>
+            </div>`;
+        }
+
         if (!ffmpegOk) {
             html += `<div class="an-panel"><p style="color:var(--text-secondary);margin:0">${this.t('analysis.deepScanNoFfprobe')}</p></div>`;
         } else {
@@ -4826,6 +5060,8 @@ const App = {
         </div>`;
 
         el.innerHTML = html;
+        this._loudJobRender();
+        this._tkJobRender();
     },
 
     async _dupScan() {
@@ -5038,16 +5274,22 @@ ${body}
         this.musicFormat = '';
         this.musicGenreFilter = '';
         this._musicFormats = null;
+        this.musicFolderPath = '';
+        this._routeRestore('music');
 
+        const tabs = { all: 'page.musicLibrary', albums: 'page.albums', artists: 'page.artists', genres: 'page.genres', folders: 'page.folders' };
         let html = '<div class="music-sub-nav">';
-        html += `<button class="music-sub-tab active" onclick="App.switchMusicView('all', this)">${this.t('page.musicLibrary')}</button>`;
-        html += `<button class="music-sub-tab" onclick="App.switchMusicView('albums', this)">${this.t('page.albums')}</button>`;
-        html += `<button class="music-sub-tab" onclick="App.switchMusicView('artists', this)">${this.t('page.artists')}</button>`;
-        html += `<button class="music-sub-tab" onclick="App.switchMusicView('genres', this)">${this.t('page.genres')}</button>`;
+        for (const [view, label] of Object.entries(tabs)) {
+            html += `<button class="music-sub-tab${this.musicSubView === view ? ' active' : ''}" data-view="${view}" onclick="App.switchMusicView('${view}', this)">${this.t(label)}</button>`;
+        }
         html += '</div>';
         html += '<div id="music-sub-content"><div class="spinner"></div></div>';
         el.innerHTML = html;
 
+        if (this.musicSubView !== 'all') {
+            await this.switchMusicView(this.musicSubView, el.querySelector(`.music-sub-tab[data-view="${this.musicSubView}"]`));
+            return;
+        }
         await this.loadMusicPage();
     },
 
@@ -5061,6 +5303,8 @@ ${body}
         container.innerHTML = '<div class="spinner"></div>';
 
         this.musicGenreFilter = '';
+        if (view !== 'folders') this.musicFolderPath = '';
+        if (view !== 'all') this._routeSync();
         switch (view) {
             case 'albums':
                 await this.renderAlbums(container);
@@ -5071,6 +5315,9 @@ ${body}
             case 'genres':
                 await this.renderGenres(container);
                 break;
+            case 'folders':
+                await this.renderMusicFolders(container);
+                break;
             default:
                 this.musicPage = 1;
                 this.musicSort = 'recent';
@@ -5081,6 +5328,7 @@ ${body}
 
     async loadMusicPage(el) {
         const target = el || document.getElementById('music-sub-content') || document.getElementById('main-content');
+        this._routeSync();
         const fmtParam = this.musicFormat ? `&format=${this.musicFormat}` : '';
         const genreParam = this.musicGenreFilter ? `&genre=${encodeURIComponent(this.musicGenreFilter)}` : '';
 
@@ -5284,7 +5532,7 @@ ${body}
     launchAndroidMusicPlayer(tracks, startIdx) {
         if (!tracks || !tracks.length) return;
         // Pause the classic player so two streams don't play simultaneously
-        const classicAudio = document.getElementById('audio-player');
+        const classicAudio = this.audioPlayer;
         if (classicAudio && !classicAudio.paused) {
             classicAudio.pause();
             const btn = document.getElementById('btn-play');
@@ -5402,12 +5650,14 @@ ${body}
     async renderAlbums(el) {
         this._albumsPage = 1;
         this._albumsSort = 'recent';
+        this._routeRestore('albums');
         await this.loadAlbumsPage(el);
     },
 
     async loadAlbumsPage(el) {
         const perPage = 100;
         const target = el || document.getElementById('music-sub-content');
+        this._routeSync();
 
         const headerHtml = () => `<div class="page-header"><h1>${this.t('page.albums')}</h1>
             <div class="filter-bar">
@@ -5415,6 +5665,7 @@ ${body}
                 <button class="filter-chip${this._albumsSort === 'name' ? ' active' : ''}" onclick="App.changeAlbumsSort('name')">${this.t('sort.name')}</button>
                 <button class="filter-chip${this._albumsSort === 'artist' ? ' active' : ''}" onclick="App.changeAlbumsSort('artist')">${this.t('sort.artist')}</button>
                 <button class="filter-chip${this._albumsSort === 'year' ? ' active' : ''}" onclick="App.changeAlbumsSort('year')">${this.t('sort.year')}</button>
+                <button class="filter-chip batch-edit-chip mb-select-toggle${this._mbSelect ? ' active' : ''}" onclick="App.mbToggleSelect()"><svg xmlns="http://www.w3.org/2000/svg" width="13" height="13" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><polyline points="9 11 12 14 22 4"/><path d="M21 12v7a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11"/></svg>${this.t('mbatch.selectChip', 'Select')}</button>
             </div>
         </div>`;
 
@@ -5514,7 +5765,9 @@ ${body}
     },
 
     albumCard(album) {
-        return `<div class="card" onclick="App.openAlbum(${album.id})">
+        const selected = !!this._mbSelect?.albums.has(album.id);
+        return `<div class="card${selected ? ' batch-selected' : ''}" data-album-id="${album.id}" onclick="App._mbSelect ? App._mbToggle('albums', ${album.id}, this) : App.openAlbum(${album.id})">
+            <label class="batch-cb-wrap mb-cb-wrap" onclick="event.stopPropagation()"><input type="checkbox" class="batch-cb mb-cb"${selected ? ' checked' : ''} onchange="App._mbToggle('albums', ${album.id}, this.closest('.card'))"></label>
             <div class="card-cover">
                 <img src="/api/cover/${album.id}" onerror="this.style.display='none';this.parentElement.innerHTML='<div class=placeholder-icon>&#128191;</div>'" alt="">
                 <button class="card-play-btn" onclick="event.stopPropagation(); App.playAlbum(${album.id})">&#9654;</button>
@@ -5530,6 +5783,7 @@ ${body}
     async openAlbum(id) {
         const album = await this.api(`albums/${id}`);
         if (!album) return;
+        this._routeDetail('album', id);
         const el = document.getElementById('main-content');
         document.getElementById('page-title').innerHTML = `<span>${this.esc(album.name)}</span>`;
 
@@ -5551,6 +5805,7 @@ ${body}
                 <div class="album-hero-actions">
                     <button class="btn-primary" onclick="App.playAlbum(${album.id})">&#9654; ${this.t('btn.playAll')}</button>
                     <button class="btn-secondary album-add-pl-btn" onclick="App._showAlbumAddToPlaylist(${album.id}, this)">&#43; Add to Playlist</button>
+                    <button class="btn-secondary" onclick="App.startAlbumRadio(${album.id})">&#128251; ${this.t('trackRadio.albumRadio', 'Album radio')}</button>
                 </div>
             </div>
         </div>`;
@@ -5774,6 +6029,7 @@ ${body}
         const perPage = 100;
         const el = document.getElementById('main-content');
         document.getElementById('page-title').innerHTML = `<span>${this.esc(name)}</span>`;
+        this._routeDetail('artist', name, this._artistPage > 1 ? { page: this._artistPage } : null);
         const hasLfm = !!(this._initCfg?.lastFmApiKey);
 
         const [artistData, trackData] = await Promise.all([
@@ -5997,11 +6253,13 @@ ${body}
         this.songsSort = 'title';
         this.songsFormat = '';
         this._songsFormats = null; // reset so it rebuilds from page data
+        this._routeRestore('songs');
         await this.loadSongsPage(el);
     },
 
     async loadSongsPage(el) {
         const target = el || document.getElementById('main-content');
+        this._routeSync();
         const fmtParam = this.songsFormat ? `&format=${this.songsFormat}` : '';
         const data = await this.api(`tracks?limit=${this.songsPerPage}&page=${this.songsPage}&sort=${this.songsSort}${fmtParam}`);
         if (!data) { target.innerHTML = this.emptyState('Error', 'Could not load songs.'); return; }
@@ -6219,6 +6477,7 @@ ${body}
         const genre = this._genreName;
         const perPage = 100;
         const data = await this.api(`tracks?genre=${encodeURIComponent(genre)}&limit=${perPage}&page=${this._genrePage}`);
+        this._routeDetail('genre', genre, this._genrePage > 1 ? { page: this._genrePage } : null);
         const el = document.getElementById('main-content');
         document.getElementById('page-title').innerHTML = `<span>Genre: ${this.esc(genre)}</span>`;
         const total = data ? data.total : 0;
@@ -6542,6 +6801,122 @@ ${body}
         el.innerHTML = html;
     },
 
+    // ─── Music Folders ───────────────────────────────────────
+    // Browses the music roots by folder instead of tags, for badly tagged rips, DJ sets and bootlegs.
+    // The server leaves categories hidden for this user (category-settings music.hidden) out of the
+    // listings, the counts and folder playback.
+    musicFolderPath: '',            // current folder; '' lists the music roots
+    _musicFolderTotal: 0,           // tracks in the current folder including subfolders
+
+    async renderMusicFolders(el) {
+        await this.loadMusicFolder(this.musicFolderPath, el);
+    },
+
+    async loadMusicFolder(path, el) {
+        const target = el || document.getElementById('music-sub-content');
+        if (!target) return;
+        this.musicFolderPath = path || '';
+        this._routeSync();
+
+        const data = await this.api(`music/folders?path=${encodeURIComponent(this.musicFolderPath)}`);
+        if (!data) {
+            // A folder from an old link that no longer exists (or was hidden): fall back to the roots
+            if (this.musicFolderPath) return this.loadMusicFolder('', target);
+            target.innerHTML = this.emptyState('Error', this.t('folders.loadError', 'Could not load music folders.'));
+            return;
+        }
+        const attr = v => this.esc(String(v ?? '')).replace(/"/g, '&quot;');
+        const folderIcon = `<svg style="width:18px;height:18px;stroke:currentColor;fill:none;stroke-width:2;stroke-linecap:round;stroke-linejoin:round"><use href="#icon-folder"/></svg>`;
+        this._musicFolderTotal = (data.tracks?.length || 0) + (data.folders || []).reduce((n, f) => n + f.trackCount, 0);
+
+        let html = `<div class="page-header"><h1>${this.t('page.folders', 'Folders')}</h1></div>`;
+        html += `<div class="mf-crumbs">
+            <button class="mf-crumb" data-path="" onclick="App.loadMusicFolder('')">${this.t('folders.allRoots', 'All folders')}</button>
+            ${(data.crumbs || []).map(c => `<span class="mf-crumb-sep">&rsaquo;</span><button class="mf-crumb" data-path="${attr(c.path)}" onclick="App.loadMusicFolder(this.dataset.path)">${this.esc(c.name)}</button>`).join('')}
+        </div>`;
+
+        if (this.musicFolderPath && this._musicFolderTotal > 0) {
+            html += `<div class="mf-actions">
+                <button class="btn-primary" onclick="App.playMusicFolder(App.musicFolderPath)">&#9654; ${this.t('folders.play', 'Play folder')}</button>
+                <button class="btn-secondary" onclick="App.playMusicFolder(App.musicFolderPath, true)">
+                    <svg style="width:14px;height:14px;stroke:currentColor;fill:none;stroke-width:2;vertical-align:-2px"><use href="#icon-shuffle"/></svg> ${this.t('folders.shuffle', 'Shuffle folder')}</button>
+                <button class="btn-secondary album-add-pl-btn" onclick="App._showFolderAddToPlaylist(this)">&#43; ${this.t('folders.addToPlaylist', 'Add to Playlist')}</button>
+                <span class="mf-total">${this.t('folders.totalTracks', '{n} tracks including subfolders').replace('{n}', this._musicFolderTotal)}</span>
+            </div>`;
+        }
+
+        if (data.folders && data.folders.length > 0) {
+            html += '<div class="mf-folder-list">';
+            data.folders.forEach(f => {
+                html += `<div class="mf-folder" data-path="${attr(f.path)}" onclick="App.loadMusicFolder(this.dataset.path)" title="${attr(f.path)}">
+                    <span class="mf-folder-icon">${folderIcon}</span>
+                    <span class="mf-folder-name">${this.esc(f.name)}</span>
+                    <span class="mf-folder-count">${f.trackCount} ${this.t('label.tracks', 'tracks')}</span>
+                    <button class="mf-folder-play" onclick="event.stopPropagation(); App.playMusicFolder(this.closest('.mf-folder').dataset.path)" title="${this.t('folders.play', 'Play folder')}">&#9654;</button>
+                </div>`;
+            });
+            html += '</div>';
+        }
+
+        if (data.tracks && data.tracks.length > 0) {
+            if (data.folders && data.folders.length > 0) html += `<div class="section-title" style="margin-top:20px">${this.t('folders.filesHere', 'Tracks in this folder')}</div>`;
+            html += this.renderTrackTable(data.tracks);
+        }
+
+        if (!data.folders?.length && !data.tracks?.length) {
+            html += this.musicFolderPath
+                ? this.emptyState(this.t('folders.emptyTitle', 'Empty folder'), this.t('folders.emptyDesc', 'No scanned tracks in this folder.'))
+                : this.emptyState(this.t('folders.noRootsTitle', 'No music folders'), this.t('folders.noRootsDesc', 'Add music folders in Settings and scan your library.'));
+        }
+        target.innerHTML = html;
+        document.getElementById('main-content').scrollTop = 0;
+    },
+
+    // Everything in the folder and its subfolders, in path order
+    async _musicFolderTracks(path) {
+        return await this.api(`music/folders/tracks?path=${encodeURIComponent(path)}&recursive=true`) || [];
+    },
+
+    async playMusicFolder(path, shuffle = false) {
+        const tracks = await this._musicFolderTracks(path);
+        if (!tracks.length) return;
+        if (shuffle) {
+            for (let i = tracks.length - 1; i > 0; i--) {
+                const j = Math.floor(Math.random() * (i + 1));
+                [tracks[i], tracks[j]] = [tracks[j], tracks[i]];
+            }
+        }
+        this.playlist = tracks;
+        this.playIndex = 0;
+        this.playTrack(this.playlist[0]);
+    },
+
+    // Same popup as an album's "Add to Playlist", filled with the folder's tracks
+    async _showFolderAddToPlaylist(btn) {
+        event.stopPropagation();
+        document.querySelectorAll('.add-pl-popup').forEach(p => p.remove());
+        const [tracks, playlists] = await Promise.all([
+            this._musicFolderTracks(this.musicFolderPath),
+            this.api('playlists')
+        ]);
+        if (!tracks.length) return;
+        if (!playlists || !playlists.length) { alert('No playlists yet. Create one first from the Playlists page.'); return; }
+
+        const popup = document.createElement('div');
+        popup.className = 'add-pl-popup';
+        popup.dataset.trackIds = JSON.stringify(tracks.map(t => t.id));
+        popup.innerHTML = `<div class="add-pl-popup-title">${this.t('folders.addTitle', 'Add {n} tracks to playlist').replace('{n}', tracks.length)}</div>` +
+            playlists.map(p => `<div class="add-pl-popup-item" onclick="App._addAlbumTracksToPlaylist(${p.id}, this)">${this.esc(p.name)} <span style="opacity:.5;font-size:11px">(${p.trackCount})</span></div>`).join('');
+
+        const rect = btn.getBoundingClientRect();
+        popup.style.top = Math.min(rect.bottom + 4, window.innerHeight - 320) + 'px';
+        popup.style.left = Math.min(rect.left, window.innerWidth - 220) + 'px';
+        document.body.appendChild(popup);
+
+        const close = (e) => { if (!popup.contains(e.target) && e.target !== btn) { popup.remove(); document.removeEventListener('click', close); } };
+        setTimeout(() => document.addEventListener('click', close), 10);
+    },
+
     // ─── Category Settings Modal ─────────────────────────────
 
     async openCatManageModal() {
@@ -6910,23 +7285,26 @@ ${body}
 
     // ─── Playlists ───────────────────────────────────────────
     async renderPlaylists(el) {
-        const [playlists, agpConfig] = await Promise.all([
+        const [playlists, smartPlaylists, agpConfig] = await Promise.all([
             this.api('playlists'),
+            this.api('smart-playlists'),
             this.api('agp-config')
         ]);
         this._playlistsData = playlists || [];
+        this._smartPlaylistsData = smartPlaylists || [];
 
         let html = `<div class="page-header"><h1>${this.t('page.playlists')}</h1>
             <div style="display:flex;gap:8px;align-items:center">
                 <button class="btn-import-pl" onclick="App.importPlaylist()">&#8679; ${this.t('btn.importPlaylist')}</button>
+                <button class="btn-secondary" onclick="App.openSmartPlaylistBuilder()">+ ${this.t('smartpl.new', 'Smart Playlist')}</button>
                 <button class="btn-primary" style="margin-top:0" onclick="App.createPlaylist()">+ ${this.t('btn.createPlaylist')}</button>
             </div>
         </div>`;
 
-        // Manual playlists
-        if (playlists && playlists.length > 0) {
+        // Manual and smart playlists share one grid
+        if (this._playlistsData.length > 0 || this._smartPlaylistsData.length > 0) {
             html += '<div class="card-grid">';
-            playlists.forEach(p => {
+            this._playlistsData.forEach(p => {
                 const coverHtml = p.coverImagePath
                     ? `<img src="/albumart/${this.esc(p.coverImagePath)}" style="width:100%;height:100%;object-fit:cover" alt="">`
                     : `<div class="placeholder-icon"><svg width="40" height="40" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round" style="opacity:.35"><use href="#icon-music"/></svg></div>`;
@@ -6939,6 +7317,16 @@ ${body}
                     <button class="mv-card-menu-btn" onclick="event.stopPropagation(); App.showPlaylistMenu(${p.id}, event)" title="More options">&#8942;</button>
                 </div>`;
             });
+            this._smartPlaylistsData.forEach(p => {
+                html += `<div class="card" onclick="App.openSmartPlaylist(${p.id})" title="${this.esc(this._splDescribe(p.rules))}">
+                    <div class="card-cover"><div class="placeholder-icon spl-cover"><svg width="40" height="40" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"><polygon points="22 3 2 3 10 12.46 10 19 14 21 14 12.46 22 3"/></svg></div></div>
+                    <div class="card-info">
+                        <div class="card-title">${this.esc(p.name)}</div>
+                        <div class="card-subtitle">${p.trackCount} tracks &middot; ${p.liveUpdate ? this.t('smartpl.live', 'Live') : this.t('smartpl.smart', 'Smart')}</div>
+                    </div>
+                    <button class="mv-card-menu-btn" onclick="event.stopPropagation(); App.showSmartPlaylistMenu(${p.id}, event)" title="More options">&#8942;</button>
+                </div>`;
+            });
             html += '</div>';
         } else {
             html += this.emptyState(this.t('empty.noPlaylists.title'), this.t('empty.noPlaylists.desc'));
@@ -7024,14 +7412,14 @@ ${body}
         this.renderPage('playlists');
     },
 
-    // ── Playlist import (M3U / M3U8 / PLS) ───────────────────────
+    // ── Playlist import (M3U / M3U8 / PLS / XSPF / JSPF) ─────────
     importPlaylist() {
         let inp = document.getElementById('_import-pl-file-input');
         if (!inp) {
             inp = document.createElement('input');
             inp.type = 'file';
             inp.id = '_import-pl-file-input';
-            inp.accept = '.m3u,.m3u8,.pls';
+            inp.accept = '.m3u,.m3u8,.pls,.xspf,.jspf';
             inp.style.display = 'none';
             inp.addEventListener('change', e => {
                 const file = e.target.files[0];
@@ -7040,11 +7428,19 @@ ${body}
                 const reader = new FileReader();
                 reader.onload = ev => {
                     const ext = file.name.split('.').pop().toLowerCase();
-                    const entries = ext === 'pls'
-                        ? this._parsePls(ev.target.result)
-                        : this._parseM3u(ev.target.result);
-                    const defaultName = file.name.replace(/\.(m3u8?|pls)$/i, '');
-                    this._showImportModal(entries, defaultName, ext.toUpperCase());
+                    const text = ev.target.result;
+                    let parsed;
+                    try {
+                        parsed = ext === 'pls'  ? { entries: this._parsePls(text) }
+                               : ext === 'xspf' ? this._parseXspf(text)
+                               : ext === 'jspf' ? this._parseJspf(text)
+                               : { entries: this._parseM3u(text) };
+                    } catch (e) {
+                        alert(this.t('playlist.import.errorParse', 'This file could not be read as a playlist.'));
+                        return;
+                    }
+                    const defaultName = parsed.name || file.name.replace(/\.(m3u8?|pls|xspf|jspf)$/i, '');
+                    this._showImportModal(parsed.entries, defaultName, ext.toUpperCase());
                 };
                 reader.readAsText(file, 'utf-8');
             });
@@ -7068,9 +7464,11 @@ ${body}
                     pending = dash !== -1
                         ? { artist: info.slice(0, dash).trim(), title: info.slice(dash + 3).trim() }
                         : { title: info, artist: null };
+                    const secs = parseInt(t.slice(8, comma));
+                    if (secs > 0) pending.duration = secs;
                 }
             } else if (!t.startsWith('#')) {
-                entries.push({ path: t, title: pending.title || null, artist: pending.artist || null });
+                entries.push({ path: t, title: pending.title || null, artist: pending.artist || null, duration: pending.duration || null });
                 pending = {};
             }
         }
@@ -7079,13 +7477,15 @@ ${body}
 
     _parsePls(text) {
         const lines = text.split(/\r?\n/);
-        const files = {}, titles = {};
+        const files = {}, titles = {}, lengths = {};
         for (const line of lines) {
             const t = line.trim();
             const fm = t.match(/^File(\d+)=(.+)$/i);
             if (fm) { files[fm[1]] = fm[2].trim(); continue; }
             const tm = t.match(/^Title(\d+)=(.+)$/i);
-            if (tm) { titles[tm[1]] = tm[2].trim(); }
+            if (tm) { titles[tm[1]] = tm[2].trim(); continue; }
+            const lm = t.match(/^Length(\d+)=(-?\d+)$/i);
+            if (lm) { lengths[lm[1]] = +lm[2]; }
         }
         return Object.keys(files).sort((a, b) => +a - +b).map(k => {
             const rawTitle = titles[k] || null;
@@ -7094,8 +7494,59 @@ ${body}
                 const dash = rawTitle.indexOf(' - ');
                 if (dash !== -1) { artist = rawTitle.slice(0, dash).trim(); title = rawTitle.slice(dash + 3).trim(); }
             }
-            return { path: files[k], title, artist };
+            return { path: files[k], title, artist, duration: lengths[k] > 0 ? lengths[k] : null };
+        });
+    },
+
+    // XSPF/JSPF locations are URIs; relative ones are percent-encoded, file:// URIs are decoded by the server
+    _xspfLocation(loc) {
+        if (!loc || /^[a-z][a-z0-9+.-]*:/i.test(loc)) return loc || null;
+        try { return decodeURIComponent(loc); } catch { return loc; }
+    },
+
+    _mbidFromIdentifiers(ids) {
+        for (const id of ids) {
+            const m = String(id).match(/musicbrainz\.org\/recording\/([0-9a-f-]{36})/i);
+            if (m) return m[1];
+        }
+        return null;
+    },
+
+    _parseXspf(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length) throw new Error('Invalid XSPF');
+        const child = (el, name) => Array.from(el.children).filter(c => c.localName === name);
+        const value = (el, name) => child(el, name)[0]?.textContent.trim() || null;
+        const root = doc.documentElement;
+        const list = child(root, 'trackList')[0];
+        if (root.localName !== 'playlist' || !list) throw new Error('Invalid XSPF');
+        const entries = child(list, 'track').map(tr => {
+            const ms = parseInt(value(tr, 'duration'));
+            return {
+                path: this._xspfLocation(value(tr, 'location')),
+                title: value(tr, 'title'),
+                artist: value(tr, 'creator'),
+                duration: ms > 0 ? Math.round(ms / 1000) : null,
+                mbid: this._mbidFromIdentifiers(child(tr, 'identifier').map(i => i.textContent.trim()))
+            };
         });
+        return { name: value(root, 'title'), entries };
+    },
+
+    // JSPF as written by ListenBrainz; location/identifier may be a string or an array
+    _parseJspf(text) {
+        const data = JSON.parse(text);
+        const pl = data.playlist || data;
+        if (!Array.isArray(pl.track)) throw new Error('Invalid JSPF');
+        const list = v => v == null ? [] : Array.isArray(v) ? v : [v];
+        const entries = pl.track.map(tr => ({
+            path: this._xspfLocation(list(tr.location)[0]),
+            title: tr.title || null,
+            artist: tr.creator || null,
+            duration: tr.duration > 0 ? Math.round(tr.duration / 1000) : null,
+            mbid: this._mbidFromIdentifiers(list(tr.identifier))
+        }));
+        return { name: pl.title || null, entries };
     },
 
     _showImportModal(entries, defaultName, format) {
@@ -7134,6 +7585,14 @@ ${body}
         document.getElementById('_import-pl-name')?.focus();
     },
 
+    // ── Import match review ──
+    // Every parsed entry is matched server-side (playlists/import-match) and listed in file order
+    // with its status and fuzzy candidates; the user can pick another candidate, search the
+    // library or leave the entry unmatched. Unmatched entries are stored with the playlist and
+    // reopen here in 'retry' mode from the playlist page (playlists/{id}/unmatched).
+    _imr: null,                 // { mode: 'import'|'retry', playlistId, name, rows, filter }
+    _imrSearchTimer: null,
+
     async _doImportPlaylist() {
         const entries = this._pendingImportEntries || [];
         const nameEl  = document.getElementById('_import-pl-name');
@@ -7141,32 +7600,267 @@ ${body}
         const btn     = document.getElementById('_import-pl-btn');
         const result  = document.getElementById('_import-pl-result');
 
-        if (btn) { btn.disabled = true; btn.textContent = this.t('playlist.import.importing'); }
+        if (btn) { btn.disabled = true; btn.textContent = this.t('playlist.import.matching', 'Matching tracks…'); }
 
-        const res = await this.apiPost('playlists/import-entries', { name, entries }).catch(() => null);
+        const res = await this.apiPost('playlists/import-match', { entries }).catch(() => null);
 
-        if (!res) {
+        if (!res || !Array.isArray(res.results)) {
             if (btn) { btn.disabled = false; btn.textContent = this.t('playlist.import.doImport'); }
             if (result) { result.style.display = 'block'; result.className = 'import-pl-result import-pl-result--error';
                           result.textContent = this.t('playlist.import.errorGeneric'); }
             return;
         }
 
-        if (res.matched === 0) {
-            if (btn) { btn.disabled = false; btn.textContent = this.t('playlist.import.doImport'); }
-            if (result) { result.style.display = 'block'; result.className = 'import-pl-result import-pl-result--warn';
-                          result.textContent = this.t('playlist.import.noneMatched'); }
-            return;
-        }
+        const rows = res.results.map(m => this._imrRow(entries[m.index], m, m.index + 1));
+        this._imrOpen({ mode: 'import', playlistId: null, name, rows, filter: 'all' });
+    },
+
+    _imrRow(entry, match, n, entryId = null) {
+        return {
+            n, entry, entryId,
+            status: match.status, autoStatus: match.status,
+            trackId: match.trackId ?? null, autoTrackId: match.trackId ?? null,
+            candidates: match.candidates || [],
+            searching: false, results: null
+        };
+    },
+
+    // Reopen the unmatched entries of an imported playlist
+    async reviewUnmatched(playlistId) {
+        const [res, pl] = await Promise.all([
+            this.api(`playlists/${playlistId}/unmatched`),
+            this.api(`playlists/${playlistId}`)
+        ]);
+        if (!res) return;
+        const rows = (res.entries || []).map(e => this._imrRow(e.entry, e.match, e.position, e.id));
+        this._imrOpen({ mode: 'retry', playlistId, name: pl?.name || '', rows, filter: 'all' });
+    },
 
+    _imrOpen(state) {
+        this._imr = state;
         document.getElementById('_import-pl-overlay')?.remove();
+        const overlay = document.createElement('div');
+        overlay.id = '_import-pl-overlay';
+        overlay.className = 'import-pl-overlay';
+        const footer = state.mode === 'import'
+            ? `<button class="btn-secondary" onclick="App._imrClose()">${this.t('btn.cancel')}</button>
+               <button class="btn-primary" id="_imr-import-btn" onclick="App._imrImport()"></button>`
+            : `<button class="btn-secondary" id="_imr-retry-btn" onclick="App._imrRetryAll()">${this.t('playlist.import.retryAuto', 'Retry automatic matching')}</button>
+               <button class="btn-primary" onclick="App._imrClose(true)">${this.t('playlist.import.done', 'Done')}</button>`;
+        overlay.innerHTML = `
+            <div class="import-pl-modal import-pl-modal--review">
+                <div class="import-pl-header">
+                    <h3>${state.mode === 'import' ? this.t('playlist.import.reviewTitle', 'Review matches') : this.t('playlist.import.unmatchedTitle', 'Unmatched entries')}
+                        <span class="imr-name">${this.esc(state.name)}</span></h3>
+                    <button class="import-pl-close" onclick="App._imrClose(${state.mode === 'retry'})">✕</button>
+                </div>
+                <div class="imr-summary" id="_imr-summary"></div>
+                <div class="imr-list" id="_imr-list"></div>
+                <div class="import-pl-footer">${footer}</div>
+            </div>`;
+        document.body.appendChild(overlay);
+        this._imrRender();
+    },
+
+    _imrClose(reopenPlaylist = false) {
+        clearTimeout(this._imrSearchTimer);
+        document.getElementById('_import-pl-overlay')?.remove();
+        const id = this._imr?.playlistId;
+        this._imr = null;
         this._pendingImportEntries = null;
-        this.renderPage('playlists');
+        if (reopenPlaylist && id) this.openPlaylist(id);
+    },
+
+    // 'matched' = exact / confident / picked by hand, 'review' = plausible guess, 'none' = left unmatched
+    _imrGroup(row) {
+        if (!row.trackId) return 'none';
+        return row.status === 'review' ? 'review' : 'matched';
+    },
+
+    _imrRender() {
+        const st = this._imr;
+        if (!st) return;
+        const counts = { matched: 0, review: 0, none: 0 };
+        st.rows.forEach(r => counts[this._imrGroup(r)]++);
+        const chip = (key, label, n) =>
+            `<button class="imr-chip imr-chip-${key}${st.filter === key ? ' active' : ''}" onclick="App._imrFilter('${key}')">${label} <b>${n}</b></button>`;
+        document.getElementById('_imr-summary').innerHTML =
+            chip('all', this.t('playlist.import.all', 'All'), st.rows.length) +
+            chip('matched', this.t('playlist.import.matched', 'Matched'), counts.matched) +
+            chip('review', this.t('playlist.import.needsReview', 'Needs review'), counts.review) +
+            chip('none', this.t('playlist.import.unmatched', 'Unmatched'), counts.none);
+
+        const list = document.getElementById('_imr-list');
+        const html = st.rows.map((r, i) => st.filter === 'all' || this._imrGroup(r) === st.filter ? this._imrRowHtml(r, i) : '').join('');
+        list.innerHTML = html || `<div class="imr-empty">${this.t('playlist.import.nothingHere', 'Nothing to show')}</div>`;
+
+        const btn = document.getElementById('_imr-import-btn');
+        if (btn) {
+            const n = st.rows.filter(r => r.trackId).length;
+            btn.disabled = n === 0;
+            btn.textContent = this.t('playlist.import.importN', 'Import {n} of {total}').replace('{n}', n).replace('{total}', st.rows.length);
+        }
+    },
+
+    _imrFilter(key) {
+        if (!this._imr) return;
+        this._imr.filter = key;
+        this._imrRender();
+    },
+
+    _imrRowHtml(row, i) {
+        const e = row.entry || {};
+        const file = (e.path || '').split(/[\\/]/).pop();
+        const label = e.title ? `${e.artist ? e.artist + ' – ' : ''}${e.title}` : file;
+        const group = this._imrGroup(row);
+        const badge = {
+            exact: this.t('playlist.import.exact', 'Exact'), matched: this.t('playlist.import.matched', 'Matched'),
+            review: this.t('playlist.import.needsReview', 'Needs review'), manual: this.t('playlist.import.manual', 'Picked'),
+        }[row.status] || this.t('playlist.import.unmatched', 'Unmatched');
+
+        let pick;
+        if (row.searching) {
+            pick = `<input class="import-pl-input imr-search" id="_imr-search-${i}" placeholder="${this.t('playlist.import.searchPlaceholder', 'Search title, artist or album')}"
+                        value="${this.esc(row.query ?? label)}" oninput="App._imrSearch(${i}, this.value)" onkeydown="if(event.key==='Escape')App._imrPick(${i}, '${row.trackId ?? ''}')">
+                    <div class="imr-results">${this._imrResultsHtml(row, i)}</div>`;
+        } else {
+            const opts = row.candidates.map(c => {
+                const t = c.track;
+                const pct = c.score != null ? ` · ${Math.round(c.score * 100)}%` : '';
+                return `<option value="${t.id}"${t.id === row.trackId ? ' selected' : ''}>${this.esc(t.artist)} – ${this.esc(t.title)} · ${this.formatDuration(t.duration)}${pct}</option>`;
+            }).join('');
+            pick = `<select class="setting-select imr-select" onchange="App._imrPick(${i}, this.value)">
+                ${opts}
+                <option value=""${row.trackId ? '' : ' selected'}>${this.t('playlist.import.leaveUnmatched', '— Leave unmatched')}</option>
+                <option value="search">${this.t('playlist.import.searchLibrary', 'Search library…')}</option>
+            </select>`;
+        }
+
+        return `<div class="imr-row imr-${group}" id="_imr-row-${i}">
+            <span class="imr-num">${row.n}</span>
+            <div class="imr-src">
+                <div class="imr-src-title">${this.esc(label)}${e.duration > 0 ? ` <span>${this.formatDuration(e.duration)}</span>` : ''}</div>
+                <div class="imr-src-path" title="${this.esc(e.path || '')}">${this.esc(e.path || '')}</div>
+            </div>
+            <div class="imr-pick">${pick}</div>
+            <span class="imr-badge">${badge}</span>
+            ${row.entryId ? `<button class="imr-dismiss" onclick="App._imrDismiss(${i})" title="${this.t('playlist.import.dismiss', 'Remove entry')}">✕</button>` : ''}
+        </div>`;
+    },
+
+    _imrResultsHtml(row, i) {
+        if (!row.results) return '';
+        if (!row.results.length) return `<div class="imr-empty">${this.t('playlist.import.noResults', 'No tracks found')}</div>`;
+        return row.results.map(t =>
+            `<div class="imr-result" onclick="App._imrChoose(${i}, ${t.id})">${this.esc(t.artist)} – ${this.esc(t.title)}
+                <span>${this.esc(t.album || '')} · ${this.formatDuration(t.duration)}</span></div>`).join('');
+    },
+
+    _imrRefreshRow(i) {
+        const el = document.getElementById(`_imr-row-${i}`);
+        if (el) el.outerHTML = this._imrRowHtml(this._imr.rows[i], i);
+    },
+
+    _imrPick(i, value) {
+        const row = this._imr?.rows[i];
+        if (!row) return;
+        if (value === 'search') {
+            row.searching = true;
+            this._imrRefreshRow(i);
+            const inp = document.getElementById(`_imr-search-${i}`);
+            if (inp) { inp.focus(); inp.select(); this._imrSearch(i, inp.value); }
+            return;
+        }
+        row.searching = false;
+        this._imrSetTrack(i, value ? parseInt(value) : null);
+    },
+
+    _imrSearch(i, q) {
+        const row = this._imr?.rows[i];
+        if (!row) return;
+        row.query = q;
+        clearTimeout(this._imrSearchTimer);
+        this._imrSearchTimer = setTimeout(async () => {
+            const data = q.trim() ? await this.api(`tracks?search=${encodeURIComponent(q.trim())}&limit=8`) : null;
+            if (this._imr?.rows[i] !== row || !row.searching) return;
+            row.results = data?.tracks || [];
+            const box = document.querySelector(`#_imr-row-${i} .imr-results`);
+            if (box) box.innerHTML = this._imrResultsHtml(row, i);
+        }, 300);
+    },
+
+    _imrChoose(i, trackId) {
+        const row = this._imr?.rows[i];
+        if (!row) return;
+        const t = (row.results || []).find(x => x.id === trackId);
+        if (t && !row.candidates.some(c => c.track.id === trackId)) row.candidates.unshift({ score: null, track: t });
+        row.searching = false;
+        row.results = null;
+        this._imrSetTrack(i, trackId);
+    },
+
+    async _imrSetTrack(i, trackId) {
+        const st = this._imr;
+        const row = st.rows[i];
+        row.trackId = trackId;
+        row.status = !trackId ? 'none'
+            : trackId === row.autoTrackId ? row.autoStatus
+            : 'manual';
+        // In retry mode a pick is saved straight away: the track lands at the entry's original position
+        if (st.mode === 'retry' && trackId) {
+            const res = await this.apiPost(`playlists/${st.playlistId}/unmatched/${row.entryId}/resolve`, { trackId });
+            if (!res || !res.message) { alert(this.t('playlist.import.errorGeneric')); return; }
+            st.rows.splice(i, 1);
+            this._imrRender();
+            return;
+        }
+        this._imrRender();
+    },
+
+    async _imrDismiss(i) {
+        const st = this._imr;
+        const row = st?.rows[i];
+        if (!row?.entryId) return;
+        const res = await this.apiDelete(`playlists/${st.playlistId}/unmatched/${row.entryId}`);
+        if (!res || !res.message) return;
+        st.rows.splice(i, 1);
+        this._imrRender();
+    },
+
+    async _imrRetryAll() {
+        const st = this._imr;
+        if (!st) return;
+        const btn = document.getElementById('_imr-retry-btn');
+        if (btn) btn.disabled = true;
+        const res = await this.apiPost(`playlists/${st.playlistId}/unmatched/retry`, {});
+        if (btn) btn.disabled = false;
+        if (!res || res.resolved == null) { alert(this.t('playlist.import.errorGeneric')); return; }
+        await this.reviewUnmatched(st.playlistId);
+        const summary = document.getElementById('_imr-summary');
+        if (summary) summary.insertAdjacentHTML('beforeend',
+            `<span class="imr-retry-note">${this.t('playlist.import.retryResult', '{n} more matched').replace('{n}', res.resolved)}</span>`);
+    },
+
+    async _imrImport() {
+        const st = this._imr;
+        if (!st) return;
+        const btn = document.getElementById('_imr-import-btn');
+        if (btn) { btn.disabled = true; btn.textContent = this.t('playlist.import.importing'); }
+        const entries = st.rows.map(r => ({ ...r.entry, trackId: r.trackId }));
+        const res = await this.apiPost('playlists/import-entries', { name: st.name, entries });
+        if (!res || !res.id) {
+            alert(res?.error || this.t('playlist.import.errorGeneric'));
+            this._imrRender();
+            return;
+        }
+        this._imrClose();
+        await this.openPlaylist(res.id);
     },
 
     async openPlaylist(id) {
         const data = await this.api(`playlists/${id}`);
         if (!data) return;
+        this._routeDetail('playlist', id);
         const el = document.getElementById('main-content');
         document.getElementById('page-title').innerHTML = `<span>${this.esc(data.name)}</span>`;
 
@@ -7174,6 +7868,7 @@ ${body}
         const entries = (data.playlistTracks || []).filter(pt => pt.track);
         this._playlistTracks = entries.map(pt => pt.track);
         this._playlistId = id;
+        this._playlistName = data.name;
 
         // Calculate total duration
         const totalSecs = this._playlistTracks.reduce((s, t) => s + (t.duration || 0), 0);
@@ -7194,15 +7889,26 @@ ${body}
             <button class="playlist-btn playlist-btn-shuffle" onclick="App.playPlaylistShuffle()"${entries.length === 0 ? ' disabled' : ''}>
                 <svg style="width:14px;height:14px;stroke:currentColor;fill:none;stroke-width:2;stroke-linecap:round;stroke-linejoin:round"><use href="#icon-shuffle"/></svg> Shuffle
             </button>
+            <button class="playlist-btn" onclick="App.enqueue('playlist', ${id}, true)"${entries.length === 0 ? ' disabled' : ''}>${this.t('queue.playNext', 'Play next')}</button>
+            <button class="playlist-btn" onclick="App.enqueue('playlist', ${id})"${entries.length === 0 ? ' disabled' : ''}>${this.t('queue.addToQueue', 'Add to queue')}</button>
             <button class="playlist-btn playlist-btn-nightclub" onclick="App.startNightClubMode()"${entries.length === 0 ? ' disabled' : ''}>
                 <svg style="width:16px;height:14px" viewBox="0 0 24 16" fill="none" stroke="currentColor" stroke-width="2.2" stroke-linecap="round" stroke-linejoin="round"><path d="M0 8 C2 2, 4 2, 6 8 S10 14, 12 8 S16 2, 18 8 S22 14, 24 8"/></svg> Night Club Mode
             </button>
             <button class="playlist-btn playlist-btn-android" onclick="App.launchAndroidMusicPlayer(App._playlistTracks, 0)"${entries.length === 0 ? ' disabled' : ''}>
                 <svg style="width:14px;height:14px;stroke:currentColor;fill:none;stroke-width:1.8;stroke-linecap:round;stroke-linejoin:round"><use href="#icon-android"/></svg> Android Player
             </button>
+            <button class="playlist-btn" onclick="App.exportPlaylist(${id}, App._playlistName)"${entries.length === 0 ? ' disabled' : ''}>${this.t('playlist.export.menu', 'Export…')}</button>
             <button class="playlist-btn playlist-btn-delete" onclick="App.deletePlaylist(${id})">Delete Playlist</button>
         </div>`;
 
+        // Entries of an imported M3U/PLS that didn't match any library track yet
+        if (data.unmatchedCount > 0) {
+            html += `<div class="imr-banner">
+                <span>${this.t('playlist.import.unmatchedBanner', '{n} imported entries are not matched to library tracks').replace('{n}', data.unmatchedCount)}</span>
+                <button class="btn-secondary" onclick="App.reviewUnmatched(${id})">${this.t('playlist.import.review', 'Review')}</button>
+            </div>`;
+        }
+
         // Track list
         if (entries.length > 0) {
             html += '<div class="playlist-track-list">';
@@ -7225,6 +7931,7 @@ ${body}
                     <span class="playlist-track-dur">${dur}</span>
                     <div class="playlist-track-actions">
                         <button class="playlist-track-fav ${favClass}" onclick="event.stopPropagation(); App.toggleFav(${t.id}, this)">&#10084;</button>
+                        <button class="playlist-track-fav" onclick="event.stopPropagation(); App.showTrackMenu(${t.id}, event)" title="More options">&#8942;</button>
                         <button class="playlist-track-remove" onclick="event.stopPropagation(); App.removePlaylistTrack(${id}, ${pt.id}, this)" title="Remove from playlist">&#10005;</button>
                     </div>
                 </div>`;
@@ -7245,12 +7952,7 @@ ${body}
 
     playPlaylistShuffle() {
         if (!this._playlistTracks || this._playlistTracks.length === 0) return;
-        const shuffled = [...this._playlistTracks];
-        for (let i = shuffled.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-        }
-        this.playlist = shuffled;
+        this.playlist = this._shuffleOrder([...this._playlistTracks]);
         this.playIndex = 0;
         this.playTrack(this.playlist[0]);
     },
@@ -7360,9 +8062,17 @@ ${body}
         if (res && res.message) this.renderPage('playlists');
     },
 
-    async _downloadM3uBlob(apiUrl, filename) {
+    // ── Playlist export (M3U / XSPF / JSPF) ──────────────────────
+    // The server writes the file (api/playlists/{id}/export.{format}, smart-playlists/…, or a POSTed
+    // track list for auto-generated playlists). Paths are absolute unless a root folder is chosen,
+    // in which case tracks under it get relative paths for use on a DAP or another player.
+    _exportRoots: null,         // music folders offered as roots for relative paths
+
+    async _downloadPlaylistFile(apiUrl, filename, body) {
         try {
-            const res = await fetch(apiUrl);
+            const res = await fetch(apiUrl, body ? {
+                method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body)
+            } : undefined);
             if (!res.ok) throw new Error(`Server returned ${res.status}`);
             const blob = new Blob([await res.text()], { type: 'text/plain' });
             const blobUrl = URL.createObjectURL(blob);
@@ -7378,56 +8088,587 @@ ${body}
         }
     },
 
-    exportPlaylistM3u(id, name) {
-        const safe = (name || 'playlist').replace(/[\\/:*?"<>|]/g, '_');
-        this._downloadM3uBlob(`/api/playlists/${id}/export.m3u`, `${safe}.m3u`);
+    _exportFileName(name, format) {
+        return `${(name || 'playlist').replace(/[\\/:*?"<>|]/g, '_')}.${format}`;
     },
 
-    exportAgpM3u(type, param) {
-        const url = `/api/agp-export.m3u?type=${encodeURIComponent(type)}${param != null ? '&param=' + param : ''}`;
-        const safe = (type + (param != null ? '_' + param : '')).replace(/[\\/:*?"<>|]/g, '_');
-        this._downloadM3uBlob(url, `${safe}.m3u`);
+    _exportQuery(root) {
+        return root ? `?root=${encodeURIComponent(root)}` : '';
     },
 
-    // ─── Auto-Generated Playlists ─────────────────────────────────────
+    exportPlaylist(id, name) {
+        this._showExportDialog(name, (format, root) =>
+            this._downloadPlaylistFile(`/api/playlists/${id}/export.${format}${this._exportQuery(root)}`, this._exportFileName(name, format)));
+    },
 
-    _agpTogglePanel() {
-        const panel = document.getElementById('agp-panel');
-        if (!panel) return;
-        const open = panel.style.display === 'none';
-        panel.style.display = open ? 'block' : 'none';
-        const btn = document.getElementById('agp-toggle-btn');
-        if (btn) btn.classList.toggle('active', open);
+    exportAgp(type, param) {
+        const name = this._agpTitle(type, param) || type;
+        this._showExportDialog(name, async (format, root) => {
+            const tracks = await this._agpLoadTracks(type, param);
+            await this._downloadPlaylistFile('/api/playlists/export', this._exportFileName(name, format),
+                { name, trackIds: tracks.map(t => t.id), format, root });
+        });
+    },
 
-        // When opening, sync card selections to reflect what's already active
-        if (open) {
-            const activeTypes = this._agpConfig?.activeTypes || this._agpConfig?.ActiveTypes || [];
-            const allTypes = ['decade', 'topplayed', 'recent', 'favourites', 'genre_rock', 'genre_rap', 'genre_country', 'genre_rnb'];
-            // If no config yet, leave all selected (first-time setup)
-            if (activeTypes.length > 0) {
-                allTypes.forEach(t => {
-                    const card = document.getElementById(`agp-card-${t}`);
-                    if (card) card.classList.toggle('agp-selected', activeTypes.includes(t));
-                });
-            }
+    // Format and path options; the last choice is remembered per browser
+    async _showExportDialog(name, onExport) {
+        if (!this._exportRoots) this._exportRoots = (await this.api('playlists/export-roots'))?.roots || [];
+        let saved = {};
+        try { saved = JSON.parse(localStorage.getItem('nexusm-pl-export') || '{}'); } catch { }
+        const format = saved.format || 'm3u';
+        const custom = saved.root && !this._exportRoots.includes(saved.root);
+
+        document.getElementById('_export-pl-overlay')?.remove();
+        const overlay = document.createElement('div');
+        overlay.id = '_export-pl-overlay';
+        overlay.className = 'import-pl-overlay';
+        overlay.addEventListener('click', e => { if (e.target === overlay) overlay.remove(); });
+        const formats = [
+            ['m3u', 'M3U'], ['m3u8', 'M3U8 (UTF-8)'],
+            ['xspf', 'XSPF'], ['jspf', this.t('playlist.export.jspf', 'JSPF (ListenBrainz)')]
+        ];
+        overlay.innerHTML = `
+            <div class="import-pl-modal">
+                <div class="import-pl-header">
+                    <h3>${this.t('playlist.export.title', 'Export Playlist')}</h3>
+                </div>
+                <div class="import-pl-body">
+                    <div class="import-pl-meta"><span>${this.esc(name)}</span></div>
+                    <label class="import-pl-label">${this.t('playlist.export.format', 'Format')}</label>
+                    <select id="_export-pl-format" class="import-pl-input">
+                        ${formats.map(([v, l]) => `<option value="${v}"${v === format ? ' selected' : ''}>${l}</option>`).join('')}
+                    </select>
+                    <label class="import-pl-label">${this.t('playlist.export.paths', 'Track paths')}</label>
+                    <select id="_export-pl-root" class="import-pl-input"
+                            onchange="document.getElementById('_export-pl-custom').style.display = this.value === '*' ? '' : 'none'">
+                        <option value="">${this.t('playlist.export.absolute', 'Absolute paths')}</option>
+                        ${this._exportRoots.map(r => `<option value="${this.esc(r)}"${r === saved.root ? ' selected' : ''}>${this.t('playlist.export.relativeTo', 'Relative to')} ${this.esc(r)}</option>`).join('')}
+                        <option value="*"${custom ? ' selected' : ''}>${this.t('playlist.export.relativeCustom', 'Relative to another folder…')}</option>
+                    </select>
+                    <input type="text" id="_export-pl-custom" class="import-pl-input"${custom ? '' : ' style="display:none"'}
+                           value="${custom ? this.esc(saved.root) : ''}" placeholder="${this.t('playlist.export.customPlaceholder', 'e.g. /media/music or D:\\Music')}">
+                    <div class="import-pl-hint">${this.t('playlist.export.hint', 'Relative paths let the playlist work when copied to the root of your music folder on a portable player or another computer. XSPF and JSPF include MusicBrainz recording IDs where your tags have them.')}</div>
+                </div>
+                <div class="import-pl-footer">
+                    <button class="btn-secondary" onclick="document.getElementById('_export-pl-overlay').remove()">${this.t('btn.cancel')}</button>
+                    <button class="btn-primary" id="_export-pl-btn">${this.t('playlist.export.doExport', 'Export')}</button>
+                </div>
+            </div>`;
+        document.body.appendChild(overlay);
+
+        overlay.querySelector('#_export-pl-btn').addEventListener('click', async e => {
+            const fmt = document.getElementById('_export-pl-format').value;
+            const sel = document.getElementById('_export-pl-root').value;
+            const root = sel === '*' ? document.getElementById('_export-pl-custom').value.trim() : sel;
+            localStorage.setItem('nexusm-pl-export', JSON.stringify({ format: fmt, root }));
+            e.target.disabled = true;
+            await onExport(fmt, root);
+            overlay.remove();
+        });
+    },
+
+    // ─── Smart Playlists ──────────────────────────────────────────────
+    // Rule-based playlists evaluated by the server (api/smart-playlists). A definition is a tree of
+    // groups { match: 'all'|'any', rules: [...] } and conditions { field, op, value, value2 }.
+    // Live playlists re-evaluate on every open; static ones keep the tracks of their last refresh.
+    // The builder edits _splEdit in place and addresses nodes by index path ('' = root, '0-2' = …).
+    _splEdit: null,             // { id, name, rules, sort, limit, liveUpdate } while the builder is open
+    _splCurrent: null,          // smart playlist shown in the detail view
+    _splCustomGenres: [],       // music custom genres, for the customGenre condition
+    _splPreviewTimer: null,
+
+    _splFields: {
+        genre:       { label: 'Genre',          kind: 'text',   ops: ['is', 'isNot', 'contains', 'notContains'], def: ['is', ''] },
+        artist:      { label: 'Artist',         kind: 'text',   ops: ['is', 'isNot', 'contains', 'notContains'], def: ['is', ''] },
+        customGenre: { label: 'Custom genre',   kind: 'cgenre', ops: ['is', 'isNot'],                            def: ['is', ''] },
+        year:        { label: 'Year',           kind: 'number', ops: ['between', 'is', 'gte', 'lte'],            def: ['between', '1990', '1999'] },
+        rating:      { label: 'Rating',         kind: 'number', ops: ['gte', 'lte', 'is'],                       def: ['gte', '4'] },
+        playCount:   { label: 'Play count',     kind: 'number', ops: ['gte', 'lte', 'is', 'between'],            def: ['gte', '1'] },
+        lastPlayed:  { label: 'Last played',    kind: 'date',   ops: ['inLast', 'notInLast', 'never'],           def: ['notInLast', '90'] },
+        dateAdded:   { label: 'Date added',     kind: 'date',   ops: ['inLast', 'notInLast'],                    def: ['inLast', '30'] },
+        format:      { label: 'Format',         kind: 'text',   ops: ['is', 'isNot'],                            def: ['is', 'FLAC'] },
+        bitrate:     { label: 'Bitrate (kbps)', kind: 'number', ops: ['gte', 'lte', 'is', 'between'],            def: ['gte', '320'] },
+        sampleRate:  { label: 'Sample rate (Hz)', kind: 'number', ops: ['gte', 'lte', 'is'],                     def: ['gte', '48000'] },
+    },
+
+    _splFieldLabel(field) {
+        return this.t(`smartpl.field.${field}`, this._splFields[field]?.label || field);
+    },
+
+    _splOpLabel(op) {
+        return {
+            is: this.t('smartpl.op.is', 'is'), isNot: this.t('smartpl.op.isNot', 'is not'),
+            contains: this.t('smartpl.op.contains', 'contains'), notContains: this.t('smartpl.op.notContains', 'does not contain'),
+            gte: '≥', lte: '≤', between: this.t('smartpl.op.between', 'between'),
+            inLast: this.t('smartpl.op.inLast', 'in the last'), notInLast: this.t('smartpl.op.notInLast', 'not in the last'),
+            never: this.t('smartpl.op.never', 'never')
+        }[op] || op;
+    },
+
+    _splSorts() {
+        return [
+            ['artist', this.t('smartpl.sort.artist', 'Artist')], ['title', this.t('smartpl.sort.title', 'Title')],
+            ['album', this.t('smartpl.sort.album', 'Album')], ['yearAsc', this.t('smartpl.sort.yearAsc', 'Year (oldest first)')],
+            ['yearDesc', this.t('smartpl.sort.yearDesc', 'Year (newest first)')], ['rating', this.t('smartpl.sort.rating', 'Highest rated')],
+            ['mostPlayed', this.t('smartpl.sort.mostPlayed', 'Most played')], ['leastPlayed', this.t('smartpl.sort.leastPlayed', 'Least played')],
+            ['lastPlayed', this.t('smartpl.sort.lastPlayed', 'Recently played')], ['recentlyAdded', this.t('smartpl.sort.recentlyAdded', 'Recently added')],
+            ['random', this.t('smartpl.sort.random', 'Random')]
+        ];
+    },
+
+    // One-line, human readable version of a rule tree for cards and the detail header
+    _splDescribe(node, nested = false) {
+        if (!node) return '';
+        if (node.rules) {
+            if (!node.rules.length) return nested ? '' : this.t('smartpl.wholeLibrary', 'Whole library');
+            const joiner = node.match === 'any' ? ` ${this.t('smartpl.or', 'or')} ` : ` ${this.t('smartpl.and', 'and')} `;
+            const text = node.rules.map(r => this._splDescribe(r, true)).filter(Boolean).join(joiner);
+            return nested && node.rules.length > 1 ? `(${text})` : text;
         }
+        const f = this._splFields[node.field];
+        if (!f) return '';
+        let value = node.value || '';
+        if (f.kind === 'cgenre') value = node.label || value;
+        const label = this._splFieldLabel(node.field);
+        if (node.op === 'never') return `${label} ${this._splOpLabel('never')}`;
+        if (node.op === 'between') value = `${node.value}–${node.value2}`;
+        if (f.kind === 'date') value = `${value} ${this.t('smartpl.days', 'days')}`;
+        return `${label} ${this._splOpLabel(node.op)} ${value}`;
     },
 
-    _agpToggle(type) {
-        const card = document.getElementById(`agp-card-${type}`);
-        if (!card) return;
-        card.classList.toggle('agp-selected');
+    exportSmartPlaylist(id, name) {
+        this._showExportDialog(name, (format, root) =>
+            this._downloadPlaylistFile(`/api/smart-playlists/${id}/export.${format}${this._exportQuery(root)}`, this._exportFileName(name || 'smart-playlist', format)));
     },
 
-    async _agpGenerate() {
-        const allTypes = ['decade', 'topplayed', 'recent', 'favourites', 'genre_rock', 'genre_rap', 'genre_country', 'genre_rnb'];
-        const types = allTypes.filter(t =>
-            document.getElementById(`agp-card-${t}`)?.classList.contains('agp-selected')
-        );
-        if (!types.length) return;
+    async openSmartPlaylist(id) {
+        const data = await this.api(`smart-playlists/${id}`);
+        if (!data) return;
+        this._routeDetail('smartplaylist', id);
+        const el = document.getElementById('main-content');
+        document.getElementById('page-title').innerHTML = `<span>${this.esc(data.name)}</span>`;
 
-        const btn = document.querySelector('#agp-panel .agp-btn-primary');
-        if (btn) { btn.disabled = true; btn.textContent = this.t('player.loading'); }
+        this._splCurrent = data;
+        this._playlistTracks = data.tracks || [];
+        this._playlistId = null;
+        const tracks = this._playlistTracks;
+        const totalSecs = tracks.reduce((s, t) => s + (t.duration || 0), 0);
+        const dis = tracks.length === 0 ? ' disabled' : '';
+        const mode = data.liveUpdate
+            ? `<span class="spl-badge spl-badge-live">${this.t('smartpl.live', 'Live')}</span>`
+            : `<span class="spl-badge">${this.t('smartpl.updated', 'Updated')} ${this.esc(new Date(data.dateModified.replace(' ', 'T') + 'Z').toLocaleDateString())}</span>`;
+
+        let html = `<div class="playlist-header">
+            <div class="playlist-header-info">
+                <div class="playlist-header-name">${this.esc(data.name)}</div>
+                <div class="playlist-header-meta">${tracks.length} ${this.t('autoplaylists.tracks')} &middot; ${this.formatDuration(totalSecs)} ${mode}</div>
+                <div class="playlist-header-desc spl-rules-summary">${this.esc(this._splDescribe(data.rules))}</div>
+            </div>
+        </div>
+        <div class="playlist-actions">
+            <button class="playlist-btn playlist-btn-play" onclick="App.playPlaylistAll()"${dis}>&#9654; ${this.t('btn.playAll')}</button>
+            <button class="playlist-btn playlist-btn-shuffle" onclick="App.playPlaylistShuffle()"${dis}>
+                <svg style="width:14px;height:14px;stroke:currentColor;fill:none;stroke-width:2;stroke-linecap:round;stroke-linejoin:round"><use href="#icon-shuffle"/></svg> Shuffle
+            </button>
+            <button class="playlist-btn" onclick="App.enqueue('smartplaylist', ${id}, true)"${dis}>${this.t('queue.playNext', 'Play next')}</button>
+            <button class="playlist-btn" onclick="App.enqueue('smartplaylist', ${id})"${dis}>${this.t('queue.addToQueue', 'Add to queue')}</button>
+            <button class="playlist-btn spl-btn-cast" onclick="App._splCast(this)"${dis}>
+                <svg viewBox="0 0 24 24" style="width:14px;height:14px"><use href="#icon-cast"/></svg> ${this.t('smartpl.cast', 'Cast')}
+            </button>
+            <button class="playlist-btn playlist-btn-nightclub" onclick="App.startNightClubMode()"${dis}>
+                <svg style="width:16px;height:14px" viewBox="0 0 24 16" fill="none" stroke="currentColor" stroke-width="2.2" stroke-linecap="round" stroke-linejoin="round"><path d="M0 8 C2 2, 4 2, 6 8 S10 14, 12 8 S16 2, 18 8 S22 14, 24 8"/></svg> Night Club Mode
+            </button>
+            <button class="playlist-btn playlist-btn-android" onclick="App.launchAndroidMusicPlayer(App._playlistTracks, 0)"${dis}>
+                <svg style="width:14px;height:14px;stroke:currentColor;fill:none;stroke-width:1.8;stroke-linecap:round;stroke-linejoin:round"><use href="#icon-android"/></svg> Android Player
+            </button>
+            <button class="playlist-btn" onclick="App.openSmartPlaylistBuilder(${id})">${this.t('smartpl.editRules', 'Edit rules')}</button>
+            ${data.liveUpdate ? '' : `<button class="playlist-btn" onclick="App._splRefresh(${id})">${this.t('btn.refresh')}</button>`}
+            <button class="playlist-btn" onclick="App.exportSmartPlaylist(${id}, App._splCurrent.name)">${this.t('playlist.export.menu', 'Export…')}</button>
+            <button class="playlist-btn playlist-btn-delete" onclick="App.deleteSmartPlaylist(${id})">${this.t('btn.deletePlaylist')}</button>
+        </div>`;
+
+        if (tracks.length > 0) {
+            html += '<div class="playlist-track-list">';
+            tracks.forEach((t, i) => {
+                const artSrc = this.getArtUrl(t);
+                html += `<div class="playlist-track-row" onclick="App.playPlaylistFromIndex(${i})" data-track-id="${t.id}">
+                    <span class="playlist-track-num">${i + 1}</span>
+                    <div class="playlist-track-art">
+                        ${artSrc
+                            ? `<img src="${artSrc}" onerror="this.style.display='none';this.nextElementSibling.style.display='block'" alt=""><span class="playlist-track-art-placeholder" style="display:none">&#9835;</span>`
+                            : `<span class="playlist-track-art-placeholder">&#9835;</span>`}
+                    </div>
+                    <div class="playlist-track-info">
+                        <div class="playlist-track-title">${this.esc(t.title)}</div>
+                        <div class="playlist-track-sub">${this.esc(t.artist)} &middot; ${this.esc(t.album)}</div>
+                    </div>
+                    <span class="playlist-track-dur">${this.formatDuration(t.duration)}</span>
+                    <div class="playlist-track-actions">
+                        <button class="playlist-track-fav ${t.isFavourite ? 'active' : ''}" onclick="event.stopPropagation(); App.toggleFav(${t.id}, this)">&#10084;</button>
+                        <button class="playlist-track-fav" onclick="event.stopPropagation(); App.showTrackMenu(${t.id}, event)" title="More options">&#8942;</button>
+                    </div>
+                </div>`;
+            });
+            html += '</div>';
+        } else {
+            html += this.emptyState(this.t('smartpl.noMatches', 'No tracks match these rules'), this.t('smartpl.noMatchesDesc', 'Edit the rules to widen the selection.'));
+        }
+        el.innerHTML = html;
+    },
+
+    // Queue the playlist and send it to a Cast device. Already casting → just play; the cast
+    // session follows the player queue (playTrack / nextTrack re-cast each track).
+    _splCast(btn) {
+        if (!this._playlistTracks?.length) return;
+        this.playlist = [...this._playlistTracks];
+        this.playIndex = 0;
+        if (this._castActive && this._castMediaType === 'audio') {
+            this.playTrack(this.playlist[0]);
+            return;
+        }
+        this.playTrack(this.playlist[0], { paused: true });
+        this.toggleCastAudio(btn);
+    },
+
+    async _splRefresh(id) {
+        const res = await this.apiPost(`smart-playlists/${id}/refresh`, {});
+        if (res && res.error) { alert(res.error); return; }
+        await this.openSmartPlaylist(id);
+    },
+
+    async deleteSmartPlaylist(id) {
+        if (!confirm(this.t('smartpl.deleteConfirm', 'Delete this smart playlist? Your tracks are not affected.'))) return;
+        const res = await this.apiDelete(`smart-playlists/${id}`);
+        if (res && res.message) this.renderPage('playlists');
+    },
+
+    showSmartPlaylistMenu(id, event) {
+        event.preventDefault();
+        event.stopPropagation();
+        this.closePlaylistMenu();
+        this.closeVideoMenu();
+
+        const p = (this._smartPlaylistsData || []).find(x => x.id === id) || { name: '' };
+        const svgAttr = 'xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"';
+        const menu = document.createElement('div');
+        menu.id = 'playlistContextMenu';
+        menu.className = 'video-context-menu';
+        menu.innerHTML = `
+            <div class="video-menu-item" data-act="next">
+                <span class="video-menu-icon"><svg ${svgAttr}><polygon points="5 4 15 12 5 20 5 4"/><line x1="19" y1="5" x2="19" y2="19"/></svg></span><span>${this.t('queue.playNext', 'Play next')}</span>
+            </div>
+            <div class="video-menu-item" data-act="queue">
+                <span class="video-menu-icon"><svg ${svgAttr}><line x1="8" y1="6" x2="21" y2="6"/><line x1="8" y1="12" x2="21" y2="12"/><line x1="8" y1="18" x2="14" y2="18"/><line x1="18" y1="15" x2="18" y2="21"/><line x1="15" y1="18" x2="21" y2="18"/></svg></span><span>${this.t('queue.addToQueue', 'Add to queue')}</span>
+            </div>
+            <div class="video-menu-divider"></div>
+            <div class="video-menu-item" data-act="edit">
+                <span class="video-menu-icon"><svg ${svgAttr}><path d="M12 20h9"/><path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"/></svg></span><span>${this.t('smartpl.editRules', 'Edit rules')}</span>
+            </div>
+            <div class="video-menu-item" data-act="export">
+                <span class="video-menu-icon"><svg ${svgAttr}><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/></svg></span><span>${this.t('playlist.export.menu', 'Export…')}</span>
+            </div>
+            <div class="video-menu-divider"></div>
+            <div class="video-menu-item video-menu-item-danger" data-act="delete">
+                <span class="video-menu-icon"><svg ${svgAttr}><polyline points="3 6 5 6 21 6"/><path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6"/><path d="M10 11v6"/><path d="M14 11v6"/><path d="M9 6V4h6v2"/></svg></span><span>${this.t('btn.deletePlaylist')}</span>
+            </div>`;
+
+        const rect = event.target.getBoundingClientRect();
+        menu.style.position = 'fixed';
+        menu.style.top = (rect.bottom + 4) + 'px';
+        menu.style.left = (rect.left - 140) + 'px';
+        document.body.appendChild(menu);
+
+        const actions = {
+            next:   () => this.enqueue('smartplaylist', id, true),
+            queue:  () => this.enqueue('smartplaylist', id),
+            edit:   () => this.openSmartPlaylistBuilder(id),
+            export: () => this.exportSmartPlaylist(id, p.name),
+            delete: () => this.deleteSmartPlaylist(id)
+        };
+        menu.querySelectorAll('[data-act]').forEach(item => item.addEventListener('click', () => {
+            this.closePlaylistMenu();
+            actions[item.dataset.act]();
+        }));
+
+        const menuRect = menu.getBoundingClientRect();
+        if (menuRect.right > window.innerWidth) menu.style.left = (window.innerWidth - menuRect.width - 8) + 'px';
+        if (menuRect.left < 0) menu.style.left = '8px';
+        if (menuRect.bottom > window.innerHeight) menu.style.top = (rect.top - menuRect.height - 4) + 'px';
+
+        setTimeout(() => {
+            const close = (e) => {
+                if (!menu.contains(e.target)) { this.closePlaylistMenu(); document.removeEventListener('click', close); }
+            };
+            document.addEventListener('click', close);
+        }, 0);
+    },
+
+    // ── Builder ──
+
+    async openSmartPlaylistBuilder(id = null) {
+        const [def, genres, customGenres] = await Promise.all([
+            id ? this.api(`smart-playlists/${id}`) : null,
+            this.api('genres'),
+            this.api('custom-genres?domain=music')
+        ]);
+        if (id && !def) return;
+        this._splCustomGenres = customGenres || [];
+        this._splEdit = def
+            ? { id, name: def.name, rules: def.rules, sort: def.sort, limit: def.limit, liveUpdate: def.liveUpdate }
+            : { id: null, name: '', rules: { match: 'all', rules: [this._splNewRule('genre')] }, sort: 'artist', limit: 0, liveUpdate: true };
+
+        document.getElementById('spl-modal-overlay')?.remove();
+        const overlay = document.createElement('div');
+        overlay.id = 'spl-modal-overlay';
+        overlay.className = 'cat-modal-overlay';
+        overlay.innerHTML = `
+            <div class="cat-modal-box spl-modal-box">
+                <div class="cat-modal-header">
+                    <h3>${id ? this.t('smartpl.edit', 'Edit smart playlist') : this.t('smartpl.create', 'New smart playlist')}</h3>
+                    <button class="cat-modal-close" onclick="App._splCloseBuilder()">✕</button>
+                </div>
+                <input id="spl-name-input" type="text" class="search-input" style="width:100%;box-sizing:border-box;margin-bottom:12px"
+                    placeholder="${this.t('smartpl.namePlaceholder', 'Playlist name')}" value="${this.esc(this._splEdit.name)}" maxlength="80">
+                <div id="spl-rules" class="spl-rules"></div>
+                <datalist id="spl-genre-list">${(genres || []).map(g => `<option value="${this.esc(g.name)}">`).join('')}</datalist>
+                <datalist id="spl-format-list">${['MP3', 'FLAC', 'AAC', 'ALAC', 'OGG', 'OPUS', 'WAV', 'WMA', 'APE', 'DSF'].map(f => `<option value="${f}">`).join('')}</datalist>
+                <div class="spl-options">
+                    <label>${this.t('smartpl.sortBy', 'Sort by')}
+                        <select id="spl-sort" class="setting-select" onchange="App._splEdit.sort = this.value; App._splSchedulePreview()">
+                            ${this._splSorts().map(([k, label]) => `<option value="${k}"${k === this._splEdit.sort ? ' selected' : ''}>${label}</option>`).join('')}
+                        </select>
+                    </label>
+                    <label>${this.t('smartpl.limit', 'Limit')}
+                        <input id="spl-limit" type="number" min="0" step="10" class="spl-input spl-input-num" value="${this._splEdit.limit || ''}"
+                            placeholder="${this.t('smartpl.noLimit', 'none')}" oninput="App._splEdit.limit = Math.max(0, parseInt(this.value) || 0); App._splSchedulePreview()">
+                        ${this.t('autoplaylists.tracks')}
+                    </label>
+                    <label class="spl-live" title="${this.t('smartpl.liveHint', 'Re-evaluate the rules every time the playlist is opened. Turn off to keep the current track list until you refresh it.')}">
+                        <input id="spl-live" type="checkbox"${this._splEdit.liveUpdate ? ' checked' : ''} onchange="App._splEdit.liveUpdate = this.checked">
+                        ${this.t('smartpl.liveUpdate', 'Live update')}
+                    </label>
+                </div>
+                <div id="spl-preview" class="spl-preview"></div>
+                <div class="cat-modal-actions">
+                    <button class="btn-primary" onclick="App._splSave()">${this.t('btn.save')}</button>
+                    <button class="btn-secondary" onclick="App._splCloseBuilder()">${this.t('btn.cancel')}</button>
+                </div>
+            </div>`;
+        document.body.appendChild(overlay);
+        this._splRenderRules();
+        this._splSchedulePreview();
+        document.getElementById('spl-name-input')?.focus();
+    },
+
+    _splCloseBuilder() {
+        clearTimeout(this._splPreviewTimer);
+        document.getElementById('spl-modal-overlay')?.remove();
+        this._splEdit = null;
+    },
+
+    _splNewRule(field) {
+        const [op, value, value2] = this._splFields[field].def;
+        return value2 !== undefined ? { field, op, value, value2 } : { field, op, value };
+    },
+
+    // Walk an index path ('' = root group, '1-0' = first child of the second child)
+    _splNode(path) {
+        let node = this._splEdit.rules;
+        if (path === '') return node;
+        for (const i of path.split('-')) node = node.rules[parseInt(i)];
+        return node;
+    },
+
+    _splParentOf(path) {
+        const parts = path.split('-');
+        const idx = parseInt(parts.pop());
+        return { parent: this._splNode(parts.join('-')), idx };
+    },
+
+    _splRenderRules() {
+        const box = document.getElementById('spl-rules');
+        if (box) box.innerHTML = this._splGroupHtml(this._splEdit.rules, '');
+    },
+
+    _splGroupHtml(group, path) {
+        const child = i => (path === '' ? '' : path + '-') + i;
+        const rows = group.rules.map((r, i) => r.rules ? this._splGroupHtml(r, child(i)) : this._splRuleHtml(r, child(i))).join('');
+        return `<div class="spl-group${path === '' ? ' spl-group-root' : ''}">
+            <div class="spl-group-head">
+                <select class="setting-select" onchange="App._splSetMatch('${path}', this.value)">
+                    <option value="all"${group.match !== 'any' ? ' selected' : ''}>${this.t('smartpl.matchAll', 'Match all of')}</option>
+                    <option value="any"${group.match === 'any' ? ' selected' : ''}>${this.t('smartpl.matchAny', 'Match any of')}</option>
+                </select>
+                ${path === '' ? '' : `<button class="spl-remove" onclick="App._splRemove('${path}')" title="${this.t('smartpl.removeGroup', 'Remove group')}">✕</button>`}
+            </div>
+            <div class="spl-group-body">${rows || `<div class="spl-empty">${this.t('smartpl.wholeLibrary', 'Whole library')}</div>`}</div>
+            <div class="spl-group-add">
+                <button class="agp-btn agp-btn-cancel" onclick="App._splAdd('${path}', false)">+ ${this.t('smartpl.addRule', 'Rule')}</button>
+                <button class="agp-btn agp-btn-cancel" onclick="App._splAdd('${path}', true)">+ ${this.t('smartpl.addGroup', 'Group')}</button>
+            </div>
+        </div>`;
+    },
+
+    _splRuleHtml(rule, path) {
+        const f = this._splFields[rule.field] || this._splFields.genre;
+        const fieldSel = `<select class="setting-select" onchange="App._splSetField('${path}', this.value)">
+            ${Object.keys(this._splFields).map(k => `<option value="${k}"${k === rule.field ? ' selected' : ''}>${this._splFieldLabel(k)}</option>`).join('')}
+        </select>`;
+        const opSel = `<select class="setting-select" onchange="App._splSetOp('${path}', this.value)">
+            ${f.ops.map(op => `<option value="${op}"${op === rule.op ? ' selected' : ''}>${this._splOpLabel(op)}</option>`).join('')}
+        </select>`;
+        const input = (key, type, extra = '') =>
+            `<input class="spl-input${type === 'number' ? ' spl-input-num' : ''}" type="${type}" value="${this.esc(rule[key] ?? '')}" ${extra}
+                oninput="App._splSetValue('${path}', '${key}', this.value)">`;
+
+        let value = '';
+        if (rule.op === 'never') value = '';
+        else if (f.kind === 'cgenre') {
+            value = `<select class="setting-select" onchange="App._splSetValue('${path}', 'value', this.value)">
+                <option value="">—</option>
+                ${this._splCustomGenres.map(g => `<option value="${this.esc(g.id)}"${g.id === rule.value ? ' selected' : ''}>${this.esc(g.name)}</option>`).join('')}
+            </select>`;
+        } else if (f.kind === 'text') {
+            const list = rule.field === 'genre' ? 'list="spl-genre-list"' : rule.field === 'format' ? 'list="spl-format-list"' : '';
+            value = input('value', 'text', list);
+        } else if (rule.op === 'between') {
+            value = `${input('value', 'number')} – ${input('value2', 'number')}`;
+        } else {
+            value = input('value', 'number', 'min="0"') + (f.kind === 'date' ? ` <span class="spl-unit">${this.t('smartpl.days', 'days')}</span>` : '');
+        }
+        return `<div class="spl-rule">${fieldSel}${opSel}<span class="spl-value">${value}</span>
+            <button class="spl-remove" onclick="App._splRemove('${path}')" title="${this.t('smartpl.removeRule', 'Remove rule')}">✕</button>
+        </div>`;
+    },
+
+    _splSetMatch(path, match) {
+        this._splNode(path).match = match;
+        this._splSchedulePreview();
+    },
+
+    _splAdd(path, group) {
+        const node = this._splNode(path);
+        node.rules.push(group ? { match: 'any', rules: [this._splNewRule('genre')] } : this._splNewRule('genre'));
+        this._splRenderRules();
+        this._splSchedulePreview();
+    },
+
+    _splRemove(path) {
+        const { parent, idx } = this._splParentOf(path);
+        parent.rules.splice(idx, 1);
+        this._splRenderRules();
+        this._splSchedulePreview();
+    },
+
+    _splSetField(path, field) {
+        const { parent, idx } = this._splParentOf(path);
+        parent.rules[idx] = this._splNewRule(field);
+        this._splRenderRules();
+        this._splSchedulePreview();
+    },
+
+    _splSetOp(path, op) {
+        const rule = this._splNode(path);
+        rule.op = op;
+        if (op === 'between' && rule.value2 === undefined) rule.value2 = rule.value;
+        if (op !== 'between') delete rule.value2;
+        this._splRenderRules();
+        this._splSchedulePreview();
+    },
+
+    // Value edits don't re-render, so the input keeps focus while typing
+    _splSetValue(path, key, value) {
+        const rule = this._splNode(path);
+        rule[key] = value;
+        if (rule.field === 'customGenre') {
+            // The server has no custom genre store of its own — carry the definition in the rule
+            const cg = this._splCustomGenres.find(g => g.id === value);
+            const defRules = cg ? (typeof cg.rules === 'string' ? JSON.parse(cg.rules || '[]') : cg.rules || []) : [];
+            rule.label = cg ? cg.name : '';
+            rule.genres = defRules.filter(r => r.type === 'genre').map(r => r.value);
+            rule.folders = defRules.filter(r => r.type === 'folder').map(r => r.value);
+        }
+        this._splSchedulePreview();
+    },
+
+    _splSchedulePreview() {
+        clearTimeout(this._splPreviewTimer);
+        this._splPreviewTimer = setTimeout(() => this._splPreview(), 400);
+    },
+
+    async _splPreview() {
+        const edit = this._splEdit;
+        if (!edit) return;
+        const res = await this.apiPost('smart-playlists/preview',
+            { name: edit.name, rules: edit.rules, sort: edit.sort, limit: edit.limit, liveUpdate: edit.liveUpdate });
+        const box = document.getElementById('spl-preview');
+        if (!box || this._splEdit !== edit) return;
+        if (!res || res.error) {
+            box.innerHTML = `<span style="color:var(--danger)">${this.esc(res?.error || this.t('smartpl.previewFailed', 'Could not evaluate the rules'))}</span>`;
+            return;
+        }
+        const sample = (res.tracks || []).slice(0, 5).map(t => `${this.esc(t.artist)} – ${this.esc(t.title)}`).join(' · ');
+        box.innerHTML = `<strong>${res.count} ${this.t('autoplaylists.tracks')}</strong> &middot; ${this.formatDuration(res.totalDuration)}
+            ${sample ? `<div class="spl-preview-sample">${sample}${res.count > 5 ? ' …' : ''}</div>` : ''}`;
+    },
+
+    async _splSave() {
+        const edit = this._splEdit;
+        if (!edit) return;
+        edit.name = document.getElementById('spl-name-input')?.value?.trim() || '';
+        if (!edit.name) { alert(this.t('smartpl.noName', 'Give the playlist a name')); return; }
+        const body = { name: edit.name, rules: edit.rules, sort: edit.sort, limit: edit.limit, liveUpdate: edit.liveUpdate };
+        const res = edit.id
+            ? await this.apiPut(`smart-playlists/${edit.id}`, body)
+            : await this.apiPost('smart-playlists', body);
+        if (!res || res.error || !res.id) {
+            alert(res?.error || this.t('smartpl.saveFailed', 'Could not save the smart playlist'));
+            return;
+        }
+        this._splCloseBuilder();
+        if (edit.id && this._splCurrent?.id === edit.id && document.querySelector('.spl-rules-summary')) await this.openSmartPlaylist(edit.id);
+        else this.renderPage('playlists');
+    },
+
+    // ─── Auto-Generated Playlists ─────────────────────────────────────
+
+    _agpTogglePanel() {
+        const panel = document.getElementById('agp-panel');
+        if (!panel) return;
+        const open = panel.style.display === 'none';
+        panel.style.display = open ? 'block' : 'none';
+        const btn = document.getElementById('agp-toggle-btn');
+        if (btn) btn.classList.toggle('active', open);
+
+        // When opening, sync card selections to reflect what's already active
+        if (open) {
+            const activeTypes = this._agpConfig?.activeTypes || this._agpConfig?.ActiveTypes || [];
+            const allTypes = ['decade', 'topplayed', 'recent', 'favourites', 'genre_rock', 'genre_rap', 'genre_country', 'genre_rnb'];
+            // If no config yet, leave all selected (first-time setup)
+            if (activeTypes.length > 0) {
+                allTypes.forEach(t => {
+                    const card = document.getElementById(`agp-card-${t}`);
+                    if (card) card.classList.toggle('agp-selected', activeTypes.includes(t));
+                });
+            }
+        }
+    },
+
+    _agpToggle(type) {
+        const card = document.getElementById(`agp-card-${type}`);
+        if (!card) return;
+        card.classList.toggle('agp-selected');
+    },
+
+    async _agpGenerate() {
+        const allTypes = ['decade', 'topplayed', 'recent', 'favourites', 'genre_rock', 'genre_rap', 'genre_country', 'genre_rnb'];
+        const types = allTypes.filter(t =>
+            document.getElementById(`agp-card-${t}`)?.classList.contains('agp-selected')
+        );
+        if (!types.length) return;
+
+        const btn = document.querySelector('#agp-panel .agp-btn-primary');
+        if (btn) { btn.disabled = true; btn.textContent = this.t('player.loading'); }
 
         const config = {
             activeTypes: types,
@@ -7600,43 +8841,44 @@ ${body}
         container.innerHTML = html;
     },
 
-    async openAgpPlaylist(type, param) {
-        const el = document.getElementById('main-content');
-        let title = '', fetchUrl = '', sectionData = this._agpSections?.[type];
-
+    _agpTitle(type, param) {
         const genreLabelMap = { genre_rock: 'autoplaylists.genreRock', genre_rap: 'autoplaylists.genreRap', genre_country: 'autoplaylists.genreCountry', genre_rnb: 'autoplaylists.genreRnb' };
-        if (type === 'decade') {
-            const label = param + 's';
-            title = label;
-            fetchUrl = `tracks?yearFrom=${param}&yearTo=${param + 9}&limit=2000&sort=artist`;
-        } else if (type === 'topplayed') {
-            title = this.t('autoplaylists.top100');
-        } else if (type === 'recent') {
-            title = this.t('autoplaylists.last90days');
-        } else if (type === 'favourites') {
-            title = this.t('autoplaylists.allFavourites');
-        } else if (genreLabelMap[type]) {
-            title = this.t(genreLabelMap[type]);
-        }
-
-        document.getElementById('page-title').innerHTML = `<span>${this.esc(title)}</span>`;
-        el.innerHTML = '<div style="padding:40px;text-align:center;color:var(--text-secondary)">Loading…</div>';
+        if (type === 'decade') return param + 's';
+        if (type === 'topplayed') return this.t('autoplaylists.top100');
+        if (type === 'recent') return this.t('autoplaylists.last90days');
+        if (type === 'favourites') return this.t('autoplaylists.allFavourites');
+        return genreLabelMap[type] ? this.t(genreLabelMap[type]) : '';
+    },
 
+    // Tracks of an auto-generated playlist, minus the ones the user removed from it
+    async _agpLoadTracks(type, param) {
         // Ensure config is fresh (may not have been loaded via _agpLoadFromConfig)
         if (!this._agpConfig) this._agpConfig = await this.api('agp-config') || {};
 
         let tracks;
-        if (fetchUrl) {
-            const data = await this.api(fetchUrl);
+        if (type === 'decade') {
+            const data = await this.api(`tracks?yearFrom=${param}&yearTo=${param + 9}&limit=2000&sort=artist`);
             tracks = data?.tracks || [];
         } else {
-            tracks = sectionData?.tracks || [];
+            tracks = this._agpSections?.[type]?.tracks || [];
         }
 
         // Filter out excluded tracks for this playlist
         const _agpKey = type === 'decade' ? 'decade_' + param : type;
         const _agpExclSet = new Set(((this._agpConfig?.excludedTracks || this._agpConfig?.ExcludedTracks || {})[_agpKey] || []).map(Number));
         if (_agpExclSet.size) tracks = tracks.filter(t => !_agpExclSet.has(t.id));
+        return tracks;
+    },
+
+    async openAgpPlaylist(type, param) {
+        const el = document.getElementById('main-content');
+        const title = this._agpTitle(type, param);
+
+        document.getElementById('page-title').innerHTML = `<span>${this.esc(title)}</span>`;
+        el.innerHTML = '<div style="padding:40px;text-align:center;color:var(--text-secondary)">Loading…</div>';
+
+        const tracks = await this._agpLoadTracks(type, param);
+        const _agpKey = type === 'decade' ? 'decade_' + param : type;
         this._agpCurrentType = type;
         this._agpCurrentParam = param;
         this._agpCurrentKey = _agpKey;
@@ -7665,6 +8907,7 @@ ${body}
             <button class="playlist-btn playlist-btn-android" onclick="App.launchAndroidMusicPlayer(App._playlistTracks, 0)"${dis}>
                 <svg style="width:14px;height:14px;stroke:currentColor;fill:none;stroke-width:1.8;stroke-linecap:round;stroke-linejoin:round"><use href="#icon-android"/></svg> Android Player
             </button>
+            <button class="playlist-btn" onclick="App.exportAgp('${type}',${JSON.stringify(param ?? null)})"${dis}>${this.t('playlist.export.menu', 'Export…')}</button>
             <button class="playlist-btn playlist-btn-delete" onclick="App._agpDeletePlaylist('${type}',${JSON.stringify(param ?? null)})">Delete Playlist</button>
         </div>`;
 
@@ -7800,17 +9043,30 @@ ${body}
     },
 
     // ─── Lyrics (LRCLIB API) ──────────────────────────────────
-    async toggleLyrics() {
+    // Timed (LRC) lyrics render as one clickable .lyrics-line per timestamp inside a .lyrics-synced
+    // container. Every visible container — the lyrics panel (player bar or Go Big) and the Night Club
+    // layer — is highlighted and scrolled by _lyricsSync() from the playing element's timeupdate.
+    _lyricsCache: null,          // "artist|title" → LRCLIB record
+    _lyricsLines: {},            // "artist|title" → parsed [{ time, text }] for the synced containers
+    _lyricsOffsets: null,        // "artist|title" → user offset in ms (positive shows lines earlier)
+    _lyricsTrack: null,          // track the lyrics panel is showing
+    _lyricsGoBig: false,         // panel follows the Go Big music player instead of the player bar
+    _lyricsScrollHold: 0,        // auto-scroll is paused until this time after the user scrolls
+
+    async toggleLyrics(track = this.currentTrack, goBig = false) {
         let overlay = document.getElementById('lyrics-overlay');
         if (overlay && overlay.style.display === 'flex') {
             overlay.style.display = 'none';
+            this._lyricsEditClose();
             const lBtn = document.getElementById('btn-player-lyrics');
             if (lBtn) lBtn.style.color = '';
+            this._gbOverlay?.querySelector('#gbm-lyrics-btn')?.classList.remove('gbm-btn-active');
             return;
         }
-        if (!this.currentTrack) return;
+        if (!track) return;
+        this._lyricsGoBig = goBig;
         const lBtn = document.getElementById('btn-player-lyrics');
-        if (lBtn) lBtn.style.color = 'var(--accent)';
+        if (lBtn && !goBig) lBtn.style.color = 'var(--accent)';
 
         if (!overlay) {
             overlay = document.createElement('div');
@@ -7823,85 +9079,454 @@ ${body}
                             <div class="lyrics-title" id="lyrics-title"></div>
                             <div class="lyrics-artist" id="lyrics-artist"></div>
                         </div>
+                        <button class="lyrics-edit-btn" id="lyrics-edit-btn" onclick="App._lyricsEditOpen()" title="${this.t('lyrics.edit', 'Edit lyrics')}">&#9998;</button>
                         <button class="lyrics-close" onclick="App.toggleLyrics()">&times;</button>
                     </div>
-                    <div class="lyrics-body" id="lyrics-body"></div>
-                    <div class="lyrics-footer">Lyrics provided by <a href="https://lrclib.net" target="_blank" style="color:var(--accent)">LRCLIB</a></div>
+                    <div class="lyrics-body" id="lyrics-body" onwheel="App._lyricsHoldScroll()" ontouchmove="App._lyricsHoldScroll()"></div>
+                    <div class="lyrics-footer">
+                        <div class="lyrics-offset" id="lyrics-offset" style="display:none" title="${this.t('lyrics.offsetHint', 'Shift the lyrics if they run ahead of or behind the song')}">
+                            <span>${this.t('lyrics.offset', 'Sync')}</span>
+                            <input type="range" id="lyrics-offset-slider" min="-5000" max="5000" step="100" value="0" oninput="App._lyricsSetOffset(this.value)">
+                            <span class="lyrics-offset-val" id="lyrics-offset-val">0.0s</span>
+                            <button onclick="App._lyricsSetOffset(0)">${this.t('lyrics.reset', 'Reset')}</button>
+                        </div>
+                        <span id="lyrics-credit"></span>
+                    </div>
                 </div>`;
             document.body.appendChild(overlay);
         }
 
+        // In Go Big the panel lives inside #gb-overlay so it sits above z-index:4000
+        const host = goBig && this._gbOverlay ? this._gbOverlay : document.body;
+        if (overlay.parentElement !== host) host.appendChild(overlay);
+        overlay.style.zIndex = host === document.body ? '' : '4100';
         overlay.style.display = 'flex';
-        const t = this.currentTrack;
-        document.getElementById('lyrics-title').textContent = t.title || '';
-        document.getElementById('lyrics-artist').textContent = t.artist || '';
-        document.getElementById('lyrics-body').innerHTML = '<div class="lyrics-loading">Searching for lyrics...</div>';
+        await this._lyricsLoad(track);
+    },
 
-        this._lyricsCache = this._lyricsCache || {};
-        const cacheKey = `${t.artist}|${t.title}`.toLowerCase();
+    // Re-point an open lyrics panel at a new track (player bar or Go Big, whichever it follows)
+    _lyricsTrackChanged(track, goBig = false) {
+        const overlay = document.getElementById('lyrics-overlay');
+        // An open editor stays on the track being edited
+        if (overlay && overlay.style.display === 'flex' && this._lyricsGoBig === goBig && !this._lyricsEdit) this._lyricsLoad(track);
+    },
 
-        if (this._lyricsCache[cacheKey]) {
-            this._renderLyricsContent(this._lyricsCache[cacheKey]);
-            return;
+    async _lyricsLoad(track) {
+        const body = document.getElementById('lyrics-body');
+        if (!body || !track) return;
+        this._lyricsTrack = track;
+        document.getElementById('lyrics-title').textContent = track.title || '';
+        document.getElementById('lyrics-artist').textContent = track.artist || '';
+        document.getElementById('lyrics-offset').style.display = 'none';
+        // Only library tracks can have lyrics saved next to them, and only admins write into the library folders
+        document.getElementById('lyrics-edit-btn').style.display = track.id && this.userRole === 'admin' ? '' : 'none';
+        this._lyricsSetCredit(null);
+        body.innerHTML = '<div class="lyrics-loading">Searching for lyrics...</div>';
+        try {
+            const data = await this._lyricsFetch(track);
+            if (this._lyricsTrack !== track || this._lyricsEdit) return;   // moved on, or editing, while fetching
+            this._lyricsSetCredit(data);
+            if (data) this._renderLyricsContent(data);
+            else body.innerHTML = '<div class="lyrics-not-found">No lyrics found for this track.</div>';
+        } catch (err) {
+            if (this._lyricsTrack !== track) return;
+            console.error('Lyrics fetch error:', err);
+            body.innerHTML = '<div class="lyrics-not-found">Could not fetch lyrics. Check your connection.</div>';
         }
+    },
 
-        try {
-            // Try exact match first
-            const params = new URLSearchParams({ artist_name: t.artist || '', track_name: t.title || '' });
-            if (t.album) params.set('album_name', t.album);
-            const resp = await fetch(`https://lrclib.net/api/get?${params}`);
-
-            if (resp.ok) {
-                const data = await resp.json();
-                this._lyricsCache[cacheKey] = data;
-                this._renderLyricsContent(data);
-                return;
+    _lyricsKey(track) {
+        return `${track.artist}|${track.title}`.toLowerCase();
+    },
+
+    // Cache key for a lookup: library tracks by id (their sidecar belongs to that file), others by artist|title
+    _lyricsCacheKey(track) {
+        return track.id ? `#${track.id}` : this._lyricsKey(track);
+    },
+
+    // Resolves to a { syncedLyrics, plainLyrics } record for a track, or null when there is none.
+    // Local lyrics (sidecar .lrc/.txt, embedded tags, editor saves) win over LRCLIB and work offline;
+    // those records carry a `source`. Throws on network errors.
+    async _lyricsFetch(track) {
+        this._lyricsCache = this._lyricsCache || {};
+        const cacheKey = this._lyricsCacheKey(track);
+        if (this._lyricsCache[cacheKey]) return this._lyricsCache[cacheKey];
+
+        if (track.id) {
+            const local = await this.api(`lyrics/${track.id}`);
+            if (local?.found) {
+                this._lyricsCache[cacheKey] = local;
+                return local;
             }
+        }
 
-            // Fallback: search
-            const searchParams = new URLSearchParams({ q: `${t.artist} ${t.title}` });
-            const searchResp = await fetch(`https://lrclib.net/api/search?${searchParams}`);
-            if (searchResp.ok) {
-                const results = await searchResp.json();
-                if (results && results.length > 0) {
-                    this._lyricsCache[cacheKey] = results[0];
-                    this._renderLyricsContent(results[0]);
-                    return;
-                }
+        // Try exact match first
+        const params = new URLSearchParams({ artist_name: track.artist || '', track_name: track.title || '' });
+        if (track.album) params.set('album_name', track.album);
+        const resp = await fetch(`https://lrclib.net/api/get?${params}`);
+        if (resp.ok) {
+            const data = await resp.json();
+            this._lyricsCache[cacheKey] = data;
+            return data;
+        }
+
+        // Fallback: search
+        const searchParams = new URLSearchParams({ q: `${track.artist} ${track.title}` });
+        const searchResp = await fetch(`https://lrclib.net/api/search?${searchParams}`);
+        if (searchResp.ok) {
+            const results = await searchResp.json();
+            if (results && results.length > 0) {
+                this._lyricsCache[cacheKey] = results[0];
+                return results[0];
             }
+        }
+        return null;
+    },
 
-            document.getElementById('lyrics-body').innerHTML = '<div class="lyrics-not-found">No lyrics found for this track.</div>';
-        } catch (err) {
-            console.error('Lyrics fetch error:', err);
-            document.getElementById('lyrics-body').innerHTML = '<div class="lyrics-not-found">Could not fetch lyrics. Check your connection.</div>';
+    // Parse LRC text into [{ time, text }] sorted by time (seconds). Handles several stamps on one
+    // line ([00:12.00][01:40.50]Chorus), the [offset:±ms] tag and enhanced-LRC <mm:ss.xx> word stamps.
+    _lyricsParseLrc(lrc) {
+        const lines = [];
+        let offset = 0;
+        const stamp = /^\s*\[(\d{1,3}):(\d{1,2}(?:[.:]\d{1,3})?)\]/;
+        for (const raw of String(lrc || '').split(/\r?\n/)) {
+            const off = raw.match(/^\s*\[offset:\s*([+-]?\d+)\s*\]/i);
+            if (off) { offset = parseInt(off[1], 10) / 1000; continue; }
+            const times = [];
+            let rest = raw, m;
+            while ((m = rest.match(stamp))) {
+                times.push(parseInt(m[1], 10) * 60 + parseFloat(m[2].replace(':', '.')));
+                rest = rest.slice(m[0].length);
+            }
+            if (!times.length) continue;   // [ar:], [ti:] and other metadata tags
+            const text = rest.replace(/<\d{1,3}:\d{1,2}(?:[.:]\d{1,3})?>/g, '').trim();
+            times.forEach(time => lines.push({ time, text }));
         }
+        if (offset) lines.forEach(l => { l.time = Math.max(0, l.time - offset); });
+        return lines.sort((a, b) => a.time - b.time);
     },
 
     _renderLyricsContent(data) {
         const body = document.getElementById('lyrics-body');
         if (!body) return;
-        // Prefer synced lyrics, fall back to plain
-        const text = data.syncedLyrics || data.plainLyrics;
-        if (!text) {
-            body.innerHTML = '<div class="lyrics-not-found">Lyrics not available for this track.</div>';
+        const offsetRow = document.getElementById('lyrics-offset');
+        const synced = data.syncedLyrics ? this._lyricsParseLrc(data.syncedLyrics) : [];
+        if (synced.length && this._lyricsTrack) {
+            body.innerHTML = this._lyricsSyncedHtml(synced, this._lyricsKey(this._lyricsTrack), this._lyricsGoBig ? 'gb' : 'player');
+            if (offsetRow) offsetRow.style.display = 'flex';
+            this._lyricsShowOffset();
+            body.scrollTop = 0;
+            this._lyricsScrollHold = 0;
+            this._lyricsSync(true);
             return;
         }
-
-        let lines;
-        if (data.syncedLyrics) {
-            // Strip timestamps like [00:12.34] from synced lyrics for display
-            lines = data.syncedLyrics.split('\n').map(l => l.replace(/^\[\d{2}:\d{2}\.\d{2,3}\]\s?/, ''));
-        } else {
-            lines = data.plainLyrics.split('\n');
+        if (offsetRow) offsetRow.style.display = 'none';
+        if (!data.plainLyrics) {
+            body.innerHTML = '<div class="lyrics-not-found">Lyrics not available for this track.</div>';
+            return;
         }
+        const lines = data.plainLyrics.split('\n');
         body.innerHTML = '<div class="lyrics-text">' + lines.map(l => l.trim() === '' ? '<br>' : `<p>${this.esc(l)}</p>`).join('') + '</div>';
         body.scrollTop = 0;
     },
 
-    // ─── Recently Added ──────────────────────────────────────
-    async renderRecent(el) {
-        const tracks = await this.api('tracks/recent?limit=50');
-        let html = '<div class="page-header"><h1>Recently Added</h1></div>';
+    // source: 'player' (main audio deck), 'gb' (Go Big #gbm-audio) or 'nc' (Night Club, main deck)
+    _lyricsSyncedHtml(lines, key, source) {
+        this._lyricsLines[key] = lines;
+        return `<div class="lyrics-text lyrics-synced" data-key="${this.esc(key)}" data-source="${source}">` +
+            lines.map((l, i) => `<p class="lyrics-line" data-i="${i}" onclick="App._lyricsSeek(this)">${l.text ? this.esc(l.text) : '&#9834;'}</p>`).join('') +
+            '</div>';
+    },
+
+    _lyricsMediaFor(source) {
+        return source === 'gb' ? this._gbOverlay?.querySelector('#gbm-audio') : this.audioPlayer;
+    },
+
+    // Highlight the current line in every visible synced container and keep it centred.
+    // force re-centres even when the active line hasn't changed (new lyrics, seek, offset change).
+    _lyricsSync(force = false) {
+        document.querySelectorAll('.lyrics-synced').forEach(box => {
+            if (!box.getClientRects().length) return;   // panel closed / layer hidden
+            const lines = this._lyricsLines[box.dataset.key];
+            const media = this._lyricsMediaFor(box.dataset.source);
+            if (!lines || !media) return;
+            const t = media.currentTime + this._lyricsGetOffset(box.dataset.key) / 1000;
+            let idx = -1;
+            while (idx + 1 < lines.length && lines[idx + 1].time <= t) idx++;
+            if (!force && String(idx) === box.dataset.active) return;
+            box.dataset.active = idx;
+            box.querySelector('.lyrics-line.active')?.classList.remove('active');
+            const cur = idx >= 0 ? box.children[idx] : null;
+            if (cur) cur.classList.add('active');
+            if (Date.now() < this._lyricsScrollHold) return;
+            const scroller = box.dataset.source === 'nc' ? box : box.parentElement;
+            const top = cur
+                ? scroller.scrollTop + cur.getBoundingClientRect().top - scroller.getBoundingClientRect().top - (scroller.clientHeight - cur.offsetHeight) / 2
+                : 0;
+            scroller.scrollTo({ top: Math.max(0, top), behavior: force ? 'auto' : 'smooth' });
+        });
+    },
+
+    _lyricsHoldScroll() {
+        this._lyricsScrollHold = Date.now() + 4000;
+    },
+
+    _lyricsSeek(el) {
+        const box = el.closest('.lyrics-synced');
+        if (!box) return;
+        const line = this._lyricsLines[box.dataset.key]?.[+el.dataset.i];
+        const media = this._lyricsMediaFor(box.dataset.source);
+        if (!line || !media || !isFinite(media.duration)) return;
+        media.currentTime = Math.max(0, line.time - this._lyricsGetOffset(box.dataset.key) / 1000);
+        this._lyricsScrollHold = 0;
+        this._lyricsSync(true);
+    },
+
+    _lyricsGetOffset(key) {
+        if (!this._lyricsOffsets) {
+            try { this._lyricsOffsets = JSON.parse(localStorage.getItem('nexusm-lyrics-offsets') || '{}'); }
+            catch (e) { this._lyricsOffsets = {}; }
+        }
+        return this._lyricsOffsets[key] || 0;
+    },
+
+    _lyricsSetOffset(ms) {
+        if (!this._lyricsTrack) return;
+        const key = this._lyricsKey(this._lyricsTrack);
+        this._lyricsGetOffset(key);
+        ms = parseInt(ms, 10) || 0;
+        if (ms) this._lyricsOffsets[key] = ms;
+        else delete this._lyricsOffsets[key];
+        try { localStorage.setItem('nexusm-lyrics-offsets', JSON.stringify(this._lyricsOffsets)); } catch (e) {}
+        this._lyricsShowOffset();
+        this._lyricsSync(true);
+    },
+
+    _lyricsSetCredit(data) {
+        const el = document.getElementById('lyrics-credit');
+        if (!el) return;
+        const local = {
+            sidecar: this.t('lyrics.fromSidecar', 'Lyrics from a file next to the track'),
+            embedded: this.t('lyrics.fromTags', 'Lyrics from the track\'s tags'),
+            saved: this.t('lyrics.fromSaved', 'Lyrics saved in NexusM')
+        };
+        if (!data) el.innerHTML = '';
+        else if (local[data.source]) el.textContent = local[data.source];
+        else el.innerHTML = 'Lyrics provided by <a href="https://lrclib.net" target="_blank" style="color:var(--accent)">LRCLIB</a>';
+    },
+
+    _lyricsShowOffset() {
+        if (!this._lyricsTrack) return;
+        const ms = this._lyricsGetOffset(this._lyricsKey(this._lyricsTrack));
+        const slider = document.getElementById('lyrics-offset-slider');
+        const val = document.getElementById('lyrics-offset-val');
+        if (slider) slider.value = ms;
+        if (val) val.textContent = (ms > 0 ? '+' : '') + (ms / 1000).toFixed(1) + 's';
+    },
+
+    // ─── Lyrics editor (tap-to-time) ──────────────────────────
+    // Paste plain lyrics, then tap Space/Enter as each line starts while the song plays.
+    // Saved server-side as {track}.lrc (or .txt when untimed) so every user gets them.
+    _lyricsEdit: null,           // { track, text, lines, stamps, pos } while the editor is open
+    _lyricsEditKeyHandler: null,
+
+    _lyricsEditOpen() {
+        const track = this._lyricsTrack;
+        if (!track?.id) return;
+        const data = this._lyricsCache?.[this._lyricsCacheKey(track)];
+        let text = '', stamps = [];
+        if (data?.syncedLyrics) {
+            const parsed = this._lyricsParseLrc(data.syncedLyrics);
+            text = parsed.map(l => l.text).join('\n');
+            stamps = parsed.map(l => l.time);
+        } else if (data?.plainLyrics) {
+            text = data.plainLyrics.trim();
+        }
+        this._lyricsEdit = { track, text, lines: [], stamps, pos: 0 };
+        document.getElementById('lyrics-offset').style.display = 'none';
+        this._lyricsEditShowText(text);
+    },
+
+    _lyricsEditShowText(text) {
+        const body = document.getElementById('lyrics-body');
+        if (!body || !this._lyricsEdit) return;
+        this._lyricsEditUnbindKeys();
+        body.innerHTML = `
+            <div class="lyrics-editor">
+                <div class="lyrics-editor-hint" id="lyrics-editor-hint">${this.t('lyrics.editHint', 'Paste or type the lyrics, one line per row. Press Sync to time them while the song plays, or save them as plain text.')}</div>
+                <textarea id="lyrics-edit-text" class="lyrics-edit-text" spellcheck="false">${this.esc(text)}</textarea>
+                <div class="lyrics-editor-actions">
+                    <button class="lyrics-editor-btn" onclick="App._lyricsEditCancel()">${this.t('btn.cancel', 'Cancel')}</button>
+                    <button class="lyrics-editor-btn" onclick="App._lyricsEditSave(false)">${this.t('lyrics.savePlain', 'Save as plain text')}</button>
+                    <button class="lyrics-editor-btn primary" onclick="App._lyricsEditStartSync()">${this.t('lyrics.sync', 'Sync')}</button>
+                </div>
+            </div>`;
+        body.scrollTop = 0;
+    },
+
+    _lyricsEditStartSync() {
+        const ed = this._lyricsEdit;
+        const text = document.getElementById('lyrics-edit-text')?.value || '';
+        if (!ed) return;
+        // One entry per line; runs of blank lines collapse into a single instrumental break
+        const lines = text.replace(/\r/g, '').split('\n').map(l => l.trim())
+            .filter((l, i, all) => l || (i > 0 && all[i - 1]));
+        while (lines.length && !lines[lines.length - 1]) lines.pop();
+        if (!lines.length) return;
+        // Unchanged text keeps its existing times, so a badly timed file can be re-tapped from any line
+        if (text !== ed.text || ed.stamps.length !== lines.length) ed.stamps = lines.map(() => null);
+        ed.text = text;
+        ed.lines = lines;
+        ed.pos = 0;
+        this._lyricsEditShowTap();
+    },
+
+    _lyricsEditShowTap() {
+        const ed = this._lyricsEdit;
+        const body = document.getElementById('lyrics-body');
+        if (!ed || !body) return;
+        body.innerHTML = `
+            <div class="lyrics-editor">
+                <div class="lyrics-editor-hint" id="lyrics-editor-hint">${this.t('lyrics.tapHint', 'Space or Enter times the highlighted line as it starts. Backspace steps back. Click a line to redo from there.')}</div>
+                <div class="lyrics-tap-list" id="lyrics-tap-list">
+                    ${ed.lines.map((l, i) => `<div class="lyrics-tap-line" onclick="App._lyricsEditJump(${i})"><span class="lyrics-tap-time"></span><span>${l ? this.esc(l) : '&#9834;'}</span></div>`).join('')}
+                </div>
+                <div class="lyrics-editor-actions">
+                    <button class="lyrics-editor-btn" onclick="App._lyricsEditShowText(App._lyricsEdit.text)">${this.t('lyrics.editText', 'Edit text')}</button>
+                    <button class="lyrics-editor-btn" onclick="App._lyricsEditUndo()">${this.t('lyrics.stepBack', 'Step back')}</button>
+                    <button class="lyrics-editor-btn primary" onclick="App._lyricsEditTap()">${this.t('lyrics.tap', 'Tap')}</button>
+                    <button class="lyrics-editor-btn primary" onclick="App._lyricsEditSave(true)">${this.t('btn.save', 'Save')}</button>
+                </div>
+            </div>`;
+        this._lyricsEditUnbindKeys();
+        this._lyricsEditKeyHandler = (e) => {
+            if (e.target.closest?.('input, textarea, select')) return;
+            const act = { ' ': 'tap', 'Enter': 'tap', 'Backspace': 'undo' }[e.key];
+            if (!act) return;
+            // Capture phase: keep Space away from the global play/pause shortcut
+            e.preventDefault();
+            e.stopPropagation();
+            if (document.activeElement instanceof HTMLButtonElement) document.activeElement.blur();
+            if (act === 'tap') this._lyricsEditTap();
+            else this._lyricsEditUndo();
+        };
+        document.addEventListener('keydown', this._lyricsEditKeyHandler, true);
+        this._lyricsEditMark();
+    },
+
+    _lyricsEditUnbindKeys() {
+        if (this._lyricsEditKeyHandler) document.removeEventListener('keydown', this._lyricsEditKeyHandler, true);
+        this._lyricsEditKeyHandler = null;
+    },
+
+    // The element the song is playing in, provided it is still the track being edited
+    _lyricsEditMedia() {
+        const ed = this._lyricsEdit;
+        const playing = this._lyricsGoBig ? this._gbMusicTracks?.[this._gbMusicIdx] : this.currentTrack;
+        if (!ed || playing?.id !== ed.track.id) return null;
+        return this._lyricsMediaFor(this._lyricsGoBig ? 'gb' : 'player');
+    },
+
+    _lyricsEditMark() {
+        const ed = this._lyricsEdit;
+        const list = document.getElementById('lyrics-tap-list');
+        if (!ed || !list) return;
+        Array.from(list.children).forEach((row, i) => {
+            row.classList.toggle('current', i === ed.pos);
+            row.classList.toggle('timed', ed.stamps[i] != null);
+            row.firstElementChild.textContent = ed.stamps[i] != null ? this._lyricsFmtStamp(ed.stamps[i]) : '--:--.--';
+        });
+        const cur = list.children[ed.pos];
+        if (cur) cur.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    },
+
+    _lyricsEditTap() {
+        const ed = this._lyricsEdit;
+        if (!ed || ed.pos >= ed.lines.length) return;
+        const media = this._lyricsEditMedia();
+        const hint = document.getElementById('lyrics-editor-hint');
+        if (!media) {
+            if (hint) hint.textContent = this.t('lyrics.tapWrongTrack', 'Play this track to time its lyrics.');
+            return;
+        }
+        ed.stamps[ed.pos] = media.currentTime;
+        ed.pos++;
+        this._lyricsEditMark();
+    },
+
+    _lyricsEditUndo() {
+        const ed = this._lyricsEdit;
+        if (!ed || ed.pos === 0) return;
+        ed.pos--;
+        ed.stamps[ed.pos] = null;
+        // Rewind to the previous line so the un-timed one can be tapped again
+        const media = this._lyricsEditMedia();
+        if (media) media.currentTime = ed.pos > 0 && ed.stamps[ed.pos - 1] != null ? ed.stamps[ed.pos - 1] : 0;
+        this._lyricsEditMark();
+    },
+
+    _lyricsEditJump(i) {
+        const ed = this._lyricsEdit;
+        if (!ed) return;
+        ed.pos = i;
+        const media = this._lyricsEditMedia();
+        if (media && (i === 0 || ed.stamps[i - 1] != null)) media.currentTime = i === 0 ? 0 : ed.stamps[i - 1];
+        this._lyricsEditMark();
+    },
+
+    _lyricsFmtStamp(sec) {
+        const cs = Math.round(sec * 100);
+        const pad = n => String(n).padStart(2, '0');
+        return `${pad(Math.floor(cs / 6000))}:${pad(Math.floor(cs / 100) % 60)}.${pad(cs % 100)}`;
+    },
+
+    async _lyricsEditSave(timed) {
+        const ed = this._lyricsEdit;
+        if (!ed) return;
+        const hint = document.getElementById('lyrics-editor-hint');
+        let text;
+        if (timed) {
+            const lines = ed.lines.map((line, i) => ({ text: line, time: ed.stamps[i] }))
+                .filter(l => l.time != null)
+                .sort((a, b) => a.time - b.time);
+            if (!lines.length) {
+                if (hint) hint.textContent = this.t('lyrics.tapFirst', 'Tap at least one line before saving.');
+                return;
+            }
+            const tag = (k, v) => v ? [`[${k}:${String(v).replace(/[\[\]]/g, '')}]`] : [];
+            text = [...tag('ti', ed.track.title), ...tag('ar', ed.track.artist), ...tag('al', ed.track.album),
+                ...lines.map(l => `[${this._lyricsFmtStamp(l.time)}]${l.text}`)].join('\n');
+        } else {
+            text = document.getElementById('lyrics-edit-text')?.value || '';
+        }
+        if (!text.trim()) return;
+
+        const res = await this.apiPut(`lyrics/${ed.track.id}`, { lyrics: text });
+        if (!res?.found) {
+            if (hint) hint.textContent = res?.error || this.t('lyrics.saveFailed', 'Could not save lyrics.');
+            return;
+        }
+        this._lyricsCache = this._lyricsCache || {};
+        this._lyricsCache[this._lyricsCacheKey(ed.track)] = res;
+        this._lyricsEditClose();
+        this._lyricsLoad(this._lyricsTrack);
+        if (this._ncActive) this._ncLoadLyrics();
+    },
+
+    _lyricsEditCancel() {
+        this._lyricsEditClose();
+        if (this._lyricsTrack) this._lyricsLoad(this._lyricsTrack);
+    },
+
+    _lyricsEditClose() {
+        this._lyricsEditUnbindKeys();
+        this._lyricsEdit = null;
+    },
+
+    // ─── Recently Added ──────────────────────────────────────
+    async renderRecent(el) {
+        const tracks = await this.api('tracks/recent?limit=50');
+        let html = '<div class="page-header"><h1>Recently Added</h1></div>';
         if (tracks && tracks.length > 0) html += this.renderTrackTable(tracks);
         else html += this.emptyState('Nothing here yet', 'Scan your music library to populate this page.');
         el.innerHTML = html;
@@ -8068,6 +9693,255 @@ ${body}
         if (res && res.success) this.navigate('mostplayed');
     },
 
+    // ─── Listening History ───────────────────────────────────
+    // One entry per playback session. An entry is created after 10 seconds of actual playback and
+    // kept up to date every 30s; the seconds are time spent playing, not the position reached.
+    _hist: null,                // current session { item, seconds, lastTick, id, pending, saved, lastSave, ended }
+    _histVideoEl: null,         // video element the current session is timed from
+    _histVideoTick: null,       // its timeupdate listener
+    _histVideoPause: null,      // its pause listener
+    _histFilter: 'all',         // history page type chip
+    _histFrom: '',              // history page date range, yyyy-mm-dd (local)
+    _histTo: '',
+    _histEntries: [],           // entries currently listed on the history page
+    _histHasMore: false,
+
+    _histTypeGroups: {
+        all: null, music: 'track', videos: 'video,episode,musicvideo', podcasts: 'podcast',
+        audiobooks: 'audiobook', radio: 'radio', tv: 'tv'
+    },
+    _histTypeIcons: {
+        track: 'icon-music-note', musicvideo: 'icon-video', video: 'icon-film', episode: 'icon-tv',
+        podcast: 'icon-podcast', audiobook: 'icon-book', radio: 'icon-radio', tv: 'icon-tv'
+    },
+
+    // item: { type, id, ref, title, subtitle, art }. Audio sessions are timed by the active deck's
+    // timeupdate; video sessions pass their element.
+    _histBegin(item, videoEl = null) {
+        this._histEnd();
+        if (!item || !item.title) return;
+        this._hist = { item, seconds: 0, lastTick: 0, id: null, pending: null, saved: 0, lastSave: 0, ended: false };
+        if (videoEl) {
+            this._histVideoEl = videoEl;
+            this._histVideoTick = () => this._histTick();
+            this._histVideoPause = () => this._histFlush();
+            videoEl.addEventListener('timeupdate', this._histVideoTick);
+            videoEl.addEventListener('pause', this._histVideoPause);
+        }
+    },
+
+    _histTick() {
+        const h = this._hist;
+        if (!h) return;
+        const now = Date.now();
+        // Longer gaps are pauses, stalls or seeks — not listening time
+        if (h.lastTick && now - h.lastTick <= 3000) h.seconds += (now - h.lastTick) / 1000;
+        h.lastTick = now;
+        if (h.seconds < 10) return;
+        if ((!h.id && !h.pending) || now - h.lastSave >= 30000) this._histSave(h);
+    },
+
+    _histSave(h, keepalive = false) {
+        h.lastSave = Date.now();
+        const seconds = Math.round(h.seconds);
+        if (h.id) {
+            if (seconds === h.saved) return;
+            h.saved = seconds;
+            // keepalive lets the request outlive the page on pagehide
+            if (keepalive) fetch(`/api/history/${h.id}`, { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ seconds }), keepalive: true }).catch(() => {});
+            else this.apiPut(`history/${h.id}`, { seconds });
+        } else if (!h.pending) {
+            const it = h.item;
+            h.saved = seconds;
+            h.pending = this.apiPost('history', {
+                mediaType: it.type, mediaId: it.id ?? null, ref: it.ref != null ? String(it.ref) : null,
+                title: it.title, subtitle: it.subtitle || null, art: it.art || null, seconds
+            }).then(res => {
+                h.id = res?.id || null;
+                h.pending = null;
+                // The session ended while the entry was being created — store its final length
+                if (h.id && h.ended && Math.round(h.seconds) !== h.saved) this._histSave(h);
+            });
+        }
+    },
+
+    _histFlush(keepalive = false) {
+        const h = this._hist;
+        if (h && h.seconds >= 10) this._histSave(h, keepalive);
+        if (h) h.lastTick = 0;
+    },
+
+    _histEnd() {
+        if (this._histVideoEl) {
+            this._histVideoEl.removeEventListener('timeupdate', this._histVideoTick);
+            this._histVideoEl.removeEventListener('pause', this._histVideoPause);
+            this._histVideoEl = null;
+        }
+        const h = this._hist;
+        this._hist = null;
+        if (!h) return;
+        h.ended = true;
+        if (h.seconds >= 10) this._histSave(h);
+    },
+
+    _histQuery() {
+        const p = new URLSearchParams();
+        const types = this._histTypeGroups[this._histFilter];
+        if (types) p.set('types', types);
+        // Date inputs are local days; the server stores UTC
+        if (this._histFrom) p.set('from', new Date(this._histFrom + 'T00:00').toISOString());
+        if (this._histTo) {
+            const to = new Date(this._histTo + 'T00:00');
+            to.setDate(to.getDate() + 1);
+            p.set('to', to.toISOString());
+        }
+        return p.toString();
+    },
+
+    async renderHistory(el) {
+        const chips = Object.keys(this._histTypeGroups).map(k =>
+            `<button class="hist-chip${this._histFilter === k ? ' active' : ''}" onclick="App.setHistoryFilter('${k}')">${this.t('history.filter.' + k)}</button>`).join('');
+        el.innerHTML = `<div class="page-header" style="display:flex;justify-content:space-between;align-items:center;flex-wrap:wrap;gap:12px">
+            <h1>${this.t('page.history')}</h1>
+            <button class="btn-secondary" style="font-size:12px;padding:6px 12px" onclick="App.clearHistoryRange()">${this.t('history.clear')}</button>
+        </div>
+        <div class="hist-toolbar">
+            <div class="hist-chips">${chips}</div>
+            <div class="hist-range">
+                <input type="date" id="hist-from" value="${this._histFrom}" onchange="App.setHistoryRange()">
+                <span>&ndash;</span>
+                <input type="date" id="hist-to" value="${this._histTo}" onchange="App.setHistoryRange()">
+                ${this._histFrom || this._histTo ? `<button class="hist-range-reset" onclick="App.setHistoryRange(true)" title="${this.t('history.allDates')}">&#10005;</button>` : ''}
+            </div>
+        </div>
+        <div id="hist-list"></div>`;
+        await this._histLoad(false);
+    },
+
+    setHistoryFilter(key) {
+        this._histFilter = key;
+        this.renderHistory(document.getElementById('main-content'));
+    },
+
+    setHistoryRange(reset = false) {
+        this._histFrom = reset ? '' : (document.getElementById('hist-from')?.value || '');
+        this._histTo = reset ? '' : (document.getElementById('hist-to')?.value || '');
+        this.renderHistory(document.getElementById('main-content'));
+    },
+
+    async _histLoad(more) {
+        const last = more ? this._histEntries[this._histEntries.length - 1] : null;
+        const data = await this.api('history?' + this._histQuery() + (last ? `&before=${last.id}` : '') + '&limit=100');
+        if (!data) return;
+        this._histEntries = more ? this._histEntries.concat(data.entries) : data.entries;
+        this._histHasMore = !!data.hasMore;
+        this._histRenderList();
+    },
+
+    _histRenderList() {
+        const list = document.getElementById('hist-list');
+        if (!list) return;
+        if (this._histEntries.length === 0) {
+            list.innerHTML = this.emptyState(this.t('history.empty.title'), this.t('history.empty.desc'));
+            return;
+        }
+        const today = new Date().toDateString();
+        const yesterday = new Date(Date.now() - 86400000).toDateString();
+        let html = '';
+        let day = null;
+        this._histEntries.forEach((e, i) => {
+            const started = new Date(e.startedAt);
+            if (started.toDateString() !== day) {
+                if (day !== null) html += '</div>';
+                day = started.toDateString();
+                const label = day === today ? this.t('history.today') : day === yesterday ? this.t('history.yesterday')
+                    : started.toLocaleDateString([], { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+                html += `<h3 class="hist-day">${label}</h3><div class="hist-group">`;
+            }
+            const icon = this._histTypeIcons[e.mediaType] || 'icon-music-note';
+            const placeholder = `<span class="hist-art-icon"${e.art ? ' style="display:none"' : ''}><svg><use href="#${icon}"/></svg></span>`;
+            html += `<div class="hist-row" onclick="App._histReplay(${i})" title="${this.t('history.replay')}">
+                <div class="hist-art">${e.art ? `<img src="${this.esc(e.art)}" loading="lazy" alt="" onerror="this.style.display='none';this.nextElementSibling.style.display='flex'">` : ''}${placeholder}</div>
+                <div class="hist-info">
+                    <div class="hist-title">${this.esc(e.title)}</div>
+                    <div class="hist-sub">${this.esc(e.subtitle || '')}</div>
+                </div>
+                <span class="hist-type">${this.t('history.type.' + e.mediaType, e.mediaType)}</span>
+                <span class="hist-time">${started.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span>
+                <span class="hist-dur" title="${this.t('history.listened')}">${this.formatDuration(e.seconds)}</span>
+                <button class="hist-del" onclick="event.stopPropagation(); App.deleteHistoryEntry(${i})" title="${this.t('history.remove')}">&#10005;</button>
+            </div>`;
+        });
+        html += '</div>';
+        if (this._histHasMore) html += `<div style="text-align:center;margin:16px 0"><button class="btn-secondary" onclick="App._histLoad(true)">${this.t('history.loadMore')}</button></div>`;
+        list.innerHTML = html;
+    },
+
+    async deleteHistoryEntry(index) {
+        const e = this._histEntries[index];
+        if (!e) return;
+        const res = await this.apiDelete(`history/${e.id}`);
+        if (!res) return;
+        this._histEntries.splice(index, 1);
+        this._histRenderList();
+    },
+
+    async clearHistoryRange() {
+        const filtered = this._histFilter !== 'all' || this._histFrom || this._histTo;
+        if (!confirm(this.t(filtered ? 'history.clearFilteredConfirm' : 'history.clearAllConfirm'))) return;
+        const res = await this.apiDelete('history?' + this._histQuery());
+        if (res) this._histLoad(false);
+    },
+
+    // Start the entry again from where the app would normally start it
+    async _histReplay(index) {
+        const e = this._histEntries[index];
+        if (!e) return;
+        switch (e.mediaType) {
+            case 'track': {
+                const track = await this.api(`tracks/${e.mediaId}`);
+                if (!track) { alert(this.t('history.unavailable')); return; }
+                this.playlist = [track];
+                this.playIndex = 0;
+                this.playTrack(track);
+                break;
+            }
+            case 'radio':
+                await this.playRadioById(e.mediaId);
+                break;
+            case 'tv': {
+                if (!this.tvChannels?.some(c => c.id === e.mediaId)) {
+                    const data = await this.api('tvchannels');
+                    this.tvChannels = data?.channels || [];
+                }
+                if (!this.tvChannels.some(c => c.id === e.mediaId)) { alert(this.t('history.unavailable')); return; }
+                this.playTvChannel(e.mediaId);
+                break;
+            }
+            case 'podcast': {
+                const feedId = parseInt(e.ref, 10);
+                const episodes = await this.api(`podcasts/${feedId}/episodes`);
+                const ep = episodes?.find(x => x.id === e.mediaId);
+                if (!ep) { alert(this.t('history.unavailable')); return; }
+                if (!this.podcastFeeds?.length) this.podcastFeeds = await this.api('podcasts') || [];
+                this.podcastCurrentFeed = this.podcastFeeds.find(f => f.id === feedId) || this.podcastCurrentFeed;
+                this.podcastEpisodes = episodes;
+                this.playPodcastEpisode(ep);
+                break;
+            }
+            case 'audiobook': {
+                const cover = e.art?.startsWith('/audiobookcover/') ? e.art.slice('/audiobookcover/'.length) : null;
+                this.playAudioBook(e.mediaId, e.title, e.subtitle, false, cover);
+                break;
+            }
+            case 'musicvideo':
+                this.openMvDetail(e.mediaId);
+                break;
+            default:
+                this.openVideoDetail(e.mediaId);
+        }
+    },
+
     // ─── Rescan Folders ──────────────────────────────────────
     async renderRescan(el) {
         const svgIcon = (id) => `<svg style="width:14px;height:14px;stroke:currentColor;fill:none;stroke-width:2;stroke-linecap:round;stroke-linejoin:round;flex-shrink:0"><use href="#icon-${id}"/></svg>`;
@@ -8287,7 +10161,7 @@ ${body}
             ];
             html += `<div class="settings-section" data-stab="playback">
                 <h3><svg class="settings-icon"><use href="#icon-activity"/></svg> ${this.t('rg.section', 'ReplayGain Normalization')}</h3>
-                <p class="settings-section-hint">${this.t('rg.hint', 'Reads ReplayGain tags from your files and adjusts playback volume so all tracks play at the same loudness. Requires a library re-scan to populate data for existing tracks. Toggle anytime using the RG button in the player bar.')}</p>
+                <p class="settings-section-hint">${this.t('rg.hint', 'Reads ReplayGain tags from your files and adjusts playback volume so all tracks play at the same loudness. Tracks without tags are measured (EBU R128) the first time they play, or all at once from the Analysis page. Toggle anytime using the RG button in the player bar.')}</p>
                 <div class="setting-row">
                     <span class="setting-label">${this.t('rg.enable', 'Enable ReplayGain')}</span>
                     <span class="setting-value">
@@ -8313,9 +10187,96 @@ ${body}
                         <span id="rg-preamp-val" style="font-size:13px;color:var(--accent);min-width:52px;text-align:right;font-variant-numeric:tabular-nums">${this._rgPreamp >= 0 ? '+' : ''}${this._rgPreamp} dB</span>
                     </span>
                 </div>
+                <div class="setting-row">
+                    <span class="setting-label">${this.t('rg.analyze', 'Measure untagged tracks')}</span>
+                    <span class="setting-value">
+                        <label class="setting-toggle">
+                            <input type="checkbox" ${this._rgAnalyze ? 'checked' : ''} onchange="App._rgAnalyze=this.checked;App.saveRGState();if(App.currentTrack)App._applyReplayGain(App.currentTrack);">
+                            <span class="toggle-track"><span class="toggle-thumb"></span></span>
+                        </label>
+                    </span>
+                </div>
+            </div>`;
+        }
+
+        // ── Gapless & Crossfade (per browser, like ReplayGain) ──
+        {
+            const xfLabel = s => s > 0 ? `${s} s` : this.t('xfade.off', 'Off');
+            html += `<div class="settings-section" data-stab="playback">
+                <h3><svg class="settings-icon"><use href="#icon-music"/></svg> ${this.t('xfade.section', 'Gapless & Crossfade')}</h3>
+                <p class="settings-section-hint">${this.t('xfade.hint', 'Preloads the next track in the queue so albums play without gaps, and can blend tracks together. Crossfade is skipped automatically between tracks of the same album.')}</p>
+                <div class="setting-row">
+                    <span class="setting-label">${this.t('xfade.gapless', 'Gapless playback')}</span>
+                    <span class="setting-value">
+                        <label class="setting-toggle">
+                            <input type="checkbox" id="xf-gapless-chk" ${this._xfGapless ? 'checked' : ''} onchange="App._xfGapless=this.checked;App.saveXfadeState();">
+                            <span class="toggle-track"><span class="toggle-thumb"></span></span>
+                        </label>
+                    </span>
+                </div>
+                <div class="setting-row">
+                    <span class="setting-label">${this.t('xfade.crossfade', 'Crossfade')}</span>
+                    <span class="setting-value" style="display:flex;align-items:center;gap:10px">
+                        <input type="range" class="eq-slider" id="xf-seconds-slider" min="0" max="12" step="1" value="${this._xfSeconds}"
+                            oninput="App._xfSeconds=+this.value;App.saveXfadeState();document.getElementById('xf-seconds-val').textContent=+this.value>0?this.value+' s':'${this.t('xfade.off', 'Off')}';">
+                        <span id="xf-seconds-val" style="font-size:13px;color:var(--accent);min-width:52px;text-align:right;font-variant-numeric:tabular-nums">${xfLabel(this._xfSeconds)}</span>
+                    </span>
+                </div>
+                <div class="setting-row">
+                    <span class="setting-label">${this.t('automix.setting', 'Automix (harmonic DJ mode)')}
+                        <span style="display:block;font-size:11px;color:var(--text-muted);margin-top:2px">${this.t('automix.hint', 'Orders Up Next by compatible key and tempo, and mixes songs on the beat. Tracks are analysed as they come up.')}</span>
+                    </span>
+                    <span class="setting-value">
+                        <label class="setting-toggle">
+                            <input type="checkbox" id="xf-automix-chk" ${this._automix ? 'checked' : ''} onchange="App.setAutomix(this.checked);">
+                            <span class="toggle-track"><span class="toggle-thumb"></span></span>
+                        </label>
+                    </span>
+                </div>
+                <div class="setting-row">
+                    <span class="setting-label">${this.t('automix.bassSwap', 'Swap bass lines mid-mix')}</span>
+                    <span class="setting-value">
+                        <label class="setting-toggle">
+                            <input type="checkbox" ${this._amBassSwap ? 'checked' : ''} onchange="App._amBassSwap=this.checked;App.saveXfadeState();">
+                            <span class="toggle-track"><span class="toggle-thumb"></span></span>
+                        </label>
+                    </span>
+                </div>
+            </div>`;
+        }
+
+        // ── Shuffle (per browser) ──
+        {
+            const opt = (v, l) => `<option value="${v}"${this._shuffleMode === v ? ' selected' : ''}>${l}</option>`;
+            html += `<div class="settings-section" data-stab="playback">
+                <h3><svg class="settings-icon"><use href="#icon-music"/></svg> ${this.t('shuffle.section', 'Shuffle')}</h3>
+                <p class="settings-section-hint">${this.t('shuffle.hint', 'Shuffle deals the whole queue into a new order once, spreading out tracks by the same artist and album. Previous walks back through what you heard.')}</p>
+                <div class="setting-row">
+                    <span class="setting-label">${this.t('shuffle.mode', 'Shuffle mode')}</span>
+                    <span class="setting-value">
+                        <select class="setting-select" id="shuffle-mode-select" onchange="App._shuffleMode=this.value;App.saveShuffleState();">
+                            ${opt('balanced', this.t('shuffle.balanced', 'Balanced'))}
+                            ${opt('rating', this.t('shuffle.rating', 'Favour higher-rated tracks'))}
+                            ${opt('fresh', this.t('shuffle.fresh', 'Favour less-played tracks'))}
+                        </select>
+                    </span>
+                </div>
             </div>`;
         }
 
+        // ── Track & Album Radio (feedback stored per user) ──
+        html += `<div class="settings-section" data-stab="playback">
+            <h3><svg class="settings-icon"><use href="#icon-radio"/></svg> ${this.t('trackRadio.section', 'Track & Album Radio')}</h3>
+            <p class="settings-section-hint">${this.t('trackRadio.hint', 'Start a radio station from any track or album menu: it keeps adding similar music from your library. Your thumbs up and down are remembered and shape every station.')}</p>
+            <div class="setting-row">
+                <span class="setting-label">${this.t('trackRadio.feedback', 'Radio feedback')}</span>
+                <span class="setting-value"><button class="btn-secondary" onclick="App.radioClearFeedback()">${this.t('trackRadio.clear', 'Forget thumbs up / down')}</button></span>
+            </div>
+        </div>`;
+
+        // ── Wake-up Alarms (per user, each ringing on one device) ──
+        html += this._alarmSectionHtml();
+
         // ── Music Scrobbling ──
         {
             const lfmConnected = config.lfmConnected;
@@ -8365,6 +10326,9 @@ ${body}
                     </span>
                 </div>
                 ${!lbConnected ? `<div id="lb-connect-status" style="margin-top:4px;font-size:12px;color:var(--text-secondary);padding-left:140px"></div>` : ''}
+
+                <div class="setting-group-label" style="margin-top:12px">${this.t('scrobbleLog.title', 'Submission log')} &mdash; <span class="setting-hint">${this.t('scrobbleLog.hint', 'Listens from all your devices. Pending ones are kept and sent when Last.fm / ListenBrainz is reachable again.')}</span></div>
+                <div id="scrobble-log">${this._scrobbleLogHtml()}</div>
             </div>`;
         }
 
@@ -9101,6 +11065,9 @@ ${body}
 
         // Refresh video preview scan status
         this._vpreviewPollStatus();
+
+        // Scrobble submission log (kept on the server)
+        this._scrobbleLoadLog();
     },
 
     _settingsSwitchTab(tab) {
@@ -9946,6 +11913,7 @@ ${body}
             const status = await this.api('lastfm/status');
             if (status?.connected) {
                 clearInterval(poll);
+                this.scrobbleResubmit();
                 const cell = document.getElementById('lfm-status-cell');
                 if (cell) cell.innerHTML =
                     `<span class="trakt-connected-badge">&#9679; ${this.t('settings.scrobblingConnectedAs')} <strong>${this.esc(status.lfmUsername)}</strong></span>
@@ -9995,6 +11963,7 @@ ${body}
         document.getElementById('lb-token-row')?.remove();
         document.getElementById('lb-connect-status')?.remove();
         if (this._initCfg) { this._initCfg.lbConnected = true; this._initCfg.lbUsername = lbUser; }
+        this.scrobbleResubmit();
     },
 
     async lbDisconnect() {
@@ -11248,58 +13217,6 @@ ${body}
         btn?.classList.toggle('active', this._abCurrentSpeed !== 1);
     },
 
-    // ─── AudioBook Player — Sleep Timer ──────────────────────────────
-    _abToggleSleepPanel() {
-        const panel = document.getElementById('ab-panel');
-        if (!panel) return;
-        if (panel.style.display !== 'none' && document.getElementById('ab-panel-title')?.textContent.includes('Sleep')) {
-            this._abClosePanel(); return;
-        }
-        const sleepActive = !!this._abSleepInterval;
-        const remaining = this._abSleepRemaining || 0;
-        const opts = sleepActive
-            ? `<div class="ab-sleep-countdown">${this.t('ab.sleepIn','Sleep in')} ${Math.ceil(remaining / 60)}m &mdash; <button class="ab-sleep-btn" onclick="App._abCancelSleep()">${this.t('ab.cancelSleep','Cancel')}</button></div>`
-            : `<div class="ab-sleep-options">
-                ${[15,30,45,60].map(m => `<button class="ab-sleep-btn" onclick="App._abSetSleepTimer(${m})">${m} ${this.t('ab.minutes','min')}</button>`).join('')}
-               </div>`;
-        document.getElementById('ab-panel-title').textContent = this.t('ab.sleepTimer','Sleep Timer');
-        document.getElementById('ab-panel-body').innerHTML = opts;
-        panel.style.display = 'flex';
-    },
-
-    _abSetSleepTimer(minutes) {
-        this._abCancelSleep();
-        this._abSleepRemaining = minutes * 60;
-        this._abSleepInterval = setInterval(() => {
-            this._abSleepRemaining -= 1;
-            if (this._abSleepRemaining <= 0) {
-                this._abCancelSleep();
-                this.audioPlayer.pause();
-                this.isPlaying = false;
-                const btn = document.getElementById('btn-play');
-                if (btn) btn.innerHTML = '<svg style="width:22px;height:22px;stroke:currentColor;fill:none;stroke-width:2;stroke-linecap:round;stroke-linejoin:round"><use href="#icon-play"/></svg>';
-                const sleepBtn = document.getElementById('btn-ab-sleep');
-                if (sleepBtn) sleepBtn.style.opacity = '1';
-            }
-            // Dim the sleep button as countdown nears
-            const sleepBtn = document.getElementById('btn-ab-sleep');
-            if (sleepBtn) {
-                const pct = this._abSleepRemaining / (minutes * 60);
-                sleepBtn.style.color = `rgba(${Math.round(255*(1-pct))},${Math.round(200*pct)},${Math.round(50*pct)},1)`;
-            }
-        }, 1000);
-        const sleepBtn = document.getElementById('btn-ab-sleep');
-        if (sleepBtn) { sleepBtn.style.color = 'var(--accent)'; sleepBtn.title = `${minutes}m`; }
-        this._abClosePanel();
-    },
-
-    _abCancelSleep() {
-        if (this._abSleepInterval) { clearInterval(this._abSleepInterval); this._abSleepInterval = null; }
-        this._abSleepRemaining = 0;
-        const sleepBtn = document.getElementById('btn-ab-sleep');
-        if (sleepBtn) { sleepBtn.style.color = ''; sleepBtn.title = 'Sleep timer'; }
-    },
-
     // ─── AudioBook Player — Chapters ─────────────────────────────────
     _abToggleChapters() {
         const panel = document.getElementById('ab-panel');
@@ -12108,6 +14025,7 @@ ${body}
         this.mvPage = 1;
         this.mvSort = 'recent';
         this.mvArtist = null;
+        this._routeRestore('musicvideos');
         await this.loadMvPage(el);
     },
 
@@ -12209,6 +14127,7 @@ ${body}
 
     async loadMvPage(el) {
         const target = el || document.getElementById('main-content');
+        this._routeSync();
         let url = `musicvideos?limit=${this.mvPerPage}&page=${this.mvPage}&sort=${this.mvSort}`;
         if (this.mvArtist) url += `&artist=${encodeURIComponent(this.mvArtist)}`;
 
@@ -12379,6 +14298,7 @@ ${body}
             this.api(`ratings/summary/musicvideo/${id}`)
         ]);
         if (!video) return;
+        this._routeDetail('musicvideo', id);
 
         const el = document.getElementById('main-content');
         document.getElementById('page-title').innerHTML = `<span>${this.t('page.musicVideos')}</span>`;
@@ -12463,6 +14383,8 @@ ${body}
         this._castUpdateButtons();
         const player = document.getElementById('mv-player');
         if (player) {
+            this._histBegin({ type: 'musicvideo', id: video.id, title: video.title || video.artist || 'Music Video', subtitle: video.artist || '',
+                art: video.thumbnailPath ? `/mvthumb/${video.thumbnailPath}` : '' }, player);
             this.connectEQToElement(player);
             this._setupCustomControls(player);
             player.addEventListener('ended', () => {
@@ -12527,6 +14449,7 @@ ${body}
         this.ebooksSort = 'recent';
         this.ebooksCategory = null;
         this.ebooksFormat = null;
+        this._routeRestore('ebooks');
         await this.loadEBooksPage(el);
     },
 
@@ -12555,6 +14478,7 @@ ${body}
 
     async loadEBooksPage(el) {
         const target = el || document.getElementById('main-content');
+        this._routeSync();
 
         const buildSortBar = () => {
             const sortLabels = { recent: this.t('sort.recent'), title: this.t('sort.title'), author: this.t('sort.author'), name: this.t('sort.name'), size: this.t('sort.size') };
@@ -12722,6 +14646,7 @@ ${body}
     async openEBookDetail(ebookId) {
         const ebook = await this.api(`ebooks/${ebookId}`);
         if (!ebook) return;
+        this._routeDetail('ebook', ebookId);
 
         const el = document.getElementById('main-content');
         document.getElementById('page-title').innerHTML = `<span>${this.esc(ebook.title)}</span>`;
@@ -13273,11 +15198,13 @@ ${body}
         this.audioBooksPage = 1;
         this.audioBooksSort = 'recent';
         this.audioBooksCategory = null;
+        this._routeRestore('audiobooks');
         await this.loadAudioBooksPage(el);
     },
 
     async loadAudioBooksPage(el) {
         const target = el || document.getElementById('main-content');
+        this._routeSync();
         let url = `audiobooks?limit=${this.audioBooksPerPage}&page=${this.audioBooksPage}&sort=${this.audioBooksSort}`;
         if (this.audioBooksCategory) url += `&category=${encodeURIComponent(this.audioBooksCategory === '__none__' ? '__none__' : this.audioBooksCategory)}`;
 
@@ -13397,6 +15324,7 @@ ${body}
     async openAudioBookDetail(audiobookId) {
         const book = await this.api(`audiobooks/${audiobookId}`);
         if (!book) return;
+        this._routeDetail('audiobook', audiobookId);
 
         const el = document.getElementById('main-content');
         document.getElementById('page-title').innerHTML = `<span>${this.esc(book.title)}</span>`;
@@ -13571,12 +15499,15 @@ ${body}
         this.isRadioPlaying = false;
         this.isAudioBookPlaying = true;
         this._currentAudioBookId = id;
+        this._histBegin({ type: 'audiobook', id, title: title || this.t('misc.audioBook'), subtitle: author || '',
+            art: coverImage ? `/audiobookcover/${coverImage}` : '' });
+        this._waveLoadPlayer('audiobook', id);
         this._abChapters = [];
         this._abCurrentSpeed = this._abCurrentSpeed || 1;
 
         document.getElementById('player-bar').classList.remove('radio-mode', 'player-hidden');
         // Hide music controls
-        ['btn-player-add-playlist','btn-player-lyrics','btn-shuffle','btn-repeat','btn-eq','btn-android-player']
+        ['btn-player-add-playlist','btn-player-lyrics','btn-queue','btn-shuffle','btn-repeat','btn-eq','btn-android-player']
             .forEach(id => { const el = document.getElementById(id); if (el) el.style.display = 'none'; });
         // Repurpose prev/next as ±30s skip
         const prevBtn = document.getElementById('btn-prev');
@@ -13585,7 +15516,7 @@ ${body}
         if (nextBtn) { nextBtn.style.display = ''; nextBtn.title = '+30 seconds'; nextBtn.innerHTML = '<span style="font-size:11px;font-weight:700;letter-spacing:-.5px">+30s</span>'; }
         document.getElementById('progress-bar').style.display = '';
         // Show audiobook controls
-        ['btn-ab-speed','btn-ab-sleep','btn-ab-bookmark'].forEach(id => {
+        ['btn-ab-speed','btn-ab-bookmark'].forEach(id => {
             const el = document.getElementById(id); if (el) el.style.display = '';
         });
         const favBtn = document.getElementById('btn-player-fav');
@@ -13603,6 +15534,7 @@ ${body}
         document.getElementById('player-title').textContent = title || this.t('misc.audioBook');
         document.getElementById('player-artist').textContent = author || '';
         this._clearPlayerMeta();
+        this._msSetMetadata(title || this.t('misc.audioBook'), author, '', coverImage ? `/audiobookcover/${coverImage}` : '');
 
         // Set speed button label
         const speedBtn = document.getElementById('btn-ab-speed');
@@ -13657,6 +15589,7 @@ ${body}
         this._videosGenrePage = 0;
         this._videosCatPage = 0;
         this._videosView = 'all';
+        this._routeRestore(this._currentVideoSection);
         await this.loadVideosPage(el);
     },
 
@@ -13673,12 +15606,14 @@ ${body}
         this._videosGenrePage = 0;
         this._videosCatPage = 0;
         this._videosView = 'all';
+        this._routeRestore(this._currentVideoSection);
         await this.loadVideosPage(el);
     },
 
     async loadVideosPage(el) {
         const target = el || document.getElementById('main-content');
         const isTvSection = this._currentVideoSection === 'tvshows';
+        this._routeSync();
 
         // Determine the mediaType param for the API call
         let apiMediaType;
@@ -14259,11 +16194,13 @@ ${body}
         this.animeSort = 'recent';
         this.animeGenre = null;
         this.animeSearch = '';
+        this._routeRestore('anime');
         await this.loadAnimePage(el);
     },
 
     async loadAnimePage(el) {
         const target = el || document.getElementById('main-content');
+        this._routeSync();
         const isAnimeSpecialView = this.animeSort === 'byname' || this.animeSort === 'year';
         const animeApiLimit = isAnimeSpecialView ? 5000 : this.videosPerPage;
         const animeApiPage  = isAnimeSpecialView ? 1 : this.animePage;
@@ -14765,6 +16702,7 @@ ${body}
         this.stopAllMedia();
         const video = await this.api(`videos/${id}`);
         if (!video) return;
+        this._routeDetail('video', id);
 
         // If multiple audio languages, ask user to select
         const audioTrack = await this._selectAudioTrack(video);
@@ -15181,6 +17119,11 @@ ${body}
 
         // Set up progress tracking (Continue Watching)
         this._setupVideoProgressTracking(video.id);
+        const isEpisode = video.mediaType === 'tv' || video.mediaType === 'anime';
+        this._histBegin({ type: isEpisode ? 'episode' : 'video', id: video.id, title: video.title,
+            subtitle: isEpisode && video.seriesName ? `${video.seriesName} · S${String(video.season || 0).padStart(2, '0')}E${String(video.episode || 0).padStart(2, '0')}` : (video.year ? String(video.year) : ''),
+            art: video.posterPath ? `/videometa/${video.posterPath}` : video.thumbnailPath ? `/videothumb/${video.thumbnailPath}` : '' },
+            videoEl);
 
         // Trakt.tv scrobbling
         if (this._initCfg?.traktConnected && this._initCfg?.traktScrobbleEnabled) {
@@ -15518,7 +17461,10 @@ ${body}
         const buildMoreMenu = () => {
             if (!moreMenu) return;
             moreMenu.innerHTML = `<div class="vp-more-head">${this.t('player.speed', 'Playback speed')}</div>` +
-                RATES.map(r => `<button class="vp-more-item${video.playbackRate === r ? ' active' : ''}" onclick="App._vpSetRate(${r})">${r === 1 ? this.t('player.normal', 'Normal') : r + '×'}</button>`).join('');
+                RATES.map(r => `<button class="vp-more-item${video.playbackRate === r ? ' active' : ''}" onclick="App._vpSetRate(${r})">${r === 1 ? this.t('player.normal', 'Normal') : r + '×'}</button>`).join('') +
+                `<div class="vp-more-head">${this.t('fx.audio', 'Audio')}</div>` +
+                `<button class="vp-more-item${this._fxVideo.comp === 'night' ? ' active' : ''}" onclick="App._vpToggleNightMode()">${this.t('fx.nightMode', 'Night mode')}</button>` +
+                `<button class="vp-more-item" onclick="App.toggleFxPanel('video')">${this.t('fx.open', 'Effects…')}</button>`;
         };
         moreBtn && moreBtn.addEventListener('click', (e) => {
             e.stopPropagation();
@@ -16336,10 +18282,12 @@ ${body}
     },
 
     async openSeriesDetail(seriesName, mediaType = null) {
-        this.stopAllMedia();
+        // Browsing a series doesn't start playback — leave the audio player alone
+        this.stopPageVideo();
         const mtParam = mediaType ? `&mediaType=${mediaType}` : '';
         const data = await this.api(`videos?series=${encodeURIComponent(seriesName)}${mtParam}&sort=series&limit=500`);
         if (!data || !data.videos || data.videos.length === 0) return;
+        this._routeDetail('series', seriesName, mediaType ? { type: mediaType } : null);
 
         const el = document.getElementById('main-content');
         document.getElementById('page-title').innerHTML = `<span>${this.esc(seriesName)}</span>`;
@@ -16677,12 +18625,14 @@ ${body}
         this.picturesSort = 'recent';
         this.picturesCategory = null;
         this._currentAlbumId = null;
+        this._routeRestore('pictures');
         const target = el || document.getElementById('main-content');
         await this._renderPicturesView(target);
     },
 
     async _renderPicturesView(target) {
         const el = target || document.getElementById('main-content');
+        this._routeSync();
         // Album detail view overrides everything
         if (this._currentAlbumId != null) {
             await this._renderAlbumView(el, this._currentAlbumId);
@@ -16714,6 +18664,7 @@ ${body}
         this._picturesPlace = null;
         const prev = this.picturesView;
         this.picturesView = view;
+        this._routeSync();
         // Cleanup map
         if (prev === 'map' && view !== 'map' && this._picMapInstance) {
             this._picMapInstance.remove();
@@ -17320,6 +19271,7 @@ ${body}
 
     async loadPicturesPage(el) {
         const target = el || document.getElementById('main-content');
+        this._routeSync();
 
         // "Name" sort → letter browser view (fetch all, group by first letter)
         if (this.picturesSort === 'name' && this.picturesMediaType !== 'videos') {
@@ -18647,25 +20599,30 @@ ${body}
 
     // ─── Track Table Renderer ────────────────────────────────
     renderTrackTable(tracks, showTrackNum = false) {
+        // The BPM / key column only appears once some of the tracks have been tagged or analysed
+        const tempo = !!tracks?.some(t => t.bpm || t.musicalKey);
         return `<table class="track-list"><thead><tr>
             ${showTrackNum ? `<th class="track-number">${this.t('table.trackNum')}</th>` : '<th class="track-number"></th>'}
-            <th>${this.t('table.title')}</th><th>${this.t('table.artist')}</th><th>${this.t('table.album')}</th><th class="track-duration">${this.t('table.duration')}</th>
-            <th class="track-actions"></th>
-        </tr></thead><tbody>${this.renderTrackRows(tracks, showTrackNum)}</tbody></table>`;
+            <th>${this.t('table.title')}</th><th>${this.t('table.artist')}</th><th>${this.t('table.album')}</th>${tempo ? `<th class="track-tempo">${this.t('table.bpmKey', 'BPM / Key')}</th>` : ''}<th class="track-duration">${this.t('table.duration')}</th>
+            <th class="track-actions"><button class="mb-select-btn mb-select-toggle${this._mbSelect ? ' active' : ''}" onclick="App.mbToggleSelect()" title="${this.t('mbatch.select', 'Select for batch edit')}"><svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><polyline points="9 11 12 14 22 4"/><path d="M21 12v7a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11"/></svg></button></th>
+        </tr></thead><tbody>${this.renderTrackRows(tracks, showTrackNum, tempo)}</tbody></table>`;
     },
 
-    renderTrackRows(tracks, showTrackNum = false) {
+    renderTrackRows(tracks, showTrackNum = false, tempo = false) {
         if (!tracks) return '';
         return tracks.map((t, i) => {
             const dur = this.formatDuration(t.duration);
             const fmt = this.trackFormat(t);
             const num = showTrackNum ? (t.trackNumber || i + 1) : (i + 1);
             const favClass = t.isFavourite ? 'active' : '';
-            return `<tr onclick="App.playFromList(${i})" data-track-id="${t.id}">
-                <td class="track-number">${num}</td>
+            const selected = !!this._mbSelect?.tracks.has(t.id);
+            const rowClass = [this.currentTrack && this.currentTrack.id === t.id ? 'playing' : '', selected ? 'batch-selected' : ''].filter(Boolean).join(' ');
+            return `<tr onclick="App._mbSelect ? App._mbToggle('tracks', ${t.id}, this) : App.playFromList(${i})" data-track-id="${t.id}"${rowClass ? ` class="${rowClass}"` : ''}>
+                <td class="track-number"><span class="mb-num">${num}</span><input type="checkbox" class="batch-cb mb-cb"${selected ? ' checked' : ''} onclick="event.stopPropagation()" onchange="App._mbToggle('tracks', ${t.id}, this.closest('tr'))"></td>
                 <td class="track-title">${this.esc(t.title)}${fmt ? `<span class="track-format-badge ${this.trackFormatClass(fmt)}">${fmt}</span>` : ''}</td>
                 <td>${this.esc(t.artist)}</td>
                 <td>${this.esc(t.album)}</td>
+                ${tempo ? `<td class="track-tempo">${this._tkCell(t)}</td>` : ''}
                 <td class="track-duration">${dur}</td>
                 <td class="track-actions">
                     <button class="track-fav-btn ${favClass}" onclick="event.stopPropagation(); App.toggleFav(${t.id}, this)">&#10084;</button>
@@ -18678,23 +20635,28 @@ ${body}
 
     // ─── Audio Player ────────────────────────────────────────
     bindPlayer() {
-        const audio = this.audioPlayer;
+        // Two identical <audio> decks: the active one is always this.audioPlayer, the other preloads
+        // the next queue entry for gapless / crossfade hand-offs (see Gapless & Crossfade)
+        const deckB = this.audioPlayer.cloneNode(false);
+        deckB.id = 'audio-player-b';
+        this.audioPlayer.after(deckB);
+        this._audioDecks = [this.audioPlayer, deckB];
         document.getElementById('btn-play').addEventListener('click', () => this.togglePlay());
         document.getElementById('btn-prev').addEventListener('click', () => this.prevTrack());
         document.getElementById('btn-next').addEventListener('click', () => this.nextTrack());
-        document.getElementById('btn-shuffle').addEventListener('click', () => {
-            this.shuffle = !this.shuffle;
-            document.getElementById('btn-shuffle').style.color = this.shuffle ? 'var(--accent)' : '';
-        });
+        document.getElementById('btn-shuffle').addEventListener('click', () => this.setShuffle(!this.shuffle));
         document.getElementById('btn-repeat').addEventListener('click', () => {
             const modes = ['off', 'all', 'one'];
             this.repeat = modes[(modes.indexOf(this.repeat) + 1) % 3];
             const btn = document.getElementById('btn-repeat');
             btn.style.color = this.repeat !== 'off' ? 'var(--accent)' : '';
             btn.title = `Repeat: ${this.repeat}`;
+            this._xfCancelPreload();
         });
-        document.getElementById('volume-slider').addEventListener('input', (e) => { audio.volume = e.target.value / 100; });
-        audio.volume = 0.8;
+        document.getElementById('volume-slider').addEventListener('input', (e) => {
+            this._audioDecks.forEach(d => { d.volume = e.target.value / 100 * this._sleepScale; });
+        });
+        this._audioDecks.forEach(d => { d.volume = 0.8; });
 
         // EQ button
         document.getElementById('btn-eq').addEventListener('click', () => this.toggleEQPanel());
@@ -18719,85 +20681,141 @@ ${body}
 
         document.getElementById('progress-bar').addEventListener('click', (e) => {
             const rect = e.currentTarget.getBoundingClientRect();
-            audio.currentTime = ((e.clientX - rect.left) / rect.width) * audio.duration;
+            this.audioPlayer.currentTime = ((e.clientX - rect.left) / rect.width) * this.audioPlayer.duration;
         });
-        audio.addEventListener('timeupdate', () => {
-            if (!audio.duration) return;
-            // Scrobble threshold: 50% played or 4 minutes, whichever comes first (Last.fm spec)
-            if (!this._scrobbleFired && this.currentTrack && audio.duration > 30 &&
-                (audio.currentTime >= audio.duration * 0.5 || audio.currentTime >= 240)) {
-                this._scrobbleFired = true;
-                this._fireScrobble(this.currentTrack);
-            }
-            const pct = ((audio.currentTime / audio.duration) * 100) + '%';
-            document.getElementById('progress-fill').style.width = pct;
-            const cursor = document.getElementById('progress-cursor');
-            if (cursor) cursor.style.left = pct;
-            const mobileFill = document.getElementById('mobile-progress-fill');
-            if (mobileFill) mobileFill.style.width = pct;
-            document.getElementById('time-current').textContent = this.formatDuration(audio.currentTime);
-            document.getElementById('time-total').textContent = this.formatDuration(audio.duration);
-            // Update podcast now-playing panel seek bar
-            const pnpFill = document.getElementById('pnp-fill');
-            const pnpThumb = document.getElementById('pnp-thumb');
-            const pnpCur = document.getElementById('pnp-cur');
-            const pnpTot = document.getElementById('pnp-tot');
-            if (pnpFill) pnpFill.style.width = pct;
-            if (pnpThumb) pnpThumb.style.left = pct;
-            if (pnpCur) pnpCur.textContent = this.formatDuration(audio.currentTime);
-            if (pnpTot) pnpTot.textContent = this.formatDuration(audio.duration);
-            // Update audiobook detail page live progress bar if open
-            if (this.isAudioBookPlaying) this._abUpdateDetailProgress();
+        document.getElementById('progress-bar').addEventListener('mousemove', (e) => {
+            this._waveHover = this._waveHoverAt(e, e.currentTarget, this.audioPlayer.duration);
+            this._waveRenderPlayer();
         });
-        audio.addEventListener('ended', () => {
-            if (this.isRadioPlaying) {
-                // Radio streams shouldn't end - try to reconnect
-                setTimeout(() => {
-                    if (this.isRadioPlaying && this.currentRadioStation) {
-                        this.audioPlayer.src = this.currentRadioStation.streamUrl;
-                        this.audioPlayer.play();
-                    }
-                }, 2000);
-                return;
-            }
-            if (this.repeat === 'one') { audio.currentTime = 0; audio.play(); }
-            else this.nextTrack();
+        document.getElementById('progress-bar').addEventListener('mouseleave', (e) => {
+            this._waveHover = this._waveHoverAt(null, e.currentTarget);
+            this._waveRenderPlayer();
         });
-        audio.addEventListener('error', () => {
-            if (this.isRadioPlaying) {
-                document.getElementById('player-artist').innerHTML =
-                    '<span style="color:var(--danger)">Stream unavailable - retrying...</span>';
-                setTimeout(() => {
-                    if (this.isRadioPlaying && this.currentRadioStation) {
-                        this.audioPlayer.src = this.currentRadioStation.streamUrl;
-                        this.audioPlayer.play().catch(() => {});
-                    }
-                }, 3000);
-            }
+        this._audioDecks.forEach(audio => {
+            audio.addEventListener('timeupdate', () => {
+                if (audio !== this.audioPlayer) return;
+                this._histTick();
+                if (!audio.duration) return;
+                // Scrobble threshold: 50% played or 4 minutes, whichever comes first (Last.fm spec)
+                if (!this._scrobbleFired && this.currentTrack && audio.duration > 30 &&
+                    (audio.currentTime >= audio.duration * 0.5 || audio.currentTime >= 240)) {
+                    this._scrobbleFired = true;
+                    this._fireScrobble(this.currentTrack);
+                }
+                const pct = ((audio.currentTime / audio.duration) * 100) + '%';
+                document.getElementById('progress-fill').style.width = pct;
+                const cursor = document.getElementById('progress-cursor');
+                if (cursor) cursor.style.left = pct;
+                const mobileFill = document.getElementById('mobile-progress-fill');
+                if (mobileFill) mobileFill.style.width = pct;
+                if (this._wave) this._waveRenderPlayer();
+                document.getElementById('time-current').textContent = this.formatDuration(audio.currentTime);
+                document.getElementById('time-total').textContent = this.formatDuration(audio.duration);
+                // Update podcast now-playing panel seek bar
+                const pnpFill = document.getElementById('pnp-fill');
+                const pnpThumb = document.getElementById('pnp-thumb');
+                const pnpCur = document.getElementById('pnp-cur');
+                const pnpTot = document.getElementById('pnp-tot');
+                if (pnpFill) pnpFill.style.width = pct;
+                if (pnpThumb) pnpThumb.style.left = pct;
+                if (pnpCur) pnpCur.textContent = this.formatDuration(audio.currentTime);
+                if (pnpTot) pnpTot.textContent = this.formatDuration(audio.duration);
+                // Update audiobook detail page live progress bar if open
+                if (this.isAudioBookPlaying) this._abUpdateDetailProgress();
+                // Persist the queue position every few seconds so a reload resumes close to where it was
+                if (this.currentTrack && Date.now() - this._queueLastPosSave > 5000) this._queueSave();
+                this._xfTick();
+                this._lyricsSync();
+            });
+            audio.addEventListener('ended', () => {
+                // The outgoing deck of a gapless hand-off finishing its last samples
+                if (audio !== this.audioPlayer) { this._xfRetire(audio); return; }
+                if (this.isRadioPlaying) {
+                    // Radio streams shouldn't end - try to reconnect
+                    setTimeout(() => {
+                        if (this.isRadioPlaying && this.currentRadioStation) {
+                            this.audioPlayer.src = this.currentRadioStation.streamUrl;
+                            this.audioPlayer.play();
+                        }
+                    }, 2000);
+                    return;
+                }
+                if (this._sleepTrackEnded()) return;
+                if (this.repeat === 'one') { audio.currentTime = 0; audio.play(); }
+                else this.nextTrack();
+            });
+            audio.addEventListener('error', () => {
+                if (audio !== this.audioPlayer) return;
+                if (this.isRadioPlaying) {
+                    document.getElementById('player-artist').innerHTML =
+                        '<span style="color:var(--danger)">Stream unavailable - retrying...</span>';
+                    setTimeout(() => {
+                        if (this.isRadioPlaying && this.currentRadioStation) {
+                            this.audioPlayer.src = this.currentRadioStation.streamUrl;
+                            this.audioPlayer.play().catch(() => {});
+                        }
+                    }, 3000);
+                }
+            });
         });
+        this._audioDecks.forEach(audio => audio.addEventListener('pause', () => { if (audio === this.audioPlayer) this._histFlush(); }));
+        this._audioDecks.forEach(audio => audio.addEventListener('play', () => this._fxApplySpeed(audio)));
+        window.addEventListener('pagehide', () => { this._queueSave(); this._histFlush(true); });
+        this._msInit();
     },
 
+    // Stops everything before a video starts: the audio player and any in-page video
     stopAllMedia() {
+        this.stopPlayback();
+        this.stopPageVideo();
+    },
+
+    stopPageVideo() {
         // Cancel any pending "Up Next" countdown
         if (this._upNextTimer) { clearInterval(this._upNextTimer); this._upNextTimer = null; }
         // Stop video progress tracking
         this._stopVideoProgressTracking();
-        // Stop audio player and hide player bar
-        if (this.audioPlayer && this.audioPlayer.src) {
-            this.audioPlayer.pause();
-            this.audioPlayer.src = '';
-        }
-        this.isPlaying = false;
-        this.currentTrack = null;
-        const playerBar = document.getElementById('player-bar');
-        if (playerBar) playerBar.classList.add('player-hidden');
         // Stop any video players on the page
         document.querySelectorAll('video').forEach(v => { v.pause(); v.removeAttribute('src'); v.load(); });
         // Kill any active FFmpeg transcode process
         this.stopCurrentTranscode();
     },
 
-    playTrack(track) {
+    // Explicit stop of whatever the player bar is playing (track queue, radio, podcast or audiobook)
+    stopPlayback() {
+        if (this._castActive && this._castMediaType === 'audio') this._castServerStop();
+        if (this.isRadioPlaying) { this.stopRadio(); return; }
+        if (this.isAudioBookPlaying) this._abExitPlayerMode();
+        this.stopPlayer();
+    },
+
+    // Save audiobook position and restore the full music controls in the player bar
+    _abExitPlayerMode() {
+        this._abStopProgressSave();
+        this._abClosePanel();
+        this.isAudioBookPlaying = false;
+        this._currentAudioBookId = null;
+        this.audioPlayer.playbackRate = 1;
+        document.getElementById('btn-player-fav').style.display = '';
+        document.getElementById('btn-player-add-playlist').style.display = '';
+        document.getElementById('btn-player-lyrics').style.display = '';
+        document.getElementById('btn-prev').style.display = '';
+        document.getElementById('btn-next').style.display = '';
+        document.getElementById('btn-shuffle').style.display = '';
+        document.getElementById('btn-repeat').style.display = '';
+        document.getElementById('btn-eq').style.display = '';
+        document.getElementById('btn-android-player').style.display = '';
+        document.getElementById('btn-queue').style.display = '';
+        ['btn-ab-speed','btn-ab-chapters','btn-ab-bookmark']
+            .forEach(id => { const el = document.getElementById(id); if (el) el.style.display = 'none'; });
+        // Restore prev/next original SVG icons
+        const pb = document.getElementById('btn-prev'), nb = document.getElementById('btn-next');
+        if (pb) { pb.title = 'Previous'; pb.innerHTML = '<svg style="width:18px;height:18px;stroke:currentColor;fill:none;stroke-width:2;stroke-linecap:round;stroke-linejoin:round"><use href="#icon-skip-back"/></svg>'; }
+        if (nb) { nb.title = 'Next'; nb.innerHTML = '<svg style="width:18px;height:18px;stroke:currentColor;fill:none;stroke-width:2;stroke-linecap:round;stroke-linejoin:round"><use href="#icon-skip-forward"/></svg>'; }
+    },
+
+    // opts.paused loads the track without starting it (queue restore); opts.startAt seeks once metadata loads
+    playTrack(track, opts = {}) {
         if (!track) return;
         // If radio was playing, clean up radio state
         if (this.isRadioPlaying) {
@@ -18814,50 +20832,51 @@ ${body}
             document.getElementById('btn-eq').style.display = '';
         }
         // If an audiobook was playing, save position and restore full player controls
-        if (this.isAudioBookPlaying) {
-            this._abStopProgressSave();
-            this._abClosePanel();
-            this._abCancelSleep();
-            this.isAudioBookPlaying = false;
-            this._currentAudioBookId = null;
-            this.audioPlayer.playbackRate = 1;
-            document.getElementById('btn-player-fav').style.display = '';
-            document.getElementById('btn-player-add-playlist').style.display = '';
-            document.getElementById('btn-player-lyrics').style.display = '';
-            document.getElementById('btn-prev').style.display = '';
-            document.getElementById('btn-next').style.display = '';
-            document.getElementById('btn-shuffle').style.display = '';
-            document.getElementById('btn-repeat').style.display = '';
-            document.getElementById('btn-eq').style.display = '';
-            document.getElementById('btn-android-player').style.display = '';
-            ['btn-ab-speed','btn-ab-sleep','btn-ab-chapters','btn-ab-bookmark']
-                .forEach(id => { const el = document.getElementById(id); if (el) el.style.display = 'none'; });
-            // Restore prev/next original SVG icons
-            const pb = document.getElementById('btn-prev'), nb = document.getElementById('btn-next');
-            if (pb) { pb.title = 'Previous'; pb.innerHTML = '<svg style="width:18px;height:18px;stroke:currentColor;fill:none;stroke-width:2;stroke-linecap:round;stroke-linejoin:round"><use href="#icon-skip-back"/></svg>'; }
-            if (nb) { nb.title = 'Next'; nb.innerHTML = '<svg style="width:18px;height:18px;stroke:currentColor;fill:none;stroke-width:2;stroke-linecap:round;stroke-linejoin:round"><use href="#icon-skip-forward"/></svg>'; }
-        }
+        if (this.isAudioBookPlaying) this._abExitPlayerMode();
         // Stop any playing video before starting audio
         document.querySelectorAll('video').forEach(v => { v.pause(); v.removeAttribute('src'); v.load(); });
         this.currentTrack = track;
+        this._shuffleEnsure(track);
+        this._histBegin({ type: 'track', id: track.id, title: track.title,
+            subtitle: [track.artist, track.album].filter(Boolean).join(' · '), art: this.getArtUrl(track) });
+        this._waveLoadPlayer('track', track.id);
+        this._jbStarted(track);
+        this._loopTrackChanged(track);
+        this._radioTrackChanged(track);
+        this._amTrackChanged();
         this._scrobbleFired = false;
         this._scrobbleTimestamp = Math.floor(Date.now() / 1000);
-        this.audioPlayer.src = this._buildStreamUrl(track.id);
-        this.initEqualizer();
+        // opts.handoff: the gapless/crossfade engine has already started this track on the incoming deck
+        if (!opts.handoff) {
+            this._xfReset();
+            this.audioPlayer.src = this._buildStreamUrl(track.id);
+            if (opts.startAt > 0) {
+                this.audioPlayer.addEventListener('loadedmetadata', () => {
+                    if (this.currentTrack === track) this.audioPlayer.currentTime = opts.startAt;
+                }, { once: true });
+            }
+        }
         this._applyReplayGain(track);
-        // When casting audio, route the new track to the cast device instead of local output
-        if (this._castActive && this._castMediaType === 'audio') {
-            try { this.audioPlayer.pause(); } catch (e) {}
-            this._castPlayCurrentTrack();
+        if (opts.paused) {
+            this.isPlaying = false;
         } else {
-            this.audioPlayer.play();
+            if (!opts.handoff) {
+                this.initEqualizer();
+                // When casting audio, route the new track to the cast device instead of local output
+                if (this._castActive && this._castMediaType === 'audio') {
+                    try { this.audioPlayer.pause(); } catch (e) {}
+                    this._castPlayCurrentTrack();
+                } else {
+                    this.audioPlayer.play();
+                }
+            }
+            this._scrobbleNowPlaying(track);
+            this.isPlaying = true;
         }
-        this._scrobbleNowPlaying(track);
-        this.isPlaying = true;
         document.getElementById('player-bar').classList.remove('player-hidden');
         document.getElementById('btn-eq').style.display = '';
         this._castUpdateButtons();
-        document.getElementById('btn-play').innerHTML = '<svg style="width:22px;height:22px;stroke:currentColor;fill:none;stroke-width:2;stroke-linecap:round;stroke-linejoin:round"><use href="#icon-pause"/></svg>';
+        document.getElementById('btn-play').innerHTML = `<svg style="width:22px;height:22px;stroke:currentColor;fill:none;stroke-width:2;stroke-linecap:round;stroke-linejoin:round"><use href="#icon-${this.isPlaying ? 'pause' : 'play'}"/></svg>`;
         document.getElementById('player-title').textContent = track.title || 'Unknown';
         document.getElementById('player-artist').textContent = track.artist || '';
         this._updatePlayerMeta();
@@ -18876,6 +20895,11 @@ ${body}
         document.querySelectorAll('.track-list tr.playing').forEach(r => r.classList.remove('playing'));
         const row = document.querySelector(`tr[data-track-id="${track.id}"]`);
         if (row) row.classList.add('playing');
+        this._msSetMetadata(track.title || 'Unknown', track.artist, track.album, track.hasAlbumArt ? `/api/cover/track/${track.id}` : '');
+        if (opts.paused && this._msSupported()) navigator.mediaSession.playbackState = 'paused';
+        this._queueSave();
+        this._renderQueue();
+        this._lyricsTrackChanged(track);
         if (this._ncActive) this._ncUpdateSong();
     },
 
@@ -18892,11 +20916,13 @@ ${body}
     },
 
     stopPlayer() {
+        this._xfReset();
         this.audioPlayer.pause();
         this.audioPlayer.src = '';
         this.isPlaying = false;
         this.currentTrack = null;
         this._currentPodcastEp = null;
+        this._waveLoadPlayer(null);
         this.playlist = [];
         this.playIndex = -1;
         if (this._podcastPositionInterval) {
@@ -18909,6 +20935,9 @@ ${body}
         this._clearPlayerMeta();
         const npPanel = document.getElementById('podcast-now-playing');
         if (npPanel) npPanel.className = 'podcast-np-hidden';
+        this._msClear();
+        this._queueSave();
+        this._renderQueue();
     },
 
     togglePlay() {
@@ -18916,6 +20945,7 @@ ${body}
         if (this._castActive && this._castMediaType === 'audio') {
             this._castPaused = !this._castPaused;
             this._castServerControl(this._castPaused ? 'pause' : 'play');
+            if (this._msSupported()) navigator.mediaSession.playbackState = this._castPaused ? 'paused' : 'playing';
             const ic = this._castPaused ? 'play' : 'pause';
             const bp = document.getElementById('btn-play');
             if (bp) bp.innerHTML = `<svg style="width:22px;height:22px;stroke:currentColor;fill:none;stroke-width:2;stroke-linecap:round;stroke-linejoin:round"><use href="#icon-${ic}"/></svg>`;
@@ -18926,7 +20956,11 @@ ${body}
         const pnpStyle = 'width:24px;height:24px;stroke:currentColor;fill:none;stroke-width:2;stroke-linecap:round;stroke-linejoin:round';
         const icon = this.isPlaying ? 'play' : 'pause';
         if (this.isPlaying) { this.audioPlayer.pause(); this.isPlaying = false; }
-        else { this.audioPlayer.play(); this.isPlaying = true; }
+        else {
+            // A queue restored on page load is loaded paused and not yet routed through the EQ graph
+            if (this.currentTrack && this._eqConnectedEl !== this.audioPlayer) { this.initEqualizer(); this._applyReplayGain(this.currentTrack); }
+            this.audioPlayer.play(); this.isPlaying = true;
+        }
         document.getElementById('btn-play').innerHTML = `<svg style="${svgStyle}"><use href="#icon-${icon}"/></svg>`;
         const pnpBtn = document.getElementById('pnp-play-btn');
         if (pnpBtn) pnpBtn.innerHTML = `<svg style="${pnpStyle}"><use href="#icon-${icon}"/></svg>`;
@@ -18943,28 +20977,32 @@ ${body}
             return;
         }
         if (this.playlist.length === 0) return;
-        if (this.shuffle) {
-            if (this.playlist.length <= 2) {
+        // The gapless/crossfade engine already decided (and buffered) what plays next
+        if (this._xfNext && this._xfEligible()) { this._xfStart(0, true); return; }
+        if (this.playIndex + 1 >= this.playlist.length) {
+            // Shuffle on a single track (or Shuffle All) keeps going with random library tracks,
+            // appended so Previous can still walk back through them
+            if (this.shuffle && (this.playlist === this._shuffleLibraryQueue || this.playlist.length <= 2)) {
                 const track = await this.api('tracks/random');
                 if (track && track.id) {
-                    this.playlist = [track];
-                    this.playIndex = 0;
-                    this.playTrack(track);
-                    return;
+                    this.playlist.push(this._queueSlim(track));
+                    if (this.playlist.length > 500) { this.playlist.shift(); this.playIndex--; }
+                    this._shuffleLibraryQueue = this.playlist;
+                    this._shuffleQueue = this.playlist;
+                    this.playIndex++;
+                    this.playTrack(this.playlist[this.playIndex]);
                 }
+                return;
             }
-            const curArtist = this.playlist[this.playIndex]?.artist;
-            const len = this.playlist.length;
-            let newIdx = Math.floor(Math.random() * len);
-            for (let i = 0; i < 4; i++) {
-                if (newIdx !== this.playIndex &&
-                    (!curArtist || this.playlist[newIdx]?.artist !== curArtist)) break;
-                newIdx = Math.floor(Math.random() * len);
+            if (this.repeat !== 'all') return;
+            // Repeat all + shuffle deals a fresh order for the next round
+            if (this.shuffle) {
+                this.playlist = this._shuffleOrder(this.playlist.slice(), this.currentTrack);
+                this._shuffleQueue = this.playlist;
             }
-            this.playIndex = newIdx;
+            this.playIndex = 0;
         } else {
             this.playIndex++;
-            if (this.playIndex >= this.playlist.length) { if (this.repeat === 'all') this.playIndex = 0; else return; }
         }
         this.playTrack(this.playlist[this.playIndex]);
     },
@@ -18981,8 +21019,1009 @@ ${body}
         this.playTrack(this.playlist[this.playIndex]);
     },
 
-    // ─── Favourites Toggle ───────────────────────────────────
-    async toggleFav(trackId, btn) {
+    // ─── Shuffle ─────────────────────────────────────────────
+    // Shuffle reorders the queue itself once (current track first, everything else after it), so the
+    // drawer shows the real play order, Next walks forward through it and Previous walks back.
+    // A new queue started while shuffle is on is shuffled when its first track plays.
+    _shuffleMode: 'balanced',    // 'balanced' | 'rating' (favour higher rated) | 'fresh' (favour less / longer-ago played)
+    _shuffleQueue: null,         // the App.playlist array currently in shuffled order
+    _shuffleOriginal: null,      // its order before shuffling, restored when shuffle is switched off
+    _shuffleLibraryQueue: null,  // queue that keeps growing with random library tracks (Shuffle All)
+    _shuffleStats: null,         // track id → { rating, playCount, lastPlayed } for the weighted modes
+
+    loadShuffleState() {
+        try {
+            const s = JSON.parse(localStorage.getItem('nexusm-shuffle') || '{}');
+            if (['balanced', 'rating', 'fresh'].includes(s.mode)) this._shuffleMode = s.mode;
+        } catch (e) {}
+    },
+
+    saveShuffleState() {
+        try { localStorage.setItem('nexusm-shuffle', JSON.stringify({ mode: this._shuffleMode })); } catch (e) {}
+        // Re-deal what hasn't played yet with the new mode
+        if (this.shuffle && this._queueActive()) this._shuffleUpcoming();
+    },
+
+    setShuffle(on) {
+        this.shuffle = on;
+        document.getElementById('btn-shuffle').style.color = on ? 'var(--accent)' : '';
+        if (this._queueActive()) {
+            if (on) this._shuffleFrom(this.playlist[this.playIndex]);
+            else this._unshuffle();
+            this._queueSave();
+            this._renderQueue();
+        }
+        this._xfCancelPreload();
+    },
+
+    // Called by playTrack: shuffle a queue that was replaced since it was last shuffled
+    _shuffleEnsure(track) {
+        if (!this.shuffle || this.playlist === this._shuffleQueue || !this.playlist.includes(track)) return;
+        this._shuffleFrom(track);
+    },
+
+    // New shuffled queue: `track` first, then every other entry in shuffled order
+    _shuffleFrom(track) {
+        const q = this.playlist;
+        const rest = q.filter(t => t !== track);
+        this._shuffleOriginal = q.slice();
+        this.playlist = [track, ...this._shuffleOrder(rest, track)];
+        this.playIndex = 0;
+        this._shuffleQueue = this.playlist;
+        if (this._shuffleLibraryQueue === q) this._shuffleLibraryQueue = this.playlist;
+        this._shuffleLoadStats(this.playlist);
+    },
+
+    // Re-deal only what comes after the current track (mode change, weights arrived)
+    _shuffleUpcoming() {
+        const cur = this.playlist[this.playIndex];
+        const replaced = this.playlist === this._shuffleLibraryQueue;
+        this.playlist = [...this.playlist.slice(0, this.playIndex + 1), ...this._shuffleOrder(this.playlist.slice(this.playIndex + 1), cur)];
+        this._shuffleQueue = this.playlist;
+        if (replaced) this._shuffleLibraryQueue = this.playlist;
+        this._xfCancelPreload();
+        this._queueSave();
+        this._renderQueue();
+    },
+
+    // Back to the pre-shuffle order; entries added while shuffled stay at the end
+    _unshuffle() {
+        const cur = this.playlist[this.playIndex];
+        if (this._shuffleOriginal && this._shuffleQueue === this.playlist) {
+            const inQueue = new Set(this.playlist);
+            const kept = this._shuffleOriginal.filter(t => inQueue.has(t));
+            const keptSet = new Set(kept);
+            this.playlist = [...kept, ...this.playlist.filter(t => !keptSet.has(t))];
+            this.playIndex = Math.max(0, this.playlist.indexOf(cur));
+        }
+        this._shuffleQueue = null;
+        this._shuffleOriginal = null;
+    },
+
+    // Shuffled copy of `tracks`. prev is the track playing before the first entry (kept apart by artist).
+    _shuffleOrder(tracks, prev = null) {
+        const fy = arr => {
+            for (let i = arr.length - 1; i > 0; i--) {
+                const j = Math.floor(Math.random() * (i + 1));
+                [arr[i], arr[j]] = [arr[j], arr[i]];
+            }
+            return arr;
+        };
+        const groupBy = (arr, keyFn) => {
+            const m = new Map();
+            arr.forEach(t => { const k = keyFn(t); if (!m.has(k)) m.set(k, []); m.get(k).push(t); });
+            return [...m.values()];
+        };
+        const artistOf = t => (t.artist || '').toLowerCase();
+        let out;
+        if (this._shuffleMode === 'balanced') {
+            // Each artist's tracks (albums interleaved) are spread evenly over the whole order with a
+            // random phase and a little jitter, so one artist never bunches up and nothing repeats.
+            const placed = [];
+            for (const group of groupBy(tracks, artistOf)) {
+                const albums = fy(groupBy(group, t => t.albumId || (t.album || '').toLowerCase()).map(fy));
+                const ordered = [];
+                for (let i = 0; ordered.length < group.length; i++) albums.forEach(a => { if (a[i]) ordered.push(a[i]); });
+                const n = ordered.length;
+                const phase = Math.random() / n;
+                ordered.forEach((t, i) => placed.push({ t, pos: phase + i / n + (Math.random() - 0.5) * 0.2 / n }));
+            }
+            out = placed.sort((a, b) => a.pos - b.pos).map(p => p.t);
+        } else {
+            // Weighted random permutation (Efraimidis–Spirakis): heavier tracks tend to come earlier
+            out = tracks.map(t => ({ t, key: Math.random() ** (1 / this._shuffleWeight(t)) }))
+                .sort((a, b) => b.key - a.key).map(p => p.t);
+        }
+        // Break up remaining same-artist neighbours by pulling a nearby different-artist track forward
+        for (let i = 0; i < out.length; i++) {
+            const before = i === 0 ? prev : out[i - 1];
+            if (!before || artistOf(out[i]) !== artistOf(before)) continue;
+            for (let j = i + 1; j < Math.min(out.length, i + 25); j++) {
+                if (artistOf(out[j]) !== artistOf(before)) { [out[i], out[j]] = [out[j], out[i]]; break; }
+            }
+        }
+        return out;
+    },
+
+    _shuffleWeight(t) {
+        const s = this._shuffleStats?.get(t.id) || {};
+        if (this._shuffleMode === 'rating') return 1 + (s.rating || 0) * 1.5 + (t.isFavourite ? 2 : 0);
+        // 'fresh': never / long-ago played tracks weigh most, often-played ones least
+        const days = s.lastPlayed ? (Date.now() - Date.parse(s.lastPlayed)) / 86400000 : 180;
+        return (1 + Math.min(180, Math.max(0, days)) / 30) / (1 + Math.log2(1 + (s.playCount || 0)));
+    },
+
+    // Fetch ratings / play counts the weighted modes need, then re-deal the upcoming part once
+    async _shuffleLoadStats(q) {
+        if (this._shuffleMode === 'balanced') return;
+        if (!this._shuffleStats) this._shuffleStats = new Map();
+        const missing = [...new Set(q.map(t => t.id).filter(id => id && !this._shuffleStats.has(id)))];
+        if (!missing.length) return;
+        for (let i = 0; i < missing.length; i += 5000) {
+            const stats = await this.apiPost('tracks/shuffle-stats', { trackIds: missing.slice(i, i + 5000) });
+            (Array.isArray(stats) ? stats : []).forEach(s => this._shuffleStats.set(s.id, s));
+        }
+        if (this.shuffle && this.playlist === q && this._shuffleQueue === q) this._shuffleUpcoming();
+    },
+
+    // ─── Scrobble Queue ──────────────────────────────────────
+    // Listens are queued on the server per user, so the queue and the submission log on the Integrations
+    // tab are the same on every device. A new listen first goes into this browser's outbox in localStorage
+    // and stays there until the server has it, so nothing is lost while the server is unreachable. A flush
+    // drains the outbox, then claims the due listens from the server, sends each through POST scrobble
+    // (Last.fm / ListenBrainz) and reports the outcome; rejected ones are retried there with backoff.
+    _scrobbleOutbox: null,          // [{ trackId, title, artist, timestamp, duration, source }] not yet handed to the server
+    _scrobbleLog: null,             // log as last loaded: { entries, pending, failed, submitted }
+    _scrobbleFlushing: false,       // a flush is running — later triggers run once more after it
+    _scrobbleAgain: false,
+    _scrobbleRetryTimer: null,      // next automatic flush
+    _scrobbleBackoff: 0,            // seconds until the retry after the server was unreachable; doubles per failed run
+    _SCROBBLE_BATCH: 50,            // listens claimed per run (matches the server's limit)
+
+    _scrobbleStorageKey() {
+        return 'nexusm-scrobble-outbox' + (this.userName ? ':' + this.userName : '');
+    },
+
+    _scrobbleLoad() {
+        try { this._scrobbleOutbox = JSON.parse(localStorage.getItem(this._scrobbleStorageKey()) || '[]'); }
+        catch (e) { this._scrobbleOutbox = []; }
+        if (!Array.isArray(this._scrobbleOutbox)) this._scrobbleOutbox = [];
+        return this._scrobbleOutbox;
+    },
+
+    _scrobbleSave() {
+        try { localStorage.setItem(this._scrobbleStorageKey(), JSON.stringify(this._scrobbleOutbox || [])); } catch (e) {}
+    },
+
+    _scrobbleInit() {
+        this._scrobbleMigrate();
+        this._scrobbleLoad();
+        window.addEventListener('online', () => { this._scrobbleBackoff = 0; this._scrobbleFlush(true); });
+        this._scrobbleFlush();
+    },
+
+    // Earlier versions kept the whole queue in this browser: its unsent listens move to the outbox
+    _scrobbleMigrate() {
+        const oldKey = 'nexusm-scrobbles' + (this.userName ? ':' + this.userName : '');
+        let old = null;
+        try { old = JSON.parse(localStorage.getItem(oldKey) || 'null'); } catch (e) {}
+        if (!Array.isArray(old)) return;
+        const outbox = this._scrobbleLoad();
+        old.filter(e => e.status !== 'submitted').forEach(e => outbox.push({
+            trackId: e.trackId, title: e.title, artist: e.artist, timestamp: e.timestamp, duration: e.duration, source: e.source,
+        }));
+        this._scrobbleSave();
+        localStorage.removeItem(oldKey);
+    },
+
+    // source: 'player' (player bar / Night Club), 'gobig' (Go Big music player) or 'cast'
+    _scrobbleEnqueue(track, timestamp, duration, source) {
+        const outbox = this._scrobbleLoad();
+        if (outbox.some(e => e.trackId === track.id && e.timestamp === timestamp)) return;
+        outbox.push({ trackId: track.id, title: track.title || '', artist: track.artist || '', timestamp, duration, source });
+        this._scrobbleSave();
+        this._scrobbleRenderLog();
+        this._scrobbleFlush();
+    },
+
+    // Drains the outbox, then sends the due listens oldest first, one request each. Stops at the first
+    // request the server doesn't answer and retries later with backoff; force ignores retry delays.
+    async _scrobbleFlush(force = false) {
+        if (this._scrobbleFlushing) { this._scrobbleAgain = true; return; }
+        if (navigator.onLine === false) return;   // the 'online' event starts the next run
+        this._scrobbleFlushing = true;
+        this._scrobbleAgain = false;
+        clearTimeout(this._scrobbleRetryTimer);
+        this._scrobbleRetryTimer = null;
+        let unreachable = false, next = null;
+        try {
+            // The server ignores listens it already has, so a batch cut off halfway can simply be sent again
+            const batch = this._scrobbleLoad().slice(0, 500);   // another tab may have queued listens meanwhile
+            if (batch.length) {
+                const res = await this.apiPost('scrobble/queue', { entries: batch });
+                if (res?.added == null) unreachable = true;
+                else {
+                    const sent = new Set(batch.map(e => `${e.trackId}-${e.timestamp}`));
+                    this._scrobbleOutbox = this._scrobbleLoad().filter(e => !sent.has(`${e.trackId}-${e.timestamp}`));
+                    this._scrobbleSave();
+                    if (this._scrobbleOutbox.length) next = 2;
+                }
+            }
+
+            const claim = unreachable ? null : await this.apiPost('scrobble/queue/claim', { force });
+            if (!unreachable && !Array.isArray(claim?.entries)) unreachable = true;
+            for (const e of claim?.entries || []) {
+                const res = await this.apiPost('scrobble', { trackId: e.trackId, timestamp: e.timestamp, duration: e.duration });
+                // Unanswered: the claim runs out on the server and the listen is picked up again
+                if (!res) { unreachable = true; break; }
+                const ok = !(res.error || res.success === false);
+                await this.apiPost(`scrobble/queue/${e.id}/result`, {
+                    ok, error: ok ? '' : String(res.error || res.message || this.t('scrobbleLog.rejected', 'Rejected by the server')),
+                });
+            }
+            if (!unreachable) {
+                // A full batch means more is queued: carry on shortly; otherwise wake up for the next retry
+                if (claim.entries.length >= this._SCROBBLE_BATCH) next = 2;
+                else if (claim.nextDue != null) next = Math.min(next ?? Infinity, Math.max(5, claim.nextDue));
+            }
+        } finally {
+            this._scrobbleFlushing = false;
+        }
+
+        if (unreachable) {
+            this._scrobbleBackoff = Math.min(1800, this._scrobbleBackoff ? this._scrobbleBackoff * 2 : 30);
+            this._scrobbleRetryTimer = setTimeout(() => this._scrobbleFlush(true), this._scrobbleBackoff * 1000);
+        } else {
+            this._scrobbleBackoff = 0;
+            if (next != null) this._scrobbleRetryTimer = setTimeout(() => this._scrobbleFlush(), next * 1000);
+        }
+        this._scrobbleLoadLog();
+        if (this._scrobbleAgain) this._scrobbleFlush(force);
+    },
+
+    async scrobbleResubmit(id) {
+        await this.apiPost('scrobble/log/resubmit', { id: id == null ? null : Number(id) });
+        this._scrobbleFlush(true);
+    },
+
+    async scrobbleClearSent() {
+        await this.apiDelete('scrobble/log/submitted');
+        this._scrobbleLoadLog();
+    },
+
+    // Only fetched while the log is on screen (Integrations tab)
+    async _scrobbleLoadLog() {
+        if (!document.getElementById('scrobble-log')) return;
+        const log = await this.api('scrobble/log');
+        if (log) this._scrobbleLog = log;
+        this._scrobbleRenderLog();
+    },
+
+    _scrobbleRenderLog() {
+        const el = document.getElementById('scrobble-log');
+        if (el) el.innerHTML = this._scrobbleLogHtml();
+    },
+
+    _scrobbleLogHtml() {
+        const log = this._scrobbleLog || { entries: [], pending: 0, failed: 0, submitted: 0 };
+        // Listens still in this browser's outbox show as pending until the server has them
+        const local = (this._scrobbleOutbox || []).map(e => ({ ...e, id: null, status: 'pending', error: '' }));
+        const entries = [...local, ...log.entries].sort((a, b) => b.timestamp - a.timestamp);
+        const pending = log.pending + local.length, failed = log.failed, sent = log.submitted;
+        const total = pending + failed + sent;
+        const attr = v => this.esc(String(v ?? '')).replace(/"/g, '&quot;');
+        const sources = {
+            player: this.t('scrobbleLog.sourcePlayer', 'Player'),
+            gobig:  this.t('scrobbleLog.sourceGoBig', 'Go Big'),
+            cast:   this.t('scrobbleLog.sourceCast', 'Cast'),
+        };
+        const labels = {
+            pending:   this.t('scrobbleLog.pending', 'Pending'),
+            failed:    this.t('scrobbleLog.failed', 'Failed'),
+            submitted: this.t('scrobbleLog.submitted', 'Submitted'),
+        };
+        const errorText = e => e.error === 'too-old' ? this.t('scrobbleLog.tooOld', 'Older than 14 days — Last.fm no longer accepts it') : e.error;
+
+        let html = `<div class="scrobble-log-summary">
+            <span class="scrobble-status scrobble-status-pending">${pending} ${labels.pending}</span>
+            <span class="scrobble-status scrobble-status-failed">${failed} ${labels.failed}</span>
+            <span class="scrobble-status scrobble-status-submitted">${sent} ${labels.submitted}</span>
+            ${pending ? `<button class="btn-secondary trakt-action-btn" onclick="App._scrobbleFlush(true)">${this.t('scrobbleLog.submitNow', 'Submit now')}</button>` : ''}
+            ${failed ? `<button class="btn-secondary trakt-action-btn" onclick="App.scrobbleResubmit()">${this.t('scrobbleLog.retryFailed', 'Resubmit all failed')}</button>` : ''}
+            ${sent ? `<button class="btn-secondary trakt-action-btn" onclick="App.scrobbleClearSent()">${this.t('scrobbleLog.clearSent', 'Clear submitted')}</button>` : ''}
+        </div>`;
+        if (!entries.length) return html + `<div class="setting-hint">${this.t('scrobbleLog.empty', 'Nothing scrobbled yet.')}</div>`;
+
+        html += '<div class="scrobble-log-list">';
+        entries.slice(0, 50).forEach(e => {
+            const retry = e.status === 'submitted' ? ''
+                : e.id == null ? 'App._scrobbleFlush(true)' : 'App.scrobbleResubmit(this.dataset.id)';
+            html += `<div class="scrobble-log-row">
+                <span class="scrobble-log-time">${new Date(e.timestamp * 1000).toLocaleString()}</span>
+                <span class="scrobble-log-track">${this.esc(e.artist)}${e.artist ? ' &ndash; ' : ''}${this.esc(e.title)}</span>
+                <span class="scrobble-log-source">${sources[e.source] || ''}</span>
+                <span class="scrobble-status scrobble-status-${e.status}"${e.error ? ` title="${attr(errorText(e))}"` : ''}>${labels[e.status]}</span>
+                ${retry
+                    ? `<button class="scrobble-log-retry" data-id="${e.id ?? ''}" onclick="${retry}" title="${this.t('scrobbleLog.resubmit', 'Resubmit')}">&#8635;</button>`
+                    : '<span class="scrobble-log-retry-placeholder"></span>'}
+            </div>`;
+        });
+        if (total > 50) html += `<div class="setting-hint">${this.t('scrobbleLog.more', '{n} older entries not shown').replace('{n}', total - 50)}</div>`;
+        return html + '</div>';
+    },
+
+    // ─── Play Queue ──────────────────────────────────────────
+    // App.playlist / App.playIndex *are* the queue — the drawer is an editable view over them.
+    // Entries before playIndex are history, entries after it are up next.
+    _queueOpen: false,
+    _queueDragFrom: -1,
+    _queueLastPosSave: 0,
+
+    _queueStorageKey() {
+        return 'nexusm-queue' + (this.userName ? ':' + this.userName : '');
+    },
+
+    // Only the fields the player bar, drawer and Media Session need — keeps localStorage small
+    _queueSlim(t) {
+        const slim = { id: t.id, title: t.title || '', artist: t.artist || '', album: t.album || '', albumId: t.albumId || null, duration: t.duration || 0, hasAlbumArt: t.hasAlbumArt !== false };
+        // Party jukebox requests keep their request id and requester across a reload
+        if (t._jbBy) Object.assign(slim, { _jbItem: t._jbItem, _jbBy: t._jbBy });
+        if (t._radio) slim._radio = true;   // picked by a track/album radio station
+        return slim;
+    },
+
+    // Music queue is "active" only when the player bar is playing library tracks (not radio/podcast/audiobook)
+    _queueActive() {
+        return !!this.currentTrack && !this.isRadioPlaying && !this.isAudioBookPlaying && this.playlist.length > 0;
+    },
+
+    _queueSave() {
+        this._queueLastPosSave = Date.now();
+        try {
+            if (!this._queueActive()) { localStorage.removeItem(this._queueStorageKey()); return; }
+            localStorage.setItem(this._queueStorageKey(), JSON.stringify({
+                tracks: this.playlist.map(t => this._queueSlim(t)),
+                index: this.playIndex,
+                position: Math.floor(this.audioPlayer.currentTime || 0),
+                shuffle: this.shuffle,
+            }));
+        } catch (e) {}
+    },
+
+    _queueRestore() {
+        let saved = null;
+        try { saved = JSON.parse(localStorage.getItem(this._queueStorageKey()) || 'null'); } catch (e) {}
+        if (!saved || !Array.isArray(saved.tracks) || !saved.tracks[saved.index]) return;
+        this.playlist = saved.tracks;
+        this.playIndex = saved.index;
+        if (saved.shuffle) {
+            // Saved in its shuffled order already — don't deal it again
+            this.shuffle = true;
+            this._shuffleQueue = this.playlist;
+            document.getElementById('btn-shuffle').style.color = 'var(--accent)';
+        }
+        // Browsers block autoplay on load — restore paused at the saved position; Play resumes it
+        this.playTrack(this.playlist[this.playIndex], { paused: true, startAt: saved.position || 0 });
+    },
+
+    // Resolve a track / album / playlist / smart playlist into the track objects to enqueue
+    async _queueResolve(kind, id) {
+        if (kind === 'track') {
+            const t = await this.api(`tracks/${id}`);
+            return t ? [t] : [];
+        }
+        if (kind === 'album') {
+            const album = await this.api(`albums/${id}`);
+            return album?.tracks || [];
+        }
+        if (kind === 'playlist') {
+            const data = await this.api(`playlists/${id}`);
+            return (data?.playlistTracks || []).filter(pt => pt.track).map(pt => pt.track);
+        }
+        if (kind === 'smartplaylist') {
+            const data = await this.api(`smart-playlists/${id}`);
+            return data?.tracks || [];
+        }
+        return [];
+    },
+
+    // playNext = true inserts right after the current track, otherwise appends to the end.
+    // With nothing from the library playing, the tracks simply become the new queue.
+    async enqueue(kind, id, playNext = false) {
+        const tracks = (await this._queueResolve(kind, id)).map(t => this._queueSlim(t));
+        if (!tracks.length) return;
+        if (!this._queueActive()) {
+            if (this.isRadioPlaying) this.stopRadio();
+            else if (this.isAudioBookPlaying || this._currentPodcastEp) this.stopPlayback();
+            this.playlist = tracks;
+            this.playIndex = 0;
+            this.playTrack(this.playlist[0]);
+        } else if (playNext) {
+            this.playlist.splice(this.playIndex + 1, 0, ...tracks);
+        } else {
+            this.playlist.push(...tracks);
+        }
+        this._xfCancelPreload();
+        this._queueSave();
+        this._renderQueue();
+        const msg = playNext ? this.t('queue.addedNext', 'Playing next') : this.t('queue.added', 'Added to queue');
+        this._queueToast(tracks.length > 1 ? `${msg} · ${tracks.length} ${this.t('label.tracks', 'tracks')}` : `${msg} · ${tracks[0].title}`);
+    },
+
+    _queueToast(text) {
+        document.querySelectorAll('.queue-toast').forEach(t => t.remove());
+        const toast = document.createElement('div');
+        toast.className = 'queue-toast';
+        toast.textContent = text;
+        document.body.appendChild(toast);
+        setTimeout(() => {
+            toast.style.opacity = '0';
+            setTimeout(() => toast.remove(), 320);
+        }, 2200);
+    },
+
+    toggleQueue() {
+        this._queueOpen = !this._queueOpen;
+        let drawer = document.getElementById('queue-drawer');
+        if (!drawer) {
+            drawer = document.createElement('div');
+            drawer.id = 'queue-drawer';
+            document.body.appendChild(drawer);
+        }
+        drawer.classList.toggle('open', this._queueOpen);
+        document.getElementById('btn-queue')?.classList.toggle('queue-active', this._queueOpen);
+        this._renderQueue();
+    },
+
+    _renderQueue() {
+        const drawer = document.getElementById('queue-drawer');
+        if (!drawer || !this._queueOpen) return;
+        const active = this._queueActive();
+        const q = active ? this.playlist : [];
+        const cur = this.playIndex;
+        const row = (t, i) => {
+            const cls = i === cur ? ' queue-row-current' : (i < cur ? ' queue-row-history' : '');
+            const art = t.hasAlbumArt
+                ? `<img src="/api/cover/track/${t.id}" loading="lazy" onerror="this.style.display='none'" alt="">`
+                : '';
+            return `<div class="queue-row${cls}" draggable="${i !== cur}" data-index="${i}"
+                    onclick="App.queueJump(${i})"
+                    ondragstart="App._queueDragStart(event, ${i})" ondragover="App._queueDragOver(event)"
+                    ondragleave="this.classList.remove('queue-drop')" ondrop="App._queueDrop(event, ${i})">
+                <div class="queue-row-art">${art}</div>
+                <div class="queue-row-info">
+                    <div class="queue-row-title">${this.esc(t.title)}</div>
+                    <div class="queue-row-artist">${this.esc(t.artist)}${t._jbBy ? ` &middot; <span class="queue-row-req">${this.t('jukebox.requestedBy', 'requested by {name}').replace('{name}', this.esc(t._jbBy))}</span>` : ''}</div>
+                </div>
+                ${this._automix ? this._amQueueTag(t) : ''}
+                <span class="queue-row-dur">${t.duration ? this.formatDuration(t.duration) : ''}</span>
+                ${i === cur ? '' : `<button class="queue-row-remove" onclick="event.stopPropagation(); App.queueRemove(${i})" title="${this.t('queue.remove', 'Remove from queue')}">&times;</button>`}
+            </div>`;
+        };
+        const history = q.slice(0, Math.max(0, cur)).map((t, i) => row(t, i)).join('');
+        const upNext  = q.slice(cur + 1).map((t, i) => row(t, cur + 1 + i)).join('');
+        const remaining = q.slice(cur + 1).reduce((s, t) => s + (t.duration || 0), 0);
+
+        drawer.innerHTML = `
+            <div class="queue-header">
+                <span class="queue-header-title">${this.t('queue.title', 'Queue')}</span>
+                ${this.userRole === 'admin' ? `<button class="queue-header-btn${this._jbHosting ? ' queue-header-btn-on' : ''}" onclick="App.openJukeboxPanel()" title="${this.t('jukebox.title', 'Party Jukebox')}">&#127925; ${this.t('jukebox.short', 'Party')}</button>` : ''}
+                <button class="queue-header-btn${this._automix ? ' queue-header-btn-on' : ''}" onclick="App.setAutomix(!App._automix)" title="${this.t('automix.title', 'Automix: mix by key and tempo')}">&#127911; ${this.t('automix.short', 'Automix')}</button>
+                <button class="queue-header-btn" onclick="App.queueSaveAsPlaylist()"${q.length ? '' : ' disabled'}>${this.t('queue.saveAsPlaylist', 'Save as playlist')}</button>
+                <button class="queue-header-btn" onclick="App.queueClear()"${q.length > 1 ? '' : ' disabled'}>${this.t('queue.clear', 'Clear')}</button>
+                <button class="queue-close-btn" onclick="App.toggleQueue()">&times;</button>
+            </div>
+            ${active ? this._radioQueueBanner() : ''}
+            <div class="queue-body">
+                ${!q.length ? `<div class="queue-empty">${this.t('queue.empty', 'Nothing queued. Use "Play next" or "Add to queue" from any track, album or playlist menu.')}</div>` : ''}
+                ${history ? `<div class="queue-section-label">${this.t('queue.history', 'History')}</div>${history}` : ''}
+                ${q.length ? `<div class="queue-section-label">${this.t('queue.nowPlaying', 'Now playing')}</div>${row(q[cur], cur)}` : ''}
+                ${q.length ? `<div class="queue-section-label">${this.t('queue.upNext', 'Up next')}${this.shuffle ? ` &middot; ${this.t('queue.shuffled', 'Shuffled')}` : ''}${this._automix ? ` &middot; ${this.t('automix.short', 'Automix')}` : ''}${remaining ? ` &middot; ${this.formatDuration(remaining)}` : ''}</div>${upNext || `<div class="queue-empty">${this.t('queue.upNextEmpty', 'End of queue')}</div>`}` : ''}
+            </div>`;
+        drawer.querySelector('.queue-row-current')?.scrollIntoView({ block: 'nearest' });
+    },
+
+    queueJump(index) {
+        if (index === this.playIndex || !this.playlist[index]) return;
+        this.playIndex = index;
+        this.playTrack(this.playlist[index]);
+    },
+
+    queueRemove(index) {
+        if (index === this.playIndex || !this.playlist[index]) return;
+        const [removed] = this.playlist.splice(index, 1);
+        // A party request would come straight back with the next sync — withdraw it from the party too
+        if (removed._jbItem && this._jbHosting) this.jukeboxRemove(removed._jbItem);
+        if (index < this.playIndex) this.playIndex--;
+        this._xfCancelPreload();
+        this._queueSave();
+        this._renderQueue();
+    },
+
+    // Moves an entry while keeping playIndex on the same (current) track
+    queueMove(from, to) {
+        if (from === to || !this.playlist[from] || to < 0 || to >= this.playlist.length) return;
+        const current = this.playlist[this.playIndex];
+        const [moved] = this.playlist.splice(from, 1);
+        this.playlist.splice(to, 0, moved);
+        this.playIndex = this.playlist.indexOf(current);
+        this._xfCancelPreload();
+        this._queueSave();
+        this._renderQueue();
+    },
+
+    // Drops history and upcoming tracks, keeping only what is playing now
+    queueClear() {
+        if (!this._queueActive()) return;
+        this.playlist = [this.playlist[this.playIndex]];
+        this.playIndex = 0;
+        if (this.shuffle) this._shuffleQueue = this.playlist;
+        this._xfCancelPreload();
+        this._queueSave();
+        this._renderQueue();
+    },
+
+    async queueSaveAsPlaylist() {
+        if (!this._queueActive()) return;
+        const name = prompt(this.t('queue.playlistName', 'Playlist name:'), `${this.t('queue.title', 'Queue')} ${new Date().toLocaleDateString()}`);
+        if (!name) return;
+        const pl = await this.apiPost('playlists', { name, description: '' });
+        if (!pl || !pl.id) return;
+        const res = await this.apiPost(`playlists/${pl.id}/add-tracks`, { trackIds: this.playlist.map(t => t.id) });
+        if (res) this._queueToast(`${this.t('queue.savedAs', 'Saved as playlist')} · ${name}`);
+    },
+
+    _queueDragStart(event, index) {
+        this._queueDragFrom = index;
+        event.dataTransfer.effectAllowed = 'move';
+        try { event.dataTransfer.setData('text/plain', String(index)); } catch (e) {}
+    },
+
+    _queueDragOver(event) {
+        if (this._queueDragFrom < 0) return;
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'move';
+        event.currentTarget.classList.add('queue-drop');
+    },
+
+    _queueDrop(event, index) {
+        event.preventDefault();
+        const from = this._queueDragFrom;
+        this._queueDragFrom = -1;
+        if (from >= 0) this.queueMove(from, index);
+    },
+
+    // ─── Track & Album Radio ─────────────────────────────────
+    // An endless station seeded from one track or a whole album. The server scores the library against
+    // the seed (genres and custom genres, era, related artists, playlist and listening-session neighbours)
+    // and hands back a batch at a time, which is appended to the queue whenever it runs low. Thumbs up /
+    // down are stored per user: they re-deal what's still to come and steer every later station too.
+    _radio: null,                   // running station: { kind: 'track'|'album', id, title, liked: [ids], votes: { trackId: ±1 } }
+    _radioPending: null,            // station being started (its first batch is on the way)
+    _radioFetching: false,
+    _radioCg: null,                 // custom genre definitions sent with each request (reloaded per station)
+    _RADIO_BATCH: 10,
+    _RADIO_LOW_WATER: 3,            // top up once fewer station tracks than this are left to play
+
+    _radioStorageKey() {
+        return 'nexusm-track-radio' + (this.userName ? ':' + this.userName : '');
+    },
+
+    async startTrackRadio(trackId) {
+        const track = await this.api(`tracks/${trackId}`);
+        if (!track) return;
+        // The seed plays first, then the station takes over
+        this._radioStart({ kind: 'track', id: track.id, title: track.title }, [track]);
+    },
+
+    async startAlbumRadio(albumId) {
+        const album = await this.api(`albums/${albumId}`);
+        if (!album?.tracks?.length) return;
+        this._radioStart({ kind: 'album', id: album.id, title: album.name }, []);
+    },
+
+    async _radioStart(seed, lead) {
+        const station = { ...seed, liked: [], votes: {} };
+        this._radioPending = station;
+        this._radioCg = null;
+        const batch = await this._radioFetch(station, lead.map(t => t.id), []);
+        if (this._radioPending !== station) return;   // another station was started meanwhile
+        this._radioPending = null;
+        const tracks = [...lead, ...batch].map(t => this._radioSlim(t));
+        if (!tracks.length) {
+            alert(this.t('trackRadio.empty', 'Nothing in your library is similar enough to start a radio station.'));
+            return;
+        }
+        if (this.isRadioPlaying) this.stopRadio();
+        else if (this.isAudioBookPlaying || this._currentPodcastEp) this.stopPlayback();
+        this._radio = station;
+        this.playlist = tracks;
+        this.playIndex = 0;
+        this._radioSave();
+        this.playTrack(this.playlist[0]);
+        this._queueToast(`${this.t('trackRadio.started', 'Radio started')} · ${seed.title}`);
+    },
+
+    _radioSlim(t) {
+        return Object.assign(this._queueSlim(t), { _radio: true });
+    },
+
+    async _radioCustomGenres() {
+        if (this._radioCg) return this._radioCg;
+        const list = await this.api('custom-genres?domain=music');
+        // Same shape the smart playlist customGenre rule carries: genre names plus folder names
+        this._radioCg = (list || []).map(cg => {
+            let rules = [];
+            try { rules = typeof cg.rules === 'string' ? JSON.parse(cg.rules || '[]') : cg.rules || []; } catch (e) {}
+            return {
+                genres: rules.filter(r => r.type === 'genre').map(r => r.value),
+                folders: rules.filter(r => r.type === 'folder').map(r => r.value),
+            };
+        }).filter(cg => cg.genres.length || cg.folders.length);
+        return this._radioCg;
+    },
+
+    // exclude = track ids that must not come back; recent = the tracks the new batch will follow
+    async _radioFetch(station, exclude, recent) {
+        const res = await this.apiPost('track-radio/station', {
+            trackId: station.kind === 'track' ? station.id : null,
+            albumId: station.kind === 'album' ? station.id : null,
+            exclude: [...new Set(exclude)].slice(-2000),
+            liked: station.liked,
+            recentArtists: [...new Set(recent.map(t => t.artist).filter(Boolean))],
+            customGenres: await this._radioCustomGenres(),
+            count: this._RADIO_BATCH,
+        });
+        for (const id of res?.liked || []) station.votes[id] = 1;
+        return res?.tracks || [];
+    },
+
+    async _radioTopUp() {
+        const station = this._radio;
+        if (!station || this._radioFetching) return;
+        this._radioFetching = true;
+        try {
+            const batch = await this._radioFetch(station, this.playlist.map(t => t.id), this.playlist.slice(-3));
+            if (this._radio !== station || !batch.length) return;
+            this.playlist.push(...batch.map(t => this._radioSlim(t)));
+            this._radioSave();
+            this._queueSave();
+            this._renderQueue();
+            // The last track finished while the batch was on its way: carry on
+            if (this.audioPlayer.ended && this.playIndex + 1 < this.playlist.length) this.nextTrack();
+        } finally {
+            this._radioFetching = false;
+        }
+    },
+
+    // playTrack hook: keeps the station topped up while its tracks play, and ends it once the
+    // listener has moved on (nothing from the station playing or left in the queue)
+    _radioTrackChanged(track) {
+        if (!this._radio && track._radio) this._radioRestore();
+        if (this._radio) {
+            const left = this.playlist.slice(this.playIndex + 1).filter(t => t._radio).length;
+            if (!track._radio && !left) this._radioEnd();
+            else if (left < this._RADIO_LOW_WATER) this._radioTopUp();
+        }
+        this._radioRenderVotes();
+    },
+
+    // Pressing the lit thumb again withdraws the vote. A thumbs down also skips the track.
+    async radioVote(vote) {
+        const station = this._radio, track = this.currentTrack;
+        if (!station || !track?._radio) return;
+        const next = station.votes[track.id] === vote ? 0 : vote;
+        const res = await this.apiPost('track-radio/feedback', { trackId: track.id, vote: next });
+        if (!res || this._radio !== station) return;
+        if (next) station.votes[track.id] = next;
+        else delete station.votes[track.id];
+        station.liked = station.liked.filter(id => id !== track.id);
+        if (next > 0) station.liked.push(track.id);
+        this._radioSave();
+        this._radioRenderVotes();
+        if (!next) return;
+        this._radioRedeal();
+        if (next < 0 && this.currentTrack === track) this.nextTrack();
+    },
+
+    // Drop the station's picks that haven't played yet (keeping the very next one, which may already be
+    // preloading, and anything the listener queued by hand) and fetch a fresh batch that reflects the vote
+    _radioRedeal() {
+        const from = this.playIndex + 2;
+        const tail = this.playlist.slice(from);
+        const kept = tail.filter(t => !t._radio);
+        if (kept.length !== tail.length) {
+            this.playlist.splice(from, tail.length, ...kept);
+            this._queueSave();
+            this._renderQueue();
+        }
+        this._radioTopUp();
+    },
+
+    // Stop the station: the current track plays on, its unplayed picks leave the queue
+    radioStop() {
+        if (!this._radio) return;
+        const from = this.playIndex + 1;
+        const tail = this.playlist.slice(from);
+        this.playlist.splice(from, tail.length, ...tail.filter(t => !t._radio));
+        if (this._xfNext && this.playlist[this._xfNext.index] !== this._xfNext.track) this._xfCancelPreload();
+        this._radioEnd();
+        this._queueSave();
+    },
+
+    _radioEnd() {
+        this._radio = null;
+        localStorage.removeItem(this._radioStorageKey());
+        this._radioRenderVotes();
+        this._renderQueue();
+    },
+
+    async radioClearFeedback() {
+        if (!confirm(this.t('trackRadio.clearConfirm', 'Forget all your radio thumbs up and down?'))) return;
+        const res = await this.apiDelete('track-radio/feedback');
+        if (!res) return;
+        if (this._radio) { this._radio.votes = {}; this._radio.liked = []; this._radioSave(); }
+        this._radioRenderVotes();
+        alert(this.t('trackRadio.cleared', 'Radio feedback cleared ({n} votes).').replace('{n}', res.removed || 0));
+    },
+
+    _radioSave() {
+        try { localStorage.setItem(this._radioStorageKey(), JSON.stringify(this._radio)); } catch (e) {}
+    },
+
+    // A restored queue still holds station tracks — pick the station back up after a reload
+    _radioRestore() {
+        try { this._radio = JSON.parse(localStorage.getItem(this._radioStorageKey()) || 'null'); } catch (e) {}
+    },
+
+    _radioRenderVotes() {
+        const el = document.getElementById('player-radio-votes');
+        if (!el) return;
+        const track = this.currentTrack;
+        const on = !!(this._radio && track?._radio);
+        el.style.display = on ? '' : 'none';
+        if (!on) return;
+        const vote = this._radio.votes[track.id] || 0;
+        el.querySelector('.radio-vote-up').classList.toggle('active', vote > 0);
+        el.querySelector('.radio-vote-down').classList.toggle('active', vote < 0);
+        el.title = `${this.t('trackRadio.title', 'Radio')} · ${this._radio.title}`;
+    },
+
+    _radioQueueBanner() {
+        if (!this._radio) return '';
+        return `<div class="queue-radio-banner">
+            <span class="queue-radio-label">&#128251; ${this.t('trackRadio.title', 'Radio')} · ${this.esc(this._radio.title)}</span>
+            <button class="queue-header-btn" onclick="App.radioStop()">${this.t('trackRadio.stop', 'Stop radio')}</button>
+        </div>`;
+    },
+
+    // ─── Party Jukebox ───────────────────────────────────────
+    // An admin starts a party and shares the join link / QR code; guests request and vote from their
+    // phones (jukebox.html). The browser that started the party is the host: while it plays, the
+    // party queue — best voted first — is kept at the front of its Up Next, ahead of its own tracks.
+    _jbState: null,                 // last GET jukebox: { active, joinUrl, party }
+    _jbHosting: false,              // this browser's player owns the party queue
+    _jbPollTimer: null,
+    _JB_HOST_KEY: 'nexusm-jukebox-host',   // localStorage: token of the party this browser hosts
+
+    _jbInit() {
+        if (this.userRole !== 'admin' || !localStorage.getItem(this._JB_HOST_KEY)) return;
+        // Resume hosting after a reload; _jbRefresh drops the marker if that party has ended
+        this._jbHosting = true;
+        this._jbStartPolling();
+    },
+
+    _jbStartPolling() {
+        if (this._jbPollTimer) return;
+        this._jbRefresh();
+        this._jbPollTimer = setInterval(() => this._jbRefresh(), 3000);
+    },
+
+    _jbStopPolling() {
+        clearInterval(this._jbPollTimer);
+        this._jbPollTimer = null;
+    },
+
+    async _jbRefresh() {
+        const state = await this.api('jukebox');
+        if (!state) return;
+        this._jbState = state;
+        const mine = state.active && state.party.token === localStorage.getItem(this._JB_HOST_KEY);
+        if (this._jbHosting && !mine) this._jbEndHosting();
+        else if (this._jbHosting) this._jbSync(state.party);
+        this._jbRenderPanel();
+        if (!this._jbHosting && !document.getElementById('jbOverlay')) this._jbStopPolling();
+    },
+
+    // Party requests become the front of Up Next (after whatever is playing), the host's own queued
+    // tracks follow. Votes reorder the requests between polls; unchanged entries keep their objects.
+    _jbSync(party) {
+        const upcoming = (party.queue || []).map(i => ({
+            id: i.trackId, title: i.title, artist: i.artist, album: i.album, duration: i.duration,
+            hasAlbumArt: i.hasAlbumArt, _jbItem: i.id, _jbBy: i.requestedBy,
+        }));
+        if (!this._queueActive()) {
+            // Idle player: the first request starts the music. A podcast episode leaves currentTrack
+            // empty too, but the player bar is still in podcast mode — don't cut it off
+            if (!upcoming.length || this.isRadioPlaying || this.isAudioBookPlaying) return;
+            if (this.audioPlayer.getAttribute('src') && document.getElementById('player-bar')?.classList.contains('podcast-mode')) return;
+            this.playlist = upcoming;
+            this.playIndex = 0;
+            this.playTrack(this.playlist[0]);
+            return;
+        }
+        const tail = this.playlist.slice(this.playIndex + 1);
+        const known = new Map(tail.filter(t => t._jbItem).map(t => [t._jbItem, t]));
+        const next = [...upcoming.map(t => known.get(t._jbItem) || t), ...tail.filter(t => !t._jbItem)];
+        if (next.length !== tail.length || next.some((t, i) => t !== tail[i])) {
+            this.playlist.splice(this.playIndex + 1, this.playlist.length, ...next);
+            if (this._xfNext && this.playlist[this._xfNext.index] !== this._xfNext.track) this._xfCancelPreload();
+            this._queueSave();
+            this._renderQueue();
+        }
+        // The queue ran dry and the last track finished: carry on as soon as someone requests
+        if (this.audioPlayer.ended && this.playIndex + 1 < this.playlist.length) this.nextTrack();
+    },
+
+    // playTrack hook: a party request started playing here — it leaves the party queue
+    _jbStarted(track) {
+        if (!this._jbHosting || !track._jbItem) return;
+        const itemId = track._jbItem;
+        delete track._jbItem;
+        this.apiPost(`jukebox/queue/${itemId}/playing`, {}).catch(() => {});
+    },
+
+    _jbEndHosting() {
+        this._jbHosting = false;
+        localStorage.removeItem(this._JB_HOST_KEY);
+        // Requests still queued stay in Up Next as ordinary tracks
+        this.playlist.forEach(t => { delete t._jbItem; });
+        this._renderQueue();
+    },
+
+    async openJukeboxPanel() {
+        document.getElementById('jbOverlay')?.remove();
+        const overlay = document.createElement('div');
+        overlay.id = 'jbOverlay';
+        overlay.className = 'batch-edit-overlay';
+        overlay.innerHTML = `<div class="batch-edit-modal jb-modal" id="jbPanel"></div>`;
+        document.body.appendChild(overlay);
+        overlay.addEventListener('mousedown', (e) => { overlay._mdb = (e.target === overlay); });
+        overlay.addEventListener('click', (e) => { if (e.target === overlay && overlay._mdb) this.closeJukeboxPanel(); });
+        this._jbState = null;
+        this._jbRenderPanel();
+        this._jbStopPolling();
+        this._jbStartPolling();
+    },
+
+    closeJukeboxPanel() {
+        document.getElementById('jbOverlay')?.remove();
+        if (!this._jbHosting) this._jbStopPolling();
+    },
+
+    _jbRenderPanel() {
+        const panel = document.getElementById('jbPanel');
+        if (!panel) return;
+        // Don't rebuild under the user's fingers while they edit a setting
+        if (panel.contains(document.activeElement) && document.activeElement.matches('input,select')) return;
+        const state = this._jbState;
+        const title = `<div class="batch-edit-title">&#127925; ${this.t('jukebox.title', 'Party Jukebox')}</div>`;
+        const close = `<button onclick="App.closeJukeboxPanel()" class="batch-edit-btn batch-edit-btn-cancel">${this.t('btn.close', 'Close')}</button>`;
+        if (!state) { panel.innerHTML = title + `<div class="batch-edit-subtitle">${this.t('jukebox.loading', 'Loading…')}</div>`; return; }
+
+        const settings = state.active ? state.party.settings : { requestLimit: 3, allowExplicit: false };
+        const settingsHtml = `
+            <div class="setting-row"><span class="setting-label">${this.t('jukebox.requestLimit', 'Requests per guest')}</span>
+                <span class="setting-value"><input type="number" id="jbLimit" class="setting-input" style="width:70px" min="0" max="50" value="${settings.requestLimit}"${state.active ? ' onchange="App.jukeboxSaveSettings()"' : ''}>
+                <span class="setting-hint">${this.t('jukebox.requestLimitHint', 'Tracks a guest can have waiting at once; 0 = no limit')}</span></span></div>
+            <div class="setting-row"><span class="setting-label">${this.t('jukebox.allowExplicit', 'Explicit tracks')}</span>
+                <span class="setting-value"><label class="batch-field-check"><input type="checkbox" id="jbExplicit"${settings.allowExplicit ? ' checked' : ''}${state.active ? ' onchange="App.jukeboxSaveSettings()"' : ''}>
+                <span>${this.t('jukebox.allowExplicitHint', 'Allow guests to request tracks tagged as explicit')}</span></label></span></div>`;
+
+        if (!state.active) {
+            panel.innerHTML = title + `
+                <div class="batch-edit-subtitle">${this.t('jukebox.intro', 'Guests scan a QR code to search your music library, request songs and vote on what plays next. The queue plays on this device, in the order of the votes.')}</div>
+                ${settingsHtml}
+                <div class="batch-edit-actions">${close}
+                    <button onclick="App.jukeboxStart()" class="batch-edit-btn batch-edit-btn-primary">${this.t('jukebox.start', 'Start party')}</button></div>`;
+            return;
+        }
+
+        const party = state.party;
+        const attr = v => this.esc(String(v ?? '')).replace(/"/g, '&quot;');
+        const item = (i, now) => `<div class="jb-host-row">
+            <div class="jb-host-row-info">
+                <div class="jb-host-row-title">${this.esc(i.title)} <span class="jb-host-row-artist">&ndash; ${this.esc(i.artist)}</span></div>
+                <div class="jb-host-row-by">${this.t('jukebox.requestedBy', 'requested by {name}').replace('{name}', this.esc(i.requestedBy))}</div>
+            </div>
+            ${now ? '' : `<span class="jb-host-score">${i.score > 0 ? '+' + i.score : i.score}</span>
+            <button class="queue-row-remove" onclick="App.jukeboxRemove(${i.id})" title="${this.t('jukebox.remove', 'Remove request')}">&times;</button>`}
+        </div>`;
+        const limitOptions = g => [['', this.t('jukebox.guestDefault', 'Default')], ['0', this.t('jukebox.guestPaused', 'Paused')],
+            ...[1, 2, 3, 5, 10].map(n => [String(n), String(n)])]
+            .map(([v, label]) => `<option value="${v}"${String(g.limit ?? '') === v ? ' selected' : ''}>${label}</option>`).join('');
+
+        panel.innerHTML = title + `
+            <div class="jb-join">
+                <img class="jb-qr" src="/api/jukebox/qr.png?t=${attr(party.token)}" alt="QR">
+                <div class="jb-join-info">
+                    <div class="batch-edit-subtitle" style="margin-bottom:8px">${this.t('jukebox.joinHint', 'Guests scan this code or open the link to join. Anyone with the link can request songs until the party ends.')}</div>
+                    <input class="setting-input jb-link" readonly value="${attr(state.joinUrl)}" onclick="this.select()">
+                    <button class="queue-header-btn" style="margin-top:6px" data-url="${attr(state.joinUrl)}" onclick="App.gateCopyCode(this.dataset.url, this)">${this.t('jukebox.copyLink', 'Copy link')}</button>
+                </div>
+            </div>
+            ${this._jbHosting ? '' : `<div class="batch-edit-note" style="margin-bottom:12px">${this.t('jukebox.elsewhere', 'This party is playing on another device.')}
+                <button class="queue-header-btn" onclick="App.jukeboxHostHere()">${this.t('jukebox.playHere', 'Play here')}</button></div>`}
+            ${settingsHtml}
+            <div class="queue-section-label">${this.t('jukebox.nowPlaying', 'Now playing')}</div>
+            ${party.nowPlaying ? item(party.nowPlaying, true) : `<div class="queue-empty">${this.t('jukebox.nothingYet', 'No requests played yet')}</div>`}
+            <div class="queue-section-label">${this.t('jukebox.upNext', 'Up next')} &middot; ${party.queue.length}</div>
+            ${party.queue.map(i => item(i, false)).join('') || `<div class="queue-empty">${this.t('jukebox.queueEmpty', 'Waiting for requests…')}</div>`}
+            <div class="queue-section-label">${this.t('jukebox.guests', 'Guests')} &middot; ${party.guests.length}</div>
+            ${party.guests.map(g => `<div class="jb-host-row">
+                <div class="jb-host-row-info"><div class="jb-host-row-title">${this.esc(g.name)}</div>
+                    <div class="jb-host-row-by">${this.t('jukebox.waiting', '{n} waiting').replace('{n}', g.waiting)}</div></div>
+                <select class="setting-input" style="width:auto" data-guest="${attr(g.id)}" onchange="App.jukeboxGuestLimit(this.dataset.guest, this.value)" title="${this.t('jukebox.guestLimit', 'Request limit for this guest')}">${limitOptions(g)}</select>
+            </div>`).join('') || `<div class="queue-empty">${this.t('jukebox.noGuests', 'Nobody has joined yet')}</div>`}
+            <div class="batch-edit-actions">
+                <button onclick="App.jukeboxStop()" class="batch-edit-btn batch-edit-btn-cancel" style="color:var(--danger)">${this.t('jukebox.stop', 'End party')}</button>
+                ${close}
+            </div>`;
+    },
+
+    _jbReadSettings() {
+        return {
+            requestLimit: parseInt(document.getElementById('jbLimit')?.value, 10) || 0,
+            allowExplicit: !!document.getElementById('jbExplicit')?.checked,
+        };
+    },
+
+    async jukeboxStart() {
+        const res = await this.apiPost('jukebox/start', this._jbReadSettings());
+        if (!res?.success) { alert(res?.error || this.t('jukebox.startFailed', 'Could not start the party.')); return; }
+        const state = await this.api('jukebox');
+        if (!state?.active) return;
+        localStorage.setItem(this._JB_HOST_KEY, state.party.token);
+        this._jbHosting = true;
+        this._jbState = state;
+        this._jbRenderPanel();
+        this._jbStartPolling();
+    },
+
+    async jukeboxStop() {
+        if (!confirm(this.t('jukebox.stopConfirm', 'End the party? Guests can no longer request songs and the link stops working.'))) return;
+        await this.apiPost('jukebox/stop', {});
+        if (this._jbHosting) this._jbEndHosting();
+        this._jbRefresh();
+    },
+
+    // Move the party's playback to this browser (e.g. the host switched from the laptop to the TV)
+    jukeboxHostHere() {
+        if (!this._jbState?.active) return;
+        localStorage.setItem(this._JB_HOST_KEY, this._jbState.party.token);
+        this._jbHosting = true;
+        this._jbRefresh();
+    },
+
+    async jukeboxSaveSettings() {
+        await this.apiPut('jukebox/settings', this._jbReadSettings());
+        document.activeElement?.blur();
+        this._jbRefresh();
+    },
+
+    async jukeboxGuestLimit(guestId, value) {
+        await this.apiPut(`jukebox/guests/${encodeURIComponent(guestId)}`, { limit: value === '' ? null : parseInt(value, 10) });
+        document.activeElement?.blur();
+        this._jbRefresh();
+    },
+
+    async jukeboxRemove(itemId) {
+        await this.apiDelete(`jukebox/queue/${itemId}`);
+        this._jbRefresh();
+    },
+
+    // ─── Favourites Toggle ───────────────────────────────────
+    async toggleFav(trackId, btn) {
         const result = await this.apiPost(`tracks/${trackId}/favourite`);
         if (result) btn.classList.toggle('active', result.isFavourite);
     },
@@ -19137,7 +22176,7 @@ ${body}
         // Albums
         if (data.albums && data.albums.length > 0) {
             html += '<div class="section-title">Albums</div><div class="card-grid">';
-            data.albums.forEach(a => { html += `<div class="card" onclick="App.openAlbum(${a.id})"><div class="card-cover"><img src="/api/cover/${a.id}" onerror="this.style.display='none';this.parentElement.innerHTML='<div class=placeholder-icon>&#128191;</div>'" alt=""></div><div class="card-info"><div class="card-title">${this.esc(a.title)}</div><div class="card-subtitle">${this.esc(a.artist)}</div></div></div>`; });
+            data.albums.forEach(a => { html += `<div class="card" onclick="App.openAlbum(${a.id})"><div class="card-cover"><img src="/api/cover/${a.id}" onerror="this.style.display='none';this.parentElement.innerHTML='<div class=placeholder-icon>&#128191;</div>'" alt=""></div><div class="card-info"><div class="card-title">${this.esc(a.title)}</div><div class="card-subtitle">${this.esc(a.artist)}</div></div><button class="mv-card-menu-btn" onclick="event.stopPropagation(); App.showAlbumMenu(${a.id}, event)" title="More options">&#8942;</button></div>`; });
             html += '</div>';
         }
         // Tracks
@@ -19956,11 +22995,18 @@ ${body}
         menu.id = 'playlistContextMenu';
         menu.className = 'video-context-menu';
         menu.innerHTML = `
+            <div class="video-menu-item" id="plMenuPlayNext">
+                <span class="video-menu-icon"><svg ${svgAttr}><polygon points="5 4 15 12 5 20 5 4"/><line x1="19" y1="5" x2="19" y2="19"/></svg></span><span>${this.t('queue.playNext', 'Play next')}</span>
+            </div>
+            <div class="video-menu-item" id="plMenuQueue">
+                <span class="video-menu-icon"><svg ${svgAttr}><line x1="8" y1="6" x2="21" y2="6"/><line x1="8" y1="12" x2="21" y2="12"/><line x1="8" y1="18" x2="14" y2="18"/><line x1="18" y1="15" x2="18" y2="21"/><line x1="15" y1="18" x2="21" y2="18"/></svg></span><span>${this.t('queue.addToQueue', 'Add to queue')}</span>
+            </div>
+            <div class="video-menu-divider"></div>
             <div class="video-menu-item" id="plMenuEdit">
                 <span class="video-menu-icon"><svg ${svgAttr}><path d="M12 20h9"/><path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"/></svg></span><span>Edit Playlist</span>
             </div>
             <div class="video-menu-item" id="plMenuExport">
-                <span class="video-menu-icon"><svg ${svgAttr}><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/></svg></span><span>Export M3U</span>
+                <span class="video-menu-icon"><svg ${svgAttr}><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/></svg></span><span>${this.t('playlist.export.menu', 'Export…')}</span>
             </div>
             <div class="video-menu-divider"></div>
             <div class="video-menu-item video-menu-item-danger" id="plMenuDelete">
@@ -19974,13 +23020,21 @@ ${body}
         document.body.appendChild(menu);
 
         // Attach handlers after DOM insertion — avoids any inline string escaping issues
+        menu.querySelector('#plMenuPlayNext').addEventListener('click', () => {
+            this.closePlaylistMenu();
+            this.enqueue('playlist', id, true);
+        });
+        menu.querySelector('#plMenuQueue').addEventListener('click', () => {
+            this.closePlaylistMenu();
+            this.enqueue('playlist', id);
+        });
         menu.querySelector('#plMenuEdit').addEventListener('click', () => {
             this.closePlaylistMenu();
             this.editPlaylist(id, p.coverImagePath || '', p.name || '');
         });
         menu.querySelector('#plMenuExport').addEventListener('click', () => {
             this.closePlaylistMenu();
-            this.exportPlaylistM3u(id, p.name || 'playlist');
+            this.exportPlaylist(id, p.name || 'playlist');
         });
         menu.querySelector('#plMenuDelete').addEventListener('click', () => {
             this.closePlaylistMenu();
@@ -20024,7 +23078,7 @@ ${body}
                 <span class="video-menu-icon"><svg ${svgAttr}><rect x="3" y="3" width="18" height="18" rx="2" ry="2"/><circle cx="8.5" cy="8.5" r="1.5"/><polyline points="21 15 16 10 5 21"/></svg></span><span>Edit Cover Image</span>
             </div>
             <div class="video-menu-item" id="agpMenuExport">
-                <span class="video-menu-icon"><svg ${svgAttr}><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/></svg></span><span>Export M3U</span>
+                <span class="video-menu-icon"><svg ${svgAttr}><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/></svg></span><span>${this.t('playlist.export.menu', 'Export…')}</span>
             </div>
             <div class="video-menu-divider"></div>
             <div class="video-menu-item video-menu-item-danger" id="agpMenuRemove">
@@ -20045,7 +23099,7 @@ ${body}
         menu.querySelector('#agpMenuExport').addEventListener('click', () => {
             const m = document.getElementById('agpContextMenu');
             if (m) m.remove();
-            this.exportAgpM3u(type, param);
+            this.exportAgp(type, param);
         });
         menu.querySelector('#agpMenuRemove').addEventListener('click', () => {
             const m = document.getElementById('agpContextMenu');
@@ -20153,6 +23207,16 @@ ${body}
         menu.id = 'albumContextMenu';
         menu.className = 'video-context-menu';
         menu.innerHTML = `
+            <div class="video-menu-item" id="albMenuPlayNext">
+                <span class="video-menu-icon"><svg ${svgAttr}><polygon points="5 4 15 12 5 20 5 4"/><line x1="19" y1="5" x2="19" y2="19"/></svg></span><span>${this.t('queue.playNext', 'Play next')}</span>
+            </div>
+            <div class="video-menu-item" id="albMenuQueue">
+                <span class="video-menu-icon"><svg ${svgAttr}><line x1="8" y1="6" x2="21" y2="6"/><line x1="8" y1="12" x2="21" y2="12"/><line x1="8" y1="18" x2="14" y2="18"/><line x1="18" y1="15" x2="18" y2="21"/><line x1="15" y1="18" x2="21" y2="18"/></svg></span><span>${this.t('queue.addToQueue', 'Add to queue')}</span>
+            </div>
+            <div class="video-menu-item" id="albMenuRadio">
+                <span class="video-menu-icon"><svg ${svgAttr}><circle cx="12" cy="12" r="2"/><path d="M16.24 7.76a6 6 0 0 1 0 8.49"/><path d="M7.76 16.24a6 6 0 0 1 0-8.49"/><path d="M19.07 4.93a10 10 0 0 1 0 14.14"/><path d="M4.93 19.07a10 10 0 0 1 0-14.14"/></svg></span><span>${this.t('trackRadio.start', 'Start radio')}</span>
+            </div>
+            <div class="video-menu-divider"></div>
             <div class="video-menu-item" id="albMenuEdit">
                 <span class="video-menu-icon"><svg ${svgAttr}><path d="M12 20h9"/><path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"/></svg></span><span>Edit Album Metadata</span>
             </div>`;
@@ -20163,6 +23227,18 @@ ${body}
         menu.style.left = (rect.left - 160) + 'px';
         document.body.appendChild(menu);
 
+        menu.querySelector('#albMenuPlayNext').addEventListener('click', () => {
+            menu.remove();
+            this.enqueue('album', albumId, true);
+        });
+        menu.querySelector('#albMenuQueue').addEventListener('click', () => {
+            menu.remove();
+            this.enqueue('album', albumId);
+        });
+        menu.querySelector('#albMenuRadio').addEventListener('click', () => {
+            menu.remove();
+            this.startAlbumRadio(albumId);
+        });
         menu.querySelector('#albMenuEdit').addEventListener('click', () => {
             menu.remove();
             this.openAlbumEditModal(albumId);
@@ -20194,6 +23270,16 @@ ${body}
         menu.id = 'trackContextMenu';
         menu.className = 'video-context-menu';
         menu.innerHTML = `
+            <div class="video-menu-item" id="trMenuPlayNext">
+                <span class="video-menu-icon"><svg ${svgAttr}><polygon points="5 4 15 12 5 20 5 4"/><line x1="19" y1="5" x2="19" y2="19"/></svg></span><span>${this.t('queue.playNext', 'Play next')}</span>
+            </div>
+            <div class="video-menu-item" id="trMenuQueue">
+                <span class="video-menu-icon"><svg ${svgAttr}><line x1="8" y1="6" x2="21" y2="6"/><line x1="8" y1="12" x2="21" y2="12"/><line x1="8" y1="18" x2="14" y2="18"/><line x1="18" y1="15" x2="18" y2="21"/><line x1="15" y1="18" x2="21" y2="18"/></svg></span><span>${this.t('queue.addToQueue', 'Add to queue')}</span>
+            </div>
+            <div class="video-menu-item" id="trMenuRadio">
+                <span class="video-menu-icon"><svg ${svgAttr}><circle cx="12" cy="12" r="2"/><path d="M16.24 7.76a6 6 0 0 1 0 8.49"/><path d="M7.76 16.24a6 6 0 0 1 0-8.49"/><path d="M19.07 4.93a10 10 0 0 1 0 14.14"/><path d="M4.93 19.07a10 10 0 0 1 0-14.14"/></svg></span><span>${this.t('trackRadio.start', 'Start radio')}</span>
+            </div>
+            <div class="video-menu-divider"></div>
             <div class="video-menu-item" id="trMenuEdit">
                 <span class="video-menu-icon"><svg ${svgAttr}><path d="M12 20h9"/><path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"/></svg></span><span>${this.t('videomenu.editMetadata')}</span>
             </div>
@@ -20208,6 +23294,18 @@ ${body}
         menu.style.left = (rect.left - 160) + 'px';
         document.body.appendChild(menu);
 
+        menu.querySelector('#trMenuPlayNext').addEventListener('click', () => {
+            menu.remove();
+            this.enqueue('track', trackId, true);
+        });
+        menu.querySelector('#trMenuQueue').addEventListener('click', () => {
+            menu.remove();
+            this.enqueue('track', trackId);
+        });
+        menu.querySelector('#trMenuRadio').addEventListener('click', () => {
+            menu.remove();
+            this.startTrackRadio(trackId);
+        });
         menu.querySelector('#trMenuEdit').addEventListener('click', () => {
             menu.remove();
             this.openTrackEditModal(trackId);
@@ -20369,6 +23467,7 @@ ${body}
 
     _trackEditCoverData: null,
     _trackEditPickedFile: null,
+    _trackEditTempo: null,      // BPM and key as the editor opened, so only a change is saved
 
     async openTrackEditModal(trackId) {
         const [t, cgAssignments] = await Promise.all([
@@ -20379,6 +23478,7 @@ ${body}
         this._trackEditCoverData = null;
         this._trackEditPickedFile = null;
         this._musicFanartSel = null;
+        this._trackEditTempo = { bpm: t.bpm ?? null, key: t.musicalKey || '' };
 
         const artSrc = t.albumArtCached ? `/albumart/${t.albumArtCached}` : (t.hasAlbumArt ? `/api/cover/track/${t.id}` : null);
         const overlay = document.createElement('div');
@@ -20439,6 +23539,18 @@ ${body}
                 </div>
             </div>
 
+            <div class="video-edit-row">
+                <div class="video-edit-form-group">
+                    <label class="video-edit-label">${this.t('tempo.bpm', 'BPM')}</label>
+                    <input type="number" id="trackEditBpm" class="video-edit-input" min="30" max="300" step="0.01" value="${t.bpm ?? ''}">
+                </div>
+                <div class="video-edit-form-group">
+                    <label class="video-edit-label">${this.t('tempo.key', 'Key')}</label>
+                    <input type="text" id="trackEditKey" class="video-edit-input" value="${this.esc(t.musicalKey || '')}" placeholder="Am, F#, 8A" list="trackEditKeyList" autocomplete="off">
+                    <datalist id="trackEditKeyList">${this._tkKeyOptions()}</datalist>
+                </div>
+            </div>
+
             <div class="video-edit-form-group" style="padding:6px 0">
                 <label style="display:flex;align-items:center;gap:10px;cursor:pointer;font-size:13px">
                     <input type="checkbox" id="trackEditApplyGenre" checked style="width:16px;height:16px;accent-color:var(--accent);flex-shrink:0">
@@ -20557,6 +23669,14 @@ ${body}
                     const genreIds = Array.from(cgChecks).filter(c => c.checked).map(c => c.dataset.id);
                     await this.apiPost(`tracks/${id}/custom-genres`, { genreIds });
                 }
+                // Tempo and key are kept in the library only (see TempoKeyService)
+                const bpm = parseFloat(document.getElementById('trackEditBpm').value) || null;
+                const key = document.getElementById('trackEditKey').value.trim();
+                if (bpm !== this._trackEditTempo?.bpm || key !== this._trackEditTempo?.key) {
+                    const r = await this.apiPost(`tracks/${id}/tempo`, { bpm, key, edit: true });
+                    if (!r || r.error) { alert(this.t('tempo.saveError', 'Tempo / key not saved: ') + (r?.error || 'Unknown error')); return; }
+                    this._tkRemember(r);
+                }
                 this.closeTrackEditModal();
                 if (document.getElementById('music-sub-content')) this.loadSongsPage();
             } else {
@@ -20567,37 +23687,309 @@ ${body}
         }
     },
 
-    // ─── Genre Datalist Helpers ───────────────────────────────────────────
+    // ─── Music Batch Select / Edit ───────────────────────────────────────
+    // Multi-select on track tables and the album grid. The checkboxes are always rendered and only
+    // shown while body.mb-selecting is set, so entering select mode doesn't re-render the page (the
+    // search results hold several tables). Selected albums expand to all of their tracks server-side.
 
-    _genericGenreOptions() {
-        const genres = ['Alternative','Ambient','Blues','Children\'s','Classical','Comedy','Country',
-            'Dance','Disco','Electronic','Folk','Funk','Gospel','Hip-Hop','House','Indie','Jazz',
-            'Latin','Metal','New Age','Opera','Pop','Punk','R&B','Reggae','Rock','Soul',
-            'Soundtrack','Techno','World Music'];
-        return genres.map(g => `<option value="${g}">`).join('');
-    },
+    _mbSelect: null,          // { tracks: Set, albums: Set } while select mode is on
+    _mbEditCover: null,       // data URI of the cover chosen in the batch editor
 
-    async _populateGenreDatalist(datalistId) {
-        const dl = document.getElementById(datalistId);
-        if (!dl) return;
-        const genres = await this.api('genres').catch(() => null);
-        if (!genres || genres.length === 0) return;
-        // Prepend library genres, deduplicating against existing generic options
-        const existing = new Set([...dl.querySelectorAll('option')].map(o => o.value.toLowerCase()));
-        const fragment = document.createDocumentFragment();
-        genres.forEach(g => {
-            if (!existing.has(g.name.toLowerCase())) {
-                const opt = document.createElement('option');
-                opt.value = g.name;
-                fragment.appendChild(opt);
-            }
+    _mbFields: [
+        ['artist', 'mbatch.artist', 'Artist', 'text'],
+        ['albumArtist', 'mbatch.albumArtist', 'Album Artist', 'text'],
+        ['album', 'mbatch.album', 'Album', 'text'],
+        ['genre', 'mbatch.genre', 'Genre', 'text'],
+        ['year', 'mbatch.year', 'Year', 'number'],
+        ['discNumber', 'mbatch.disc', 'Disc #', 'number']
+    ],
+
+    mbToggleSelect() {
+        if (this._mbSelect) { this._mbExit(); return; }
+        this._mbSelect = { tracks: new Set(), albums: new Set() };
+        document.body.classList.add('mb-selecting');
+        document.querySelectorAll('.mb-select-toggle').forEach(b => b.classList.add('active'));
+        document.body.insertAdjacentHTML('beforeend', `<div id="mb-toolbar" class="batch-toolbar">
+            <span class="batch-toolbar-count" id="mb-toolbar-count"></span>
+            <button class="batch-toolbar-btn" onclick="App._mbSelectAll()">${this.t('mbatch.selectAll', 'Select All')}</button>
+            <button class="batch-toolbar-btn" onclick="App._mbClearSelection()">${this.t('mbatch.clear', 'Clear')}</button>
+            <button class="batch-toolbar-btn batch-toolbar-primary" id="mb-edit-btn" onclick="App.openMusicBatchEdit()" disabled>${this.t('mbatch.editSelected', 'Edit Selected')}</button>
+            <button class="batch-toolbar-btn batch-toolbar-exit" onclick="App._mbExit()">&#x2715; ${this.t('mbatch.exit', 'Exit')}</button>
+        </div>`);
+        this._mbUpdateToolbar();
+    },
+
+    _mbExit() {
+        this._mbSelect = null;
+        document.body.classList.remove('mb-selecting');
+        document.querySelectorAll('.mb-select-toggle').forEach(b => b.classList.remove('active'));
+        document.getElementById('mb-toolbar')?.remove();
+        document.querySelectorAll('.track-list tr.batch-selected, .card.batch-selected').forEach(el => {
+            el.classList.remove('batch-selected');
+            const cb = el.querySelector('.mb-cb');
+            if (cb) cb.checked = false;
         });
-        dl.insertBefore(fragment, dl.firstChild);
     },
 
-    // ─── Generic Music Art Picker (album art library) ─────────────────────
+    // kind: 'tracks' (a track-table row) or 'albums' (an album card)
+    _mbToggle(kind, id, el) {
+        if (!this._mbSelect) return;
+        const set = this._mbSelect[kind];
+        const selected = set.has(id);
+        if (selected) set.delete(id); else set.add(id);
+        el.classList.toggle('batch-selected', !selected);
+        const cb = el.querySelector('.mb-cb');
+        if (cb) cb.checked = !selected;
+        this._mbUpdateToolbar();
+    },
 
-    async _openMusicArtPicker(target) {
+    _mbSelectAll() {
+        if (!this._mbSelect) return;
+        const add = (el, kind, id) => {
+            if (isNaN(id)) return;
+            this._mbSelect[kind].add(id);
+            el.classList.add('batch-selected');
+            const cb = el.querySelector('.mb-cb');
+            if (cb) cb.checked = true;
+        };
+        document.querySelectorAll('#main-content .track-list tr[data-track-id]').forEach(tr => add(tr, 'tracks', parseInt(tr.dataset.trackId)));
+        document.querySelectorAll('#main-content .card[data-album-id]').forEach(card => add(card, 'albums', parseInt(card.dataset.albumId)));
+        this._mbUpdateToolbar();
+    },
+
+    _mbClearSelection() {
+        if (!this._mbSelect) return;
+        this._mbSelect.tracks.clear();
+        this._mbSelect.albums.clear();
+        document.querySelectorAll('.track-list tr.batch-selected, .card.batch-selected').forEach(el => {
+            el.classList.remove('batch-selected');
+            const cb = el.querySelector('.mb-cb');
+            if (cb) cb.checked = false;
+        });
+        this._mbUpdateToolbar();
+    },
+
+    _mbUpdateToolbar() {
+        const tracks = this._mbSelect?.tracks.size || 0;
+        const albums = this._mbSelect?.albums.size || 0;
+        const parts = [];
+        if (albums) parts.push(this.t('mbatch.nAlbums', '{n} albums').replace('{n}', albums));
+        if (tracks || !albums) parts.push(this.t('mbatch.nTracks', '{n} tracks').replace('{n}', tracks));
+        const countEl = document.getElementById('mb-toolbar-count');
+        if (countEl) countEl.textContent = `${parts.join(' + ')} ${this.t('mbatch.selected', 'selected')}`;
+        const editBtn = document.getElementById('mb-edit-btn');
+        if (editBtn) editBtn.disabled = !tracks && !albums;
+    },
+
+    async openMusicBatchEdit() {
+        if (!this._mbSelect) return;
+        const tracks = await this.apiPost('tracks/batch/lookup', {
+            trackIds: [...this._mbSelect.tracks],
+            albumIds: [...this._mbSelect.albums]
+        });
+        if (!Array.isArray(tracks) || tracks.length === 0) { alert(this.t('mbatch.noTracks', 'No tracks found for this selection.')); return; }
+        this._mbEditCover = null;
+        document.getElementById('mbEditOverlay')?.remove();
+
+        const attr = v => this.esc(String(v ?? '')).replace(/"/g, '&quot;');
+        const keep = this.t('mbatch.keep', 'Keep (mixed values)');
+        // A field shows its value when every track agrees; otherwise it's left empty and kept per track
+        const shared = key => {
+            const values = new Set(tracks.map(t => t[key] ?? ''));
+            return values.size === 1 ? { value: [...values][0], mixed: false } : { value: '', mixed: true };
+        };
+        const fieldHtml = ([key, tKey, label, type]) => {
+            const s = shared(key);
+            return `<div class="batch-field">
+                <div class="batch-field-body">
+                    <div class="batch-field-label">${this.t(tKey, label)}${s.mixed ? ` <span class="mb-mixed">${this.t('mbatch.mixed', 'mixed')}</span>` : ''}</div>
+                    <input type="${type}" class="batch-field-input" data-field="${key}" value="${attr(s.value)}"
+                        placeholder="${s.mixed ? attr(keep) : ''}"${type === 'number' ? ' min="1"' : ''}${key === 'genre' ? ' list="mbEditGenreList" autocomplete="off"' : ''}
+                        oninput="App._mbFieldChanged(this)">
+                </div>
+            </div>`;
+        };
+        const comp = shared('isCompilation');
+        const n = tracks.length;
+        const svgPencil = `<svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="var(--accent)" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 20h9"/><path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"/></svg>`;
+
+        const overlay = document.createElement('div');
+        overlay.id = 'mbEditOverlay';
+        overlay.className = 'batch-edit-overlay';
+        overlay.innerHTML = `
+        <div class="batch-edit-modal">
+            <div class="batch-edit-title">${svgPencil} ${this.t('mbatch.title', 'Batch Edit Tracks')}</div>
+            <div class="batch-edit-subtitle">${this.t('mbatch.subtitle', '{n} tracks selected — only the fields you change are applied. Fields marked mixed keep each track\'s own value unless you type a new one.').replace('{n}', n)}</div>
+            <input type="hidden" id="mbEditIds" value="${tracks.map(t => t.id).join(',')}">
+
+            ${this._mbFields.map(fieldHtml).join('')}
+            <datalist id="mbEditGenreList">${this._genericGenreOptions()}</datalist>
+
+            <div class="batch-field">
+                <div class="batch-field-body">
+                    <div class="batch-field-label">${this.t('mbatch.compilation', 'Compilation')}${comp.mixed ? ` <span class="mb-mixed">${this.t('mbatch.mixed', 'mixed')}</span>` : ''}</div>
+                    <select class="batch-field-select" data-field="isCompilation" onchange="App._mbFieldChanged(this)">
+                        ${comp.mixed ? `<option value="">${this.esc(keep)}</option>` : ''}
+                        <option value="yes"${!comp.mixed && comp.value ? ' selected' : ''}>${this.t('mbatch.compYes', 'Yes — various artists')}</option>
+                        <option value="no"${!comp.mixed && !comp.value ? ' selected' : ''}>${this.t('mbatch.compNo', 'No')}</option>
+                    </select>
+                </div>
+            </div>
+
+            <div class="batch-field">
+                <div class="batch-field-body">
+                    <div class="batch-field-label">${this.t('mbatch.cover', 'Cover Art')}</div>
+                    <div style="display:flex;align-items:center;gap:12px">
+                        <div id="mbEditCoverPreview" style="width:56px;height:56px;border-radius:6px;overflow:hidden;background:var(--bg-hover);border:1px solid var(--border);flex-shrink:0;display:flex;align-items:center;justify-content:center">
+                            <svg width="24" height="24" fill="none" stroke="currentColor" stroke-width="1.5" style="opacity:.4"><use href="#icon-image"/></svg>
+                        </div>
+                        <label class="batch-toolbar-btn" style="display:inline-flex;align-items:center;gap:6px">
+                            ${this.t('mbatch.coverUpload', 'Upload Image…')}
+                            <input type="file" accept="image/jpeg,image/jpg,image/png" style="display:none" onchange="App._mbHandleCover(event)">
+                        </label>
+                        <span id="mbEditCoverNote" style="font-size:12px;color:var(--text-muted)">${this.t('mbatch.coverKeep', 'Keep current covers')}</span>
+                    </div>
+                </div>
+            </div>
+
+            ${this.userRole === 'admin' ? `<label class="batch-field-check" style="margin-top:4px">
+                <input type="checkbox" id="mbEditWriteTags" style="width:15px;height:15px;accent-color:var(--accent)">
+                <span>${this.t('mbatch.writeTags', 'Also write the changes into the audio files\' tags')}</span>
+            </label>` : ''}
+
+            <div id="mbEditResults"></div>
+
+            <div class="batch-edit-actions" id="mbEditActions">
+                <button onclick="App.closeMusicBatchEdit()" class="batch-edit-btn batch-edit-btn-cancel">${this.t('btn.cancel', 'Cancel')}</button>
+                <button onclick="App.saveMusicBatchEdit()" class="batch-edit-btn batch-edit-btn-primary" id="mbEditSaveBtn">${this.t('mbatch.apply', 'Apply to {n} tracks').replace('{n}', n)}</button>
+            </div>
+        </div>`;
+        document.body.appendChild(overlay);
+        overlay.addEventListener('mousedown', (e) => { overlay._mdb = (e.target === overlay); });
+        overlay.addEventListener('click', (e) => { if (e.target === overlay && overlay._mdb) this.closeMusicBatchEdit(); });
+        this._populateGenreDatalist('mbEditGenreList');
+    },
+
+    _mbFieldChanged(input) {
+        input.dataset.dirty = '1';
+        input.closest('.batch-field')?.classList.add('mb-changed');
+    },
+
+    _mbHandleCover(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+        const note = document.getElementById('mbEditCoverNote');
+        if (!file.type.match(/image\/(jpeg|jpg|png)/i)) {
+            if (note) { note.textContent = this.t('mbatch.coverType', 'JPG or PNG only.'); note.style.color = 'var(--danger)'; }
+            return;
+        }
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            this._mbEditCover = e.target.result;
+            const prev = document.getElementById('mbEditCoverPreview');
+            if (prev) prev.innerHTML = `<img src="${e.target.result}" style="width:100%;height:100%;object-fit:cover" alt="">`;
+            if (note) { note.textContent = this.t('mbatch.coverReplace', 'Replaces the cover of every selected track'); note.style.color = ''; }
+            prev?.closest('.batch-field')?.classList.add('mb-changed');
+        };
+        reader.readAsDataURL(file);
+    },
+
+    closeMusicBatchEdit() {
+        document.getElementById('mbEditOverlay')?.remove();
+        this._mbEditCover = null;
+    },
+
+    async saveMusicBatchEdit() {
+        const fields = {};
+        document.querySelectorAll('#mbEditOverlay [data-field][data-dirty]').forEach(el => {
+            const key = el.dataset.field;
+            if (key === 'isCompilation') { if (el.value) fields.isCompilation = el.value === 'yes'; }
+            else if (el.type === 'number') fields[key] = parseInt(el.value) || null;
+            else fields[key] = el.value.trim();
+        });
+        if (this._mbEditCover) fields.coverImage = this._mbEditCover;
+        if (Object.keys(fields).length === 0) { alert(this.t('mbatch.nothing', 'Change at least one field first.')); return; }
+
+        const ids = document.getElementById('mbEditIds').value.split(',').map(Number);
+        const writeTags = document.getElementById('mbEditWriteTags')?.checked ?? false;
+        const btn = document.getElementById('mbEditSaveBtn');
+        const origText = btn?.textContent;
+        if (btn) { btn.disabled = true; btn.textContent = writeTags ? this.t('mbatch.writing', 'Writing tags…') : this.t('mbatch.saving', 'Saving…'); }
+
+        const result = await this.apiPost('tracks/batch', { ids, fields, writeTags });
+        if (!result?.success) {
+            alert(this.t('mbatch.error', 'Error') + ': ' + (result?.error || 'Unknown error'));
+            if (btn) { btn.disabled = false; btn.textContent = origText; }
+            return;
+        }
+        this._mbExit();
+        if (!writeTags) {
+            this.closeMusicBatchEdit();
+            this._mbRefresh();
+            return;
+        }
+        this._mbRenderResults(result.files || []);
+    },
+
+    // Per-file outcome of the tag write-back; the database changes are already saved at this point
+    _mbRenderResults(files) {
+        const ok = files.filter(f => f.ok).length;
+        const problems = files.filter(f => !f.ok || f.message);
+        const el = document.getElementById('mbEditResults');
+        if (el) el.innerHTML = `<div class="mb-results">
+            <div class="mb-results-summary${ok < files.length ? ' has-failures' : ''}">${this.t('mbatch.written', '{ok} of {total} files written').replace('{ok}', ok).replace('{total}', files.length)}</div>
+            ${problems.length ? `<div class="mb-results-list">${problems.map(f => `
+                <div class="mb-result-row${f.ok ? '' : ' failed'}">
+                    <span class="mb-result-icon">${f.ok ? '&#10003;' : '&#10005;'}</span>
+                    <span class="mb-result-file" title="${this.esc(f.fileName)}">${this.esc(f.fileName)}</span>
+                    <span class="mb-result-msg">${this.esc(f.message || '')}</span>
+                </div>`).join('')}</div>` : ''}
+        </div>`;
+        const actions = document.getElementById('mbEditActions');
+        if (actions) actions.innerHTML = `<button onclick="App.closeMusicBatchEdit();App._mbRefresh()" class="batch-edit-btn batch-edit-btn-primary">${this.t('mbatch.done', 'Done')}</button>`;
+    },
+
+    // Re-render whatever the selection was made on
+    async _mbRefresh() {
+        const q = document.getElementById('global-search')?.value.trim();
+        if (q && q.length >= 2 && document.getElementById('page-title')?.textContent.startsWith('Search:')) return this.performSearch(q);
+        const route = this._routeParse(location.hash);
+        // Renaming an album moves its tracks to another album record and removes the old one
+        if (route.kind === 'album' && !(await this.api(`albums/${route.arg}`))) return this.navigate('albums');
+        return this._routeApply(location.hash);
+    },
+
+    // ─── Genre Datalist Helpers ───────────────────────────────────────────
+
+    _genericGenreOptions() {
+        const genres = ['Alternative','Ambient','Blues','Children\'s','Classical','Comedy','Country',
+            'Dance','Disco','Electronic','Folk','Funk','Gospel','Hip-Hop','House','Indie','Jazz',
+            'Latin','Metal','New Age','Opera','Pop','Punk','R&B','Reggae','Rock','Soul',
+            'Soundtrack','Techno','World Music'];
+        return genres.map(g => `<option value="${g}">`).join('');
+    },
+
+    async _populateGenreDatalist(datalistId) {
+        const dl = document.getElementById(datalistId);
+        if (!dl) return;
+        const genres = await this.api('genres').catch(() => null);
+        if (!genres || genres.length === 0) return;
+        // Prepend library genres, deduplicating against existing generic options
+        const existing = new Set([...dl.querySelectorAll('option')].map(o => o.value.toLowerCase()));
+        const fragment = document.createDocumentFragment();
+        genres.forEach(g => {
+            if (!existing.has(g.name.toLowerCase())) {
+                const opt = document.createElement('option');
+                opt.value = g.name;
+                fragment.appendChild(opt);
+            }
+        });
+        dl.insertBefore(fragment, dl.firstChild);
+    },
+
+    // ─── Generic Music Art Picker (album art library) ─────────────────────
+
+    async _openMusicArtPicker(target) {
         // target: 'album' | 'track' | 'playlist' | 'agp'
         const items = await this.api('albumart/list');
         if (!items || items.length === 0) { alert('No album art found in the library yet.'); return; }
@@ -21665,6 +25057,11 @@ ${body}
     },
 
     // ─── Equalizer ────────────────────────────────────────────────────
+    // Two modes share one filter chain (ReplayGain → preamp → filters → limiter):
+    //   graphic    — the 8 fixed bands below, gain only (sliders + macros)
+    //   parametric — up to 20 bands with editable type, frequency, gain and Q (AutoEQ imports)
+    // Saved presets live on the server (eq/presets) and can be bound to an output device, so
+    // picking the Bluetooth headset in the audio-output menu switches to its correction curve.
 
     _initAudioContext() {
         if (this._audioCtx !== null) return;
@@ -21675,18 +25072,8 @@ ${body}
             // ReplayGain gain node — sits at the front of the chain
             this._rgGainNode = this._audioCtx.createGain();
             this._rgGainNode.gain.value = 1.0;
-
-            this._eqFilters = this._eqFreqs.map((freq, i) => {
-                const f = this._audioCtx.createBiquadFilter();
-                f.type = this._eqTypes[i];
-                f.frequency.value = freq;
-                // Shelf filters need Q = 0.7071 (1/√2) for a flat passband; higher Q creates a
-                // resonant bump at the shelf edge which causes coloration and distortion at high gains
-                f.Q.value = (this._eqTypes[i] === 'lowshelf' || this._eqTypes[i] === 'highshelf') ? 0.7071 : 1.41;
-                f.gain.value = this._eqEnabled ? this._eqBands[i] : 0;
-                return f;
-            });
-            for (let i = 0; i < this._eqFilters.length - 1; i++) this._eqFilters[i].connect(this._eqFilters[i + 1]);
+            this._eqPreampNode = this._audioCtx.createGain();
+            this._rgGainNode.connect(this._eqPreampNode);
             // Soft limiter: prevents digital clipping when boosted EQ bands sum above 0 dBFS
             this._eqLimiter = this._audioCtx.createDynamicsCompressor();
             this._eqLimiter.threshold.value = -3;  // engage at -3 dBFS
@@ -21699,15 +25086,57 @@ ${body}
             this._ncAnalyser.fftSize = 512;
             this._ncAnalyser.smoothingTimeConstant = 0.82;
             this._ncDataArray = new Uint8Array(this._ncAnalyser.frequencyBinCount);
-            this._eqFilters[this._eqFilters.length - 1].connect(this._eqLimiter);
             this._eqLimiter.connect(this._ncAnalyser);
             this._ncAnalyser.connect(this._audioCtx.destination);
+            this._fxInit();
+            this._eqRebuild();
         } catch (e) {
             this._audioCtx = false;
             console.warn('Web Audio EQ unavailable:', e);
         }
     },
 
+    // Band definitions of the active mode: [{ type, freq, gain, q }]
+    _eqBandDefs() {
+        if (this._eqMode === 'parametric') return this._eqParam;
+        return this._eqFreqs.map((freq, i) => ({
+            type: this._eqTypes[i], freq, gain: this._eqBands[i],
+            // Shelf filters need Q = 0.7071 (1/√2) for a flat passband; higher Q creates a
+            // resonant bump at the shelf edge which causes coloration and distortion at high gains
+            q: (this._eqTypes[i] === 'lowshelf' || this._eqTypes[i] === 'highshelf') ? 0.7071 : 1.41
+        }));
+    },
+
+    // Recreate the filter nodes when the number of bands changes (mode switch, add/remove band)
+    _eqRebuild() {
+        if (!this._audioCtx) return;
+        try { this._eqPreampNode.disconnect(); } catch (e) {}
+        this._eqFilters.forEach(f => { try { f.disconnect(); } catch (e) {} });
+        this._eqFilters = this._eqBandDefs().map(() => this._audioCtx.createBiquadFilter());
+        let node = this._eqPreampNode;
+        this._eqFilters.forEach(f => { node.connect(f); node = f; });
+        node.connect(this._fxInput);
+        this._eqApply();
+    },
+
+    // Push the current band definitions and preamp into the filter chain
+    _eqApply() {
+        const defs = this._eqBandDefs();
+        if (this._audioCtx && defs.length !== this._eqFilters.length) { this._eqRebuild(); return; }
+        defs.forEach((b, i) => {
+            const f = this._eqFilters[i];
+            if (!f) return;
+            if (f.type !== b.type) f.type = b.type;
+            f.frequency.value = b.freq;
+            f.Q.value = b.q;
+            this._setEQGain(f, this._eqEnabled ? b.gain : 0);
+        });
+        if (this._eqPreampNode) {
+            const gain = this._eqEnabled ? Math.pow(10, this._eqPreamp / 20) : 1;
+            this._eqPreampNode.gain.setTargetAtTime(gain, this._audioCtx.currentTime, 0.015);
+        }
+    },
+
     // Smoothly ramp a filter's gain to avoid click/pop from hard gain steps
     _setEQGain(filter, targetDb) {
         if (!filter) return;
@@ -21718,7 +25147,9 @@ ${body}
         }
     },
 
-    connectEQToElement(el) {
+    // keepPrevious leaves the currently connected element in the chain — used by the crossfade
+    // engine so the outgoing deck keeps sounding while the incoming one fades in
+    connectEQToElement(el, keepPrevious = false) {
         if (!el) return;
         this._initAudioContext();
         if (!this._audioCtx) return;
@@ -21728,17 +25159,18 @@ ${body}
         }
         try {
             // Detach current source from the filter chain (but keep the node alive for reuse)
-            if (this._eqSource) { try { this._eqSource.disconnect(); } catch (e) {} }
+            if (this._eqSource && !keepPrevious) { try { this._eqSource.disconnect(); } catch (e) {} }
             // Reuse an existing source node for this element, or create one for the first time
             let source = this._eqSourceMap.get(el);
             if (!source) {
                 source = this._audioCtx.createMediaElementSource(el);
                 this._eqSourceMap.set(el, source);
             }
-            source.connect(this._rgGainNode);
-            this._rgGainNode.connect(this._eqFilters[0]);
+            // Music decks go through their own fade gain; everything else feeds ReplayGain directly
+            source.connect(this._audioDecks.includes(el) ? this._xfDeckGain(el) : this._rgGainNode);
             this._eqSource = source;
             this._eqConnectedEl = el;
+            this._fxApply();   // switch between the music and video effect settings
             if (this._audioCtx.state === 'suspended') this._audioCtx.resume().catch(() => {});
             // A just-created context defaults to the system output — apply any chosen sink so
             // music actually plays out of the selected device (e.g. Bluetooth headphones).
@@ -21770,12 +25202,32 @@ ${body}
         }
     },
 
+    // Re-render an open panel after a preset/mode change (band edits update in place)
+    _eqRefreshPanel() {
+        const panel = document.getElementById('eq-panel');
+        if (!panel) return;
+        panel.remove();
+        this._renderEQPanel();
+        document.getElementById('eq-panel').style.display = this._eqPanelOpen ? 'flex' : 'none';
+        if (this._eqPanelOpen) this.drawEQCurve();
+    },
+
+    // Built-in presets are plain names in the preset picker and "b:{name}" in device bindings
+    _eqPresetOptions(selected, builtInPrefix = '') {
+        const builtIn = Object.keys(this._eqPresets).map(n =>
+            `<option value="${builtInPrefix}${n}"${builtInPrefix + n === selected ? ' selected' : ''}>${n}</option>`).join('');
+        const mine = this._eqUserPresets.map(p =>
+            `<option value="u:${p.id}"${'u:' + p.id === selected ? ' selected' : ''}>${this.esc(p.name)}</option>`).join('');
+        return builtIn + (mine ? `<optgroup label="${this.t('player.eqMyPresets', 'My presets')}">${mine}</optgroup>` : '');
+    },
+
     _renderEQPanel() {
         const freqLabels = ['60Hz', '170', '310', '600', '1k', '3k', '6k', '12k'];
         const macroNames = ['Bass', 'Warmth', 'Clarity', 'Presence', 'Treble'];
-        const presetOptions = Object.keys(this._eqPresets).map(n =>
-            `<option value="${n}"${n === this._eqPreset ? ' selected' : ''}>${n}</option>`
-        ).join('') + `<option value="Custom"${this._eqPreset === 'Custom' ? ' selected' : ''}>${this.t('player.eqCustom', 'Custom')}</option>`;
+        const presetOptions = this._eqPresetOptions(this._eqPreset)
+            + `<option value="Custom"${this._eqPreset === 'Custom' ? ' selected' : ''}>${this.t('player.eqCustom', 'Custom')}</option>`;
+        const userPreset = this._eqUserPresets.find(p => 'u:' + p.id === this._eqPreset);
+        const parametric = this._eqMode === 'parametric';
 
         const macroRows = macroNames.map(name =>
             `<div class="eq-macro-row">
@@ -21794,6 +25246,54 @@ ${body}
             </div>`
         ).join('');
 
+        const typeNames = {
+            peaking: this.t('player.eqPeak', 'Peak'), lowshelf: this.t('player.eqLowShelf', 'Low shelf'),
+            highshelf: this.t('player.eqHighShelf', 'High shelf'), lowpass: this.t('player.eqLowPass', 'Low pass'),
+            highpass: this.t('player.eqHighPass', 'High pass'), notch: this.t('player.eqNotch', 'Notch')
+        };
+        const paramRows = this._eqParam.map((b, i) =>
+            `<div class="eq-param-row">
+                <span class="eq-param-num">${i + 1}</span>
+                <select onchange="App.setEQParam(${i},'type',this.value)">${Object.entries(typeNames).map(([v, l]) =>
+                    `<option value="${v}"${v === b.type ? ' selected' : ''}>${l}</option>`).join('')}</select>
+                <label>${this.t('player.eqFreq', 'Freq')}<input type="number" min="10" max="24000" step="1" value="${Math.round(b.freq)}" onchange="App.setEQParam(${i},'freq',this.value)"><span>Hz</span></label>
+                <label>${this.t('player.eqGain', 'Gain')}<input type="number" min="-30" max="30" step="0.1" value="${b.gain}" onchange="App.setEQParam(${i},'gain',this.value)"><span>dB</span></label>
+                <label>Q<input type="number" min="0.1" max="30" step="0.01" value="${b.q}" onchange="App.setEQParam(${i},'q',this.value)"></label>
+                <button class="eq-param-del" onclick="App.removeEQParamBand(${i})" title="${this.t('player.eqRemoveBand', 'Remove band')}">&#x2715;</button>
+            </div>`
+        ).join('');
+
+        const body = parametric
+            ? `<div class="eq-body">
+                    <div class="eq-right">
+                        <div class="eq-canvas-wrap"><canvas id="eq-canvas"></canvas></div>
+                        <div class="eq-param">
+                            ${paramRows}
+                            ${this._eqParam.length < 20 ? `<button class="eq-tool-btn" onclick="App.addEQParamBand()">+ ${this.t('player.eqAddBand', 'Add band')}</button>` : ''}
+                        </div>
+                    </div>
+                </div>`
+            : `<div class="eq-body">
+                    <div class="eq-macros">${macroRows}</div>
+                    <div class="eq-right">
+                        <div class="eq-canvas-wrap"><canvas id="eq-canvas"></canvas></div>
+                        <div class="eq-bands">${bandSliders}</div>
+                    </div>
+                </div>`;
+
+        // Output-device profile (needs setSinkId; the default output can always have one)
+        const bound = this._eqDevices[this._eqDeviceKeyNow()] || '';
+        const deviceRow = this._audioOutSupported()
+            ? `<div class="eq-device">
+                    <svg style="width:14px;height:14px"><use href="#icon-audio-output"/></svg>
+                    <span class="eq-device-name">${this.t('player.eqDeviceProfile', 'Profile for')} ${this.esc(this._eqDeviceName())}</span>
+                    <select class="eq-preset-select" onchange="App.bindEQToDevice(this.value)">
+                        <option value="">${this.t('player.eqNoDeviceProfile', 'None — use my EQ')}</option>
+                        ${this._eqPresetOptions(bound, 'b:')}
+                    </select>
+                </div>`
+            : '';
+
         const powerClass = this._eqEnabled ? 'on' : 'off';
         const powerLabel = this._eqEnabled ? 'ON' : 'OFF';
 
@@ -21804,252 +25304,3047 @@ ${body}
                         <svg style="width:16px;height:16px"><use href="#icon-equalizer"/></svg>
                         ${this.t('player.equalizer', 'Equalizer')}
                     </span>
+                    <div class="eq-mode">
+                        <button class="${parametric ? '' : 'active'}" onclick="App.setEQMode('graphic')">${this.t('player.eqGraphic', 'Graphic')}</button>
+                        <button class="${parametric ? 'active' : ''}" onclick="App.setEQMode('parametric')">${this.t('player.eqParametric', 'Parametric')}</button>
+                    </div>
                     <select class="eq-preset-select" onchange="App.applyEQPreset(this.value)">${presetOptions}</select>
                     <button class="eq-power-btn ${powerClass}" id="eq-power-btn"
                             onclick="App.setEQEnabled(!App._eqEnabled)">${powerLabel}</button>
                     <button class="eq-close-btn" onclick="App.toggleEQPanel()">&#x2715;</button>
                 </div>
-                <div class="eq-body">
-                    <div class="eq-macros">${macroRows}</div>
-                    <div class="eq-right">
-                        <div class="eq-canvas-wrap"><canvas id="eq-canvas"></canvas></div>
-                        <div class="eq-bands">${bandSliders}</div>
+                <div class="eq-toolbar">
+                    <label class="eq-preamp">${this.t('player.eqPreamp', 'Preamp')}
+                        <input type="range" min="-24" max="12" step="0.1" value="${this._eqPreamp}" oninput="App.setEQPreamp(parseFloat(this.value))">
+                        <span id="eq-preamp-val">${this._eqPreamp > 0 ? '+' : ''}${this._eqPreamp.toFixed(1)} dB</span>
+                    </label>
+                    <div class="eq-toolbar-actions">
+                        <button class="eq-tool-btn" onclick="App.saveEQPreset()">${this.t('player.eqSave', 'Save…')}</button>
+                        ${userPreset ? `<button class="eq-tool-btn" onclick="App.renameEQPreset()">${this.t('player.eqRename', 'Rename')}</button>
+                        <button class="eq-tool-btn eq-tool-danger" onclick="App.deleteEQPreset()">${this.t('player.eqDelete', 'Delete')}</button>` : ''}
+                        <button class="eq-tool-btn" onclick="App.toggleFxPanel()">${this.t('fx.open', 'Effects…')}</button>
+                        <button class="eq-tool-btn" onclick="App.importAutoEq()" title="${this.t('player.eqImportHint', 'AutoEQ / Equalizer APO ParametricEQ.txt')}">${this.t('player.eqImport', 'Import…')}</button>
                     </div>
                 </div>
+                ${body}
+                ${deviceRow}
             </div>`
         );
     },
 
     applyEQPreset(name) {
-        if (!this._eqPresets[name]) return;
+        const user = this._eqUserPresets.find(p => 'u:' + p.id === name);
+        if (!user && !this._eqPresets[name]) return;
         this._eqPreset = name;
-        this._eqBands = [...this._eqPresets[name]];
-        this._eqBands.forEach((dB, i) => {
-            this._setEQGain(this._eqFilters[i], this._eqEnabled ? dB : 0);
+        if (user) {
+            this._eqMode = user.mode;
+            this._eqPreamp = user.preamp;
+            if (user.mode === 'parametric') this._eqParam = user.bands.map(b => ({ ...b }));
+            else this._eqBands = this._eqFreqs.map((f, i) => user.bands[i]?.gain ?? 0);
+        } else {
+            this._eqMode = 'graphic';
+            this._eqPreamp = 0;
+            this._eqBands = [...this._eqPresets[name]];
+        }
+        this._eqApply();
+        this._eqRefreshPanel();
+        this.saveEQState();
+    },
+
+    setEQBand(i, dB) {
+        this._eqBands[i] = dB;
+        this._setEQGain(this._eqFilters[i], this._eqEnabled ? dB : 0);
+        const bands = document.querySelectorAll('.eq-band');
+        if (bands[i]) {
+            const l = bands[i].querySelector('.eq-band-db');
+            if (l) l.textContent = (dB > 0 ? '+' : '') + dB;
+        }
+        this._eqMarkCustom();
+    },
+
+    applyEQMacro(name, val, prevVal) {
+        const macro = this._eqMacros[name]; if (!macro) return;
+        const delta = val - prevVal;
+        macro.bands.forEach((bi, j) => {
+            this._eqBands[bi] = Math.round(Math.max(-12, Math.min(12, this._eqBands[bi] + delta * macro.coeff[j])) * 10) / 10;
+            this._setEQGain(this._eqFilters[bi], this._eqEnabled ? this._eqBands[bi] : 0);
         });
-        const panel = document.getElementById('eq-panel');
-        if (panel) {
-            panel.querySelectorAll('.eq-band').forEach((el, i) => {
-                const s = el.querySelector('.eq-band-slider'); if (s) s.value = this._eqBands[i];
-                const l = el.querySelector('.eq-band-db'); if (l) l.textContent = (this._eqBands[i] > 0 ? '+' : '') + this._eqBands[i];
-            });
-            panel.querySelectorAll('.eq-macro-slider').forEach(s => { s.value = 0; s.dataset.prev = '0'; });
-            const sel = panel.querySelector('.eq-preset-select'); if (sel) sel.value = name;
+        const bands = document.querySelectorAll('.eq-band');
+        macro.bands.forEach(bi => {
+            if (!bands[bi]) return;
+            const s = bands[bi].querySelector('.eq-band-slider'); if (s) s.value = this._eqBands[bi];
+            const l = bands[bi].querySelector('.eq-band-db'); if (l) l.textContent = (this._eqBands[bi] > 0 ? '+' : '') + this._eqBands[bi];
+        });
+        this._eqMarkCustom();
+    },
+
+    // A hand edit detaches the curve from its preset
+    _eqMarkCustom() {
+        this._eqPreset = 'Custom';
+        const sel = document.querySelector('#eq-panel .eq-header .eq-preset-select'); if (sel) sel.value = 'Custom';
+        this.drawEQCurve();
+        this.saveEQState();
+    },
+
+    setEQMode(mode) {
+        if (mode === this._eqMode) return;
+        // Start the parametric editor from the graphic curve so switching doesn't change the sound
+        if (mode === 'parametric' && this._eqParam.length === 0) this._eqParam = this._eqBandDefs().map(b => ({ ...b }));
+        this._eqMode = mode;
+        this._eqPreset = 'Custom';
+        this._eqApply();
+        this._eqRefreshPanel();
+        this.saveEQState();
+    },
+
+    setEQParam(i, key, value) {
+        const b = this._eqParam[i];
+        if (!b) return;
+        if (key === 'type') b.type = value;
+        else {
+            const v = parseFloat(value);
+            if (isNaN(v)) return;
+            const limits = { freq: [10, 24000], gain: [-30, 30], q: [0.1, 30] }[key];
+            b[key] = Math.max(limits[0], Math.min(limits[1], v));
         }
+        this._eqApply();
+        this._eqMarkCustom();
+    },
+
+    addEQParamBand() {
+        if (this._eqParam.length >= 20) return;
+        this._eqParam.push({ type: 'peaking', freq: 1000, gain: 0, q: 1 });
+        this._eqApply();
+        this._eqRefreshPanel();
+        this._eqMarkCustom();
+    },
+
+    removeEQParamBand(i) {
+        this._eqParam.splice(i, 1);
+        this._eqApply();
+        this._eqRefreshPanel();
+        this._eqMarkCustom();
+    },
+
+    setEQPreamp(dB) {
+        this._eqPreamp = Math.round(Math.max(-30, Math.min(30, dB)) * 10) / 10;
+        this._eqApply();
+        const l = document.getElementById('eq-preamp-val');
+        if (l) l.textContent = `${this._eqPreamp > 0 ? '+' : ''}${this._eqPreamp.toFixed(1)} dB`;
+        this._eqMarkCustom();
+    },
+
+    setEQEnabled(bool) {
+        this._eqEnabled = !!bool;
+        this._eqApply();
+        const btn = document.getElementById('eq-power-btn');
+        if (btn) { btn.textContent = this._eqEnabled ? 'ON' : 'OFF'; btn.className = 'eq-power-btn ' + (this._eqEnabled ? 'on' : 'off'); }
         this.drawEQCurve();
         this.saveEQState();
     },
 
-    setEQBand(i, dB) {
-        this._eqBands[i] = dB;
-        this._setEQGain(this._eqFilters[i], this._eqEnabled ? dB : 0);
-        const bands = document.querySelectorAll('.eq-band');
-        if (bands[i]) {
-            const l = bands[i].querySelector('.eq-band-db');
-            if (l) l.textContent = (dB > 0 ? '+' : '') + dB;
+    drawEQCurve() {
+        const canvas = document.getElementById('eq-canvas');
+        if (!canvas) return;
+        const ctx = canvas.getContext('2d');
+        const w = canvas.clientWidth || 400;
+        const h = canvas.clientHeight || 140;
+        canvas.width = w; canvas.height = h;
+        ctx.clearRect(0, 0, w, h);
+
+        // Grid lines
+        ctx.strokeStyle = 'rgba(255,255,255,0.06)'; ctx.lineWidth = 1;
+        [-12, -6, 0, 6, 12].forEach(db => {
+            const y = h * (1 - (db + 15) / 30);
+            ctx.beginPath(); ctx.moveTo(0, y); ctx.lineTo(w, y); ctx.stroke();
+        });
+        const y0 = h * (1 - 15 / 30); // 0dB line
+        ctx.strokeStyle = 'rgba(255,255,255,0.12)';
+        ctx.beginPath(); ctx.moveTo(0, y0); ctx.lineTo(w, y0); ctx.stroke();
+
+        const accent = getComputedStyle(document.documentElement).getPropertyValue('--accent').trim() || '#4d8bf5';
+
+        if (!this._eqEnabled) {
+            ctx.strokeStyle = 'rgba(150,150,150,0.5)'; ctx.lineWidth = 2;
+            ctx.beginPath(); ctx.moveTo(0, y0); ctx.lineTo(w, y0); ctx.stroke();
+            return;
+        }
+
+        const N = 200;
+        const freqs = new Float32Array(N);
+        for (let i = 0; i < N; i++) freqs[i] = 20 * Math.pow(1000, i / (N - 1));
+
+        const defs = this._eqBandDefs();
+        const combined = new Float32Array(N).fill(Math.pow(10, this._eqPreamp / 20));
+        if (this._eqFilters.length > 0 && this._eqFilters.length === defs.length) {
+            const mag = new Float32Array(N); const ph = new Float32Array(N);
+            this._eqFilters.forEach(f => { f.getFrequencyResponse(freqs, mag, ph); for (let i = 0; i < N; i++) combined[i] *= mag[i]; });
+        } else {
+            // No audio context yet — approximate each band with a bell on a log-frequency axis
+            defs.forEach(b => {
+                const g = b.gain; if (g === 0) return;
+                const lcf = Math.log10(b.freq); const sigma = 0.3;
+                for (let i = 0; i < N; i++) {
+                    const d = (Math.log10(freqs[i]) - lcf) / sigma;
+                    combined[i] *= Math.pow(10, g * Math.exp(-0.5 * d * d) / 20);
+                }
+            });
+        }
+
+        const pts = [];
+        for (let i = 0; i < N; i++) {
+            const x = i / (N - 1) * w;
+            const db = Math.max(-15, Math.min(15, 20 * Math.log10(Math.max(combined[i], 1e-6))));
+            pts.push({ x, y: h * (1 - (db + 15) / 30) });
+        }
+
+        // Gradient fill
+        ctx.beginPath();
+        ctx.moveTo(pts[0].x, pts[0].y);
+        pts.forEach(p => ctx.lineTo(p.x, p.y));
+        ctx.lineTo(w, h); ctx.lineTo(0, h); ctx.closePath();
+        ctx.globalAlpha = 0.2; ctx.fillStyle = accent; ctx.fill(); ctx.globalAlpha = 1;
+
+        // Curve
+        ctx.beginPath();
+        ctx.moveTo(pts[0].x, pts[0].y);
+        pts.forEach(p => ctx.lineTo(p.x, p.y));
+        ctx.strokeStyle = accent; ctx.lineWidth = 2;
+        ctx.shadowBlur = 8; ctx.shadowColor = accent; ctx.stroke(); ctx.shadowBlur = 0;
+
+        // Band dots
+        const logMin = Math.log10(20); const logMax = Math.log10(20000);
+        defs.forEach(b => {
+            const x = ((Math.log10(b.freq) - logMin) / (logMax - logMin)) * w;
+            const db = Math.max(-15, Math.min(15, b.gain));
+            const y = h * (1 - (db + 15) / 30);
+            ctx.beginPath(); ctx.arc(x, y, 4, 0, Math.PI * 2);
+            ctx.fillStyle = accent; ctx.fill();
+            ctx.strokeStyle = '#1e1e1e'; ctx.lineWidth = 1.5; ctx.stroke();
+        });
+    },
+
+    // The user's own EQ. While an output device's profile is applied it isn't touched, so
+    // switching back to an unbound device restores it.
+    saveEQState() {
+        if (this._eqDeviceKey !== null) return;
+        try {
+            localStorage.setItem('nexusm-eq', JSON.stringify({
+                enabled: this._eqEnabled, preset: this._eqPreset, bands: this._eqBands,
+                mode: this._eqMode, preamp: this._eqPreamp, param: this._eqParam
+            }));
+        } catch (e) {}
+    },
+
+    loadEQState() {
+        try {
+            const raw = localStorage.getItem('nexusm-eq');
+            if (!raw) return;
+            const s = JSON.parse(raw);
+            if (typeof s.enabled === 'boolean') this._eqEnabled = s.enabled;
+            if (typeof s.preset === 'string') this._eqPreset = s.preset;
+            if (Array.isArray(s.bands) && s.bands.length === 8) this._eqBands = s.bands;
+            if (s.mode === 'graphic' || s.mode === 'parametric') this._eqMode = s.mode;
+            if (typeof s.preamp === 'number') this._eqPreamp = s.preamp;
+            if (Array.isArray(s.param)) this._eqParam = s.param.filter(b => b && b.type && b.freq > 0).slice(0, 20);
+        } catch (e) {}
+    },
+
+    // ── Saved presets (server) ──
+
+    async _eqLoadPresets(applyDevice = true) {
+        const data = await this.api('eq/presets');
+        if (!data) return;
+        this._eqUserPresets = data.presets || [];
+        this._eqDevices = data.devices || {};
+        // A saved preset deleted from another device leaves the curve in place as Custom
+        if (this._eqPreset.startsWith('u:') && !this._eqUserPresets.some(p => 'u:' + p.id === this._eqPreset)) this._eqPreset = 'Custom';
+        if (applyDevice) this._eqApplyDeviceProfile();
+        this._eqRefreshPanel();
+    },
+
+    _eqSettings() {
+        return {
+            mode: this._eqMode, preamp: this._eqPreamp,
+            bands: this._eqBandDefs().map(b => ({ type: b.type, freq: b.freq, gain: b.gain, q: b.q }))
+        };
+    },
+
+    async _eqStorePreset(name, settings, id = null) {
+        const body = { name, ...settings };
+        const res = id ? await this.apiPut(`eq/presets/${id}`, body) : await this.apiPost('eq/presets', body);
+        if (!res || !res.id) { alert(res?.error || this.t('player.eqSaveFailed', 'Could not save the preset.')); return null; }
+        await this._eqLoadPresets(false);
+        return res.id;
+    },
+
+    async saveEQPreset(defaultName = '') {
+        const current = this._eqUserPresets.find(p => 'u:' + p.id === this._eqPreset);
+        const name = (prompt(this.t('player.eqSaveName', 'Save preset as:'), defaultName || current?.name || '') || '').trim();
+        if (!name) return null;
+        // Saving under an existing name replaces that preset
+        const existing = this._eqUserPresets.find(p => p.name.toLowerCase() === name.toLowerCase());
+        if (existing && existing !== current && !confirm(this.t('player.eqReplaceConfirm', 'Replace the preset "{name}"?').replace('{name}', existing.name))) return null;
+        const id = await this._eqStorePreset(name, this._eqSettings(), existing?.id);
+        if (!id) return null;
+        this._eqPreset = 'u:' + id;
+        this._eqRefreshPanel();
+        this.saveEQState();
+        return id;
+    },
+
+    async renameEQPreset() {
+        const p = this._eqUserPresets.find(x => 'u:' + x.id === this._eqPreset);
+        if (!p) return;
+        const name = (prompt(this.t('player.eqRenameTo', 'Rename preset to:'), p.name) || '').trim();
+        if (!name || name === p.name) return;
+        await this._eqStorePreset(name, { mode: p.mode, preamp: p.preamp, bands: p.bands }, p.id);
+        this._eqRefreshPanel();
+    },
+
+    async deleteEQPreset() {
+        const p = this._eqUserPresets.find(x => 'u:' + x.id === this._eqPreset);
+        if (!p || !confirm(this.t('player.eqDeleteConfirm', 'Delete the preset "{name}"? Output devices using it go back to your EQ.').replace('{name}', p.name))) return;
+        const res = await this.apiDelete(`eq/presets/${p.id}`);
+        if (!res) return;
+        this._eqPreset = 'Custom';
+        await this._eqLoadPresets();
+        this.saveEQState();
+    },
+
+    // ── AutoEQ / Equalizer APO import ──
+
+    importAutoEq() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.txt,text/plain';
+        input.onchange = async () => {
+            const file = input.files[0];
+            if (!file) return;
+            const parsed = this._parseAutoEq(await file.text());
+            if (!parsed) { alert(this.t('player.eqImportEmpty', 'No filters found. Choose an AutoEQ or Equalizer APO "ParametricEQ.txt" file.')); return; }
+            this._eqMode = 'parametric';
+            this._eqParam = parsed.bands;
+            this._eqPreamp = parsed.preamp;
+            this._eqApply();
+            this._eqMarkCustom();
+            this._eqRefreshPanel();
+            // "Sennheiser HD 650 ParametricEQ.txt" → "Sennheiser HD 650"
+            const name = file.name.replace(/\.txt$/i, '').replace(/\s*ParametricEQ$/i, '').trim();
+            const id = await this.saveEQPreset(name);
+            if (id && this._audioOutSupported()
+                && confirm(this.t('player.eqBindConfirm', 'Use this preset automatically on {device}?').replace('{device}', this._eqDeviceName()))) {
+                this.bindEQToDevice('u:' + id);
+            }
+        };
+        input.click();
+    },
+
+    // Equalizer APO / AutoEQ ParametricEQ.txt:
+    //   Preamp: -6.2 dB
+    //   Filter 1: ON LSC Fc 105 Hz Gain 5.5 dB Q 0.70
+    //   Filter 2: ON PK Fc 1981 Hz Gain 4.1 dB Q 1.34
+    // Web Audio shelves have a fixed slope and ignore Q — close to the Q 0.7 AutoEQ uses for them.
+    _parseAutoEq(text) {
+        const types = {
+            PK: 'peaking', PEQ: 'peaking', LS: 'lowshelf', LSC: 'lowshelf', LSQ: 'lowshelf',
+            HS: 'highshelf', HSC: 'highshelf', HSQ: 'highshelf', LP: 'lowpass', LPQ: 'lowpass',
+            HP: 'highpass', HPQ: 'highpass', NO: 'notch'
+        };
+        const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+        let preamp = 0;
+        const bands = [];
+        text.split(/\r?\n/).forEach(line => {
+            const pre = line.match(/^\s*Preamp:\s*([-+]?\d+(?:\.\d+)?)\s*dB/i);
+            if (pre) { preamp += parseFloat(pre[1]); return; }
+            const m = line.match(/^\s*Filter\s*\d*\s*:\s*ON\s+([A-Z]+)\s+Fc\s+([\d.]+)\s*Hz(?:\s+Gain\s+([-+]?[\d.]+)\s*dB)?(?:\s+Q\s+([\d.]+))?/i);
+            const type = m && types[m[1].toUpperCase()];
+            if (!type) return;
+            bands.push({
+                type, freq: clamp(parseFloat(m[2]), 10, 24000), gain: clamp(parseFloat(m[3] || '0'), -30, 30),
+                q: clamp(parseFloat(m[4]) || 0.7071, 0.1, 30)
+            });
+        });
+        return bands.length ? { preamp: clamp(preamp, -30, 30), bands: bands.slice(0, 20) } : null;
+    },
+
+    // ── Output-device profiles ──
+    // Devices are keyed by label (stable across browsers and sessions); '' = the system default.
+
+    _eqDeviceKeyNow() {
+        return this._audioSinkId ? (this._audioSinkLabel || this._audioSinkId) : '';
+    },
+
+    _eqDeviceName() {
+        return this._audioSinkId ? (this._audioSinkLabel || this.t('player.eqUnnamedDevice', 'Selected output')) : this.t('player.eqDefaultDevice', 'Default output');
+    },
+
+    async bindEQToDevice(preset) {
+        const res = await this.apiPut('eq/devices', { device: this._eqDeviceKeyNow(), preset: preset || null });
+        if (!res || !res.devices) return;
+        this._eqDevices = res.devices;
+        this._eqApplyDeviceProfile();
+        this._eqRefreshPanel();
+    },
+
+    // Called when the output device changes and once presets have loaded
+    _eqApplyDeviceProfile() {
+        const key = this._eqDeviceKeyNow();
+        const preset = this._eqDevices[key];
+        const name = preset?.startsWith('b:') ? preset.slice(2) : preset;
+        if (name && (this._eqPresets[name] || this._eqUserPresets.some(p => 'u:' + p.id === name))) {
+            this._eqDeviceKey = key;
+            this.applyEQPreset(name);
+        } else if (this._eqDeviceKey !== null) {
+            // Back on a device without a profile → restore the user's own EQ
+            this._eqDeviceKey = null;
+            this._eqMode = 'graphic';
+            this._eqPreamp = 0;
+            this._eqBands = [...this._eqPresets['Flat']];
+            this._eqPreset = 'Flat';
+            this._eqParam = [];
+            this.loadEQState();
+            this._eqApply();
+            this._eqRefreshPanel();
+        }
+    },
+
+    // ─── Audio Effects ────────────────────────────────────────────────
+    // Sits between the EQ filters and the limiter in the same Web Audio graph:
+    //   pitch shift → compressor → make-up → dialog lift → mono → stereo upmix → crossfeed/balance matrix → limiter
+    // Every stage is always connected and set to a neutral value when off, so toggling never
+    // re-wires the graph mid-song. Music and video keep separate settings — the profile follows
+    // whichever element is connected (movies get night mode without touching the music sound).
+    // Speed is the element's playbackRate (music only; audiobooks and videos have their own).
+    // Pitch shift (music only, in semitones) runs in parallel with a dry path; only one is audible.
+
+    _fxDynamics: {
+        off:   { threshold: 0,   knee: 0,  ratio: 1, attack: 0.003, release: 0.25, makeup: 0, dialog: 0 },
+        light: { threshold: -24, knee: 12, ratio: 3, attack: 0.01,  release: 0.25, makeup: 0, dialog: 0 },
+        // The compressor already applies automatic make-up gain; night mode lifts quiet dialog a
+        // little further and adds presence around 2.5 kHz so voices stay clear at low volume
+        night: { threshold: -36, knee: 12, ratio: 8, attack: 0.003, release: 0.3,  makeup: 2, dialog: 4 }
+    },
+    _fxCrossfeed: {
+        off:    { level: 0,    cutoff: 700 },
+        light:  { level: 0.25, cutoff: 700 },
+        normal: { level: 0.35, cutoff: 650 },
+        strong: { level: 0.5,  cutoff: 600 }
+    },
+
+    _fxInit() {
+        const ctx = this._audioCtx;
+        this._fxInput = ctx.createGain();
+        this._fxComp = ctx.createDynamicsCompressor();
+        this._fxMakeup = ctx.createGain();
+        this._fxDialog = ctx.createBiquadFilter();
+        this._fxDialog.type = 'peaking';
+        this._fxDialog.frequency.value = 2500;
+        this._fxDialog.Q.value = 0.8;
+        // Mono: a gain node forced to 1 channel downmixes L+R; 2 channels = pass-through
+        this._fxMono = ctx.createGain();
+        this._fxMono.channelCountMode = 'explicit';
+        this._fxMono.channelInterpretation = 'speakers';
+        // The splitter treats channels discretely — upmix first so mono files reach both ears
+        const upmix = ctx.createGain();
+        upmix.channelCount = 2;
+        upmix.channelCountMode = 'explicit';
+        upmix.channelInterpretation = 'speakers';
+        const split = ctx.createChannelSplitter(2);
+        const merge = ctx.createChannelMerger(2);
+        this._fxBal = [ctx.createGain(), ctx.createGain()];
+        this._fxDirect = [ctx.createGain(), ctx.createGain()];
+        this._fxCross = [0, 1].map(() => {
+            const lp = ctx.createBiquadFilter();
+            lp.type = 'lowpass';
+            const delay = ctx.createDelay(0.01);
+            delay.delayTime.value = 0.0003;   // ~0.3 ms interaural delay
+            const gain = ctx.createGain();
+            lp.connect(delay); delay.connect(gain);
+            return { lp, gain };
+        });
+        this._fxPitch = this._fxPitchShifter(ctx);
+        this._fxDry = ctx.createGain();
+        this._fxInput.connect(this._fxDry);
+        this._fxInput.connect(this._fxPitch.input);
+        this._fxDry.connect(this._fxComp);
+        this._fxPitch.output.connect(this._fxComp);
+        this._fxComp.connect(this._fxMakeup);
+        this._fxMakeup.connect(this._fxDialog);
+        this._fxDialog.connect(this._fxMono);
+        this._fxMono.connect(upmix);
+        upmix.connect(split);
+        [0, 1].forEach(ch => {
+            split.connect(this._fxDirect[ch], ch);
+            this._fxDirect[ch].connect(this._fxBal[ch]);
+            // Each ear also gets a low-passed, delayed copy of the other channel
+            split.connect(this._fxCross[ch].lp, ch);
+            this._fxCross[ch].gain.connect(this._fxBal[1 - ch]);
+            this._fxBal[ch].connect(merge, 0, ch);
+        });
+        merge.connect(this._eqLimiter);
+        this._fxApply();
+    },
+
+    // Settings of the element currently connected to the graph
+    _fxProfile() {
+        return this._eqConnectedEl?.tagName === 'VIDEO' ? this._fxVideo : this._fx;
+    },
+
+    _fxApply() {
+        if (!this._fxInput) return;
+        const fx = this._fxProfile();
+        const now = this._audioCtx.currentTime;
+        const dyn = this._fxDynamics[fx.comp] || this._fxDynamics.off;
+        this._fxComp.threshold.value = dyn.threshold;
+        this._fxComp.knee.value = dyn.knee;
+        this._fxComp.ratio.value = dyn.ratio;
+        this._fxComp.attack.value = dyn.attack;
+        this._fxComp.release.value = dyn.release;
+        this._fxMakeup.gain.setTargetAtTime(Math.pow(10, dyn.makeup / 20), now, 0.05);
+        this._fxDialog.gain.setTargetAtTime(dyn.dialog, now, 0.05);
+        this._fxMono.channelCount = fx.mono ? 1 : 2;
+        const xf = this._fxCrossfeed[fx.crossfeed] || this._fxCrossfeed.off;
+        [0, 1].forEach(ch => {
+            this._fxCross[ch].lp.frequency.value = xf.cutoff;
+            this._fxCross[ch].gain.gain.setTargetAtTime(xf.level, now, 0.05);
+            // Keep the overall level roughly constant as crossfeed adds energy in the bass
+            this._fxDirect[ch].gain.setTargetAtTime(1 - xf.level * 0.3, now, 0.05);
+        });
+        // Balance turns the opposite side down rather than panning one channel into the other
+        const bal = Math.max(-1, Math.min(1, fx.balance || 0));
+        this._fxBal[0].gain.setTargetAtTime(bal > 0 ? 1 - bal : 1, now, 0.05);
+        this._fxBal[1].gain.setTargetAtTime(bal < 0 ? 1 + bal : 1, now, 0.05);
+        const semis = fx.pitch || 0;
+        this._fxDry.gain.setTargetAtTime(semis ? 0 : 1, now, 0.02);
+        this._fxPitch.set(semis, now);
+    },
+
+    // Delay-line pitch shifter built from native nodes (AudioWorklet needs a secure context, and
+    // NexusM is usually reached over plain http on the LAN). Two delay lines sweep their delay
+    // time along a sawtooth — a falling delay raises the pitch, a rising one lowers it — and
+    // crossfade so each line's jump back to the start of its sweep is never heard.
+    _fxPitchShifter(ctx) {
+        const cycle = 0.1, fade = 0.05;   // seconds per sweep, crossfade length
+        const active = Math.round(cycle * ctx.sampleRate);
+        const length = active + Math.round((cycle - 2 * fade) * ctx.sampleRate);
+        const fadeLen = Math.round(fade * ctx.sampleRate);
+        const buffer = fn => {
+            const b = ctx.createBuffer(1, length, ctx.sampleRate);
+            const d = b.getChannelData(0);
+            for (let i = 0; i < active; i++) d[i] = fn(i);   // the rest of the cycle stays silent
+            return b;
+        };
+        const rampUp = buffer(i => i / active);
+        const rampDown = buffer(i => 1 - i / active);
+        const fadeBuf = buffer(i => i < fadeLen ? Math.sqrt(i / fadeLen)
+            : i >= active - fadeLen ? Math.sqrt((active - i) / fadeLen) : 1);
+
+        const input = ctx.createGain(), output = ctx.createGain();
+        output.gain.value = 0;
+        const start = ctx.currentTime + 0.05;
+        const loop = (buf, offset) => {
+            const src = ctx.createBufferSource();
+            src.buffer = buf;
+            src.loop = true;
+            src.start(start + offset);
+            return src;
+        };
+        // Two identical lines, the second half a sweep behind the first
+        const lines = [0, cycle - fade].map(offset => {
+            const delay = ctx.createDelay(1);
+            const depth = ctx.createGain();          // sweep range in seconds
+            const up = ctx.createGain(), down = ctx.createGain();
+            loop(rampDown, offset).connect(up);      // shrinking delay → higher pitch
+            loop(rampUp, offset).connect(down);      // growing delay → lower pitch
+            up.connect(depth); down.connect(depth);
+            depth.connect(delay.delayTime);
+            const mix = ctx.createGain();
+            mix.gain.value = 0;
+            loop(fadeBuf, offset).connect(mix.gain);
+            input.connect(delay);
+            delay.connect(mix);
+            mix.connect(output);
+            return { depth, up, down };
+        });
+        return {
+            input, output,
+            set: (semitones, now) => {
+                // A sweep changing the delay by `rate` seconds per second shifts pitch by a factor of 1 ± rate
+                const rate = Math.pow(2, semitones / 12) - 1;
+                lines.forEach(l => {
+                    l.up.gain.value = rate > 0 ? 1 : 0;
+                    l.down.gain.value = rate > 0 ? 0 : 1;
+                    l.depth.gain.setTargetAtTime(Math.abs(rate) * cycle, now, 0.01);
+                });
+                output.gain.setTargetAtTime(semitones ? 1 : 0, now, 0.02);
+            }
+        };
+    },
+
+    // Music decks play at the chosen speed; everything else on the player bar at normal speed.
+    // defaultPlaybackRate is set too because loading a new src resets playbackRate to it.
+    _fxApplySpeed(deck = this.audioPlayer) {
+        if (!deck || this.isAudioBookPlaying) return;   // audiobooks keep their own speed control
+        const music = !!this.currentTrack && !this.isRadioPlaying;
+        const stretch = music ? this._amRates?.get(deck) || 1 : 1;   // automix tempo match
+        const rate = music ? this._fx.speed * stretch : 1;
+        deck.defaultPlaybackRate = rate;
+        if (deck.playbackRate !== rate) deck.playbackRate = rate;
+        // A tempo-matched track keeps its key, or the harmonic mix would clash
+        deck.preservesPitch = !music || this._fx.keepPitch || stretch !== 1;
+    },
+
+    saveFxState() {
+        try { localStorage.setItem('nexusm-fx', JSON.stringify({ music: this._fx, video: this._fxVideo })); } catch (e) {}
+    },
+
+    loadFxState() {
+        try {
+            const s = JSON.parse(localStorage.getItem('nexusm-fx') || 'null');
+            if (!s) return;
+            if (s.music) Object.assign(this._fx, s.music);
+            if (s.video) Object.assign(this._fxVideo, s.video);
+            this._fx.speed = Math.max(0.5, Math.min(2, Number(this._fx.speed) || 1));
+            this._fx.pitch = Math.max(-12, Math.min(12, Math.round(Number(this._fx.pitch) || 0)));
+        } catch (e) {}
+    },
+
+    toggleFxPanel(profile = null) {
+        this._fxPanelOpen = !this._fxPanelOpen || !!profile;
+        document.getElementById('fx-panel')?.remove();
+        if (!this._fxPanelOpen) return;
+        this._fxEditing = profile || (this._eqConnectedEl?.tagName === 'VIDEO' ? 'video' : 'music');
+        this._renderFxPanel();
+    },
+
+    _renderFxPanel() {
+        document.getElementById('fx-panel')?.remove();
+        const video = this._fxEditing === 'video';
+        const fx = video ? this._fxVideo : this._fx;
+        const opts = (values, current, prefix) => values.map(v =>
+            `<option value="${v}"${v === current ? ' selected' : ''}>${this.t(prefix + v)}</option>`).join('');
+        const balLabel = fx.balance === 0 ? this.t('fx.center', 'Center')
+            : `${Math.round(Math.abs(fx.balance) * 100)}% ${fx.balance < 0 ? this.t('fx.left', 'L') : this.t('fx.right', 'R')}`;
+
+        document.body.insertAdjacentHTML('beforeend',
+            `<div id="fx-panel">
+                <div class="eq-header" style="display:flex;align-items:center">
+                    <span class="eq-header-title">${this.t('fx.title', 'Audio effects')}</span>
+                    <div class="eq-mode">
+                        <button class="${video ? '' : 'active'}" onclick="App._fxEditing='music';App._renderFxPanel()">${this.t('fx.music', 'Music')}</button>
+                        <button class="${video ? 'active' : ''}" onclick="App._fxEditing='video';App._renderFxPanel()">${this.t('fx.video', 'Video')}</button>
+                    </div>
+                    <button class="eq-close-btn" onclick="App.toggleFxPanel()">&#x2715;</button>
+                </div>
+                <div class="fx-body">
+                    <label class="fx-row"><span>${this.t('fx.dynamics', 'Dynamics')}</span>
+                        <select onchange="App.setFx('comp',this.value)">${opts(['off', 'light', 'night'], fx.comp, 'fx.dynamics.')}</select></label>
+                    <div class="fx-hint">${this.t('fx.dynamicsHint')}</div>
+                    <label class="fx-row"><span>${this.t('fx.crossfeed', 'Crossfeed')}</span>
+                        <select onchange="App.setFx('crossfeed',this.value)">${opts(['off', 'light', 'normal', 'strong'], fx.crossfeed, 'fx.crossfeed.')}</select></label>
+                    <div class="fx-hint">${this.t('fx.crossfeedHint')}</div>
+                    <label class="fx-row"><span>${this.t('fx.mono', 'Mono')}</span>
+                        <input type="checkbox"${fx.mono ? ' checked' : ''} onchange="App.setFx('mono',this.checked)"></label>
+                    <label class="fx-row"><span>${this.t('fx.balance', 'Balance')}</span>
+                        <input type="range" min="-1" max="1" step="0.05" value="${fx.balance}" ondblclick="App.setFx('balance',0)" oninput="App.setFx('balance',parseFloat(this.value),true)">
+                        <em id="fx-balance-val">${balLabel}</em></label>
+                    ${video ? '' : `
+                    <label class="fx-row"><span>${this.t('fx.speed', 'Speed')}</span>
+                        <input type="range" min="0.5" max="2" step="0.05" value="${fx.speed}" ondblclick="App.setFx('speed',1)" oninput="App.setFx('speed',parseFloat(this.value),true)">
+                        <em id="fx-speed-val">${fx.speed.toFixed(2)}×</em></label>
+                    <label class="fx-row"><span>${this.t('fx.keepPitch', 'Keep pitch')}</span>
+                        <input type="checkbox"${fx.keepPitch ? ' checked' : ''} onchange="App.setFx('keepPitch',this.checked)"></label>
+                    <div class="fx-hint">${this.t('fx.speedHint')}</div>
+                    <label class="fx-row"><span>${this.t('fx.pitch', 'Pitch')}</span>
+                        <input type="range" min="-12" max="12" step="1" value="${fx.pitch || 0}" ondblclick="App.setFx('pitch',0)" oninput="App.setFx('pitch',parseInt(this.value,10),true)">
+                        <em id="fx-pitch-val">${this._fxPitchLabel(fx.pitch)}</em></label>`}
+                </div>
+            </div>`);
+    },
+
+    // live = slider drag: update the value label only, don't re-render the panel
+    setFx(key, value, live = false) {
+        const fx = this._fxEditing === 'video' ? this._fxVideo : this._fx;
+        fx[key] = value;
+        this._fxApply();
+        if (key === 'speed' || key === 'keepPitch') this._audioDecks.forEach(d => this._fxApplySpeed(d));
+        this.saveFxState();
+        if (live && key === 'pitch') {
+            const l = document.getElementById('fx-pitch-val');
+            if (l) l.textContent = this._fxPitchLabel(value);
+        } else if (live) {
+            const l = document.getElementById(key === 'speed' ? 'fx-speed-val' : 'fx-balance-val');
+            if (l && key === 'speed') l.textContent = value.toFixed(2) + '×';
+            else if (l) l.textContent = value === 0 ? this.t('fx.center', 'Center')
+                : `${Math.round(Math.abs(value) * 100)}% ${value < 0 ? this.t('fx.left', 'L') : this.t('fx.right', 'R')}`;
+        } else {
+            this._renderFxPanel();
+        }
+    },
+
+    _fxPitchLabel(semitones) {
+        if (!semitones) return this.t('fx.pitchOriginal', 'Original');
+        return `${semitones > 0 ? '+' : '−'}${Math.abs(semitones)} ${this.t('fx.semitones', 'st')}`;
+    },
+
+    // Video overflow-menu shortcut: dialog-friendly night mode on/off
+    _vpToggleNightMode() {
+        this._fxVideo.comp = this._fxVideo.comp === 'night' ? 'off' : 'night';
+        this._fxApply();
+        this.saveFxState();
+        if (this._vpBuildMoreMenu) this._vpBuildMoreMenu();
+        if (document.getElementById('fx-panel')) this._renderFxPanel();
+    },
+
+    // ─── Practice: A–B Loop & Count-in ────────────────────────────────────────
+    // For learning songs: drag across the progress bar (or press [ and ] while playing) to loop a
+    // region of the current music track, optionally with a metronome count-in before each repeat.
+    // Loops can be saved by name per track (server-side, per user). Speed and pitch shown in the
+    // practice panel are the music effect settings above, so they also apply outside a loop.
+    _loop: null,            // { trackId, a, b } seconds; b is null until the end is set
+    _loopTimer: null,       // 25 ms watcher while a complete loop is set (timeupdate is too coarse)
+    _loopPrev: 0,           // playback position at the previous watcher tick
+    _loopCounting: null,    // timeout of a count-in in progress
+    _loopCountIn: 0,        // metronome clicks before each repeat (0 = off)
+    _loopBpm: 100,          // count-in tempo at 100% speed
+    _loopSaved: [],         // named loops of the current track
+    _loopSavedFor: null,    // track id _loopSaved was loaded for
+    _loopDrag: null,        // { x, active } while the pointer is down on the progress bar
+    _loopNoClick: false,    // swallow the click that ends a drag, so it doesn't seek
+    _practicePanelOpen: false,
+
+    _practiceInit() {
+        try {
+            const s = JSON.parse(localStorage.getItem('nexusm-practice') || 'null');
+            if (s) {
+                this._loopCountIn = [0, 1, 2, 4, 8].includes(s.countIn) ? s.countIn : 0;
+                this._loopBpm = Math.max(40, Math.min(240, Number(s.bpm) || 100));
+            }
+        } catch (e) {}
+
+        const bar = document.getElementById('progress-bar');
+        const timeAt = x => {
+            const rect = bar.getBoundingClientRect();
+            return Math.max(0, Math.min(1, (x - rect.left) / rect.width)) * (this.audioPlayer.duration || 0);
+        };
+        bar.addEventListener('pointerdown', (e) => {
+            this._loopNoClick = false;
+            if (e.button === 0 && this._loopAvailable()) this._loopDrag = { x: e.clientX, active: false };
+        });
+        bar.addEventListener('pointermove', (e) => {
+            const d = this._loopDrag;
+            if (!d || (!d.active && Math.abs(e.clientX - d.x) < 6)) return;
+            if (!d.active) { d.active = true; bar.setPointerCapture(e.pointerId); }
+            const t1 = timeAt(d.x), t2 = timeAt(e.clientX);
+            this._loopRenderRegion({ a: Math.min(t1, t2), b: Math.max(t1, t2) });
+        });
+        bar.addEventListener('pointerup', (e) => {
+            const d = this._loopDrag;
+            this._loopDrag = null;
+            if (!d?.active) return;
+            this._loopNoClick = true;
+            const t1 = timeAt(d.x), t2 = timeAt(e.clientX);
+            this.loopSet(Math.min(t1, t2), Math.max(t1, t2));
+        });
+        bar.addEventListener('pointercancel', () => { this._loopDrag = null; this._loopRenderRegion(); });
+        bar.addEventListener('click', (e) => {
+            if (this._loopNoClick) { this._loopNoClick = false; e.stopImmediatePropagation(); }
+        }, true);
+        this._audioDecks.forEach(audio => {
+            audio.addEventListener('loadedmetadata', () => {
+                if (audio !== this.audioPlayer) return;
+                this._loopRenderRegion();
+                if (this._practicePanelOpen) this._renderPracticePanel();   // A/B buttons need a duration
+            });
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.ctrlKey || e.metaKey || e.altKey || this._gbOverlay || this._vpKeyHandler) return;
+            if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+            if (!['[', ']', '\\'].includes(e.key) || !this._loopAvailable()) return;
+            e.preventDefault();
+            if (e.key === '[') this.loopMarkA();
+            else if (e.key === ']') this.loopMarkB();
+            else this.loopClear();
+        });
+    },
+
+    _practiceSave() {
+        try { localStorage.setItem('nexusm-practice', JSON.stringify({ countIn: this._loopCountIn, bpm: this._loopBpm })); } catch (e) {}
+    },
+
+    // Loops work on music tracks in the player bar (not radio, podcasts, audiobooks or casting)
+    _loopAvailable() {
+        return !!this.currentTrack && !this.isRadioPlaying && !this.isAudioBookPlaying
+            && !(this._castActive && this._castMediaType === 'audio') && this.audioPlayer.duration > 0;
+    },
+
+    loopSet(a, b) {
+        const dur = this.audioPlayer.duration || 0;
+        // Stop just short of the end, or 'ended' would move on before the watcher wraps
+        b = Math.min(b, dur - 0.1);
+        if (!(b - a >= 0.5)) { this._loopRenderRegion(); return; }
+        this._loop = { trackId: this.currentTrack.id, a, b };
+        this._loopStart();
+        const t = this.audioPlayer.currentTime;
+        if (t < a || t >= b) this._loopRepeat();
+        this._loopChanged();
+    },
+
+    loopMarkA() {
+        if (!this._loopAvailable()) return;
+        const t = this.audioPlayer.currentTime;
+        const b = this._loop?.b;
+        this._loop = { trackId: this.currentTrack.id, a: t, b: b != null && b - t >= 0.5 ? b : null };
+        this._loopStart();
+        this._loopChanged();
+    },
+
+    loopMarkB() {
+        if (!this._loopAvailable()) return;
+        this.loopSet(this._loop?.a ?? 0, this.audioPlayer.currentTime);
+    },
+
+    loopClear() {
+        this._loop = null;
+        this._loopStop();
+        this._loopChanged();
+    },
+
+    _loopChanged() {
+        this._loopRenderRegion();
+        if (this._practicePanelOpen) this._renderPracticePanel();
+    },
+
+    _loopStart() {
+        this._loopPrev = this.audioPlayer.currentTime;
+        if (!this._loopTimer) this._loopTimer = setInterval(() => this._loopWatch(), 25);
+    },
+
+    _loopStop() {
+        if (this._loopTimer) { clearInterval(this._loopTimer); this._loopTimer = null; }
+        if (this._loopCounting) {
+            clearTimeout(this._loopCounting);
+            this._loopCounting = null;
+            this.audioPlayer.play().catch(() => {});
+        }
+    },
+
+    _loopWatch() {
+        const loop = this._loop, el = this.audioPlayer;
+        if (!loop || loop.b == null || this._loopCounting) return;
+        const t = el.currentTime;
+        // Only wrap when playback runs into B from inside the loop. A jump of more than a few seconds
+        // is a seek (even a throttled background tab ticks at least once a second), which leaves it alone.
+        if (!el.paused && this._loopPrev < loop.b && t >= loop.b && t - this._loopPrev < 3) this._loopRepeat();
+        else this._loopPrev = t;
+    },
+
+    _loopRepeat() {
+        const loop = this._loop, el = this.audioPlayer;
+        el.currentTime = loop.a;
+        this._loopPrev = loop.a;
+        if (!this._loopCountIn || el.paused) return;
+        el.pause();
+        this._loopClick(this._loopCountIn, () => { if (this._loop === loop) el.play().catch(() => {}); });
+    },
+
+    // Metronome count-in at the loop's tempo (scaled by the playback speed); the first click is accented
+    _loopClick(count, done) {
+        this._initAudioContext();
+        const ctx = this._audioCtx;
+        if (!ctx) { done(); return; }
+        const beat = 60 / (this._loopBpm * (this._fx.speed || 1));
+        const level = (parseInt(document.getElementById('volume-slider')?.value, 10) || 0) / 100;
+        const t0 = ctx.currentTime + 0.05;
+        for (let i = 0; i < count; i++) {
+            const at = t0 + i * beat;
+            const osc = ctx.createOscillator(), gain = ctx.createGain();
+            osc.frequency.value = i === 0 ? 1600 : 1000;
+            gain.gain.setValueAtTime(0.7 * level, at);
+            gain.gain.exponentialRampToValueAtTime(0.001, at + 0.06);
+            osc.connect(gain);
+            gain.connect(ctx.destination);
+            osc.start(at);
+            osc.stop(at + 0.07);
+        }
+        this._loopCounting = setTimeout(() => { this._loopCounting = null; done(); }, (0.05 + count * beat) * 1000);
+    },
+
+    // Called from playTrack: loops belong to one track
+    _loopTrackChanged(track) {
+        if (this._loop && this._loop.trackId !== track.id) this.loopClear();
+        if (this._loopSavedFor === track.id) return;
+        this._loopSaved = [];
+        this._loopSavedFor = null;
+        if (this._practicePanelOpen) this._loopLoadSaved();
+    },
+
+    _loopRenderRegion(loop = this._loop) {
+        const el = document.getElementById('progress-loop');
+        if (!el) return;
+        const dur = this.audioPlayer.duration;
+        if (!loop || !(dur > 0)) { el.style.display = 'none'; return; }
+        el.style.display = '';
+        el.classList.toggle('progress-loop-open', loop.b == null);
+        el.style.left = (loop.a / dur * 100) + '%';
+        el.style.width = loop.b == null ? '' : ((loop.b - loop.a) / dur * 100) + '%';
+    },
+
+    // ── Saved loops ──
+
+    async _loopLoadSaved() {
+        const id = this.currentTrack?.id;
+        if (!id) return;
+        const list = await this.api(`tracks/${id}/loops`);
+        if (this.currentTrack?.id !== id) return;
+        this._loopSaved = Array.isArray(list) ? list : [];
+        this._loopSavedFor = id;
+        if (this._practicePanelOpen) this._renderPracticePanel();
+    },
+
+    async loopSaveCurrent() {
+        const loop = this._loop, track = this.currentTrack;
+        if (!loop || loop.b == null || !track) return;
+        const name = prompt(this.t('practice.loopName', 'Name this loop'),
+            `${this.formatDuration(loop.a)}–${this.formatDuration(loop.b)}`);
+        if (!name?.trim()) return;
+        const res = await this.apiPost(`tracks/${track.id}/loops`, { name: name.trim(), start: loop.a, end: loop.b });
+        if (!res?.id) { alert(res?.error || this.t('practice.saveFailed', 'Could not save the loop.')); return; }
+        await this._loopLoadSaved();
+    },
+
+    loopUseSaved(id) {
+        const saved = this._loopSaved.find(l => l.id === id);
+        if (saved && this._loopAvailable()) this.loopSet(saved.start, saved.end);
+    },
+
+    async loopDeleteSaved(id) {
+        if (!confirm(this.t('practice.confirmDelete', 'Delete this saved loop?'))) return;
+        await this.apiDelete(`loops/${id}`);
+        await this._loopLoadSaved();
+    },
+
+    // ── Practice panel ──
+
+    togglePracticePanel() {
+        this._practicePanelOpen = !this._practicePanelOpen;
+        document.getElementById('btn-practice')?.classList.toggle('active', this._practicePanelOpen);
+        if (!this._practicePanelOpen) { document.getElementById('practice-panel')?.remove(); return; }
+        this._renderPracticePanel();
+        if (this.currentTrack && this._loopSavedFor !== this.currentTrack.id) this._loopLoadSaved();
+    },
+
+    // Speed and pitch from the practice panel always edit the music profile
+    practiceSet(key, value, live = false) {
+        this._fx[key] = value;
+        this._fxApply();
+        if (key === 'speed') this._audioDecks.forEach(d => this._fxApplySpeed(d));
+        this.saveFxState();
+        if (document.getElementById('fx-panel')) this._renderFxPanel();
+        if (!live) { this._renderPracticePanel(); return; }
+        const l = document.getElementById(`practice-${key}-val`);
+        if (l) l.textContent = key === 'speed' ? Math.round(value * 100) + '%' : this._fxPitchLabel(value);
+    },
+
+    practiceSetCountIn(count, bpm) {
+        if (count != null) this._loopCountIn = count;
+        if (bpm != null && bpm >= 40 && bpm <= 240) this._loopBpm = bpm;
+        this._practiceSave();
+    },
+
+    _renderPracticePanel() {
+        document.getElementById('practice-panel')?.remove();
+        if (!this._practicePanelOpen) return;
+        const loop = this._loop;
+        const fmt = t => t == null ? '–:––' : this.formatDuration(t);
+        const speed = Math.max(0.5, Math.min(1.5, this._fx.speed || 1));
+        const pitch = this._fx.pitch || 0;
+        const available = this._loopAvailable();
+        const countOpts = [0, 1, 2, 4, 8].map(n => `<option value="${n}"${n === this._loopCountIn ? ' selected' : ''}>${
+            n ? this.t('practice.clicks', '{n} clicks').replace('{n}', n) : this.t('practice.countInOff', 'Off')}</option>`).join('');
+        const saved = this._loopSaved.map(l => `<div class="practice-saved-row">
+                <button class="practice-saved-name" onclick="App.loopUseSaved(${l.id})"${available ? '' : ' disabled'}>${this.esc(l.name)}</button>
+                <span class="practice-saved-range">${fmt(l.start)}–${fmt(l.end)}</span>
+                <button class="practice-saved-del" onclick="App.loopDeleteSaved(${l.id})" title="${this.t('btn.delete', 'Delete')}">&times;</button>
+            </div>`).join('');
+
+        document.body.insertAdjacentHTML('beforeend',
+            `<div id="practice-panel">
+                <div class="eq-header" style="display:flex;align-items:center">
+                    <span class="eq-header-title">${this.t('practice.title', 'Practice')}</span>
+                    <button class="eq-close-btn" onclick="App.togglePracticePanel()">&#x2715;</button>
+                </div>
+                <div class="fx-body">
+                    <div class="fx-row"><span>${this.t('practice.loop', 'A–B loop')}</span>
+                        <button class="practice-btn" onclick="App.loopMarkA()"${available ? '' : ' disabled'}>A ${fmt(loop?.a)}</button>
+                        <button class="practice-btn" onclick="App.loopMarkB()"${available ? '' : ' disabled'}>B ${fmt(loop?.b)}</button>
+                        <button class="practice-btn" onclick="App.loopClear()"${loop ? '' : ' disabled'}>${this.t('practice.clear', 'Clear')}</button></div>
+                    <div class="fx-hint">${available
+                        ? this.t('practice.loopHint', 'Drag across the progress bar, or press [ and ] while the song plays. \\ clears the loop.')
+                        : this.t('practice.needTrack', 'Play a music track to set a loop.')}</div>
+                    <label class="fx-row"><span>${this.t('practice.countIn', 'Count-in')}</span>
+                        <select onchange="App.practiceSetCountIn(parseInt(this.value,10))">${countOpts}</select>
+                        <input type="number" class="practice-bpm" min="40" max="240" value="${this._loopBpm}" onchange="App.practiceSetCountIn(null,parseInt(this.value,10))">
+                        <em>${this.t('practice.bpm', 'BPM')}</em></label>
+                    <div class="fx-hint">${this.t('practice.countInHint', 'Metronome clicks before each repeat of the loop, at this tempo adjusted for the playback speed.')}</div>
+                    <label class="fx-row"><span>${this.t('fx.speed', 'Speed')}</span>
+                        <input type="range" min="0.5" max="1.5" step="0.05" value="${speed}" ondblclick="App.practiceSet('speed',1)" oninput="App.practiceSet('speed',parseFloat(this.value),true)">
+                        <em id="practice-speed-val">${Math.round(speed * 100)}%</em></label>
+                    <label class="fx-row"><span>${this.t('fx.pitch', 'Pitch')}</span>
+                        <input type="range" min="-12" max="12" step="1" value="${pitch}" ondblclick="App.practiceSet('pitch',0)" oninput="App.practiceSet('pitch',parseInt(this.value,10),true)">
+                        <em id="practice-pitch-val">${this._fxPitchLabel(pitch)}</em></label>
+                    <div class="fx-hint">${this._fx.keepPitch
+                        ? this.t('practice.speedHint', 'Speed keeps the pitch; pitch shifts without changing the tempo. Double-click a slider to reset it.')
+                        : this.t('practice.keepPitchOff', 'Keep pitch is off in Audio effects, so speed also changes the pitch.')}</div>
+                    <div class="practice-saved-head">
+                        <span>${this.t('practice.savedLoops', 'Saved loops')}</span>
+                        <button class="practice-btn" onclick="App.loopSaveCurrent()"${loop?.b != null ? '' : ' disabled'}>${this.t('practice.saveLoop', 'Save loop…')}</button>
+                    </div>
+                    ${saved || `<div class="fx-hint" style="margin-left:0">${this.currentTrack
+                        ? this.t('practice.noSaved', 'No saved loops for this track.')
+                        : this.t('practice.needTrack', 'Play a music track to set a loop.')}</div>`}
+                </div>
+            </div>`);
+    },
+
+    // ─── ReplayGain ───────────────────────────────────────────────────────
+
+    loadRGState() {
+        try {
+            const raw = localStorage.getItem('nexusm-rg');
+            if (!raw) return;
+            const s = JSON.parse(raw);
+            if (typeof s.enabled === 'boolean') this._rgEnabled = s.enabled;
+            if (s.mode === 'track' || s.mode === 'album' || s.mode === 'auto') this._rgMode = s.mode;
+            if (typeof s.preamp === 'number') this._rgPreamp = Math.max(-12, Math.min(12, s.preamp));
+            if (typeof s.analyze === 'boolean') this._rgAnalyze = s.analyze;
+        } catch (e) {}
+    },
+
+    saveRGState() {
+        try {
+            localStorage.setItem('nexusm-rg', JSON.stringify({
+                enabled: this._rgEnabled, mode: this._rgMode, preamp: this._rgPreamp, analyze: this._rgAnalyze
+            }));
+        } catch (e) {}
+    },
+
+    _applyReplayGain(track) {
+        const btn = document.getElementById('btn-rg');
+        if (!this._rgGainNode) {
+            // Audio context not yet set up; keep neutral
+            if (btn) { btn.style.opacity = '0.4'; btn.style.color = ''; btn.title = 'ReplayGain (no audio context)'; }
+            return;
+        }
+        const now = this._audioCtx?.currentTime ?? 0;
+
+        if (!this._rgEnabled) {
+            this._rgGainNode.gain.setTargetAtTime(1.0, now, 0.05);
+            if (btn) { btn.style.opacity = '0.4'; btn.style.color = ''; btn.title = 'ReplayGain: off'; }
+            return;
+        }
+
+        // Pick the right gain value based on mode. Tags win; otherwise a loudness measurement
+        // (see Loudness Analysis) relative to the ReplayGain 2.0 reference of -18 LUFS
+        const source = (tag, lufs, peak) => tag != null ? { db: tag, peak: null }
+            : lufs != null ? { db: -18 - lufs, peak } : null;
+        const rgT = source(track.replayGainTrack, track.loudnessLufs, track.loudnessPeak);
+        const rgA = source(track.replayGainAlbum, track.albumLoudnessLufs, track.albumLoudnessPeak);
+        let gain = null;
+        if (this._rgMode === 'track')        gain = rgT;
+        else if (this._rgMode === 'album')   gain = rgA;
+        else /* auto */                      gain = rgA ?? rgT;
+
+        if (gain === null) {
+            // Track has no RG data — keep neutral, show indicator dimmed
+            this._rgGainNode.gain.setTargetAtTime(1.0, now, 0.05);
+            if (btn) { btn.style.opacity = '0.35'; btn.style.color = 'var(--text-muted)'; btn.title = 'ReplayGain: enabled — no data for this track'; }
+            if (this._rgAnalyze && track.loudnessLufs == null) this._loudAnalyzeCurrent(track);
+            return;
+        }
+
+        let totalDb = gain.db + this._rgPreamp;
+        // Measurements include the true peak — don't boost a quiet but peaky track past -1 dBTP
+        if (gain.peak != null) totalDb = Math.min(totalDb, -1 - gain.peak);
+        const linear = Math.pow(10, totalDb / 20);
+        // Clamp to prevent blowing out — max +12 dB, min -∞ (silent)
+        const clamped = Math.min(Math.pow(10, 12 / 20), Math.max(0, linear));
+        this._rgGainNode.gain.setTargetAtTime(clamped, now, 0.05);
+
+        const sign = totalDb >= 0 ? '+' : '';
+        if (btn) {
+            btn.style.opacity = '1';
+            btn.style.color = 'var(--accent)';
+            btn.title = `ReplayGain: ${sign}${totalDb.toFixed(1)} dB (${this._rgMode}${gain.peak != null ? ', measured' : ''})`;
+        }
+    },
+
+    toggleReplayGain() {
+        this._rgEnabled = !this._rgEnabled;
+        this.saveRGState();
+        if (this.currentTrack) this._applyReplayGain(this.currentTrack);
+        else {
+            const btn = document.getElementById('btn-rg');
+            if (btn) { btn.style.opacity = this._rgEnabled ? '0.65' : '0.4'; btn.style.color = this._rgEnabled ? 'var(--accent)' : ''; }
+        }
+        this.showToast(this._rgEnabled ? this.t('rg.enabled', 'ReplayGain on') : this.t('rg.disabled', 'ReplayGain off'), 'info');
+    },
+
+    // ─── Loudness Analysis (EBU R128) ─────────────────────────────────────
+    // Tracks without ReplayGain tags are measured in the browser: the file is decoded by an
+    // OfflineAudioContext, K-weighted (BS.1770 shelf + RLB high-pass as IIR filters) and gated per
+    // EBU R128. Results are stored per track and combined per album on the server, then feed the
+    // same ReplayGain gain node against the ReplayGain 2.0 reference of -18 LUFS.
+    // Measured either in the background while an untagged track plays, or in bulk from the
+    // Analysis page (the batch runs in this tab — it stops when the tab is closed).
+
+    _loudMaxSeconds: 1800,   // longer files would need hundreds of MB to decode in one piece
+
+    // BS.1770 K-weighting coefficients for any sample rate (same derivation as libebur128)
+    _loudKWeighting(rate) {
+        let f0 = 1681.974450955533, Q = 0.7071752369554196;
+        let K = Math.tan(Math.PI * f0 / rate);
+        const Vh = Math.pow(10, 3.999843853973347 / 20);
+        const Vb = Math.pow(Vh, 0.4996667741545416);
+        let a0 = 1 + K / Q + K * K;
+        const shelf = {
+            b: [(Vh + Vb * K / Q + K * K) / a0, 2 * (K * K - Vh) / a0, (Vh - Vb * K / Q + K * K) / a0],
+            a: [1, 2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0]
+        };
+        f0 = 38.13547087602444;
+        Q = 0.5003270373238773;
+        K = Math.tan(Math.PI * f0 / rate);
+        a0 = 1 + K / Q + K * K;
+        const highpass = { b: [1, -2, 1], a: [1, 2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0] };
+        return [shelf, highpass];
+    },
+
+    // Decode a whole track for measurement (also used by Tempo & Key Analysis)
+    async _loudDecode(trackId) {
+        const decode = async url => {
+            const res = await fetch(url);
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            const data = await res.arrayBuffer();
+            return new OfflineAudioContext(1, 1, 48000).decodeAudioData(data);
+        };
+        // analysis=1: fetching the file for measurement doesn't count as a play
+        try { return await decode(`/api/stream/${trackId}?analysis=1`); }
+        // Formats the browser can't decode (APE, WMA…) are measured from the server's Opus transcode
+        catch (e) { return decode(`/api/stream/${trackId}?format=opus&maxBitRate=256&analysis=1`); }
+    },
+
+    // Decode + K-weight one track. Returns { lufs, peak } or null for silence.
+    async _loudMeasure(trackId) {
+        const buf = await this._loudDecode(trackId);
+        const ctx = new OfflineAudioContext(buf.numberOfChannels, buf.length, buf.sampleRate);
+        const src = ctx.createBufferSource();
+        src.buffer = buf;
+        let node = src;
+        for (const f of this._loudKWeighting(buf.sampleRate)) {
+            const iir = ctx.createIIRFilter(f.b, f.a);
+            node.connect(iir);
+            node = iir;
+        }
+        node.connect(ctx.destination);
+        src.start();
+        const weighted = await ctx.startRendering();
+        const lufs = this._loudIntegrated(weighted);
+        return lufs === null ? null : { lufs, peak: this._loudTruePeak(buf) };
+    },
+
+    // Gated integrated loudness: 400 ms blocks every 100 ms, absolute gate at -70 LUFS,
+    // relative gate 10 LU below the mean of the blocks that pass it
+    _loudIntegrated(buf) {
+        const hop = Math.round(buf.sampleRate * 0.1);
+        const segs = Math.floor(buf.length / hop);
+        if (segs < 4) return null;
+        // 5.1 (L R C LFE Ls Rs): surrounds weighted +1.5 dB, LFE ignored
+        const weights = buf.numberOfChannels === 6 ? [1, 1, 1, 0, 1.41, 1.41] : null;
+        const energy = new Float64Array(segs);   // weighted sum of squares per 100 ms
+        for (let c = 0; c < buf.numberOfChannels; c++) {
+            const w = weights ? weights[c] : 1;
+            if (!w) continue;
+            const x = buf.getChannelData(c);
+            for (let s = 0; s < segs; s++) {
+                let sum = 0;
+                for (let i = s * hop, end = i + hop; i < end; i++) sum += x[i] * x[i];
+                energy[s] += sum * w;
+            }
+        }
+        const lk = z => -0.691 + 10 * Math.log10(z);
+        const mean = zs => zs.reduce((a, b) => a + b, 0) / zs.length;
+        const blocks = [];
+        for (let s = 0; s + 4 <= segs; s++) blocks.push((energy[s] + energy[s + 1] + energy[s + 2] + energy[s + 3]) / (hop * 4));
+        const audible = blocks.filter(z => z > 0 && lk(z) > -70);
+        if (!audible.length) return null;
+        const relGate = lk(mean(audible)) - 10;
+        return lk(mean(audible.filter(z => lk(z) > relGate)));
+    },
+
+    // True peak in dBTP: the sample peak, refined by 4× windowed-sinc interpolation wherever two
+    // neighbouring samples come within 6 dB of it (inter-sample overs are only a few dB)
+    _loudTruePeak(buf) {
+        const TAPS = 8;
+        const kernels = [0.25, 0.5, 0.75].map(f => {
+            const k = [];
+            for (let j = -TAPS + 1; j <= TAPS; j++) {
+                const t = j - f;
+                k.push(Math.sin(Math.PI * t) / (Math.PI * t) * (0.5 + 0.5 * Math.cos(Math.PI * t / TAPS)));
+            }
+            return k;
+        });
+        const chans = [];
+        let peak = 0;
+        for (let c = 0; c < buf.numberOfChannels; c++) {
+            const x = buf.getChannelData(c);
+            chans.push(x);
+            for (let i = 0; i < x.length; i++) { const a = Math.abs(x[i]); if (a > peak) peak = a; }
+        }
+        const threshold = peak / 2;
+        let truePeak = peak;
+        for (const x of chans) {
+            for (let i = TAPS - 1; i < x.length - TAPS; i++) {
+                if (Math.abs(x[i]) < threshold && Math.abs(x[i + 1]) < threshold) continue;
+                for (const k of kernels) {
+                    let v = 0;
+                    for (let j = 0; j < k.length; j++) v += x[i - TAPS + 1 + j] * k[j];
+                    if (Math.abs(v) > truePeak) truePeak = Math.abs(v);
+                }
+            }
+        }
+        return truePeak > 0 ? 20 * Math.log10(truePeak) : -100;
+    },
+
+    // Measure and store one track; returns the server's loudness fields, or null on failure
+    async _loudAnalyzeTrack(trackId) {
+        let m = null;
+        try { m = await this._loudMeasure(trackId); }
+        catch (e) {}   // undecodable or unreachable: the library pass counts it as failed
+        if (!m) return null;
+        const r = await this.apiPost(`tracks/${trackId}/loudness`, { lufs: m.lufs, peak: m.peak });
+        return r && !r.error ? r : null;
+    },
+
+    // Background measurement of an untagged track while it plays; the gain follows as soon as
+    // the result is in. One at a time, and never alongside the Analysis page batch.
+    async _loudAnalyzeCurrent(track) {
+        if (this._loudBusy || this._loudJob?.running || !track?.id) return;
+        if (track.duration > this._loudMaxSeconds || this._loudFailed.has(track.id)) return;
+        this._loudBusy = track.id;
+        const r = await this._loudAnalyzeTrack(track.id);
+        this._loudBusy = null;
+        if (!r) { this._loudFailed.add(track.id); return; }
+        const fields = {
+            loudnessLufs: r.loudnessLufs, loudnessPeak: r.loudnessPeak,
+            albumLoudnessLufs: r.albumLoudnessLufs, albumLoudnessPeak: r.albumLoudnessPeak
+        };
+        Object.assign(track, fields);
+        if (this.currentTrack?.id === track.id) {
+            Object.assign(this.currentTrack, fields);
+            this._applyReplayGain(this.currentTrack);
+        }
+    },
+
+    // Analysis page: measure every track that has neither tags nor a measurement
+    async startLoudnessJob() {
+        if (this._loudJob?.running) return;
+        const status = await this.api('analysis/loudness/status');
+        if (!status) return;
+        this._loudJob = { running: true, stop: false, done: 0, failed: 0, total: status.missing, afterId: 0, current: '' };
+        this._loudJobRender();
+        const job = this._loudJob;
+        while (!job.stop) {
+            const batch = await this.api(`analysis/loudness/pending?afterId=${job.afterId}&limit=25`);
+            if (!batch || !batch.length) break;
+            for (const t of batch) {
+                if (job.stop) break;
+                job.afterId = t.id;
+                job.current = `${t.artist} — ${t.title}`;
+                this._loudJobRender();
+                // Skip what the player is measuring right now; it's saved either way
+                const ok = t.duration <= this._loudMaxSeconds && t.id !== this._loudBusy
+                    && await this._loudAnalyzeTrack(t.id);
+                if (ok) job.done++; else job.failed++;
+            }
+        }
+        job.running = false;
+        job.current = '';
+        this._loudJobRender();
+    },
+
+    stopLoudnessJob() {
+        if (this._loudJob) this._loudJob.stop = true;
+    },
+
+    // Progress card + Deep Dive counts (no-op when the Analysis page isn't showing)
+    _loudJobRender() {
+        const el = document.getElementById('loud-job');
+        const job = this._loudJob;
+        if (!el || !job) return;
+        const processed = job.done + job.failed;
+        const pct = job.total > 0 ? Math.min(100, Math.round(processed / job.total * 100)) : 100;
+        const status = job.running
+            ? (job.stop ? this.t('loudness.stopping', 'Stopping…') : this.t('loudness.running', 'Analyzing…'))
+            : (job.stop ? this.t('loudness.stopped', 'Stopped') : this.t('loudness.complete', 'Complete'));
+        el.innerHTML = `
+            <div style="display:flex;justify-content:space-between;font-size:12px;color:var(--text-secondary);margin-bottom:6px;gap:12px">
+                <span>${status} ${processed.toLocaleString()} / ${job.total.toLocaleString()}${job.failed ? ` · ${job.failed.toLocaleString()} ${this.t('loudness.failed', 'failed')}` : ''}</span>
+                <span>${pct}%</span>
+            </div>
+            <div style="background:var(--bg-hover);border-radius:4px;height:8px;overflow:hidden">
+                <div style="width:${pct}%;height:100%;background:#00bcd4;transition:width .5s ease;border-radius:4px"></div>
+            </div>
+            ${job.current ? `<div style="font-size:11px;color:var(--text-muted);margin-top:4px;white-space:nowrap;overflow:hidden;text-overflow:ellipsis">${this.esc(job.current)}</div>` : ''}`;
+        const btn = document.getElementById('loud-job-btn');
+        if (btn) {
+            btn.textContent = job.running ? this.t('loudness.stop', 'Stop') : this.t('loudness.start', 'Analyze Missing');
+            btn.onclick = () => job.running ? this.stopLoudnessJob() : this.startLoudnessJob();
+        }
+        if (!job.running) this._loudRefreshCounts();
+    },
+
+    async _loudRefreshCounts() {
+        const s = await this.api('analysis/loudness/status');
+        if (!s) return;
+        ['tagged', 'analyzed', 'missing'].forEach(k => {
+            const el = document.getElementById('loud-' + k);
+            if (el) el.textContent = s[k].toLocaleString();
+        });
+    },
+
+    // ─── Tempo & Key Analysis ─────────────────────────────────────────────
+    // Like loudness, tempo and key are measured in the browser. The track is decoded, mixed down to mono
+    // at 11 kHz and turned into an onset envelope (spectral flux). Its autocorrelation gives a first
+    // tempo, leaning towards 120 BPM where half and double tempo score alike; a comb over the whole
+    // envelope then pins tempo and beat phase down precisely enough that the grid still sits on the
+    // beat at the far end of the track. The key is the Krumhansl–Kessler profile that best matches the
+    // track's chroma. The server keeps TBPM / TKEY tags over what's measured here (see TempoKeyService).
+    // Measured in bulk from the Analysis page, or in the background for the automix's next few tracks.
+
+    _TK_RATE: 11025,        // analysis sample rate
+    _TK_HOP: 128,           // onset envelope step (~11.6 ms)
+    _TK_FRAME: 512,
+    _TK_MAX_SPAN: 600,      // seconds of a track that are analysed; the grid carries on past it
+    _TK_MAJOR: ['C', 'Db', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'],
+    _TK_MINOR: ['Cm', 'C#m', 'Dm', 'Ebm', 'Em', 'Fm', 'F#m', 'Gm', 'G#m', 'Am', 'Bbm', 'Bm'],
+    _tkInfo: new Map(),     // track id → { bpm, key, beatOffset } as far as the player knows
+    _tkBusy: null,          // id of the track being analysed in the background
+    _tkFailed: new Set(),   // track ids that couldn't be decoded/analysed this session
+    _tkJob: null,           // Analysis page batch, same shape as _loudJob
+    _tkTwiddles: null,      // FFT size → { cos, sin }
+
+    // In-place radix-2 FFT (length a power of two)
+    _tkFft(re, im) {
+        const n = re.length;
+        if (!this._tkTwiddles) this._tkTwiddles = {};
+        let tw = this._tkTwiddles[n];
+        if (!tw) {
+            tw = { cos: new Float32Array(n / 2), sin: new Float32Array(n / 2) };
+            for (let i = 0; i < n / 2; i++) { tw.cos[i] = Math.cos(2 * Math.PI * i / n); tw.sin[i] = -Math.sin(2 * Math.PI * i / n); }
+            this._tkTwiddles[n] = tw;
+        }
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) j ^= bit;
+            j ^= bit;
+            if (i < j) {
+                let t = re[i]; re[i] = re[j]; re[j] = t;
+                t = im[i]; im[i] = im[j]; im[j] = t;
+            }
+        }
+        for (let size = 2; size <= n; size <<= 1) {
+            const half = size >> 1, step = n / size;
+            for (let start = 0; start < n; start += size) {
+                for (let k = 0; k < half; k++) {
+                    const wr = tw.cos[k * step], wi = tw.sin[k * step];
+                    const a = start + k, b = a + half;
+                    const xr = re[b] * wr - im[b] * wi, xi = re[b] * wi + im[b] * wr;
+                    re[b] = re[a] - xr; im[b] = im[a] - xi;
+                    re[a] += xr; im[a] += xi;
+                }
+            }
+        }
+    },
+
+    // Magnitude spectra of consecutive Hann-windowed frames, handed to `each(mag, frameIndex)`.
+    // Yields to the event loop now and then so a long track doesn't freeze the page.
+    async _tkFrames(x, size, hop, each) {
+        const win = new Float32Array(size);
+        for (let i = 0; i < size; i++) win[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / size);
+        const re = new Float32Array(size), im = new Float32Array(size), mag = new Float32Array(size / 2);
+        const count = Math.max(0, Math.floor((x.length - size) / hop) + 1);
+        for (let f = 0; f < count; f++) {
+            const off = f * hop;
+            for (let i = 0; i < size; i++) { re[i] = x[off + i] * win[i]; im[i] = 0; }
+            this._tkFft(re, im);
+            for (let k = 0; k < size / 2; k++) mag[k] = Math.hypot(re[k], im[k]);
+            each(mag, f);
+            if (f % 2000 === 1999) await new Promise(r => setTimeout(r, 0));
+        }
+        return count;
+    },
+
+    // Onset strength per hop (log-spectral flux, less its local mean) and the frame energy
+    async _tkOnsets(x) {
+        const size = this._TK_FRAME, hop = this._TK_HOP;
+        const frames = Math.max(0, Math.floor((x.length - size) / hop) + 1);
+        const flux = new Float32Array(frames), energy = new Float32Array(frames);
+        let log = new Float32Array(size / 2), prev = new Float32Array(size / 2);
+        await this._tkFrames(x, size, hop, (mag, f) => {
+            let sum = 0, e = 0;
+            for (let k = 0; k < mag.length; k++) {
+                log[k] = Math.log1p(100 * mag[k]);
+                if (f > 0 && log[k] > prev[k]) sum += log[k] - prev[k];
+                e += mag[k] * mag[k];
+            }
+            flux[f] = sum;
+            energy[f] = e;
+            [log, prev] = [prev, log];
+        });
+        // Subtracting a ~0.5 s running mean leaves the attacks standing out of sustained passages
+        const env = new Float32Array(frames);
+        const w = 21;
+        let acc = 0;
+        for (let i = 0; i < Math.min(frames, w); i++) acc += flux[i];
+        for (let i = 0; i < frames; i++) {
+            if (i + w < frames) acc += flux[i + w];
+            if (i - w - 1 >= 0) acc -= flux[i - w - 1];
+            const n = Math.min(frames - 1, i + w) - Math.max(0, i - w) + 1;
+            env[i] = Math.max(0, flux[i] - acc / n);
+        }
+        return { env, energy };
+    },
+
+    // First tempo estimate: the strongest autocorrelation lag between 60 and 200 BPM, weighted by a
+    // log-normal prior around 120 BPM and refined between lags by a parabola
+    _tkTempoEstimate(env, fps) {
+        const lagMin = Math.floor(fps * 60 / 200), lagMax = Math.ceil(fps * 60 / 60);
+        const ac = new Float32Array(lagMax + 2);
+        for (let lag = lagMin - 1; lag <= lagMax + 1; lag++) {
+            let s = 0;
+            for (let i = 0; i + lag < env.length; i++) s += env[i] * env[i + lag];
+            ac[lag] = s / Math.max(1, env.length - lag);
+        }
+        let best = -1, bestScore = -1;
+        for (let lag = lagMin; lag <= lagMax; lag++) {
+            const bpm = 60 * fps / lag;
+            const score = ac[lag] * Math.exp(-0.5 * Math.pow(Math.log2(bpm / 120), 2));
+            if (score > bestScore) { bestScore = score; best = lag; }
+        }
+        if (best < 0 || !(ac[best] > 0)) return null;
+        const a = ac[best - 1], b = ac[best], c = ac[best + 1];
+        const shift = a - 2 * b + c < 0 ? 0.5 * (a - c) / (a - 2 * b + c) : 0;
+        return 60 * fps / (best + shift);
+    },
+
+    // Tempo and phase together: within ±2% of the estimate, the tempo and phase whose beat positions
+    // collect the most onset strength on average. Returns { bpm, phase } with phase in frames.
+    _tkBeatGrid(env, fps, estimate) {
+        let best = { score: -1, bpm: estimate, phase: 0 };
+        for (let bpm = estimate * 0.98; bpm <= estimate * 1.02; bpm += 0.01) {
+            const period = 60 * fps / bpm;
+            for (let p = 0; p < period; p++) {
+                let s = 0, n = 0;
+                for (let t = p; t < env.length - 0.5; t += period) { s += env[Math.round(t)]; n++; }
+                if (n && s / n > best.score) best = { score: s / n, bpm, phase: p };
+            }
+        }
+        return best;
+    },
+
+    // Key from the averaged chroma (80 Hz – 2 kHz, each frame normalised so loud passages don't
+    // outvote quiet ones), correlated with the Krumhansl–Kessler major and minor profiles
+    async _tkKey(x, rate) {
+        const size = 4096;
+        const chroma = new Float64Array(12);
+        const bins = [];
+        for (let k = Math.ceil(80 * size / rate); k <= Math.floor(2000 * size / rate); k++) {
+            const midi = Math.round(12 * Math.log2(k * rate / size / 440) + 69);
+            bins.push([k, ((midi % 12) + 12) % 12]);
+        }
+        await this._tkFrames(x, size, size, mag => {
+            const c = new Float64Array(12);
+            let sum = 0;
+            for (const [k, pc] of bins) { c[pc] += mag[k]; sum += mag[k]; }
+            if (sum < 1e-3) return;
+            for (let i = 0; i < 12; i++) chroma[i] += c[i] / sum;
+        });
+        const profiles = {
+            major: [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88],
+            minor: [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17],
+        };
+        const corr = (p, root) => {
+            const mx = chroma.reduce((a, b) => a + b, 0) / 12, mp = p.reduce((a, b) => a + b, 0) / 12;
+            let num = 0, dx = 0, dp = 0;
+            for (let i = 0; i < 12; i++) {
+                const u = chroma[(i + root) % 12] - mx, v = p[i] - mp;
+                num += u * v; dx += u * u; dp += v * v;
+            }
+            return dx && dp ? num / Math.sqrt(dx * dp) : -1;
+        };
+        let best = null, bestR = 0;
+        for (let root = 0; root < 12; root++) {
+            for (const mode of ['major', 'minor']) {
+                const r = corr(profiles[mode], root);
+                if (r > bestR) { bestR = r; best = mode === 'major' ? this._TK_MAJOR[root] : this._TK_MINOR[root]; }
+            }
+        }
+        return best;
+    },
+
+    // Decode and analyse one track. hintBpm (from tags) steers the tempo search so the measured grid
+    // matches the tempo the server keeps. Returns { bpm, key, beatOffset } or null for silence.
+    async _tkMeasure(trackId, hintBpm) {
+        const buf = await this._loudDecode(trackId);
+        const rate = this._TK_RATE, hop = this._TK_HOP;
+        const span = Math.min(buf.duration, this._TK_MAX_SPAN);
+        const ctx = new OfflineAudioContext(1, Math.ceil(span * rate), rate);
+        const src = ctx.createBufferSource();
+        src.buffer = buf;
+        src.connect(ctx.destination);
+        src.start();
+        const x = (await ctx.startRendering()).getChannelData(0);
+
+        const { env, energy } = await this._tkOnsets(x);
+        const fps = rate / hop;
+        if (env.length < fps * 10) return null;
+        const estimate = hintBpm ? this._tkFold(hintBpm, 120) : this._tkTempoEstimate(env, fps);
+        if (!estimate) return null;
+        const grid = this._tkBeatGrid(env, fps, estimate);
+        if (grid.score <= 0) return null;
+
+        // The grid is anchored on the first beat where the music has started (frame energy within
+        // 26 dB of the loudest), so a mix can start the track there rather than in its lead-in silence
+        const beat = 60 / grid.bpm;
+        const firstBeat = (grid.phase * hop + this._TK_FRAME / 2) / rate;
+        let loudest = 0;
+        for (const e of energy) if (e > loudest) loudest = e;
+        const start = energy.findIndex(e => e > loudest * 0.0025) * hop / rate;
+        const k = Math.min(Math.ceil((start - firstBeat - 0.05) / beat), Math.floor((60 - firstBeat) / beat));
+        const beatOffset = firstBeat + Math.max(0, k) * beat;
+        let bpm = grid.bpm;
+        if (hintBpm) bpm = this._tkFold(bpm, hintBpm);
+        return { bpm, key: await this._tkKey(x, rate), beatOffset };
+    },
+
+    // Bring a tempo into the octave nearest `target` (a 70 BPM half-time groove mixes as 140)
+    _tkFold(bpm, target) {
+        while (bpm < target / Math.SQRT2) bpm *= 2;
+        while (bpm > target * Math.SQRT2) bpm /= 2;
+        return bpm;
+    },
+
+    // Camelot wheel position of a canonical key name: { n: 1–12, minor } (8B = C, 8A = Am), or null
+    _tkCamelot(key) {
+        let pc = this._TK_MAJOR.indexOf(key), minor = false;
+        if (pc < 0) { pc = this._TK_MINOR.indexOf(key); minor = true; }
+        if (pc < 0) return null;
+        const major = minor ? (pc + 3) % 12 : pc;   // a minor key shares its number with its relative major
+        return { n: (major * 7 + 7) % 12 + 1, minor };
+    },
+
+    _tkCamelotLabel(key) {
+        const c = this._tkCamelot(key);
+        return c ? `${c.n}${c.minor ? 'A' : 'B'}` : '';
+    },
+
+    _tkKeyName(key) {
+        if (!this._tkCamelot(key)) return '';
+        return key.endsWith('m') ? `${key.slice(0, -1)} ${this.t('tempo.minor', 'minor')}` : `${key} ${this.t('tempo.major', 'major')}`;
+    },
+
+    // Steps around the Camelot wheel: 0 = same key, 1 = a fifth away or the relative major/minor
+    _tkKeyDistance(a, b) {
+        const x = this._tkCamelot(a), y = this._tkCamelot(b);
+        if (!x || !y) return null;
+        const d = Math.abs(x.n - y.n);
+        return Math.min(d, 12 - d) + (x.minor !== y.minor ? 1 : 0);
+    },
+
+    // Song table cell: tempo, and the key as its Camelot code in the wheel's colour
+    _tkCell(t) {
+        const parts = [];
+        if (t.bpm) parts.push(Math.round(t.bpm));
+        const c = this._tkCamelot(t.musicalKey);
+        if (c) parts.push(`<span class="tk-key" style="color:hsl(${(c.n - 1) * 30},65%,55%)" title="${this._tkKeyName(t.musicalKey)}">${c.n}${c.minor ? 'A' : 'B'}</span>`);
+        return parts.join(' &middot; ');
+    },
+
+    _tkKeyOptions() {
+        return [...this._TK_MINOR, ...this._TK_MAJOR]
+            .map(k => `<option value="${k}">${this._tkCamelotLabel(k)} &middot; ${this._tkKeyName(k)}</option>`).join('');
+    },
+
+    _tkRemember(r) {
+        this._tkInfo.set(r.id, { bpm: r.bpm ?? null, key: r.musicalKey ?? null, beatOffset: r.beatOffset ?? null });
+        // A mix planned without this track's grid can be planned again
+        if (this._xfNext && (r.id === this.currentTrack?.id || r.id === this._xfNext.track.id)) this._xfNext.plan = undefined;
+        if (r.id === this.currentTrack?.id) this._amRenderNc();
+    },
+
+    // Fill in _tkInfo for tracks the player hasn't looked up yet
+    async _tkLookup(tracks) {
+        const ids = [...new Set(tracks.map(t => t.id))].filter(id => !this._tkInfo.has(id));
+        for (let i = 0; i < ids.length; i += 500) {
+            const chunk = ids.slice(i, i + 500);
+            const rows = await this.apiPost('analysis/tempo/lookup', { trackIds: chunk });
+            if (!Array.isArray(rows)) return;
+            for (const r of rows) this._tkRemember(r);
+            // Gone from the library: don't ask again
+            for (const id of chunk) if (!this._tkInfo.has(id)) this._tkInfo.set(id, {});
+        }
+    },
+
+    // Analyse and store one track; returns the server's tempo fields, or null on failure
+    async _tkAnalyzeTrack(trackId, hintBpm) {
+        let m = null;
+        try { m = await this._tkMeasure(trackId, hintBpm); }
+        catch (e) {}   // undecodable or unreachable: the library pass counts it as failed
+        if (!m) return null;
+        const r = await this.apiPost(`tracks/${trackId}/tempo`, { bpm: m.bpm, key: m.key, beatOffset: m.beatOffset });
+        if (!r || r.error) return null;
+        this._tkRemember(r);
+        return r;
+    },
+
+    // Automix: analyse what's playing and the next few tracks up, one at a time, so their mixes can be
+    // beat-matched by the time they come round. Waits its turn behind a loudness measurement.
+    async _tkAnalyzeAhead() {
+        if (!this._automix || this._tkBusy || this._tkJob?.running || !this._queueActive()) return;
+        if (this._loudBusy) { setTimeout(() => this._tkAnalyzeAhead(), 5000); return; }
+        const ahead = this.playlist.slice(this.playIndex, this.playIndex + 1 + this._AM_LOOKAHEAD);
+        await this._tkLookup(ahead);
+        const track = ahead.find(t => this._tkInfo.get(t.id)?.beatOffset == null && !this._tkFailed.has(t.id)
+            && !(t.duration > this._loudMaxSeconds));
+        if (!track || this._tkBusy) return;
+        this._tkBusy = track.id;
+        const r = await this._tkAnalyzeTrack(track.id, this._tkInfo.get(track.id)?.bpm);
+        this._tkBusy = null;
+        if (!r) this._tkFailed.add(track.id);
+        this._tkAnalyzeAhead();
+    },
+
+    // Analysis page: analyse every track without a beat grid
+    async startTempoJob() {
+        if (this._tkJob?.running) return;
+        const status = await this.api('analysis/tempo/status');
+        if (!status) return;
+        this._tkJob = { running: true, stop: false, done: 0, failed: 0, total: status.missing, afterId: 0, current: '' };
+        this._tkJobRender();
+        const job = this._tkJob;
+        while (!job.stop) {
+            const batch = await this.api(`analysis/tempo/pending?afterId=${job.afterId}&limit=25`);
+            if (!batch || !batch.length) break;
+            for (const t of batch) {
+                if (job.stop) break;
+                job.afterId = t.id;
+                job.current = `${t.artist} — ${t.title}`;
+                this._tkJobRender();
+                // Skip what the automix is analysing right now; it's saved either way
+                const ok = t.duration <= this._loudMaxSeconds && t.id !== this._tkBusy
+                    && await this._tkAnalyzeTrack(t.id, t.bpm);
+                if (ok) job.done++; else job.failed++;
+            }
+        }
+        job.running = false;
+        job.current = '';
+        this._tkJobRender();
+    },
+
+    stopTempoJob() {
+        if (this._tkJob) this._tkJob.stop = true;
+    },
+
+    _tkJobRender() {
+        const el = document.getElementById('tk-job');
+        const job = this._tkJob;
+        if (!el || !job) return;
+        const processed = job.done + job.failed;
+        const pct = job.total > 0 ? Math.min(100, Math.round(processed / job.total * 100)) : 100;
+        const status = job.running
+            ? (job.stop ? this.t('loudness.stopping', 'Stopping…') : this.t('loudness.running', 'Analyzing…'))
+            : (job.stop ? this.t('loudness.stopped', 'Stopped') : this.t('loudness.complete', 'Complete'));
+        el.innerHTML = `
+            <div style="display:flex;justify-content:space-between;font-size:12px;color:var(--text-secondary);margin-bottom:6px;gap:12px">
+                <span>${status} ${processed.toLocaleString()} / ${job.total.toLocaleString()}${job.failed ? ` · ${job.failed.toLocaleString()} ${this.t('loudness.failed', 'failed')}` : ''}</span>
+                <span>${pct}%</span>
+            </div>
+            <div style="background:var(--bg-hover);border-radius:4px;height:8px;overflow:hidden">
+                <div style="width:${pct}%;height:100%;background:#e91e63;transition:width .5s ease;border-radius:4px"></div>
+            </div>
+            ${job.current ? `<div style="font-size:11px;color:var(--text-muted);margin-top:4px;white-space:nowrap;overflow:hidden;text-overflow:ellipsis">${this.esc(job.current)}</div>` : ''}`;
+        const btn = document.getElementById('tk-job-btn');
+        if (btn) {
+            btn.textContent = job.running ? this.t('loudness.stop', 'Stop') : this.t('loudness.start', 'Analyze Missing');
+            btn.onclick = () => job.running ? this.stopTempoJob() : this.startTempoJob();
+        }
+        if (!job.running) this._tkRefreshCounts();
+    },
+
+    async _tkRefreshCounts() {
+        const s = await this.api('analysis/tempo/status');
+        if (!s) return;
+        ['known', 'analyzed', 'missing'].forEach(k => {
+            const el = document.getElementById('tk-' + k);
+            if (el) el.textContent = s[k].toLocaleString();
+        });
+    },
+
+    // ─── Harmonic Automix ─────────────────────────────────────────────────
+    // DJ-style playback for Night Club and party sessions. Up Next is re-dealt as a path around the
+    // Camelot wheel — each step to the remaining track nearest in key and tempo — and songs are mixed
+    // on the beat: the outgoing track hands over on a bar line, the incoming one starts on its first
+    // beat, time-stretched (pitch kept) onto the outgoing tempo, nudged onto its beat grid once it is
+    // playing, and eased back to its own tempo after the mix. Halfway through, the bass lines swap
+    // so the two kicks never play at full weight together. Tracks without a beat grid, or too far
+    // apart in tempo, get a plain crossfade from their first beat. Rides on the Gapless & Crossfade decks.
+
+    _automix: false,
+    _amBassSwap: true,
+    _amRates: null,         // deck element → tempo-match factor on top of the speed setting
+    _amGlide: null,         // interval easing the incoming deck back to its own tempo after a mix
+    _AM_MAX_STRETCH: 0.08,  // furthest a track is sped up or slowed down to match (±8%, like a DJ pitch fader)
+    _AM_MIN_MIX: 8,         // seconds — beat-matched mixes run at least this long, rounded to whole bars
+    _AM_BASS_CUT: -24,      // dB on the low shelf of the deck without the bass line
+    _AM_GLIDE_MS: 12000,
+    _AM_LOOKAHEAD: 4,       // upcoming tracks analysed ahead of their mix
+
+    setAutomix(on) {
+        this._automix = on;
+        this.saveXfadeState();
+        this._amRenderButtons();
+        this._renderQueue();
+        if (on) {
+            this._amOrder();
+            this._tkAnalyzeAhead();
+        }
+        if (this._queueActive()) this._queueToast(on ? this.t('automix.on', 'Automix on — Up Next follows key and tempo') : this.t('automix.off', 'Automix off'));
+    },
+
+    // playTrack hook: re-deal Up Next from the new track and analyse what's coming
+    _amTrackChanged() {
+        if (!this._automix) return;
+        this._amOrder();
+        this._tkAnalyzeAhead();
+    },
+
+    // How far apart two tracks are for mixing: Camelot steps (relative and adjacent keys are 1) plus
+    // a point per 3% of tempo difference, with a penalty past what time-stretching can match
+    _amCost(a, b) {
+        const steps = this._tkKeyDistance(a?.key, b?.key);
+        let cost = steps == null ? 2.5 : steps <= 1 ? steps : 1 + (steps - 1) * 1.5;
+        if (a?.bpm && b?.bpm) {
+            const diff = Math.abs(this._tkFold(b.bpm, a.bpm) / a.bpm - 1);
+            cost += diff * 100 / 3 + (diff > this._AM_MAX_STRETCH ? 3 : 0);
+        } else {
+            cost += 2;
+        }
+        return cost;
+    },
+
+    // Re-deal Up Next as a harmonic path from the current track. Party requests keep their voted order
+    // ahead of it, the preloaded next track stays put, and tracks with no tempo or key yet go last.
+    async _amOrder() {
+        if (!this._automix || !this._queueActive()) return;
+        const queue = this.playlist;
+        await this._tkLookup(queue.slice(this.playIndex));
+        if (!this._automix || this.playlist !== queue || !this._queueActive()) return;
+        let from = this.playIndex + 1;
+        if (this._xfNext?.index === from) from++;
+        const tail = queue.slice(from);
+        const requests = tail.filter(t => t._jbItem);
+        const known = t => { const i = this._tkInfo.get(t.id); return !!(i?.bpm || i?.key); };
+        const pool = tail.filter(t => !t._jbItem && known(t));
+        const unknown = tail.filter(t => !t._jbItem && !known(t));
+        let last = this._tkInfo.get([...queue.slice(0, from), ...requests].pop()?.id);
+        const path = [];
+        while (pool.length) {
+            let best = 0, bestCost = Infinity;
+            for (let i = 0; i < pool.length; i++) {
+                const c = this._amCost(last, this._tkInfo.get(pool[i].id));
+                if (c < bestCost) { bestCost = c; best = i; }
+            }
+            const [t] = pool.splice(best, 1);
+            path.push(t);
+            last = this._tkInfo.get(t.id);
+        }
+        const next = [...requests, ...path, ...unknown];
+        if (next.some((t, i) => t !== tail[i])) {
+            queue.splice(from, tail.length, ...next);
+            this._queueSave();
+        }
+        this._renderQueue();
+    },
+
+    // Beat-matched hand-off from the current track to `next`, or null for the ordinary crossfade.
+    // at = position in the current track where the mix starts, fade = its length in seconds,
+    // cue = where the incoming track starts, rate = its tempo factor, grid = both beat grids when matched
+    _amPlan(next) {
+        if (!this._automix || !this._audioCtx || this._xfSameAlbum(this.currentTrack, next)) return null;
+        const el = this.audioPlayer, dur = el.duration;
+        const a = this._tkInfo.get(this.currentTrack?.id), b = this._tkInfo.get(next.id);
+        if (!b || !isFinite(dur)) return null;
+        const target = Math.max(this._xfSeconds, this._AM_MIN_MIX);
+        const cue = b.beatOffset ?? 0;
+        const speed = el.playbackRate || 1;
+        if (a?.bpm && a.beatOffset != null && b.bpm && b.beatOffset != null) {
+            const bpmIn = this._tkFold(b.bpm, a.bpm);
+            const rate = (this._amRates?.get(el) || 1) * a.bpm / bpmIn;
+            if (Math.abs(rate - 1) <= this._AM_MAX_STRETCH) {
+                const beat = 60 / a.bpm;
+                const beats = Math.max(4, Math.round(target * speed / beat / 4) * 4);
+                // Last bar line that leaves room for the whole mix before the track ends
+                let k = Math.floor((dur - 0.2 - beats * beat - a.beatOffset) / beat);
+                k -= ((k % 4) + 4) % 4;
+                const at = a.beatOffset + k * beat;
+                if (k >= 0 && at > el.currentTime + 1) {
+                    return {
+                        at, cue, rate, fade: beats * beat / speed,
+                        grid: { out: { offset: a.beatOffset, beat }, in: { offset: b.beatOffset, beat: 60 / bpmIn }, wallBeat: beat / speed },
+                    };
+                }
+            }
+        }
+        const fade = Math.min(target, dur / 2);
+        return { at: dur - fade * speed, cue, rate: 1, fade, grid: null };
+    },
+
+    _amSetRate(deck, rate) {
+        if (!this._amRates) this._amRates = new Map();
+        if (rate === 1) this._amRates.delete(deck);
+        else this._amRates.set(deck, rate);
+        this._fxApplySpeed(deck);
+    },
+
+    // The incoming deck is running: nudge it onto the outgoing beat grid, swap the bass lines on the
+    // middle beat, then ease the new track back to its own tempo
+    _amMix(old, deck, plan) {
+        if (!plan.grid) return;
+        const g = plan.grid;
+        const align = () => {
+            if (this.audioPlayer !== deck || deck.paused || old.paused) return;
+            const phase = (t, grid) => (((t - grid.offset) / grid.beat) % 1 + 1) % 1;
+            let err = phase(deck.currentTime, g.in) - phase(old.currentTime, g.out);
+            err -= Math.round(err);   // -½…½ beat
+            if (Math.abs(err * g.in.beat) > 0.015) deck.currentTime -= err * g.in.beat;
+        };
+        // Starting a deck takes a moment the grid can't predict; a second look catches what the first seek cost
+        deck.addEventListener('playing', () => { setTimeout(align, 250); setTimeout(align, 1500); }, { once: true });
+
+        if (this._amBassSwap && this._audioCtx) {
+            const now = this._audioCtx.currentTime, swap = now + plan.fade / 2;
+            const bIn = this._xfBassFilter(deck), bOut = this._xfBassFilter(old);
+            bIn.gain.cancelScheduledValues(now);
+            bIn.gain.setValueAtTime(this._AM_BASS_CUT, now);
+            bIn.gain.setValueAtTime(this._AM_BASS_CUT, swap);
+            bIn.gain.linearRampToValueAtTime(0, swap + g.wallBeat);
+            bOut.gain.cancelScheduledValues(now);
+            bOut.gain.setValueAtTime(0, swap);
+            bOut.gain.linearRampToValueAtTime(this._AM_BASS_CUT, swap + g.wallBeat);
+        }
+
+        if (plan.rate !== 1) {
+            if (this._amGlide) clearInterval(this._amGlide);
+            const from = Date.now() + plan.fade * 1000;
+            this._amGlide = setInterval(() => {
+                const p = (Date.now() - from) / this._AM_GLIDE_MS;
+                if (this.audioPlayer !== deck || p >= 1) { clearInterval(this._amGlide); this._amGlide = null; }
+                if (this.audioPlayer === deck && p > 0) this._amSetRate(deck, p >= 1 ? 1 : plan.rate + (1 - plan.rate) * p);
+            }, 250);
+        }
+    },
+
+    _amRenderButtons() {
+        document.getElementById('nc-btn-automix')?.classList.toggle('nc-ctrl-active', this._automix);
+        const chk = document.getElementById('xf-automix-chk');
+        if (chk) chk.checked = this._automix;
+        this._amRenderNc();
+    },
+
+    // Night Club: tempo and key of what's playing, while automix is on
+    _amRenderNc() {
+        const el = this._ncOverlay?.querySelector('#nc-tempo');
+        if (!el) return;
+        const info = this._automix && this._tkInfo.get(this.currentTrack?.id);
+        const c = this._tkCamelot(info?.key);
+        el.innerHTML = info ? [
+            info.bpm ? `${Math.round(info.bpm * (this._amRates?.get(this.audioPlayer) || 1))} BPM` : '',
+            c ? `<span style="color:hsl(${(c.n - 1) * 30},65%,60%)">${c.n}${c.minor ? 'A' : 'B'}</span> ${this._tkKeyName(info.key)}` : '',
+        ].filter(Boolean).join(' &middot; ') : '';
+    },
+
+    _amQueueTag(t) {
+        const info = this._tkInfo.get(t.id);
+        const c = this._tkCamelot(info?.key);
+        const parts = [c ? `${c.n}${c.minor ? 'A' : 'B'}` : '', info?.bpm ? Math.round(info.bpm) : ''].filter(Boolean);
+        return parts.length ? `<span class="queue-row-tempo">${parts.join(' &middot; ')}</span>` : '';
+    },
+
+    // ─── Waveform Seek Bar ────────────────────────────────────────────────
+    // Peaks come from the server (decoded once per file with ffmpeg and cached, see WaveformService)
+    // and are drawn on a canvas in the player-bar and Go Big seek bars, SoundCloud-style. While
+    // casting, the Night Club visualiser animates from the same peaks since no audio reaches the analyser.
+
+    // Cached waveform of a track / podcast episode / audiobook. Resolves to false when none can be
+    // made (no ffmpeg, unreachable feed) so the flat bar stays without asking again.
+    _waveFetch(kind, id) {
+        const key = `${kind}/${id}`;
+        if (!this._waveCache.has(key)) {
+            this._waveCache.set(key, this.api(`waveform/${key}`).then(w => w?.peaks?.length ? w : false));
+            if (this._waveCache.size > 50) this._waveCache.delete(this._waveCache.keys().next().value);
+        }
+        return this._waveCache.get(key);
+    },
+
+    // Called whenever the player bar switches media; no kind = flat bar (radio, previews, stopped)
+    async _waveLoadPlayer(kind, id) {
+        const key = kind ? `${kind}/${id}` : null;
+        this._waveKey = key;
+        this._wave = null;
+        this._waveRenderPlayer();
+        if (!key) return;
+        const w = await this._waveFetch(kind, id);
+        if (this._waveKey !== key) return;
+        this._wave = w || null;
+        this._waveRenderPlayer();
+    },
+
+    _waveRenderPlayer() {
+        const bar = document.getElementById('progress-bar');
+        const canvas = document.getElementById('progress-wave');
+        if (!bar || !canvas) return;
+        bar.classList.toggle('has-wave', !!this._wave);
+        if (!this._wave) return;
+        const a = this.audioPlayer;
+        this._waveDraw(canvas, this._wave.peaks, a?.duration ? a.currentTime / a.duration : 0, this._waveHover);
+    },
+
+    // Mirrored bars: played part in the accent colour, the part up to the hover position half-lit
+    _waveDraw(canvas, peaks, frac, hover = null, color = null) {
+        const dpr = window.devicePixelRatio || 1;
+        const w = Math.round(canvas.clientWidth * dpr);
+        const h = Math.round(canvas.clientHeight * dpr);
+        if (!w || !h) return;
+        if (canvas.width !== w || canvas.height !== h) { canvas.width = w; canvas.height = h; }
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, w, h);
+        const css = getComputedStyle(document.documentElement);
+        const played = color || css.getPropertyValue('--accent').trim() || '#1db954';
+        const rest = css.getPropertyValue('--text-muted').trim() || '#888';
+        const barW = Math.max(2, Math.round(2 * dpr));
+        const gap = Math.max(1, Math.round(dpr));
+        const n = Math.floor(w / (barW + gap));
+        for (let i = 0; i < n; i++) {
+            const from = Math.floor(i * peaks.length / n);
+            const to = Math.max(from + 1, Math.floor((i + 1) * peaks.length / n));
+            let v = 0;
+            for (let j = from; j < to; j++) if (peaks[j] > v) v = peaks[j];
+            const bh = Math.max(dpr, v / 100 * h);
+            const pos = (i + 0.5) / n;
+            if (pos <= frac)                          { ctx.fillStyle = played; ctx.globalAlpha = 1; }
+            else if (hover !== null && pos <= hover)  { ctx.fillStyle = played; ctx.globalAlpha = 0.45; }
+            else                                      { ctx.fillStyle = rest;   ctx.globalAlpha = 0.6; }
+            ctx.fillRect(i * (barW + gap), (h - bh) / 2, barW, bh);
+        }
+        ctx.globalAlpha = 1;
+    },
+
+    // Mouse position over a seek bar → fraction 0..1 (null when leaving), with the timestamp tooltip
+    _waveHoverAt(e, bar, duration) {
+        const tip = bar?.querySelector('.wave-hover');
+        if (!e || !bar || !duration) { if (tip) tip.textContent = ''; return null; }
+        const rect = bar.getBoundingClientRect();
+        const frac = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+        if (tip) { tip.textContent = this.formatDuration(frac * duration); tip.style.left = (frac * 100) + '%'; }
+        return frac;
+    },
+
+    // Position of the cast device, extrapolated between status polls
+    _castClockNow() {
+        const c = this._castClock;
+        if (!c) return 0;
+        return c.base + (c.at ? (Date.now() - c.at) / 1000 : 0);
+    },
+
+    // Night Club fallback while casting: a fake spectrum from the loudness envelope at the device's
+    // position — tilted towards the bass and gently animated so it still looks like music
+    _waveVizData() {
+        const data = this._waveVizBuf || (this._waveVizBuf = new Uint8Array(256));
+        const w = this._wave;
+        if (!w || !w.duration || this._castPaused) return data.fill(0);
+        const x = Math.max(0, Math.min(1, this._castClockNow() / w.duration)) * (w.peaks.length - 1);
+        const i = Math.floor(x);
+        const level = ((w.peaks[i] || 0) * (1 - (x - i)) + (w.peaks[i + 1] || 0) * (x - i)) / 100;
+        const t = performance.now() / 1000;
+        for (let b = 0; b < data.length; b++) {
+            const tilt = 1 - (b / data.length) * 0.75;
+            const wobble = 0.7 + 0.3 * Math.sin(t * 7 + b * 0.4) * Math.cos(t * 3.1 + b * 0.13);
+            data[b] = Math.min(255, level * tilt * wobble * 255);
+        }
+        return data;
+    },
+
+    // ─── Sleep Timer ──────────────────────────────────────────────────────────
+    // One timer for everything the player bar (or the Go Big music player) plays: music, podcasts,
+    // radio and audiobooks. It stops after a set time, at the end of the current track / episode /
+    // chapter, or after N tracks, and fades the volume out over the last _SLEEP_FADE seconds.
+    // The timer follows whatever is playing, so it survives track changes and a switch into Go Big.
+    _sleep: null,           // { mode: 'time'|'tracks'|'chapter', endsAt, left, chapterEnd, item }
+    _sleepTimer: null,      // 250 ms tick while a timer is set
+    _sleepScale: 1,         // fade-out multiplier applied on top of the volume slider
+    _SLEEP_FADE: 30,        // seconds
+
+    // What the timer acts on right now; item identifies the current track / episode / station
+    _sleepTarget() {
+        if (this._gbOverlay && this._gbMusicTracks?.length) {
+            const el = this._gbOverlay.querySelector('#gbm-audio');
+            if (el) return { kind: 'gobig', el, item: this._gbMusicTracks[this._gbMusicIdx] };
+        }
+        const el = this.audioPlayer;
+        if (this.isRadioPlaying) return { kind: 'radio', el, item: this.currentRadioStation };
+        if (this.isAudioBookPlaying) return { kind: 'audiobook', el, item: this._currentAudioBookId };
+        if (this.currentTrack) return { kind: 'music', el, item: this.currentTrack };
+        if (el.getAttribute('src') && document.getElementById('player-bar')?.classList.contains('podcast-mode'))
+            return { kind: 'podcast', el, item: this._currentPodcastEp || el.getAttribute('src') };
+        return null;
+    },
+
+    // Seconds of the current track / episode left, or Infinity while unknown (live radio, casting)
+    _sleepItemRemaining(target) {
+        const el = target.el;
+        if (target.kind !== 'gobig' && this._castActive && this._castMediaType === 'audio') return Infinity;
+        return isFinite(el.duration) && el.duration > 0 ? Math.max(0, el.duration - el.currentTime) : Infinity;
+    },
+
+    _sleepRemaining(target) {
+        const s = this._sleep;
+        if (!s || !target) return Infinity;
+        if (s.mode === 'time') return Math.max(0, (s.endsAt - Date.now()) / 1000);
+        if (s.mode === 'chapter') return Math.max(0, s.chapterEnd - target.el.currentTime);
+        return s.left === 1 ? this._sleepItemRemaining(target) : Infinity;
+    },
+
+    // 'end' = end of the current track / episode, or of the audiobook chapter (the book if it has none)
+    sleepStart(mode, value) {
+        const target = this._sleepTarget();
+        if (!target || (mode === 'end' && target.kind === 'radio')) return;
+        const s = { mode, item: target.item };
+        if (mode === 'time') {
+            const minutes = Math.max(1, Math.min(720, Math.round(value) || 0));
+            s.endsAt = Date.now() + minutes * 60000;
+        } else if (mode === 'end' && target.kind === 'audiobook') {
+            s.mode = 'chapter';
+            s.chapterEnd = this._sleepChapterEnd(target.el.currentTime);
+        } else {
+            s.mode = 'tracks';
+            s.left = mode === 'tracks' ? Math.max(1, Math.min(99, Math.round(value) || 1)) : 1;
+        }
+        this._sleepReset();
+        this._sleep = s;
+        this._sleepTimer = setInterval(() => this._sleepTick(), 250);
+        this._sleepTick();
+        this._sleepRenderPanel();
+    },
+
+    sleepSetCustom() {
+        const minutes = parseInt(document.getElementById('sleep-custom-min')?.value, 10);
+        if (minutes > 0) this.sleepStart('time', minutes);
+    },
+
+    sleepSetTracks() {
+        const n = parseInt(document.getElementById('sleep-tracks-n')?.value, 10);
+        if (n > 0) this.sleepStart('tracks', n);
+    },
+
+    _sleepChapterEnd(time) {
+        const next = (this._abChapters || []).find(ch => ch.start > time + 0.5);
+        if (next) return next.start;
+        const d = this.audioPlayer.duration;
+        return isFinite(d) && d > 0 ? d : (this._abBookDuration || time);
+    },
+
+    // One step further: +10 minutes, one more track, or the next chapter
+    sleepExtend() {
+        const s = this._sleep;
+        const target = this._sleepTarget();
+        if (!s || !target) return;
+        if (s.mode === 'time') s.endsAt = Math.max(s.endsAt, Date.now()) + 600000;
+        else if (s.mode === 'chapter') s.chapterEnd = this._sleepChapterEnd(Math.max(s.chapterEnd, target.el.currentTime));
+        else if (target.kind === 'podcast') {
+            // A single episode has no "next one" to wait for — switch to ten minutes past its end
+            const rem = this._sleepItemRemaining(target);
+            Object.assign(s, { mode: 'time', endsAt: Date.now() + ((isFinite(rem) ? rem : 0) + 600) * 1000 });
+        } else s.left++;
+        this._sleepTick();
+        this._sleepRenderPanel();
+    },
+
+    sleepCancel() {
+        this._sleepReset();
+        this._sleepRenderIndicators();
+        this._sleepRenderPanel();
+    },
+
+    _sleepReset() {
+        if (this._sleepTimer) { clearInterval(this._sleepTimer); this._sleepTimer = null; }
+        this._sleep = null;
+        this._sleepApplyScale(1);
+    },
+
+    _sleepApplyScale(scale) {
+        if (scale === this._sleepScale) return;
+        this._sleepScale = scale;
+        const base = (parseInt(document.getElementById('volume-slider')?.value, 10) || 0) / 100;
+        this._audioDecks.forEach(d => { d.volume = base * scale; });
+        const gbm = this._gbOverlay?.querySelector('#gbm-audio');
+        if (gbm) gbm.volume = scale;
+    },
+
+    _sleepTick() {
+        const s = this._sleep;
+        if (!s) return;
+        const target = this._sleepTarget();
+        if (!target) { this.sleepCancel(); return; }   // playback stopped
+        if (s.mode === 'tracks' && target.item !== s.item) {
+            // Moved on to another track (played through, skipped, or a gapless hand-off)
+            s.item = target.item;
+            s.left--;
+            if (s.left <= 0) { this._sleepFinish(); return; }
+        }
+        const remaining = this._sleepRemaining(target);
+        if (remaining <= 0.2) { this._sleepFinish(); return; }
+        this._sleepApplyScale(remaining < this._SLEEP_FADE ? Math.max(0, remaining / this._SLEEP_FADE) : 1);
+        this._sleepRenderIndicators();
+    },
+
+    // Called from the 'ended' handlers before advancing: true = the timer stops here instead
+    _sleepTrackEnded() {
+        const s = this._sleep;
+        if (!s || s.mode !== 'tracks' || s.left !== 1) return false;
+        this._sleepFinish();
+        return true;
+    },
+
+    _sleepFinish() {
+        const target = this._sleepTarget();
+        if (target?.kind === 'gobig') {
+            if (this._castActive && this._castMediaType === 'audio' && this._castEngine === 'gbm') {
+                if (!this._castPaused) this._gbMusicPlayerToggle();
+            } else target.el.pause();
+        } else if (target && (this._castActive && this._castMediaType === 'audio' ? !this._castPaused : this.isPlaying)) {
+            this.togglePlay();
+        }
+        this.sleepCancel();
+    },
+
+    _sleepLabel(target) {
+        const s = this._sleep;
+        const remaining = this._sleepRemaining(target);
+        if (isFinite(remaining)) return this.formatDuration(Math.ceil(remaining));
+        if (s.mode === 'tracks' && s.left > 1) return this.t('sleep.tracksLeft', '{n} tracks').replace('{n}', s.left);
+        return this.t('sleep.endOfTrackShort', 'end');
+    },
+
+    _sleepDescription(target) {
+        const s = this._sleep;
+        if (s.mode === 'time') return this.t('sleep.descTime', 'Playback stops in');
+        if (s.mode === 'chapter') return this.t('sleep.descChapter', 'Playback stops at the end of this chapter');
+        if (s.left > 1) return this.t('sleep.descTracks', 'Playback stops after {n} tracks, counting this one').replace('{n}', s.left);
+        return target?.kind === 'podcast'
+            ? this.t('sleep.descEpisode', 'Playback stops at the end of this episode')
+            : this.t('sleep.descTrack', 'Playback stops at the end of this track');
+    },
+
+    _sleepExtendLabel(target) {
+        const s = this._sleep;
+        if (s.mode === 'chapter') return this.t('sleep.extendChapter', '+1 chapter');
+        if (s.mode === 'tracks' && target?.kind !== 'podcast') return this.t('sleep.extendTrack', '+1 track');
+        return this.t('sleep.extendTime', '+10 min');
+    },
+
+    // Player bar button + quick extend / cancel, the open panel's countdown and the Go Big readout
+    _sleepRenderIndicators() {
+        const target = this._sleep ? this._sleepTarget() : null;
+        const label = target ? this._sleepLabel(target) : '';
+        const ctl = document.getElementById('sleep-control');
+        if (ctl) ctl.classList.toggle('sleep-active', !!target);
+        const rem = document.getElementById('sleep-remaining');
+        if (rem) rem.textContent = label;
+        const ext = document.getElementById('btn-sleep-extend');
+        if (ext && target) ext.textContent = this._sleepExtendLabel(target);
+        const panelRem = document.getElementById('sleep-panel-remaining');
+        if (panelRem) panelRem.textContent = label;
+        const gb = this._gbOverlay?.querySelector('#gbm-sleep');
+        if (gb) {
+            gb.style.display = target ? '' : 'none';
+            if (target) {
+                gb.querySelector('.gbm-sleep-time').textContent = label;
+                gb.querySelector('.gbm-sleep-extend').textContent = this._sleepExtendLabel(target);
+            }
+        }
+        this._gbOverlay?.querySelector('#gbm-sleep-btn')?.classList.toggle('gbm-btn-active', !!target);
+    },
+
+    // Go Big sleep button: each press steps through off → 15 → 30 → 60 min → end of track → off
+    sleepCycle() {
+        const s = this._sleep;
+        const steps = [15, 30, 60];
+        if (!s) { this.sleepStart('time', steps[0]); return; }
+        if (s.mode === 'time') {
+            const minutes = Math.round((s.endsAt - Date.now()) / 60000);
+            const next = steps.find(m => m > minutes);
+            if (next) this.sleepStart('time', next);
+            else this.sleepStart('end');
+            return;
+        }
+        this.sleepCancel();
+    },
+
+    // The timer shares the audiobook side panel (chapters, bookmarks) — open when it carries our title
+    _sleepPanelOpen() {
+        const panel = document.getElementById('ab-panel');
+        return !!panel && panel.style.display !== 'none'
+            && document.getElementById('ab-panel-title')?.textContent === this.t('ab.sleepTimer', 'Sleep Timer');
+    },
+
+    toggleSleepPanel() {
+        const panel = document.getElementById('ab-panel');
+        if (!panel) return;
+        if (this._sleepPanelOpen()) { this._abClosePanel(); return; }
+        document.getElementById('ab-panel-title').textContent = this.t('ab.sleepTimer', 'Sleep Timer');
+        panel.style.display = 'flex';
+        this._sleepRenderPanel();
+    },
+
+    _sleepRenderPanel() {
+        if (!this._sleepPanelOpen()) return;
+        const target = this._sleepTarget();
+        const active = !!(this._sleep && target);
+        const kind = target?.kind;
+        const endLabel = {
+            music: this.t('sleep.endOfTrack', 'End of track'),
+            gobig: this.t('sleep.endOfTrack', 'End of track'),
+            podcast: this.t('sleep.endOfEpisode', 'End of episode'),
+            audiobook: (this._abChapters || []).length >= 2 ? this.t('sleep.endOfChapter', 'End of chapter') : this.t('sleep.endOfBook', 'End of book'),
+        }[kind];
+        const tracks = kind === 'music' || kind === 'gobig';
+        const min = this.t('ab.minutes', 'min');
+        document.getElementById('ab-panel-body').innerHTML = `
+            ${active ? `<div class="ab-sleep-countdown">
+                    <div class="sleep-panel-desc">${this.esc(this._sleepDescription(target))}</div>
+                    <div class="sleep-panel-remaining" id="sleep-panel-remaining">${this.esc(this._sleepLabel(target))}</div>
+                    <div class="sleep-panel-actions">
+                        <button class="ab-sleep-btn" onclick="App.sleepExtend()">${this.esc(this._sleepExtendLabel(target))}</button>
+                        <button class="ab-sleep-btn" onclick="App.sleepCancel()">${this.t('ab.cancelSleep', 'Cancel')}</button>
+                    </div>
+                </div>` : ''}
+            ${target ? `<div class="ab-sleep-options">
+                    ${[15, 30, 45, 60, 90].map(m => `<button class="ab-sleep-btn" onclick="App.sleepStart('time', ${m})">${m} ${min}</button>`).join('')}
+                    ${endLabel ? `<button class="ab-sleep-btn" onclick="App.sleepStart('end')">${endLabel}</button>` : ''}
+                </div>
+                <div class="sleep-panel-row">
+                    <input type="number" class="sleep-panel-input" id="sleep-custom-min" min="1" max="720" placeholder="${this.t('sleep.customPlaceholder', 'Minutes')}" onkeydown="if(event.key==='Enter')App.sleepSetCustom()">
+                    <button class="ab-sleep-btn" onclick="App.sleepSetCustom()">${this.t('sleep.setCustom', 'Set')}</button>
+                </div>
+                ${tracks ? `<div class="sleep-panel-row">
+                    <span>${this.t('sleep.after', 'After')}</span>
+                    <input type="number" class="sleep-panel-input" id="sleep-tracks-n" min="1" max="99" value="3" onkeydown="if(event.key==='Enter')App.sleepSetTracks()">
+                    <button class="ab-sleep-btn" onclick="App.sleepSetTracks()">${this.t('sleep.tracks', 'tracks')}</button>
+                </div>` : ''}
+                <div class="sleep-panel-hint">${this.t('sleep.fadeHint', 'The volume fades out over the last 30 seconds.')}</div>`
+            : `<div class="sleep-panel-hint">${this.t('sleep.nothingPlaying', 'Start playing something to set a sleep timer.')}</div>`}`;
+    },
+
+    // ─── Wake-up Alarms ───────────────────────────────────────────────────────
+    // Alarms are saved per user on the server, and each one rings on a single device: the browser
+    // that owns it, identified by a random ID kept in localStorage. While this device has an alarm
+    // switched on, the tab watches the clock and holds a screen wake lock so the display (a kitchen
+    // tablet, a bedside Go Big screen) doesn't go to sleep and take the alarm with it.
+    _alarms: [],            // every alarm of this user, on all devices
+    _alarmTimer: null,      // clock check while an alarm is armed on this device
+    _alarmLastCheck: 0,     // ms; occurrences after this (and up to now) ring
+    _alarmLastSync: 0,      // ms; last reload from the server
+    _alarmWakeLock: null,   // WakeLockSentinel while armed and visible
+    _alarmWakePending: false,
+    _alarmSnoozes: {},      // alarm id → ms when the snoozed alarm rings again
+    _alarmRinging: null,    // { alarm, prevVolume, rampTimer, clockTimer, beep, keyHandler }
+    _ALARM_SNOOZE_MIN: 9,
+    _ALARM_LATE_MS: 5 * 60000,  // an occurrence missed while the tab was throttled still rings this late
+
+    _alarmDeviceId() {
+        let id = localStorage.getItem('nexusm-device-id');
+        if (!id) {
+            // crypto.randomUUID needs a secure context, which a LAN http:// address isn't
+            id = window.crypto?.randomUUID?.() || (Date.now().toString(36) + Math.random().toString(36).slice(2, 10));
+            localStorage.setItem('nexusm-device-id', id);
+        }
+        return id;
+    },
+
+    _alarmDeviceName() {
+        const saved = localStorage.getItem('nexusm-device-name');
+        if (saved) return saved;
+        const ua = navigator.userAgent;
+        const os = /Android/.test(ua) ? 'Android' : /iPhone|iPad/.test(ua) ? 'iOS' : /Windows/.test(ua) ? 'Windows'
+            : /Macintosh/.test(ua) ? 'Mac' : /CrOS/.test(ua) ? 'ChromeOS' : /Linux/.test(ua) ? 'Linux' : '';
+        const browser = /Edg\//.test(ua) ? 'Edge' : /Firefox\//.test(ua) ? 'Firefox' : /Chrome\//.test(ua) ? 'Chrome'
+            : /Safari\//.test(ua) ? 'Safari' : 'Browser';
+        return os ? `${browser} on ${os}` : browser;
+    },
+
+    async alarmRenameDevice(name) {
+        name = (name || '').trim();
+        if (name) localStorage.setItem('nexusm-device-name', name);
+        else localStorage.removeItem('nexusm-device-name');
+        await this.apiPut('alarms/device', { device: this._alarmDeviceId(), name: this._alarmDeviceName() });
+        await this._alarmLoad();
+    },
+
+    _alarmInit() {
+        this._alarmLoad();
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState !== 'visible') return;
+            // The lock is released whenever the page is hidden; take it again on return
+            this._alarmArm();
+            if (Date.now() - this._alarmLastSync > 60000) this._alarmLoad();
+        });
+    },
+
+    async _alarmLoad() {
+        const list = await this.api('alarms');
+        if (Array.isArray(list)) this._alarms = list;
+        this._alarmLastSync = Date.now();
+        this._alarmArm();
+        this._alarmRenderList();
+    },
+
+    _alarmMine() {
+        const id = this._alarmDeviceId();
+        return this._alarms.filter(a => a.device === id);
+    },
+
+    // Run the clock check and hold the wake lock only while something can ring here
+    _alarmArm() {
+        const armed = this._alarmMine().some(a => a.enabled) || Object.keys(this._alarmSnoozes).length > 0;
+        if (armed && !this._alarmTimer) {
+            this._alarmLastCheck = Date.now();
+            this._alarmTimer = setInterval(() => this._alarmCheck(), 5000);
+        } else if (!armed && this._alarmTimer) {
+            clearInterval(this._alarmTimer);
+            this._alarmTimer = null;
+        }
+        this._alarmUpdateWakeLock(armed);
+    },
+
+    async _alarmUpdateWakeLock(armed) {
+        if (!('wakeLock' in navigator)) return;
+        if (!armed) {
+            if (this._alarmWakeLock) { this._alarmWakeLock.release().catch(() => {}); this._alarmWakeLock = null; }
+            return;
+        }
+        if (this._alarmWakeLock || this._alarmWakePending || document.visibilityState !== 'visible') return;
+        this._alarmWakePending = true;
+        try {
+            const lock = await navigator.wakeLock.request('screen');
+            lock.addEventListener('release', () => { if (this._alarmWakeLock === lock) this._alarmWakeLock = null; });
+            this._alarmWakeLock = lock;
+        } catch (e) {
+            // Refused (battery saver, unsupported on http) — the alarm still rings while the screen is on
+        } finally {
+            this._alarmWakePending = false;
+        }
+    },
+
+    // The most recent time at or before `now` this alarm was set to ring, or null
+    _alarmLastOccurrence(alarm, now) {
+        const [h, m] = alarm.time.split(':').map(Number);
+        for (let back = 0; back < 2; back++) {
+            const d = new Date(now);
+            d.setDate(d.getDate() - back);
+            d.setHours(h, m, 0, 0);
+            if (d.getTime() > now) continue;
+            if (!alarm.days || (alarm.days & (1 << d.getDay()))) return d.getTime();
+        }
+        return null;
+    },
+
+    _alarmCheck() {
+        const now = Date.now(), since = this._alarmLastCheck || now;
+        this._alarmLastCheck = now;
+        // Pick up alarms added or changed on other devices
+        if (now - this._alarmLastSync > 5 * 60000) this._alarmLoad();
+        if (this._alarmRinging) return;
+
+        for (const [id, at] of Object.entries(this._alarmSnoozes)) {
+            if (at > now) continue;
+            delete this._alarmSnoozes[id];
+            const alarm = this._alarms.find(a => a.id === +id);
+            if (alarm && now - at < this._ALARM_LATE_MS) { this._alarmRing(alarm, true); return; }
+        }
+        for (const alarm of this._alarmMine()) {
+            if (!alarm.enabled) continue;
+            const at = this._alarmLastOccurrence(alarm, now);
+            if (at && at > since && now - at < this._ALARM_LATE_MS) { this._alarmRing(alarm, false); return; }
         }
-        this._eqPreset = 'Custom';
-        const sel = document.querySelector('.eq-preset-select'); if (sel) sel.value = 'Custom';
-        this.drawEQCurve();
-        this.saveEQState();
     },
 
-    applyEQMacro(name, val, prevVal) {
-        const macro = this._eqMacros[name]; if (!macro) return;
-        const delta = val - prevVal;
-        macro.bands.forEach((bi, j) => {
-            this._eqBands[bi] = Math.round(Math.max(-12, Math.min(12, this._eqBands[bi] + delta * macro.coeff[j])) * 10) / 10;
-            this._setEQGain(this._eqFilters[bi], this._eqEnabled ? this._eqBands[bi] : 0);
-        });
-        const bands = document.querySelectorAll('.eq-band');
-        macro.bands.forEach(bi => {
-            if (!bands[bi]) return;
-            const s = bands[bi].querySelector('.eq-band-slider'); if (s) s.value = this._eqBands[bi];
-            const l = bands[bi].querySelector('.eq-band-db'); if (l) l.textContent = (this._eqBands[bi] > 0 ? '+' : '') + this._eqBands[bi];
-        });
-        this._eqPreset = 'Custom';
-        const sel = document.querySelector('.eq-preset-select'); if (sel) sel.value = 'Custom';
-        this.drawEQCurve();
-        this.saveEQState();
+    async _alarmRing(alarm, snoozed) {
+        if (this._alarmRinging) return;
+        // A one-off alarm switches itself off once it has rung
+        if (!alarm.days && !snoozed) {
+            alarm.enabled = false;
+            this.apiPut(`alarms/${alarm.id}/enabled`, { enabled: false });
+            this._alarmRenderList();
+        }
+        if (this._sleep) this.sleepCancel();
+        this._gbOverlay?.querySelector('#gbm-audio')?.pause();
+
+        const slider = document.getElementById('volume-slider');
+        const ring = this._alarmRinging = { alarm, prevVolume: slider ? +slider.value : 80, rampTimer: null, clockTimer: null, beep: null };
+        this._alarmSetVolume(alarm.rampSeconds > 0 ? 0 : alarm.volume);
+        this._alarmShowOverlay(alarm);
+
+        const started = await this._alarmStartSource(alarm);
+        if (this._alarmRinging !== ring) return;
+        if (!started) {
+            document.getElementById('alarm-ring-source').textContent = this.t('alarm.sourceFailed', "Couldn't start the alarm's music — playing a tone instead");
+            this._alarmBeep(true);
+        }
+        this._alarmStartRamp();
+        // Browsers refuse to start audio in a tab nobody has touched yet; a tap starts it
+        setTimeout(() => {
+            if (this._alarmRinging !== ring) return;
+            const silent = ring.beep ? ring.beep.ctx.state !== 'running' : this.audioPlayer.paused;
+            if (silent) document.getElementById('alarm-ring-start')?.removeAttribute('hidden');
+        }, 2000);
     },
 
-    setEQEnabled(bool) {
-        this._eqEnabled = !!bool;
-        this._eqFilters.forEach((f, i) => { this._setEQGain(f, this._eqEnabled ? this._eqBands[i] : 0); });
-        const btn = document.getElementById('eq-power-btn');
-        if (btn) { btn.textContent = this._eqEnabled ? 'ON' : 'OFF'; btn.className = 'eq-power-btn ' + (this._eqEnabled ? 'on' : 'off'); }
-        this.drawEQCurve();
-        this.saveEQState();
+    async _alarmStartSource(alarm) {
+        try {
+            if (alarm.source === 'radio') {
+                await this.playRadioById(parseInt(alarm.sourceId, 10));
+                return this.isRadioPlaying && this.currentRadioStation?.id === parseInt(alarm.sourceId, 10);
+            }
+            if (alarm.source === 'podcast') {
+                const feedId = parseInt(alarm.sourceId, 10);
+                const episodes = (await this.api(`podcasts/${feedId}/episodes`) || []).filter(e => e.mediaType !== 'video');
+                if (!episodes.length) return false;
+                const latest = episodes.reduce((a, b) => (b.publishDate || '') > (a.publishDate || '') ? b : a);
+                if (!this.podcastFeeds?.length) this.podcastFeeds = await this.api('podcasts') || [];
+                this.podcastCurrentFeed = this.podcastFeeds.find(f => f.id === feedId) || this.podcastCurrentFeed;
+                this.playPodcastEpisode({ ...latest, playPositionSeconds: 0 });
+                return true;
+            }
+            const tracks = await this._alarmTracks(alarm);
+            if (!tracks.length) return false;
+            this.playlist = alarm.shuffle ? this._shuffleOrder([...tracks]) : [...tracks];
+            this.playIndex = 0;
+            this.playTrack(this.playlist[0]);
+            return true;
+        } catch (e) {
+            return false;   // the ring shows its own message and falls back to a tone
+        }
     },
 
-    drawEQCurve() {
-        const canvas = document.getElementById('eq-canvas');
-        if (!canvas) return;
-        const ctx = canvas.getContext('2d');
-        const w = canvas.clientWidth || 400;
-        const h = canvas.clientHeight || 140;
-        canvas.width = w; canvas.height = h;
-        ctx.clearRect(0, 0, w, h);
+    async _alarmTracks(alarm) {
+        if (alarm.source === 'playlist') {
+            const data = await this.api(`playlists/${parseInt(alarm.sourceId, 10)}`);
+            return (data?.playlistTracks || []).map(pt => pt.track).filter(Boolean);
+        }
+        // Auto-generated playlist: "decade:1990" or a section type such as "favourites"
+        const [type, param] = alarm.sourceId.split(':');
+        if (type !== 'decade' && !this._agpSections?.[type]) await this._agpLoadFromConfig(await this.api('agp-config') || {});
+        return await this._agpLoadTracks(type, param ? parseInt(param, 10) : undefined);
+    },
 
-        // Grid lines
-        ctx.strokeStyle = 'rgba(255,255,255,0.06)'; ctx.lineWidth = 1;
-        [-12, -6, 0, 6, 12].forEach(db => {
-            const y = h * (1 - (db + 15) / 30);
-            ctx.beginPath(); ctx.moveTo(0, y); ctx.lineTo(w, y); ctx.stroke();
-        });
-        const y0 = h * (1 - 15 / 30); // 0dB line
-        ctx.strokeStyle = 'rgba(255,255,255,0.12)';
-        ctx.beginPath(); ctx.moveTo(0, y0); ctx.lineTo(w, y0); ctx.stroke();
+    _alarmSetVolume(pct) {
+        const slider = document.getElementById('volume-slider');
+        if (slider) slider.value = pct;
+        this._audioDecks.forEach(d => { d.volume = pct / 100 * this._sleepScale; });
+        if (this._alarmRinging?.beep) this._alarmRinging.beep.gain.gain.value = pct / 100 * 0.3;
+    },
 
-        const accent = getComputedStyle(document.documentElement).getPropertyValue('--accent').trim() || '#4d8bf5';
+    _alarmStartRamp() {
+        const ring = this._alarmRinging;
+        if (!ring) return;
+        clearInterval(ring.rampTimer);
+        const { volume, rampSeconds } = ring.alarm;
+        if (!(rampSeconds > 0)) { this._alarmSetVolume(volume); return; }
+        const start = Date.now();
+        this._alarmSetVolume(0);
+        ring.rampTimer = setInterval(() => {
+            const f = Math.min(1, (Date.now() - start) / (rampSeconds * 1000));
+            this._alarmSetVolume(Math.round(volume * f));
+            if (f >= 1) { clearInterval(ring.rampTimer); ring.rampTimer = null; }
+        }, 500);
+    },
 
-        if (!this._eqEnabled) {
-            ctx.strokeStyle = 'rgba(150,150,150,0.5)'; ctx.lineWidth = 2;
-            ctx.beginPath(); ctx.moveTo(0, y0); ctx.lineTo(w, y0); ctx.stroke();
+    // Fallback tone when the chosen playlist / station / feed can't be played
+    _alarmBeep(on) {
+        const ring = this._alarmRinging;
+        if (!ring) return;
+        if (!on) {
+            if (ring.beep) { clearInterval(ring.beep.timer); ring.beep.ctx.close().catch(() => {}); ring.beep = null; }
             return;
         }
-
-        const N = 200;
-        const freqs = new Float32Array(N);
-        for (let i = 0; i < N; i++) freqs[i] = 20 * Math.pow(1000, i / (N - 1));
-
-        const combined = new Float32Array(N).fill(1);
-        if (this._eqFilters.length > 0) {
-            const mag = new Float32Array(N); const ph = new Float32Array(N);
-            this._eqFilters.forEach(f => { f.getFrequencyResponse(freqs, mag, ph); for (let i = 0; i < N; i++) combined[i] *= mag[i]; });
-        } else {
-            this._eqFreqs.forEach((cf, bi) => {
-                const g = this._eqBands[bi]; if (g === 0) return;
-                const lcf = Math.log10(cf); const sigma = 0.3;
-                for (let i = 0; i < N; i++) {
-                    const d = (Math.log10(freqs[i]) - lcf) / sigma;
-                    combined[i] *= Math.pow(10, g * Math.exp(-0.5 * d * d) / 20);
-                }
+        if (ring.beep) return;
+        const ctx = new (window.AudioContext || window.webkitAudioContext)();
+        const gain = ctx.createGain();
+        gain.connect(ctx.destination);
+        const pulse = () => {
+            if (ctx.state !== 'running') return;
+            [0, 0.25].forEach(offset => {
+                const osc = ctx.createOscillator();
+                osc.frequency.value = 880;
+                osc.connect(gain);
+                osc.start(ctx.currentTime + offset);
+                osc.stop(ctx.currentTime + offset + 0.15);
             });
+        };
+        ring.beep = { ctx, gain, timer: setInterval(pulse, 1000) };
+        this._alarmSetVolume(+document.getElementById('volume-slider')?.value || 0);
+    },
+
+    _alarmShowOverlay(alarm) {
+        document.getElementById('alarm-ring')?.remove();
+        const ov = document.createElement('div');
+        ov.id = 'alarm-ring';
+        ov.className = 'alarm-ring';
+        ov.innerHTML = `
+            <div class="alarm-ring-clock" id="alarm-ring-clock"></div>
+            <div class="alarm-ring-label">${this.esc(alarm.label || this.t('alarm.defaultLabel', 'Alarm'))}</div>
+            <div class="alarm-ring-source" id="alarm-ring-source">${this.esc(alarm.sourceName || '')}</div>
+            <button class="alarm-ring-start" id="alarm-ring-start" hidden onclick="App._alarmTapToStart()">${this.t('alarm.tapToStart', 'Tap to start the alarm sound')}</button>
+            <div class="alarm-ring-actions">
+                <button class="alarm-ring-btn alarm-ring-snooze" onclick="App.alarmSnooze()">${this.t('alarm.snooze', 'Snooze')}<small>${this.t('alarm.snoozeMinutes', '{n} minutes').replace('{n}', this._ALARM_SNOOZE_MIN)}</small></button>
+                <button class="alarm-ring-btn alarm-ring-dismiss" onclick="App.alarmDismiss()">${this.t('alarm.dismiss', 'Dismiss')}</button>
+            </div>
+            <button class="alarm-ring-keep" onclick="App.alarmDismiss(true)">${this.t('alarm.keepListening', 'Dismiss and keep listening')}</button>`;
+        // Inside Go Big's fullscreen element, or the browser would hide the overlay behind it
+        const fs = document.fullscreenElement;
+        (fs && fs.tagName !== 'VIDEO' ? fs : document.body).appendChild(ov);
+
+        const ring = this._alarmRinging;
+        const tick = () => {
+            const el = document.getElementById('alarm-ring-clock');
+            if (el) el.textContent = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        };
+        tick();
+        ring.clockTimer = setInterval(tick, 5000);
+
+        // Remote-friendly keys: arrows move between the buttons, Enter presses, S snoozes, Esc dismisses.
+        // Captured ahead of Go Big's own key handler so the keys don't also drive the player behind.
+        ring.keyHandler = (e) => {
+            const btns = [...ov.querySelectorAll('button')].filter(b => !b.hidden);
+            const i = btns.indexOf(document.activeElement);
+            if (e.key === 'ArrowLeft' || e.key === 'ArrowUp') btns[(i - 1 + btns.length) % btns.length].focus();
+            else if (e.key === 'ArrowRight' || e.key === 'ArrowDown') btns[(i + 1) % btns.length].focus();
+            else if (e.key === 'Enter' || e.key === ' ') (btns[i] || btns[0]).click();
+            else if (e.key === 's' || e.key === 'S') this.alarmSnooze();
+            else if (e.key === 'Escape') this.alarmDismiss();
+            else return;
+            e.preventDefault();
+            e.stopPropagation();
+        };
+        document.addEventListener('keydown', ring.keyHandler, true);
+        ov.querySelector('.alarm-ring-snooze').focus();
+    },
+
+    _alarmTapToStart() {
+        const ring = this._alarmRinging;
+        if (!ring) return;
+        document.getElementById('alarm-ring-start')?.setAttribute('hidden', '');
+        if (ring.beep) ring.beep.ctx.resume();
+        else this.audioPlayer.play().catch(() => {});
+        this._alarmStartRamp();
+    },
+
+    alarmSnooze() {
+        const ring = this._alarmRinging;
+        if (!ring) return;
+        this._alarmSnoozes[ring.alarm.id] = Date.now() + this._ALARM_SNOOZE_MIN * 60000;
+        this._alarmStop(false);
+        this._alarmArm();
+    },
+
+    // keepPlaying leaves the music on (at the alarm's volume) instead of stopping it
+    alarmDismiss(keepPlaying = false) {
+        const ring = this._alarmRinging;
+        if (!ring) return;
+        delete this._alarmSnoozes[ring.alarm.id];
+        this._alarmStop(keepPlaying);
+        this._alarmArm();
+    },
+
+    _alarmStop(keepPlaying) {
+        const ring = this._alarmRinging;
+        clearInterval(ring.rampTimer);
+        clearInterval(ring.clockTimer);
+        document.removeEventListener('keydown', ring.keyHandler, true);
+        this._alarmBeep(false);
+        document.getElementById('alarm-ring')?.remove();
+        if (keepPlaying) {
+            this._alarmSetVolume(ring.alarm.volume);
+        } else {
+            this.stopPlayback();
+            this._alarmSetVolume(ring.prevVolume);
         }
+        this._alarmRinging = null;
+    },
 
-        const pts = [];
-        for (let i = 0; i < N; i++) {
-            const x = i / (N - 1) * w;
-            const db = Math.max(-15, Math.min(15, 20 * Math.log10(Math.max(combined[i], 1e-6))));
-            pts.push({ x, y: h * (1 - (db + 15) / 30) });
-        }
+    // ── Alarm list & editor (Settings → Playback) ──
 
-        // Gradient fill
-        ctx.beginPath();
-        ctx.moveTo(pts[0].x, pts[0].y);
-        pts.forEach(p => ctx.lineTo(p.x, p.y));
-        ctx.lineTo(w, h); ctx.lineTo(0, h); ctx.closePath();
-        ctx.globalAlpha = 0.2; ctx.fillStyle = accent; ctx.fill(); ctx.globalAlpha = 1;
+    _alarmDaysLabel(days) {
+        if (!days) return this.t('alarm.once', 'Once');
+        if (days === 127) return this.t('alarm.everyDay', 'Every day');
+        if (days === 62) return this.t('alarm.weekdays', 'Weekdays');
+        if (days === 65) return this.t('alarm.weekends', 'Weekends');
+        return this._alarmDayNames().filter((n, i) => days & (1 << i)).join(', ');
+    },
 
-        // Curve
-        ctx.beginPath();
-        ctx.moveTo(pts[0].x, pts[0].y);
-        pts.forEach(p => ctx.lineTo(p.x, p.y));
-        ctx.strokeStyle = accent; ctx.lineWidth = 2;
-        ctx.shadowBlur = 8; ctx.shadowColor = accent; ctx.stroke(); ctx.shadowBlur = 0;
+    // Short weekday names, Sunday first (7 Jan 2024 was a Sunday)
+    _alarmDayNames() {
+        return [0, 1, 2, 3, 4, 5, 6].map(i => new Date(2024, 0, 7 + i).toLocaleDateString([], { weekday: 'short' }));
+    },
 
-        // Band dots
-        const logMin = Math.log10(20); const logMax = Math.log10(20000);
-        this._eqFreqs.forEach((freq, i) => {
-            const x = ((Math.log10(freq) - logMin) / (logMax - logMin)) * w;
-            const db = Math.max(-15, Math.min(15, this._eqBands[i]));
-            const y = h * (1 - (db + 15) / 30);
-            ctx.beginPath(); ctx.arc(x, y, 4, 0, Math.PI * 2);
-            ctx.fillStyle = accent; ctx.fill();
-            ctx.strokeStyle = '#1e1e1e'; ctx.lineWidth = 1.5; ctx.stroke();
-        });
+    _alarmSectionHtml() {
+        const attr = v => this.esc(String(v ?? '')).replace(/"/g, '&quot;');
+        return `<div class="settings-section" data-stab="playback" id="settings-alarms-section">
+            <h3><svg class="settings-icon"><use href="#icon-clock"/></svg> ${this.t('alarm.section', 'Wake-up Alarms')}</h3>
+            <p class="settings-section-hint">${this.t('alarm.hint', 'Start a playlist, radio station or the latest podcast episode at a set time, fading the volume up gently. Each alarm rings on one device; keep NexusM open on it (Go Big works well on a bedside display) and the screen stays awake while an alarm is on.')}</p>
+            <div class="setting-row">
+                <span class="setting-label">${this.t('alarm.thisDevice', 'This device')}</span>
+                <span class="setting-value"><input type="text" class="setting-input" maxlength="60" value="${attr(this._alarmDeviceName())}" onchange="App.alarmRenameDevice(this.value)">
+                <span class="setting-hint">${this.t('alarm.thisDeviceHint', 'Name shown for alarms that ring here')}</span></span>
+            </div>
+            <div id="alarm-list">${this._alarmListHtml()}</div>
+            <div style="margin-top:10px"><button class="btn-secondary trakt-action-btn" style="margin-left:0" onclick="App.openAlarmEditor()">+ ${this.t('alarm.add', 'Add alarm')}</button></div>
+        </div>`;
     },
 
-    saveEQState() {
-        try { localStorage.setItem('nexusm-eq', JSON.stringify({ enabled: this._eqEnabled, preset: this._eqPreset, bands: this._eqBands })); } catch (e) {}
+    _alarmListHtml() {
+        if (!this._alarms.length) return `<div class="setting-hint">${this.t('alarm.empty', 'No alarms yet.')}</div>`;
+        const me = this._alarmDeviceId();
+        const sources = {
+            playlist: this.t('alarm.sourcePlaylist', 'Playlist'),
+            auto:     this.t('alarm.sourceAuto', 'Auto playlist'),
+            radio:    this.t('alarm.sourceRadio', 'Radio'),
+            podcast:  this.t('alarm.sourcePodcast', 'Podcast'),
+        };
+        return '<div class="alarm-list">' + this._alarms.map(a => `<div class="alarm-row${a.enabled ? '' : ' alarm-row-off'}">
+                <span class="alarm-row-time">${this.esc(a.time)}</span>
+                <span class="alarm-row-info">
+                    <span class="alarm-row-label">${this.esc(a.label || this.t('alarm.defaultLabel', 'Alarm'))} &middot; ${this._alarmDaysLabel(a.days)}</span>
+                    <span class="alarm-row-sub">${sources[a.source] || ''}: ${this.esc(a.sourceName)} &middot; ${a.device === me ? `<strong>${this.t('alarm.onThisDevice', 'this device')}</strong>` : this.esc(a.deviceName || this.t('alarm.otherDevice', 'another device'))}</span>
+                </span>
+                <label class="setting-toggle"><input type="checkbox"${a.enabled ? ' checked' : ''} onchange="App.alarmSetEnabled(${a.id}, this.checked)"><span class="toggle-track"><span class="toggle-thumb"></span></span></label>
+                <button class="alarm-row-btn" onclick="App.openAlarmEditor(${a.id})" title="${this.t('btn.edit', 'Edit')}">&#9998;</button>
+                <button class="alarm-row-btn" onclick="App.alarmDelete(${a.id})" title="${this.t('btn.delete', 'Delete')}">&times;</button>
+            </div>`).join('') + '</div>';
     },
 
-    loadEQState() {
-        try {
-            const raw = localStorage.getItem('nexusm-eq');
-            if (!raw) return;
-            const s = JSON.parse(raw);
-            if (typeof s.enabled === 'boolean') this._eqEnabled = s.enabled;
-            if (typeof s.preset === 'string') this._eqPreset = s.preset;
-            if (Array.isArray(s.bands) && s.bands.length === 8) this._eqBands = s.bands;
-        } catch (e) {}
+    _alarmRenderList() {
+        const el = document.getElementById('alarm-list');
+        if (el) el.innerHTML = this._alarmListHtml();
     },
 
-    // ─── ReplayGain ───────────────────────────────────────────────────────
+    async alarmSetEnabled(id, enabled) {
+        const alarm = this._alarms.find(a => a.id === id);
+        if (!alarm) return;
+        if (!await this.apiPut(`alarms/${id}/enabled`, { enabled })) { alert(this.t('alarm.saveFailed', 'Could not save the alarm.')); this._alarmRenderList(); return; }
+        alarm.enabled = enabled;
+        if (!enabled) delete this._alarmSnoozes[id];
+        this._alarmArm();
+        this._alarmRenderList();
+    },
 
-    loadRGState() {
+    async alarmDelete(id) {
+        if (!confirm(this.t('alarm.confirmDelete', 'Delete this alarm?'))) return;
+        await this.apiDelete(`alarms/${id}`);
+        delete this._alarmSnoozes[id];
+        await this._alarmLoad();
+    },
+
+    // Choices for the editor's second dropdown: [{ id, name }]
+    async _alarmSourceOptions(source) {
+        if (source === 'playlist') {
+            return (await this.api('playlists') || []).map(p => ({ id: String(p.id), name: p.name }));
+        }
+        if (source === 'radio') {
+            return ((await this.api('radio/stations'))?.stations || []).map(s => ({ id: String(s.id), name: s.name }));
+        }
+        if (source === 'podcast') {
+            return (await this.api('podcasts') || []).map(f => ({ id: String(f.id), name: f.title }));
+        }
+        const [config, decades] = await Promise.all([this.api('agp-config'), this.api('decades')]);
+        const types = (config?.activeTypes || config?.ActiveTypes || []).filter(t => t !== 'decade');
+        return [
+            ...types.map(t => ({ id: t, name: this._agpTitle(t) })).filter(o => o.name),
+            ...(decades || []).map(d => ({ id: `decade:${d.decade}`, name: this._agpTitle('decade', d.decade) })),
+        ];
+    },
+
+    async openAlarmEditor(id = null) {
+        const existing = id ? this._alarms.find(a => a.id === id) : null;
+        const me = this._alarmDeviceId();
+        const a = existing || { label: '', time: '07:00', days: 62, source: 'playlist', sourceId: '', shuffle: true,
+            volume: 60, rampSeconds: 60, enabled: true, device: me };
+        const attr = v => this.esc(String(v ?? '')).replace(/"/g, '&quot;');
+
+        // Ringing device: this one, plus any other device that already has alarms
+        const devices = new Map([[me, this._alarmDeviceName()]]);
+        this._alarms.forEach(x => { if (!devices.has(x.device)) devices.set(x.device, x.deviceName || this.t('alarm.otherDevice', 'another device')); });
+        const names = this._alarmDayNames();
+        const opt = (v, l, sel) => `<option value="${attr(v)}"${sel ? ' selected' : ''}>${this.esc(l)}</option>`;
+        const ramps = [[0, this.t('alarm.rampOff', 'Off — full volume at once')], [30, '30 s'], [60, '1 min'], [120, '2 min'], [300, '5 min'], [600, '10 min']];
+
+        document.getElementById('alarmEditOverlay')?.remove();
+        const overlay = document.createElement('div');
+        overlay.id = 'alarmEditOverlay';
+        overlay.className = 'batch-edit-overlay';
+        overlay.innerHTML = `<div class="batch-edit-modal">
+            <div class="batch-edit-title">&#9200; ${existing ? this.t('alarm.editTitle', 'Edit alarm') : this.t('alarm.addTitle', 'New alarm')}</div>
+            <div class="batch-edit-subtitle">${this.t('alarm.editorHint', 'Leave every day unticked for an alarm that rings once.')}</div>
+            <div class="batch-field"><div class="batch-field-body">
+                <div class="batch-field-label">${this.t('alarm.time', 'Time')}</div>
+                <input type="time" class="batch-field-input" id="alarm-ed-time" value="${attr(a.time)}" required>
+            </div></div>
+            <div class="batch-field"><div class="batch-field-body">
+                <div class="batch-field-label">${this.t('alarm.repeat', 'Repeat on')}</div>
+                <div class="alarm-days">${names.map((n, i) => `<label class="alarm-day"><input type="checkbox" value="${i}"${a.days & (1 << i) ? ' checked' : ''}><span>${this.esc(n)}</span></label>`).join('')}</div>
+            </div></div>
+            <div class="batch-field"><div class="batch-field-body">
+                <div class="batch-field-label">${this.t('alarm.label', 'Label')}</div>
+                <input type="text" class="batch-field-input" id="alarm-ed-label" maxlength="60" value="${attr(a.label)}" placeholder="${attr(this.t('alarm.defaultLabel', 'Alarm'))}">
+            </div></div>
+            <div class="batch-field"><div class="batch-field-body">
+                <div class="batch-field-label">${this.t('alarm.plays', 'Plays')}</div>
+                <select class="batch-field-select" id="alarm-ed-source" onchange="App._alarmEditorFillSources()">
+                    ${opt('playlist', this.t('alarm.sourcePlaylist', 'Playlist'), a.source === 'playlist')}
+                    ${opt('auto', this.t('alarm.sourceAuto', 'Auto playlist'), a.source === 'auto')}
+                    ${opt('radio', this.t('alarm.sourceRadio', 'Radio'), a.source === 'radio')}
+                    ${opt('podcast', this.t('alarm.sourcePodcastLatest', 'Latest podcast episode'), a.source === 'podcast')}
+                </select>
+                <select class="batch-field-select" id="alarm-ed-source-id" style="margin-top:6px" data-selected="${attr(a.sourceId)}"></select>
+                <label class="batch-field-check" id="alarm-ed-shuffle-row" style="margin-top:8px"><input type="checkbox" id="alarm-ed-shuffle"${a.shuffle ? ' checked' : ''}><span>${this.t('alarm.shuffle', 'Shuffle')}</span></label>
+            </div></div>
+            <div class="batch-field"><div class="batch-field-body">
+                <div class="batch-field-label">${this.t('alarm.volume', 'Volume')} <span id="alarm-ed-volume-val">${a.volume}%</span></div>
+                <input type="range" id="alarm-ed-volume" min="5" max="100" value="${a.volume}" style="width:100%" oninput="document.getElementById('alarm-ed-volume-val').textContent=this.value+'%'">
+                <div class="batch-field-label" style="margin-top:10px">${this.t('alarm.ramp', 'Fade in over')}</div>
+                <select class="batch-field-select" id="alarm-ed-ramp">${ramps.map(([v, l]) => opt(v, l, a.rampSeconds === v)).join('')}</select>
+            </div></div>
+            <div class="batch-field"><div class="batch-field-body">
+                <div class="batch-field-label">${this.t('alarm.ringsOn', 'Rings on')}</div>
+                <select class="batch-field-select" id="alarm-ed-device">${[...devices].map(([d, n]) => opt(d, d === me ? `${n} (${this.t('alarm.onThisDevice', 'this device')})` : n, d === a.device)).join('')}</select>
+            </div></div>
+            <div class="batch-edit-actions">
+                <button class="batch-edit-btn batch-edit-btn-cancel" onclick="document.getElementById('alarmEditOverlay').remove()">${this.t('btn.cancel', 'Cancel')}</button>
+                <button class="batch-edit-btn batch-edit-btn-primary" id="alarm-ed-save" onclick="App._alarmEditorSave(${existing ? existing.id : 'null'})">${this.t('btn.save', 'Save')}</button>
+            </div>
+        </div>`;
+        document.body.appendChild(overlay);
+        overlay.addEventListener('mousedown', (e) => { overlay._mdb = (e.target === overlay); });
+        overlay.addEventListener('click', (e) => { if (e.target === overlay && overlay._mdb) overlay.remove(); });
+        await this._alarmEditorFillSources();
+    },
+
+    async _alarmEditorFillSources() {
+        const source = document.getElementById('alarm-ed-source')?.value;
+        const sel = document.getElementById('alarm-ed-source-id');
+        if (!sel) return;
+        document.getElementById('alarm-ed-shuffle-row').style.display = source === 'playlist' || source === 'auto' ? '' : 'none';
+        sel.disabled = true;
+        sel.innerHTML = `<option value="">${this.t('alarm.loading', 'Loading…')}</option>`;
+        const options = await this._alarmSourceOptions(source);
+        // The user may have switched the type again while this was loading
+        if (document.getElementById('alarm-ed-source')?.value !== source) return;
+        const selected = sel.dataset.selected;
+        sel.innerHTML = options.length
+            ? options.map(o => `<option value="${this.esc(o.id).replace(/"/g, '&quot;')}"${o.id === selected ? ' selected' : ''}>${this.esc(o.name)}</option>`).join('')
+            : `<option value="">${this.t('alarm.noSources', 'Nothing to choose from')}</option>`;
+        sel.disabled = !options.length;
+    },
+
+    async _alarmEditorSave(id) {
+        const val = i => document.getElementById(i)?.value;
+        const time = val('alarm-ed-time');
+        const src = document.getElementById('alarm-ed-source-id');
+        if (!/^\d{2}:\d{2}$/.test(time || '')) { alert(this.t('alarm.needTime', 'Set a time for the alarm.')); return; }
+        if (!src.value) { alert(this.t('alarm.needSource', 'Choose what the alarm plays.')); return; }
+
+        const device = val('alarm-ed-device');
+        const days = [...document.querySelectorAll('#alarmEditOverlay .alarm-day input:checked')].reduce((m, cb) => m | (1 << +cb.value), 0);
+        const body = {
+            device,
+            deviceName: device === this._alarmDeviceId() ? this._alarmDeviceName() : (this._alarms.find(a => a.device === device)?.deviceName || ''),
+            label: val('alarm-ed-label').trim(),
+            time,
+            days,
+            source: val('alarm-ed-source'),
+            sourceId: src.value,
+            sourceName: src.options[src.selectedIndex]?.text || '',
+            shuffle: document.getElementById('alarm-ed-shuffle').checked,
+            volume: parseInt(val('alarm-ed-volume'), 10),
+            rampSeconds: parseInt(val('alarm-ed-ramp'), 10),
+            enabled: true,
+        };
+        document.getElementById('alarm-ed-save').disabled = true;
+        const res = id ? await this.apiPut(`alarms/${id}`, body) : await this.apiPost('alarms', body);
+        if (!res?.id) {
+            document.getElementById('alarm-ed-save').disabled = false;
+            alert(res?.error || this.t('alarm.saveFailed', 'Could not save the alarm.'));
+            return;
+        }
+        document.getElementById('alarmEditOverlay')?.remove();
+        await this._alarmLoad();
+    },
+
+    // ─── Gapless & Crossfade ──────────────────────────────────────────────────
+    // Two <audio> decks alternate as this.audioPlayer. Near the end of a queue track the idle deck
+    // preloads the next entry; it is then started right at the end of the current one (gapless)
+    // or faded in over _xfSeconds while the old deck fades out through its own GainNode, ahead of
+    // the shared ReplayGain → EQ chain. A gapless join is timed on the AudioContext clock: the end of
+    // the old track is worked out from its exact remaining duration, both decks' gains swap at that
+    // instant, and the new deck is started ahead of it by its measured play() latency (_xfJoinLead).
+    // Media elements can't be started at a given sample, so the join is as exact as that latency
+    // estimate and the elements' reported currentTime — a few milliseconds; they never overlap, and
+    // a start that comes early loses those milliseconds of the new track's head rather than leaving a gap. Crossfade is skipped between tracks of the same album so
+    // live albums and DJ mixes stay seamless. Radio, podcasts, audiobooks and Cast never use it.
+    // With automix on, the hand-off is planned by the Harmonic Automix instead (see _amPlan).
+    _audioDecks: [],
+    _xfSeconds: 0,          // 0 = off, 1–12 s
+    _xfGapless: true,
+    _xfNext: null,          // { index, track, deck } — preloaded upcoming queue entry
+    _xfFading: null,        // { deck, timer } — outgoing deck while a crossfade runs
+    _xfPoll: null,          // fine-grained end-of-track poll, then the one-shot timer of a gapless start
+    _xfJoinLead: 0.05,      // how long before a gapless join the new deck is started (learned play() latency, s)
+    _xfGains: null,         // deck element → GainNode
+    _xfBass: null,          // deck element → low-shelf BiquadFilter after its GainNode (automix bass swap)
+
+    loadXfadeState() {
         try {
-            const raw = localStorage.getItem('nexusm-rg');
+            const raw = localStorage.getItem('nexusm-xfade');
             if (!raw) return;
             const s = JSON.parse(raw);
-            if (typeof s.enabled === 'boolean') this._rgEnabled = s.enabled;
-            if (s.mode === 'track' || s.mode === 'album' || s.mode === 'auto') this._rgMode = s.mode;
-            if (typeof s.preamp === 'number') this._rgPreamp = Math.max(-12, Math.min(12, s.preamp));
+            if (typeof s.seconds === 'number') this._xfSeconds = Math.max(0, Math.min(12, Math.round(s.seconds)));
+            if (typeof s.gapless === 'boolean') this._xfGapless = s.gapless;
+            if (typeof s.automix === 'boolean') this._automix = s.automix;
+            if (typeof s.bassSwap === 'boolean') this._amBassSwap = s.bassSwap;
         } catch (e) {}
     },
 
-    saveRGState() {
+    saveXfadeState() {
         try {
-            localStorage.setItem('nexusm-rg', JSON.stringify({
-                enabled: this._rgEnabled, mode: this._rgMode, preamp: this._rgPreamp
+            localStorage.setItem('nexusm-xfade', JSON.stringify({
+                seconds: this._xfSeconds, gapless: this._xfGapless, automix: this._automix, bassSwap: this._amBassSwap
             }));
         } catch (e) {}
-    },
-
-    _applyReplayGain(track) {
-        const btn = document.getElementById('btn-rg');
-        if (!this._rgGainNode) {
-            // Audio context not yet set up; keep neutral
-            if (btn) { btn.style.opacity = '0.4'; btn.style.color = ''; btn.title = 'ReplayGain (no audio context)'; }
-            return;
-        }
-        const now = this._audioCtx?.currentTime ?? 0;
-
-        if (!this._rgEnabled) {
-            this._rgGainNode.gain.setTargetAtTime(1.0, now, 0.05);
-            if (btn) { btn.style.opacity = '0.4'; btn.style.color = ''; btn.title = 'ReplayGain: off'; }
-            return;
-        }
-
-        // Pick the right gain value based on mode
-        let gainDb = null;
-        const rgT = track.replayGainTrack ?? null;
-        const rgA = track.replayGainAlbum ?? null;
-        if (this._rgMode === 'track')        gainDb = rgT;
-        else if (this._rgMode === 'album')   gainDb = rgA;
-        else /* auto */                      gainDb = rgA ?? rgT;
-
-        if (gainDb === null) {
-            // Track has no RG data — keep neutral, show indicator dimmed
-            this._rgGainNode.gain.setTargetAtTime(1.0, now, 0.05);
-            if (btn) { btn.style.opacity = '0.35'; btn.style.color = 'var(--text-muted)'; btn.title = 'ReplayGain: enabled — no data for this track'; }
+        this._xfCancelPreload();
+    },
+
+    _xfDeckGain(el) {
+        if (!this._xfGains) this._xfGains = new Map();
+        let g = this._xfGains.get(el);
+        if (!g) {
+            g = this._audioCtx.createGain();
+            // Flat (0 dB) except while the automix swaps bass lines
+            const bass = this._audioCtx.createBiquadFilter();
+            bass.type = 'lowshelf';
+            bass.frequency.value = 180;
+            bass.gain.value = 0;
+            g.connect(bass);
+            bass.connect(this._rgGainNode);
+            if (!this._xfBass) this._xfBass = new Map();
+            this._xfBass.set(el, bass);
+            this._xfGains.set(el, g);
+        }
+        return g;
+    },
+
+    _xfBassFilter(el) {
+        this._xfDeckGain(el);
+        return this._xfBass.get(el);
+    },
+
+    _xfEligible() {
+        return this._queueActive() && this.isPlaying && this.repeat !== 'one'
+            && !(this._castActive && this._castMediaType === 'audio')
+            && !(this._sleep?.mode === 'tracks' && this._sleep.left === 1)   // let the sleep timer's last track end
+            && !(this._loop?.b != null)                                      // an A–B loop keeps the track going
+            && (this._xfGapless || this._xfSeconds > 0 || this._automix);
+    },
+
+    _xfPeekNextIndex() {
+        const i = this.playIndex + 1;
+        if (i < this.playlist.length) return i;
+        // Shuffle wrap-around re-deals the order (and Shuffle All fetches) in nextTrack
+        return this.repeat === 'all' && this.playIndex !== 0 && !this.shuffle ? 0 : -1;
+    },
+
+    _xfSameAlbum(a, b) {
+        if (!a || !b) return false;
+        if (a.albumId && b.albumId) return a.albumId === b.albumId;
+        return !!a.album && (a.album || '').toLowerCase() === (b.album || '').toLowerCase()
+            && (a.albumArtist || a.artist || '') === (b.albumArtist || b.artist || '');
+    },
+
+    // Fade length for the hand-off to `next` — 0 means a straight gapless start
+    _xfFadeFor(next) {
+        if (!this._xfSeconds || !this._audioCtx || this._xfSameAlbum(this.currentTrack, next)) return 0;
+        const d = this.audioPlayer.duration;
+        return Math.min(this._xfSeconds, isFinite(d) ? d / 2 : this._xfSeconds);
+    },
+
+    // Called from the active deck's timeupdate (~4×/s)
+    _xfTick() {
+        if (this._xfFading || !this._xfEligible()) return;
+        const a = this.audioPlayer;
+        if (!isFinite(a.duration) || a.duration <= 0) return;
+        const remaining = a.duration - a.currentTime;
+        if (!this._xfNext && remaining < 30 + Math.max(this._xfSeconds, this._automix ? 20 : 0)) this._xfPreload();
+        const next = this._xfNext;
+        if (!next || next.deck.readyState < 3) return;   // not buffered yet — 'ended' falls back to nextTrack
+        if (next.plan === undefined) next.plan = this._amPlan(next.track);
+        const plan = next.plan;
+        if (plan) {
+            if (a.currentTime >= plan.at) this._xfStart(plan.fade, false, plan);
+            else if (plan.at - a.currentTime < 1.5 && !this._xfPoll) {
+                // Beat-matched mixes start on a bar line — poll closely for it like a gapless join
+                this._xfPoll = setInterval(() => {
+                    if (this._xfNext?.plan !== plan || this.audioPlayer !== a) { clearInterval(this._xfPoll); this._xfPoll = null; return; }
+                    if (a.currentTime >= plan.at - 0.01) this._xfStart(plan.fade, false, plan);
+                }, 10);
+            }
             return;
         }
-
-        const totalDb = gainDb + this._rgPreamp;
-        const linear = Math.pow(10, totalDb / 20);
-        // Clamp to prevent blowing out — max +12 dB, min -∞ (silent)
-        const clamped = Math.min(Math.pow(10, 12 / 20), Math.max(0, linear));
-        this._rgGainNode.gain.setTargetAtTime(clamped, now, 0.05);
-
-        const sign = totalDb >= 0 ? '+' : '';
-        if (btn) {
-            btn.style.opacity = '1';
-            btn.style.color = 'var(--accent)';
-            btn.title = `ReplayGain: ${sign}${totalDb.toFixed(1)} dB (${this._rgMode})`;
+        const fade = this._xfFadeFor(next.track);
+        if (fade > 0) {
+            if (remaining <= fade) this._xfStart(fade);
+        } else if (this._xfGapless && remaining < 1.5 && !this._xfPoll) {
+            // timeupdate is too coarse for a gapless join — poll closely for the last second, then
+            // time the start itself from the remaining duration
+            this._xfPoll = setInterval(() => {
+                if (!this._xfNext || this.audioPlayer !== a) { clearInterval(this._xfPoll); this._xfPoll = null; return; }
+                if (a.ended) { this._xfStart(0); return; }
+                const left = (a.duration - a.currentTime) / (a.playbackRate || 1);
+                if (!this._audioCtx) { if (left <= 0.04) this._xfStart(0); return; }
+                if (left - this._xfJoinLead > 0.03) return;
+                const at = this._audioCtx.currentTime + left;
+                clearInterval(this._xfPoll);
+                this._xfPoll = setTimeout(() => {
+                    this._xfPoll = null;
+                    if (this._xfNext && this.audioPlayer === a) this._xfStart(0, false, null, at);
+                }, Math.max(0, (left - this._xfJoinLead) * 1000));
+            }, 10);
+        }
+    },
+
+    _xfPreload() {
+        const index = this._xfPeekNextIndex();
+        const track = this.playlist[index];
+        if (index < 0 || !track) return;
+        const deck = this._audioDecks.find(d => d !== this.audioPlayer);
+        if (!deck) return;
+        deck.pause();
+        deck.src = this._buildStreamUrl(track.id);
+        this._fxApplySpeed(deck);
+        deck.load();
+        this._xfNext = { index, track, deck };
+    },
+
+    // Switch this.audioPlayer to the preloaded deck. cut = stop the old deck immediately (manual skip);
+    // plan = automix hand-off (cue point, tempo match, beat grids); joinAt = AudioContext time at which
+    // the old track ends, for a gapless join
+    _xfStart(fade, cut = false, plan = null, joinAt = null) {
+        const next = this._xfNext;
+        if (!next) return;
+        if (this._xfPoll) { clearInterval(this._xfPoll); this._xfPoll = null; }
+        this._xfNext = null;
+        const old = this.audioPlayer;
+        const deck = next.deck;
+        this.audioPlayer = deck;
+        this.playIndex = next.index;
+        if (this._audioCtx) {
+            this.connectEQToElement(deck, !cut);
+            const now = this._audioCtx.currentTime;
+            const gIn = this._xfDeckGain(deck);
+            gIn.gain.cancelScheduledValues(now);
+            if (fade > 0) {
+                const gOut = this._xfDeckGain(old);
+                gOut.gain.cancelScheduledValues(now);
+                gOut.gain.setValueAtTime(gOut.gain.value, now);
+                gOut.gain.linearRampToValueAtTime(0, now + fade);
+                gIn.gain.setValueAtTime(0, now);
+                gIn.gain.linearRampToValueAtTime(1, now + fade);
+            } else if (joinAt != null && joinAt > now) {
+                // The old deck's tail and the new deck's head meet exactly at joinAt
+                const gOut = this._xfDeckGain(old);
+                gOut.gain.cancelScheduledValues(now);
+                gOut.gain.setValueAtTime(1, now);
+                gOut.gain.setValueAtTime(0, joinAt);
+                gIn.gain.setValueAtTime(0, now);
+                gIn.gain.setValueAtTime(1, joinAt);
+            } else {
+                gIn.gain.setValueAtTime(1, now);
+            }
         }
-    },
-
-    toggleReplayGain() {
-        this._rgEnabled = !this._rgEnabled;
-        this.saveRGState();
-        if (this.currentTrack) this._applyReplayGain(this.currentTrack);
-        else {
-            const btn = document.getElementById('btn-rg');
-            if (btn) { btn.style.opacity = this._rgEnabled ? '0.65' : '0.4'; btn.style.color = this._rgEnabled ? 'var(--accent)' : ''; }
+        if (plan) {
+            deck.currentTime = plan.cue;
+            this._amSetRate(deck, plan.rate);
         }
-        this.showToast(this._rgEnabled ? this.t('rg.enabled', 'ReplayGain on') : this.t('rg.disabled', 'ReplayGain off'), 'info');
+        const calledAt = this._audioCtx?.currentTime;
+        deck.play().catch(() => {});
+        if (joinAt != null && this._audioCtx) {
+            // Learn how long this browser takes to get a deck going, for the next join
+            setTimeout(() => {
+                if (this.audioPlayer !== deck || deck.paused) return;
+                const latency = this._audioCtx.currentTime - deck.currentTime / (deck.playbackRate || 1) - calledAt;
+                if (latency > 0 && latency < 0.5)
+                    this._xfJoinLead = Math.min(0.3, Math.max(0.01, 0.7 * this._xfJoinLead + 0.3 * (latency + 0.005)));
+            }, 500);
+        }
+        if (plan) this._amMix(old, deck, plan);
+        if (fade > 0) this._xfFading = { deck: old, timer: setTimeout(() => this._xfRetire(old), fade * 1000 + 150) };
+        else if (cut) this._xfRetire(old);
+        // Gapless: the old deck plays its last few ms and is retired by its own 'ended' event
+        this.playTrack(this.playlist[this.playIndex], { handoff: true });
+    },
+
+    // Silence and detach a deck that is no longer the active one
+    _xfRetire(deck) {
+        if (!deck || deck === this.audioPlayer) return;
+        if (this._xfFading && this._xfFading.deck === deck) { clearTimeout(this._xfFading.timer); this._xfFading = null; }
+        deck.pause();
+        deck.removeAttribute('src');
+        deck.load();
+        const source = this._eqSourceMap?.get(deck);
+        if (source && this._eqSource !== source) { try { source.disconnect(); } catch (e) {} }
+        const g = this._xfGains?.get(deck);
+        if (g) { g.gain.cancelScheduledValues(0); g.gain.value = 1; }
+        const bass = this._xfBass?.get(deck);
+        if (bass) { bass.gain.cancelScheduledValues(0); bass.gain.value = 0; }
+        this._amRates?.delete(deck);
+    },
+
+    // Drop the preloaded entry (queue, shuffle or repeat changed) — it is re-picked on the next tick
+    _xfCancelPreload() {
+        if (this._xfPoll) { clearInterval(this._xfPoll); this._xfPoll = null; }
+        if (this._xfNext) { const d = this._xfNext.deck; this._xfNext = null; this._xfRetire(d); }
+    },
+
+    // Full reset before a normal (non hand-off) load: no preload, no fade tail
+    _xfReset() {
+        this._xfCancelPreload();
+        if (this._xfFading) this._xfRetire(this._xfFading.deck);
+        const g = this._xfGains?.get(this.audioPlayer);
+        if (g) { g.gain.cancelScheduledValues(0); g.gain.value = 1; }
+        const bass = this._xfBass?.get(this.audioPlayer);
+        if (bass) { bass.gain.cancelScheduledValues(0); bass.gain.value = 0; }
+        if (this._amGlide) { clearInterval(this._amGlide); this._amGlide = null; }
+        if (this._amRates?.delete(this.audioPlayer)) this._fxApplySpeed();
     },
 
     // ─── Streaming Quality ────────────────────────────────────────────────────
@@ -22233,6 +28528,8 @@ ${body}
         try { st = await this.api('cast/status?deviceId=' + encodeURIComponent(this._castDeviceId)); }
         catch (e) { return; }
         if (!st || !st.state) return;
+        if (typeof st.currentTime === 'number') this._castClock = { base: st.currentTime, at: this._castPaused ? null : Date.now() };
+        this._castScrobbleTick(st);
         const state = String(st.state).toLowerCase();
         if (state === 'playing' || state === 'buffering') this._castWasPlaying = true;
         // Advance on a NATURAL finish only — not on CANCELLED/INTERRUPTED/ERROR (e.g. the user
@@ -22247,6 +28544,18 @@ ${body}
             finally { setTimeout(() => { this._castAdvancing = false; }, 3000); }
         }
     },
+    // The local <audio> is silent while casting, so the scrobble threshold (50% or 4 min) is
+    // checked against the device's reported position instead
+    _castScrobbleTick(st) {
+        if (this._scrobbleFired || typeof st.currentTime !== 'number') return;
+        const t = this._castEngine === 'gbm' ? (this._gbMusicTracks || [])[this._gbMusicIdx] : this.currentTrack;
+        const duration = st.duration > 0 ? st.duration : (t?.duration || 0);
+        if (!t || duration <= 30) return;
+        if (st.currentTime >= duration * 0.5 || st.currentTime >= 240) {
+            this._scrobbleFired = true;
+            this._fireScrobble(t, duration, 'cast');
+        }
+    },
     async _castAdvanceAudio() {
         if (this._castEngine === 'gbm') {
             this._gbMusicPlayerNext();           // re-casts via _gbMusicLoadTrack
@@ -22259,6 +28568,9 @@ ${body}
 
     async _castServerControl(action) {
         if (!this._castDeviceId) return false;
+        const c = this._castClock;
+        if (c && action === 'pause' && c.at) this._castClock = { base: this._castClockNow(), at: null };
+        if (c && action === 'play' && !c.at) c.at = Date.now();
         try { await this.apiPost('cast/control', { deviceId: this._castDeviceId, action }); return true; }
         catch (e) { return false; }
     },
@@ -22280,6 +28592,9 @@ ${body}
             });
             this._castPaused = false;
             this._castWasPlaying = false;   // reset finished-detection for the new track
+            this._castClock = { base: 0, at: Date.now() };
+            this._scrobbleFired = false;    // repeat-one re-casts the same track: it's a new listen
+            this._scrobbleTimestamp = Math.floor(Date.now() / 1000);
         } catch (e) {}
     },
 
@@ -22496,10 +28811,101 @@ ${body}
         // Music plays through the Web Audio graph → route the AudioContext too (element
         // setSinkId is ignored once the element is a MediaElementSource node).
         this._applyAudioSinkToCtx();
+        this._eqApplyDeviceProfile();
         this._audioOutUpdateButton();
         this._updatePlayerMeta();   // reflect the new device name in the now-playing line
     },
 
+    // ─── Media Session (lock screen, headsets, media keys, Android notification) ───
+    // Mirrors whatever the player bar is playing into navigator.mediaSession so the OS can
+    // show it and route its transport controls back to the same handlers as the bar buttons.
+
+    _msSupported() {
+        return 'mediaSession' in navigator;
+    },
+
+    _msInit() {
+        if (!this._msSupported()) return;
+        const ms = navigator.mediaSession;
+        const isPodcast = () => document.getElementById('player-bar')?.classList.contains('podcast-mode');
+        const playing = () => (this._castActive && this._castMediaType === 'audio') ? !this._castPaused : this.isPlaying;
+        const handlers = {
+            play:          () => { if (!playing()) this.togglePlay(); },
+            pause:         () => { if (playing()) this.togglePlay(); },
+            stop:          () => this.stopPlayback(),
+            // Podcasts have no queue — map the headset's next/previous buttons to ±30 s instead
+            nexttrack:     () => { if (isPodcast()) this.podcastSkip(30); else this.nextTrack(); },
+            previoustrack: () => { if (isPodcast()) this.podcastSkip(-30); else this.prevTrack(); },
+            // Audiobooks keep their fixed ±30 s skip (nextTrack/prevTrack); everything else honours the OS offset
+            seekforward:   d => {
+                if (this.isAudioBookPlaying) this.nextTrack();
+                else this.podcastSkip(d.seekOffset || (isPodcast() ? 30 : 10));
+            },
+            seekbackward:  d => {
+                if (this.isAudioBookPlaying) this.prevTrack();
+                else this.podcastSkip(-(d.seekOffset || (isPodcast() ? 30 : 10)));
+            },
+            seekto:        d => {
+                const audio = this.audioPlayer;
+                if (this.isRadioPlaying || !audio.src || d.seekTime == null) return;
+                if (d.fastSeek && typeof audio.fastSeek === 'function') audio.fastSeek(d.seekTime);
+                else audio.currentTime = d.seekTime;
+                this._msUpdatePosition();
+            },
+        };
+        for (const [action, fn] of Object.entries(handlers)) {
+            try { ms.setActionHandler(action, fn); } catch (e) { /* action not supported by this browser */ }
+        }
+        this._audioDecks.forEach(audio => {
+            const active = () => audio === this.audioPlayer && audio.src;
+            audio.addEventListener('play',  () => { if (active()) ms.playbackState = 'playing'; });
+            audio.addEventListener('pause', () => { if (active()) ms.playbackState = 'paused'; });
+            ['loadedmetadata', 'durationchange', 'ratechange', 'seeked', 'play', 'pause']
+                .forEach(ev => audio.addEventListener(ev, () => { if (active()) this._msUpdatePosition(); }));
+        });
+    },
+
+    // artUrl is a same-origin path (/api/cover/track/{id}, /podcastart/…, /radiologo/…, /audiobookcover/…)
+    _msSetMetadata(title, artist, album, artUrl) {
+        if (!this._msSupported() || typeof MediaMetadata === 'undefined') return;
+        try {
+            navigator.mediaSession.metadata = new MediaMetadata({
+                title:   title || '',
+                artist:  artist || '',
+                album:   album || '',
+                artwork: artUrl ? [{ src: new URL(artUrl, location.origin).href, sizes: '512x512' }] : [],
+            });
+            navigator.mediaSession.playbackState = 'playing';
+        } catch (e) {}
+        this._msUpdatePosition();
+    },
+
+    _msUpdatePosition() {
+        if (!this._msSupported() || typeof navigator.mediaSession.setPositionState !== 'function') return;
+        const audio = this.audioPlayer;
+        try {
+            // Live radio has no meaningful duration — clear the position so the OS shows no scrubber
+            if (this.isRadioPlaying || !audio.src || !isFinite(audio.duration) || audio.duration <= 0) {
+                navigator.mediaSession.setPositionState();
+                return;
+            }
+            navigator.mediaSession.setPositionState({
+                duration:     audio.duration,
+                playbackRate: audio.playbackRate || 1,
+                position:     Math.min(audio.currentTime, audio.duration),
+            });
+        } catch (e) {}
+    },
+
+    _msClear() {
+        if (!this._msSupported()) return;
+        try {
+            navigator.mediaSession.metadata = null;
+            navigator.mediaSession.playbackState = 'none';
+            if (typeof navigator.mediaSession.setPositionState === 'function') navigator.mediaSession.setPositionState();
+        } catch (e) {}
+    },
+
     // ─── Go Big Mode — TV / Big-Screen Interface ──────────────────────────────
 
     startGoBigMode() {
@@ -22553,12 +28959,17 @@ ${body}
                         <button id="gbm-cast-btn" class="gbm-action-btn cast-btn" onclick="App.toggleCastAudio(this,'gbm')" title="Cast">
                             <svg width="22" height="22" viewBox="0 0 24 24" style="stroke:currentColor;fill:none"><use href="#icon-cast"/></svg>
                         </button>
+                        <button id="gbm-sleep-btn" class="gbm-action-btn" onclick="App.sleepCycle()" title="Sleep timer">
+                            <svg width="22" height="22" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 12.79A9 9 0 1 1 11.21 3 7 7 0 0 0 21 12.79z"/></svg>
+                        </button>
                     </div>
                     <div id="gbm-progress-wrap">
-                        <div id="gbm-bar" onclick="App._gbMusicPlayerSeek(event)">
+                        <div id="gbm-bar" onclick="App._gbMusicPlayerSeek(event)" onmousemove="App._gbMusicHover(event)" onmouseleave="App._gbMusicHover(null)">
                             <div id="gbm-track"></div>
+                            <canvas id="gbm-wave"></canvas>
                             <div id="gbm-fill"></div>
                             <div id="gbm-thumb"></div>
+                            <div class="wave-hover"></div>
                         </div>
                         <div id="gbm-times"><span id="gbm-cur">0:00</span><span id="gbm-dur">0:00</span></div>
                     </div>
@@ -22570,6 +28981,12 @@ ${body}
                         <button id="gbm-repeat-btn" onclick="App._gbMusicToggleRepeat()" title="Repeat" style="position:relative"><svg id="gbm-repeat-icon" width="32" height="32" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="17 1 21 5 17 9"/><path d="M3 11V9a4 4 0 0 1 4-4h14"/><polyline points="7 23 3 19 7 15"/><path d="M21 13v2a4 4 0 0 1-4 4H3"/></svg><span id="gbm-repeat-one-badge" style="display:none;position:absolute;bottom:6px;right:6px;font-size:9px;font-weight:900;background:#22c55e;color:#000;border-radius:3px;padding:1px 3px;line-height:1.2">1</span></button>
                     </div>
                     <div id="gbm-next-info"></div>
+                    <div id="gbm-sleep" style="display:none">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 12.79A9 9 0 1 1 11.21 3 7 7 0 0 0 21 12.79z"/></svg>
+                        <span class="gbm-sleep-time"></span>
+                        <button class="gbm-sleep-extend" onclick="App.sleepExtend()"></button>
+                        <button class="gbm-sleep-cancel" onclick="App.sleepCancel()" title="Cancel">&#10005;</button>
+                    </div>
                 </div>
                 <audio id="gbm-audio" preload="none"></audio>
             </div>
@@ -24570,8 +30987,14 @@ ${body}
         }
         if (nextEl) nextEl.textContent = nextEl_text;
 
-        // Reset progress display
+        // Reset progress display; the waveform follows once loaded
+        this._gbWave = null;
         this._gbMusicSetProgress(0, 0);
+        this._waveFetch('track', track.id).then(w => {
+            if (this._gbMusicTracks?.[this._gbMusicIdx] !== track) return;
+            this._gbWave = w || null;
+            this._gbMusicSetProgress(...this._gbProgress);
+        });
 
         // Stop previous, start new stream
         clearInterval(this._gbMusicProgressInterval);
@@ -24600,14 +31023,16 @@ ${body}
                 if (!this._scrobbleFired && a.duration > 30 &&
                     (a.currentTime >= a.duration * 0.5 || a.currentTime >= 240)) {
                     this._scrobbleFired = true;
-                    this._fireScrobble(track, a.duration);
+                    this._fireScrobble(track, a.duration, 'gobig');
                 }
             }
         }, 500);
 
-        audio.onended = () => this._gbMusicPlayerNext();
+        audio.onended = () => { if (!this._sleepTrackEnded()) this._gbMusicPlayerNext(); };
         audio.onpause = () => this._gbMusicUpdatePlayBtn(false);
         audio.onplay  = () => this._gbMusicUpdatePlayBtn(true);
+        audio.ontimeupdate = () => this._lyricsSync();
+        this._lyricsTrackChanged(track, true);
     },
 
     _gbMusicSetProgress(cur, dur) {
@@ -24622,6 +31047,18 @@ ${body}
         if (thumb) thumb.style.left = pct + '%';
         if (curEl) curEl.textContent = this.formatDuration(Math.floor(cur));
         if (durEl) durEl.textContent = this.formatDuration(Math.floor(dur));
+        this._gbProgress = [cur, dur];
+        const bar = ol.querySelector('#gbm-bar');
+        const canvas = ol.querySelector('#gbm-wave');
+        if (bar) bar.classList.toggle('has-wave', !!this._gbWave);
+        if (this._gbWave && canvas) this._waveDraw(canvas, this._gbWave.peaks, pct / 100, this._gbWaveHover, '#22c55e');
+    },
+
+    _gbMusicHover(event) {
+        const bar = this._gbOverlay?.querySelector('#gbm-bar');
+        const track = this._gbMusicTracks?.[this._gbMusicIdx];
+        this._gbWaveHover = this._waveHoverAt(event, bar, this._gbProgress[1] || track?.duration);
+        this._gbMusicSetProgress(...this._gbProgress);
     },
 
     _gbMusicUpdatePlayBtn(playing) {
@@ -24695,6 +31132,8 @@ ${body}
         if (!ol) return;
         const audio = ol.querySelector('#gbm-audio');
         if (audio) { audio.pause(); audio.src = ''; audio.load(); }
+        const lyricsOv = document.getElementById('lyrics-overlay');
+        if (this._lyricsGoBig && lyricsOv && lyricsOv.style.display === 'flex') this.toggleLyrics();
         ol.querySelector('#gb-music-player').style.display = 'none';
         // Restore topbar Search + Exit buttons
         const gbSearchBtn = ol.querySelector('#gb-search-btn');
@@ -24768,30 +31207,13 @@ ${body}
     async _gbMusicShowLyrics() {
         const track = this._gbMusicTracks?.[this._gbMusicIdx];
         if (!track) return;
-        const gbmBtn = this._gbOverlay?.querySelector('#gbm-lyrics-btn');
-
         // If already open, close it
         const existing = document.getElementById('lyrics-overlay');
-        if (existing && existing.style.display === 'flex') {
-            existing.style.display = 'none';
-            if (gbmBtn) gbmBtn.classList.remove('gbm-btn-active');
-            return;
-        }
-
-        if (gbmBtn) gbmBtn.classList.add('gbm-btn-active');
+        if (existing && existing.style.display === 'flex') { this.toggleLyrics(); return; }
 
-        // Temporarily set currentTrack so toggleLyrics can fetch correctly
-        const saved = this.currentTrack;
-        this.currentTrack = track;
-        await this.toggleLyrics();
-        this.currentTrack = saved;
-
-        // Move lyrics overlay inside #gb-overlay so it sits above z-index:4000
-        const overlay = document.getElementById('lyrics-overlay');
-        if (overlay && this._gbOverlay && !this._gbOverlay.contains(overlay)) {
-            this._gbOverlay.appendChild(overlay);
-            overlay.style.zIndex = '4100';
-        }
+        this._gbOverlay?.querySelector('#gbm-lyrics-btn')?.classList.add('gbm-btn-active');
+        // Synced lines follow #gbm-audio rather than the player bar
+        await this.toggleLyrics(track, true);
     },
 
     _gbMusicToggleShuffle() {
@@ -24848,7 +31270,9 @@ ${body}
         // Shuffle-play the current playlist
         if (this._playlistTracks && this._playlistTracks.length > 0) {
             this.playPlaylistShuffle();
+            // Already dealt by playPlaylistShuffle — just keep it shuffled from here on
             this.shuffle = true;
+            this._shuffleQueue = this.playlist;
             const sb = document.getElementById('btn-shuffle');
             if (sb) sb.style.color = 'var(--accent)';
         }
@@ -24879,8 +31303,10 @@ ${body}
                 <div id="nc-info">
                     <div id="nc-title">&mdash;</div>
                     <div id="nc-artist"></div>
+                    <div id="nc-tempo"></div>
                 </div>
             </div>
+            <div id="nc-lyrics"></div>
             <div id="nc-dancer-wrap"><pre id="nc-dancer"></pre></div>
             <canvas id="nc-canvas"></canvas>
             <div id="nc-viz-dots">
@@ -24895,6 +31321,8 @@ ${body}
                 <button class="nc-ctrl-btn" id="nc-btn-next" title="Next">&#9654;&#9654;</button>
                 <div class="nc-ctrl-sep"></div>
                 <button class="nc-ctrl-btn" id="nc-btn-eq" title="Equalizer">EQ</button>
+                <button class="nc-ctrl-btn" id="nc-btn-lyrics" title="${this.t('player.lyrics', 'Lyrics')}">&#9834;</button>
+                <button class="nc-ctrl-btn" id="nc-btn-automix" title="${this.t('automix.title', 'Automix: mix by key and tempo')}">MIX</button>
                 <button class="nc-ctrl-btn" id="nc-btn-exit" title="Exit (ESC)">&#10005;</button>
             </div>`;
         document.body.appendChild(ol);
@@ -24905,8 +31333,13 @@ ${body}
         ol.querySelector('#nc-btn-play').onclick = () => this.togglePlay();
         ol.querySelector('#nc-btn-next').onclick = () => document.getElementById('btn-next')?.click();
         ol.querySelector('#nc-btn-eq').onclick   = () => document.getElementById('btn-eq')?.click();
+        ol.querySelector('#nc-btn-lyrics').onclick = () => this._ncToggleLyrics();
+        this._ncLyricsOn = localStorage.getItem('nexusm-nc-lyrics') === '1';
+        ol.querySelector('#nc-btn-lyrics').classList.toggle('nc-ctrl-active', this._ncLyricsOn);
+        ol.querySelector('#nc-btn-automix').onclick = () => this.setAutomix(!this._automix);
+        ol.querySelector('#nc-btn-automix').classList.toggle('nc-ctrl-active', this._automix);
         ol.querySelector('#nc-btn-exit').onclick = () => this.stopNightClubMode();
-        ol.addEventListener('dblclick', (e) => { if (!e.target.closest('.nc-ctrl-btn')) this.stopNightClubMode(); });
+        ol.addEventListener('dblclick', (e) => { if (!e.target.closest('.nc-ctrl-btn, .lyrics-line')) this.stopNightClubMode(); });
 
         // ESC + F keys
         this._ncKeyHandler = (e) => {
@@ -24957,6 +31390,7 @@ ${body}
         const ncPh     = this._ncOverlay.querySelector('#nc-art-placeholder');
         if (ncTitle)  ncTitle.textContent  = title  || '\u2014';
         if (ncArtist) ncArtist.textContent = artist || '';
+        this._amRenderNc();
         const id = track?.id;
         if (id) {
             const src = `/api/cover/track/${id}`;
@@ -24978,6 +31412,30 @@ ${body}
             if (ncRef) ncRef.style.display = 'none';
             if (ncPh)  ncPh.style.display  = 'flex';
         }
+        this._ncLoadLyrics();
+    },
+
+    // Optional lyrics layer above the visualiser — timed lyrics only, driven by _lyricsSync()
+    _ncToggleLyrics() {
+        this._ncLyricsOn = !this._ncLyricsOn;
+        try { localStorage.setItem('nexusm-nc-lyrics', this._ncLyricsOn ? '1' : '0'); } catch (e) {}
+        this._ncOverlay?.querySelector('#nc-btn-lyrics')?.classList.toggle('nc-ctrl-active', this._ncLyricsOn);
+        this._ncLoadLyrics();
+    },
+
+    async _ncLoadLyrics() {
+        const layer = this._ncOverlay?.querySelector('#nc-lyrics');
+        if (!layer) return;
+        layer.innerHTML = '';
+        const track = this.currentTrack;
+        if (!this._ncLyricsOn || !track) return;
+        let data = null;
+        try { data = await this._lyricsFetch(track); } catch (e) {}
+        if (!this._ncOverlay || !this._ncLyricsOn || this.currentTrack !== track) return;
+        const lines = data?.syncedLyrics ? this._lyricsParseLrc(data.syncedLyrics) : [];
+        if (!lines.length) return;
+        layer.innerHTML = this._lyricsSyncedHtml(lines, this._lyricsKey(track), 'nc');
+        this._lyricsSync(true);
     },
 
     _ncSpawnParticles() {
@@ -25052,7 +31510,9 @@ ${body}
         const ctx    = this._ncCtx;
         if (!canvas || !ctx) return;
         ctx.clearRect(0, 0, canvas.width, canvas.height);
-        const data = this._ncAnalyser && this._ncDataArray
+        // Casting: the device plays the audio, so the analyser only hears silence
+        const data = this._castActive && this._castMediaType === 'audio' ? this._waveVizData()
+            : this._ncAnalyser && this._ncDataArray
             ? (this._ncAnalyser.getByteFrequencyData(this._ncDataArray), this._ncDataArray)
             : new Uint8Array(256).fill(0);
         if      (this._ncVizStyle === 1) this._ncDrawWaves(ctx, canvas, data);